@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+// Headless command line for the bundled server. It uses the same settings file, data directories and
+// log files as the app window: a server started here shows up on the Dashboard and the other way round.
+//
+//   node cli.js [--instance <id>] <command> [args]
+//   Packaged app: ELECTRON_RUN_AS_NODE=1 "<app executable>" resources/app.asar/cli.js <command>
+const path = require('path');
+const { spawn } = require('child_process');
+const config = require('./src-main/config');
+const SettingsStore = require('./src-main/settings-store');
+const services = require('./src-main/services');
+const processManager = require('./src-main/process-manager');
+const backup = require('./src-main/backup');
+const { connectionInfo } = require('./src-main/conninfo');
+const { inspectPostmaster } = require('./src-main/postmaster-pid');
+const { DataDirError } = require('./src-main/data-integrity');
+const { VersionMismatchError } = require('./src-main/pg-version');
+const { logStore } = require('./src-main/log-store');
+
+const EXIT = {
+    OK: 0,
+    FAILED: 1,
+    USAGE: 2,
+    NOT_RUNNING: 3,
+    // The data directory failed its integrity checks and was moved to quarantine (see data-integrity.js)
+    QUARANTINED: 4,
+    // The cluster needs a major-version upgrade; run it from the Dashboard
+    UPGRADE_REQUIRED: 5
+};
+
+const USAGE = `Usage: portable-postgis [--instance <id>] [--verbose] <command>
+
+Commands:
+  start                     Start the instance (detached; output in data/logs/server-<id>.log)
+  stop [--mode <mode>]      Stop it (smart, fast or immediate; default fast)
+  status [--json] [--all]   Show whether the instance (or every instance) is running
+  backup <db> <file>        pg_dump a database (.sql plain, .backup/.dump custom, .tar)
+  restore <db> <file>       Restore a backup into an existing database
+  psql [args...]            Run the bundled psql against the instance; args are passed through
+  conninfo [--json]         Print the connection URI (or all parameters as JSON)
+
+Exit codes: 0 ok, 1 failed, 2 usage, 3 not running, 4 data directory quarantined, 5 upgrade required`;
+
+class UsageError extends Error {}
+
+/**
+ * Split argv into the command, its positional args and options. Everything after "psql" is passed through.
+ * @param {string[]} argv
+ * @returns {{ command: string|null, args: string[], options: object }}
+ */
+function parseArgs(argv) {
+    const options = { instance: null, json: false, all: false, verbose: false, mode: 'fast' };
+    const args = [];
+    let command = null;
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (command === 'psql') {
+            args.push(...argv.slice(arg === '--' ? i + 1 : i));
+            break;
+        }
+        if (arg === '--instance' || arg === '-i') options.instance = argv[++i];
+        else if (arg === '--mode') options.mode = argv[++i];
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--all') options.all = true;
+        else if (arg === '--verbose' || arg === '-v') options.verbose = true;
+        else if (arg === '--help' || arg === '-h') command = 'help';
+        else if (arg.startsWith('-')) throw new UsageError(`Unknown option ${arg}`);
+        else if (!command) command = arg;
+        else args.push(arg);
+    }
+    if (options.instance === undefined) throw new UsageError('--instance needs an id');
+    if (!services.SHUTDOWN_MODES.includes(options.mode)) throw new UsageError(`--mode must be one of ${services.SHUTDOWN_MODES.join(', ')}`);
+    return { command, args, options };
+}
+
+function makeLogger(verbose) {
+    return (msg) => {
+        logStore.append(`[cli] ${msg}`);
+        if (verbose) console.error(msg);
+    };
+}
+
+function findInstance(settings, id) {
+    const instanceId = id || config.DEFAULT_INSTANCE_ID;
+    const instance = settings.instances.find(i => i.id === instanceId);
+    if (!instance) throw new UsageError(`No instance "${instanceId}". Known: ${settings.instances.map(i => i.id).join(', ')}`);
+    return instance;
+}
+
+// Live server for the instance according to postmaster.pid, whoever started it
+async function runningServer(instance) {
+    const existing = await inspectPostmaster(services.getInstanceDataDir(instance));
+    if (existing.state !== 'running') return null;
+    return { pid: existing.pid, port: existing.port || instance.port, ready: existing.status === 'ready' };
+}
+
+async function requireRunning(instance) {
+    const server = await runningServer(instance);
+    if (!server) {
+        const err = new Error(`${instance.name} is not running. Start it with "start".`);
+        err.exitCode = EXIT.NOT_RUNNING;
+        throw err;
+    }
+    return server;
+}
+
+const commands = {
+    async start(settings, instance, options, args, onLog) {
+        const result = await services.startPostgres(onLog, instance.port, {
+            instance,
+            password: settings.dbPassword,
+            dbUser: settings.dbUser,
+            authMode: settings.authMode,
+            logFile: path.join(logStore.dir, `server-${instance.id}.log`)
+        });
+        if (!result) throw new Error(`PostgreSQL binaries not found at ${config.PATHS.POSTGRES_BIN}. Run "npm run setup".`);
+        const how = result.adopted ? 'already running' : 'started';
+        console.log(`${instance.name} ${how} on port ${result.port ?? instance.port} (PID ${result.pid}).`);
+        return EXIT.OK;
+    },
+
+    async stop(settings, instance, options, args, onLog) {
+        await services.adoptIfRunning(onLog, instance);
+        if (!processManager.isRunning(services.processIdFor(instance.id))) {
+            console.log(`${instance.name} is not running.`);
+            return EXIT.OK;
+        }
+        const result = await services.stopPostgres(onLog, { instance, mode: options.mode, timeouts: settings.shutdownTimeouts });
+        console.log(`${instance.name} stopped (${result.step}).`);
+        return EXIT.OK;
+    },
+
+    async status(settings, instance, options) {
+        const list = options.all ? settings.instances : [instance];
+        const rows = [];
+        for (const inst of list) {
+            const server = await runningServer(inst);
+            rows.push({
+                id: inst.id,
+                name: inst.name,
+                running: !!server,
+                ready: server?.ready ?? false,
+                pid: server?.pid ?? null,
+                port: server?.port ?? inst.port,
+                dataDir: services.getInstanceDataDir(inst)
+            });
+        }
+        if (options.json) {
+            console.log(JSON.stringify(options.all ? rows : rows[0], null, 2));
+        } else {
+            for (const row of rows) {
+                const state = row.running ? `running (PID ${row.pid}${row.ready ? '' : ', not ready yet'})` : 'stopped';
+                console.log(`${row.id.padEnd(16)} ${state.padEnd(32)} port ${row.port}  ${row.dataDir}`);
+            }
+        }
+        // --all only fails when the listing itself does; a single instance follows the LSB "not running" code
+        return options.all || rows[0].running ? EXIT.OK : EXIT.NOT_RUNNING;
+    },
+
+    async backup(settings, instance, options, args) {
+        const [database, file] = args;
+        if (!database || !file) throw new UsageError('backup needs <db> <file>');
+        const server = await requireRunning(instance);
+        const filePath = path.resolve(file);
+        await backup.backupDatabase({ port: server.port, user: settings.dbUser, password: settings.dbPassword, database, filePath });
+        console.log(`Backed up ${database} to ${filePath}`);
+        return EXIT.OK;
+    },
+
+    async restore(settings, instance, options, args) {
+        const [database, file] = args;
+        if (!database || !file) throw new UsageError('restore needs <db> <file>');
+        const server = await requireRunning(instance);
+        const filePath = path.resolve(file);
+        await backup.restoreDatabase({ port: server.port, user: settings.dbUser, password: settings.dbPassword, database, filePath });
+        console.log(`Restored ${filePath} into ${database}`);
+        return EXIT.OK;
+    },
+
+    async psql(settings, instance, options, args) {
+        const server = await requireRunning(instance);
+        // -d may be given by the caller; otherwise connect to postgres
+        const hasDb = args.some(a => a === '-d' || a.startsWith('--dbname'));
+        const psqlArgs = ['-h', '127.0.0.1', '-p', String(server.port), '-U', settings.dbUser || 'postgres', ...(hasDb ? [] : ['-d', 'postgres']), ...args];
+        return new Promise((resolve, reject) => {
+            const child = spawn(services.getBinPath('psql'), psqlArgs, { stdio: 'inherit', env: backup.clientEnv(settings.dbPassword) });
+            child.on('error', reject);
+            child.on('close', (code) => resolve(code ?? EXIT.FAILED));
+        });
+    },
+
+    async conninfo(settings, instance, options) {
+        const server = await runningServer(instance);
+        const info = connectionInfo(settings, server?.port ?? instance.port);
+        console.log(options.json ? JSON.stringify({ ...info, running: !!server }, null, 2) : info.uri);
+        return server ? EXIT.OK : EXIT.NOT_RUNNING;
+    }
+};
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (e) {
+        console.error(`${e.message}\n\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+    const { command, args, options } = parsed;
+    if (!command || command === 'help') {
+        console.log(USAGE);
+        return command ? EXIT.OK : EXIT.USAGE;
+    }
+    if (!commands[command]) {
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        return EXIT.USAGE;
+    }
+
+    const onLog = makeLogger(options.verbose);
+    try {
+        const settings = await SettingsStore.load();
+        const instance = findInstance(settings, options.instance);
+        return await commands[command](settings, instance, options, args, onLog);
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        if (e instanceof UsageError) return EXIT.USAGE;
+        if (e instanceof DataDirError) return EXIT.QUARANTINED;
+        if (e instanceof VersionMismatchError) return EXIT.UPGRADE_REQUIRED;
+        return e.exitCode ?? EXIT.FAILED;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(async (code) => {
+        await logStore.flush();
+        // A started server is detached; exiting does not stop it
+        process.exit(code);
+    });
+}
+
+module.exports = { EXIT, parseArgs, main };
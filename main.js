@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, clipboard } = require('electron');
 const path = require('path');
 const config = require('./src-main/config');
 const SettingsStore = require('./src-main/settings-store');
@@ -21,25 +21,53 @@ if (process.platform === 'darwin') {
         });
     }
 
+// Shut PostgreSQL down cleanly before exiting: quitting mid-checkpoint leaves a corrupted data directory.
+// before-quit cannot be awaited, so the first quit is cancelled and re-issued once everything has exited.
+// Starting (or adopting) a server clears it again: on macOS the app outlives its closed window and can start servers anew.
+let servicesStopped = false;
+// Set once a real quit starts, so closing the window no longer just hides it to the tray
+let isQuitting = false;
+
+function stopServicesForQuit() {
+    // Not awaited: closing waits for queries still running, which the fast shutdown ends anyway
+    dbPools.close();
+    return services.stopAll(sendLog, { mode: 'fast', timeouts: currentSettings?.shutdownTimeouts }, currentSettings?.instances)
+        .catch((err) => console.error('Failed to stop services:', err))
+        .finally(() => {
+            servicesStopped = true;
+        });
+}
+
 app.on('window-all-closed', function () {
-    processManager.stopAll();
-    if (process.platform !== 'darwin') {
-        app.quit();
-    }
+    // Tray mode: servers keep running; Quit in the tray menu stops them
+    if (tray && currentSettings?.tray?.keepRunning) return;
+    stopServicesForQuit().then(() => {
+        if (process.platform !== 'darwin') {
+            app.quit();
+        }
+    });
 });
 
-app.on('before-quit', () => {
-    processManager.stopAll();
+app.on('before-quit', (event) => {
+    isQuitting = true;
+    // Only a real quit: on macOS the app stays alive with its window closed, and schedules keep running (or are recorded as skipped)
+    backupScheduler.stop();
+    if (servicesStopped) return;
+    event.preventDefault();
+    stopServicesForQuit().then(() => app.quit());
 });
 
 
 let mainWindow;
 let currentSettings = null;
+// System tray (see setupTray)
+let tray = null;
 
-function createWindow() {
+function createWindow({ show = true } = {}) {
     mainWindow = new BrowserWindow({
         width: 1024,
         height: 768,
+        show,
         icon: path.join(__dirname, 'assets', 'icon.png'),
         titleBarStyle: 'hidden',
         titleBarOverlay: {
@@ -75,6 +103,13 @@ function createWindow() {
         }
     }
 
+    // Tray mode: closing only hides the window, the renderer and servers keep running
+    mainWindow.on('close', (event) => {
+        if (isQuitting || !tray || !currentSettings?.tray?.keepRunning) return;
+        event.preventDefault();
+        mainWindow.hide();
+    });
+
     mainWindow.on('closed', function () {
         mainWindow = null;
         isUiReady = false; // Reset UI ready state
@@ -86,35 +121,123 @@ const services = require('./src-main/services');
 const processManager = require('./src-main/process-manager');
 
 // Listen for process exits (crashes, manual stops)
-processManager.on('process-exit', ({ id, code }) => {
-    console.log(`Service ${id} exited with code ${code}`);
+processManager.on('process-exit', ({ id, code, expected }) => {
+    console.log(`Service ${id} exited with code ${code}${expected ? '' : ' (unexpected)'}`);
+    // Pooled sessions died with the server
+    const exited = getInstance(services.instanceIdFor(id));
+    if (exited) {
+        queryCursors.closeAll({ port: exited.port });
+        dbPools.close({ port: exited.port });
+    }
     if (mainWindow && isUiReady) {
-        mainWindow.webContents.send('service-exited', { id, code });
+        mainWindow.webContents.send('service-exited', { id, instanceId: services.instanceIdFor(id), code, expected });
     }
+    refreshTray();
 });
 
+// Supervisor auto-restart progress (restarting / restarted / crash-loop / cancelled)
+processManager.on('supervisor', (event) => {
+    if (mainWindow && isUiReady) {
+        mainWindow.webContents.send('service-supervisor', { ...event, instanceId: services.instanceIdFor(event.id) });
+    }
+    refreshTray();
+});
+
+function applySupervisorPolicy(settings) {
+    for (const instance of getInstances(settings)) {
+        processManager.supervise(services.processIdFor(instance.id), settings?.supervisor);
+    }
+}
+
+// --- Cluster instances ---
+function getInstances(settings = currentSettings) {
+    return settings?.instances?.length
+        ? settings.instances
+        : [{ id: config.DEFAULT_INSTANCE_ID, name: 'Default', port: settings?.ports?.postgres || config.PORTS.POSTGRES, dataDir: null, autoStart: false }];
+}
+
+function getInstance(instanceId) {
+    const id = instanceId || config.DEFAULT_INSTANCE_ID;
+    return getInstances().find(i => i.id === id) || null;
+}
+
+function getInstanceStatus(instance) {
+    const procId = services.processIdFor(instance.id);
+    return {
+        running: processManager.isRunning(procId),
+        restarting: processManager.isRestarting(procId),
+        // Adopted = a server left running by an earlier session that we took over instead of spawning
+        adopted: processManager.isAdopted(procId),
+        pid: processManager.getPid(procId)
+    };
+}
+
+// Instance the database browser, backup/restore and extension tools talk to
+let activeDbInstanceId = config.DEFAULT_INSTANCE_ID;
+
+function getActiveDbPort(instanceId = activeDbInstanceId) {
+    const instance = getInstance(instanceId) || getInstance(config.DEFAULT_INSTANCE_ID);
+    return Number(instance?.port || currentSettings?.ports?.postgres || config.PORTS.POSTGRES || 5432) || 5432;
+}
+
+async function startInstance(instance) {
+    servicesStopped = false;
+    try {
+        return await services.startPostgres(sendLog, instance.port, {
+            instance,
+            password: currentSettings?.dbPassword,
+            dbUser: currentSettings?.dbUser,
+            authMode: currentSettings?.authMode,
+            onReadiness: (state) => {
+                if (isUiReady && mainWindow) mainWindow.webContents.send('postgres-readiness', { ...state, instanceId: instance.id });
+            }
+        });
+    } catch (e) {
+        // Auto-start has no caller to show these, so the dashboard is told directly
+        if (e instanceof DataDirError && isUiReady && mainWindow) {
+            mainWindow.webContents.send('data-quarantined', { instanceId: instance.id, report: e.report });
+        }
+        if (e instanceof VersionMismatchError && isUiReady && mainWindow) {
+            mainWindow.webContents.send('upgrade-required', { instanceId: instance.id, upgrade: e.upgrade });
+        }
+        throw e;
+    }
+}
+
+// Start instances flagged autoStart once the UI can show their logs
+let autoStartDone = false;
+function autoStartInstances() {
+    if (autoStartDone) return;
+    autoStartDone = true;
+    for (const instance of getInstances().filter(i => i.autoStart)) {
+        startInstance(instance).catch((e) => sendLog(`[${services.processIdFor(instance.id)}] Auto-start failed: ${e.message}`));
+    }
+}
+
 // Log buffering
 let logBuffer = [];
 let isUiReady = false;
 
+// Every log line is persisted (rotated files under data/logs) and streamed to the viewer as structured entries
+const { logStore } = require('./src-main/log-store');
+
+function sendLog(msg) {
+    console.log(msg);
+    const entries = logStore.append(msg);
+    if (isUiReady && mainWindow) {
+        mainWindow.webContents.send('log', msg);
+        mainWindow.webContents.send('log-entries', entries);
+    }
+}
+
 // Helper to check port availability
-const checkPort = (port, host = '127.0.0.1') => {
-    return new Promise((resolve) => {
-        const server = net.createServer();
-        server.once('error', (err) => {
-            if (err.code === 'EADDRINUSE') {
-                resolve(false);
-            } else {
-                resolve(false); // Other error, assume not available for safety
-            }
-        });
-        server.once('listening', () => {
-            server.close();
-            resolve(true);
-        });
-        server.listen(port, host);
-    });
-};
+const { isPortFree: checkPort } = require('./src-main/port-inspector');
+const { AUTH_MODES, PasswordOutOfSyncError } = require('./src-main/auth');
+const integrity = require('./src-main/data-integrity');
+const { DataDirError } = integrity;
+const pgVersion = require('./src-main/pg-version');
+const { VersionMismatchError } = pgVersion;
+const upgrade = require('./src-main/upgrade');
 
 // Start services logic
 async function startAppServices(settings) {
@@ -134,26 +257,320 @@ ipcMain.on('ui-ready', () => {
 });
 
 // Granular Service Control IPC
-ipcMain.handle('start-postgres', async (event, port) => {
-    const sendLog = (msg) => {
-        console.log(msg);
-        if (isUiReady && mainWindow) mainWindow.webContents.send('log', msg);
-    };
+ipcMain.handle('start-postgres', async (event, port, instanceId) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    if (movingInstances.has(instance.id)) return { success: false, error: `"${instance.name}" is being moved to a new data directory` };
     try {
-        await services.startPostgres(sendLog, port);
-        return { success: true };
+        const result = await startInstance({ ...instance, port: port || instance.port });
+        return { success: true, ...(result || {}) };
+    } catch (e) {
+        return { success: false, error: e.message, integrity: e.report, upgrade: e.upgrade };
+    }
+});
+
+ipcMain.handle('stop-postgres', async (event, mode, instanceId) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    try {
+        // A smart shutdown waits for every client: drop open query results and idle pooled sessions first
+        // (pools close busy sessions as their queries finish)
+        await queryCursors.closeAll({ port: instance.port });
+        dbPools.close({ port: instance.port });
+        const result = await services.stopPostgres(sendLog, {
+            instance,
+            mode: services.SHUTDOWN_MODES.includes(mode) ? mode : 'smart',
+            timeouts: currentSettings?.shutdownTimeouts
+        });
+        return { success: true, mode: result.step, code: result.code };
     } catch (e) {
         return { success: false, error: e.message };
     }
 });
 
-ipcMain.handle('stop-postgres', async () => {
-    services.stopPostgres();
+async function restartInstance(instance) {
+    await services.stopPostgres(sendLog, { instance, mode: 'fast', timeouts: currentSettings?.shutdownTimeouts });
+    return startInstance(instance);
+}
+
+// Stop then start an instance (e.g. to apply settings that need a restart)
+ipcMain.handle('restart-postgres', async (event, instanceId) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    try {
+        const result = await restartInstance(instance);
+        return { success: true, ...(result || {}) };
+    } catch (e) {
+        return { success: false, error: e.message, integrity: e.report };
+    }
+});
+
+// --- Major-version upgrade ---
+// Upgrade a stopped instance to the bundled PostgreSQL version, then start it
+ipcMain.handle('instance:upgrade', async (event, instanceId, method) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    if (processManager.isRunning(services.processIdFor(instance.id))) return { success: false, error: `Stop "${instance.name}" first` };
+    if (movingInstances.has(instance.id)) return { success: false, error: `"${instance.name}" is being moved` };
+    movingInstances.add(instance.id);
+    try {
+        const result = await upgrade.upgradeCluster({
+            instance,
+            method,
+            password: currentSettings?.dbPassword,
+            authMode: currentSettings?.authMode,
+            onLog: sendLog,
+            onProgress: (p) => {
+                if (mainWindow) mainWindow.webContents.send('upgrade-progress', { instanceId: instance.id, ...p });
+            }
+        });
+        await startInstance(instance);
+        return { success: true, ...result };
+    } catch (e) {
+        sendLog(`[${services.processIdFor(instance.id)}] Upgrade failed: ${e.message}`);
+        return { success: false, error: e.message || String(e) };
+    } finally {
+        movingInstances.delete(instance.id);
+    }
+});
+
+// --- Data directory integrity ---
+// Report for the current data directory plus earlier quarantined copies (nothing is changed)
+ipcMain.handle('data:checkIntegrity', async (event, instanceId) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    try {
+        const dataDir = services.getInstanceDataDir(instance);
+        return {
+            report: await integrity.checkDataDir(dataDir),
+            quarantined: await integrity.listQuarantined(dataDir)
+        };
+    } catch (e) {
+        return { error: e.message || String(e) };
+    }
+});
+
+/**
+ * Continue after a data directory was quarantined.
+ * - reinitialize: start with the (now empty) data directory, so initdb creates a fresh cluster
+ * - recover: move the quarantined copy back, run pg_resetwal -f and start it
+ * - restore: re-initialize, then restore a backup file into the postgres database
+ * The quarantined copy is kept in every case except recover.
+ */
+ipcMain.handle('data:resolveQuarantine', async (event, instanceId, action, quarantinePath) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    if (processManager.isRunning(services.processIdFor(instance.id))) return { success: false, error: `${instance.name} is running` };
+    const dataDir = services.getInstanceDataDir(instance);
+    try {
+        if (action === 'recover') {
+            await integrity.restoreQuarantined(dataDir, quarantinePath);
+            sendLog(`[${services.processIdFor(instance.id)}] Moved ${quarantinePath} back to ${dataDir}`);
+            await services.resetWal(sendLog, instance);
+            await startInstance(instance);
+            return { success: true };
+        }
+        if (action !== 'reinitialize' && action !== 'restore') return { success: false, error: `Unknown action: ${action}` };
+        // Let a backup file be picked before anything is created
+        let backupFile = null;
+        if (action === 'restore') {
+            backupFile = await pickBackupFile();
+            if (!backupFile) return { success: false, cancelled: true };
+        }
+        await startInstance(instance);
+        if (backupFile) {
+            await restoreFromFile(backupFile, 'postgres', instance.port);
+            sendLog(`[${services.processIdFor(instance.id)}] Restored ${backupFile} into a fresh cluster`);
+        }
+        return { success: true };
+    } catch (e) {
+        return { success: false, error: e.message || String(e), integrity: e.report };
+    }
+});
+
+ipcMain.handle('get-postgres-status', async (event, instanceId) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { running: false, restarting: false, adopted: false, pid: null };
+    return getInstanceStatus(instance);
+});
+
+ipcMain.handle('list-instances', async () => {
+    // Servers started from the CLI (see cli.js) are picked up here, so both see the same state
+    for (const instance of getInstances()) {
+        if (movingInstances.has(instance.id)) continue;
+        if (await services.adoptIfRunning(sendLog, instance).catch(() => null)) servicesStopped = false;
+    }
+    return getInstances().map(instance => ({
+        ...instance,
+        dataDirPath: services.getInstanceDataDir(instance),
+        ...getInstanceStatus(instance)
+    }));
+});
+
+/**
+ * Create or update an instance. A new instance gets an id derived from its name.
+ * Ports must be unique across instances; a running instance keeps its port until restarted.
+ */
+ipcMain.handle('save-instance', async (event, input) => {
+    const name = String(input?.name || '').trim();
+    const port = parseInt(input?.port, 10);
+    if (!name) return { success: false, error: 'Instance name is required' };
+    if (!(port >= 1 && port <= 65535)) return { success: false, error: 'Port must be between 1 and 65535' };
+
+    const instances = getInstances();
+    let id = input?.id;
+    const existing = id ? instances.find(i => i.id === id) : null;
+    if (id && !existing) return { success: false, error: `Unknown instance: ${id}` };
+    if (!existing) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'instance';
+        id = base;
+        for (let n = 2; instances.some(i => i.id === id); n++) id = `${base}-${n}`;
+    }
+    const clash = instances.find(i => i.id !== id && i.port === port);
+    if (clash) return { success: false, error: `Port ${port} is already used by instance "${clash.name}"` };
+
+    const instance = {
+        ...(existing || { dataDir: null, autoStart: false }),
+        id,
+        name,
+        port,
+        ...(input.dataDir !== undefined ? { dataDir: input.dataDir || null } : {}),
+        ...(input.autoStart !== undefined ? { autoStart: !!input.autoStart } : {})
+    };
+    const list = existing
+        ? instances.map(i => (i.id === id ? instance : i))
+        : [...instances, instance];
+    const updated = await SettingsStore.save({ instances: list });
+    if (!updated) return { success: false, error: 'Failed to save settings' };
+    currentSettings = updated;
+    applySupervisorPolicy(currentSettings);
+    return { success: true, instance: getInstance(id) };
+});
+
+ipcMain.handle('delete-instance', async (event, instanceId, { removeData = false } = {}) => {
+    if (!instanceId || instanceId === config.DEFAULT_INSTANCE_ID) {
+        return { success: false, error: 'The default instance cannot be deleted' };
+    }
+    const instance = getInstance(instanceId);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    const replicas = getInstances().filter(i => i.replicaOf === instance.id);
+    if (replicas.length) return { success: false, error: `Tear down or promote its replicas first (${replicas.map(i => i.name).join(', ')})` };
+    const procId = services.processIdFor(instance.id);
+    if (processManager.isRunning(procId)) return { success: false, error: `Stop "${instance.name}" before deleting it` };
+    // Cancels a pending supervisor restart
+    await processManager.stop(procId);
+
+    const updated = await SettingsStore.save({ instances: getInstances().filter(i => i.id !== instance.id) });
+    if (!updated) return { success: false, error: 'Failed to save settings' };
+    currentSettings = updated;
+    if (activeDbInstanceId === instance.id) activeDbInstanceId = config.DEFAULT_INSTANCE_ID;
+
+    // Only managed data directories are removed; a user-chosen dataDir is left alone
+    if (removeData && !instance.dataDir) {
+        const fs = require('fs-extra');
+        await fs.remove(services.getInstanceDataDir(instance));
+    }
     return { success: true };
 });
 
-ipcMain.handle('get-postgres-status', async () => {
-    return { running: processManager.isRunning('postgres') };
+// --- Move cluster ---
+const clusterMove = require('./src-main/cluster-move');
+// Instances whose data directory is being copied; they must not be started meanwhile
+const movingInstances = new Set();
+
+async function saveInstanceDataDir(instanceId, dataDir) {
+    const updated = await SettingsStore.save({
+        instances: getInstances().map(i => (i.id === instanceId ? { ...i, dataDir } : i))
+    });
+    if (!updated) throw new Error('Failed to save settings');
+    currentSettings = updated;
+    return getInstance(instanceId);
+}
+
+ipcMain.handle('instance:pickDataDir', async () => {
+    if (!mainWindow) return null;
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Choose an empty folder for the data directory',
+        properties: ['openDirectory', 'createDirectory']
+    });
+    return canceled || !filePaths || filePaths.length === 0 ? null : filePaths[0];
+});
+
+/**
+ * Move an instance's cluster: stop it, copy and verify, switch dataDir and start from the new place.
+ * If the new copy does not start, dataDir is switched back, the copy removed and the old server restarted.
+ * The old directory is only deleted on success and when removeSource is set.
+ */
+ipcMain.handle('instance:moveData', async (event, instanceId, targetDir, { removeSource = false } = {}) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    if (movingInstances.has(instance.id)) return { success: false, error: `"${instance.name}" is already being moved` };
+    const fs = require('fs-extra');
+    const procId = services.processIdFor(instance.id);
+    const tag = `[${procId}]`;
+    const source = services.getInstanceDataDir(instance);
+    const target = targetDir ? path.resolve(targetDir) : '';
+    const managedDir = services.getInstanceDataDir({ ...instance, dataDir: null });
+    const progress = (p) => {
+        if (mainWindow) mainWindow.webContents.send('data-move-progress', { instanceId: instance.id, ...p });
+    };
+    const wasRunning = processManager.isRunning(procId);
+    let copyStarted = false;
+    let switched = false;
+
+    movingInstances.add(instance.id);
+    try {
+        await clusterMove.validateTarget(source, target);
+        if (wasRunning) {
+            progress({ phase: 'stopping' });
+            await services.stopPostgres(sendLog, { instance, mode: 'fast', timeouts: currentSettings?.shutdownTimeouts });
+        }
+        sendLog(`${tag} Copying ${source} to ${target}...`);
+        copyStarted = true;
+        const { fileCount, totalBytes } = await clusterMove.copyCluster(source, target, progress);
+        sendLog(`${tag} Copied and verified ${fileCount} files (${clusterMove.formatBytes(totalBytes)}).`);
+
+        const moved = await saveInstanceDataDir(instance.id, target === managedDir ? null : target);
+        switched = true;
+        progress({ phase: 'starting' });
+        await startInstance(moved);
+        // Starting proves the new copy works; leave the server as it was found
+        if (!wasRunning) await services.stopPostgres(sendLog, { instance: moved, timeouts: currentSettings?.shutdownTimeouts });
+
+        if (removeSource) {
+            await fs.remove(source);
+            sendLog(`${tag} Removed the old data directory ${source}.`);
+        }
+        progress({ phase: 'done' });
+        return { success: true, dataDir: target, previousDataDir: source, removedSource: removeSource };
+    } catch (e) {
+        sendLog(`${tag} Move failed: ${e.message}`);
+        const rollback = [];
+        try {
+            if (switched) {
+                // The server runs on the new data directory now; stop it the same graceful way as everywhere else
+                await services.stopPostgres(sendLog, { instance: { ...instance, dataDir: target }, mode: 'fast', timeouts: currentSettings?.shutdownTimeouts });
+                await saveInstanceDataDir(instance.id, instance.dataDir ?? null);
+                rollback.push(`switched back to ${source}`);
+            }
+            // target was verified empty before copying, so everything in it is ours
+            if (copyStarted) {
+                await fs.emptyDir(target);
+                rollback.push('removed the partial copy');
+            }
+            if (wasRunning) {
+                await startInstance(instance);
+                rollback.push('restarted the server');
+            }
+        } catch (rollbackError) {
+            rollback.push(`rollback incomplete: ${rollbackError.message}`);
+        }
+        progress({ phase: 'failed' });
+        const detail = rollback.length ? ` (${rollback.join(', ')})` : '';
+        return { success: false, error: `${e.message}${detail}` };
+    } finally {
+        movingInstances.delete(instance.id);
+    }
 });
 
 ipcMain.handle('start-pgadmin', async () => {
@@ -161,7 +578,7 @@ ipcMain.handle('start-pgadmin', async () => {
 });
 
 ipcMain.handle('stop-pgadmin', async () => {
-    services.stopPgAdmin();
+    await services.stopPgAdmin();
     return { success: true };
 });
 
@@ -175,26 +592,170 @@ ipcMain.handle('get-settings', async () => {
 });
 
 ipcMain.handle('save-settings', async (event, newSettings) => {
+    const previous = currentSettings;
     const updated = await SettingsStore.save(newSettings);
     if (updated && typeof updated === 'object') {
         currentSettings = updated;
+        applySupervisorPolicy(currentSettings);
+        // Sessions were opened with the old user, password or ports; running queries finish first
+        dbPools.close();
+        // A new password must reach the role, or scram logins break
+        const { errors } = await applyAuthToRunningInstances(previous);
+        errors.forEach((msg) => sendLog(`[auth] ${msg}`));
     }
     return currentSettings;
 });
 
+/**
+ * Push the configured auth mode and password to every running instance.
+ * @param {object} previous - Settings before the change (its password is tried if the new one is rejected)
+ * @param {{ allowReset?: boolean }} [options] - allowReset: the user asked to reset roles that reject the password
+ * @returns {Promise<{ errors: string[], outOfSync: string[] }>} Error messages, one per failed instance, and the
+ *   names of the instances whose postgres role rejects the password
+ */
+async function applyAuthToRunningInstances(previous, { allowReset = false } = {}) {
+    const result = { errors: [], outOfSync: [] };
+    if (!allowReset && previous?.dbPassword === currentSettings?.dbPassword && previous?.authMode === currentSettings?.authMode) return result;
+    for (const instance of getInstances()) {
+        if (!processManager.isRunning(services.processIdFor(instance.id))) continue;
+        try {
+            await services.applyAuth(sendLog, {
+                instance,
+                port: instance.port,
+                mode: currentSettings.authMode,
+                password: currentSettings.dbPassword,
+                previousPassword: previous?.dbPassword,
+                roles: [currentSettings.dbUser],
+                allowReset
+            });
+        } catch (e) {
+            if (e instanceof PasswordOutOfSyncError) result.outOfSync.push(instance.name);
+            result.errors.push(`${instance.name}: ${e.message}`);
+        }
+    }
+    return result;
+}
+
+// Change auth mode and/or password and apply them to running instances (stopped ones follow on next start)
+ipcMain.handle('auth:update', async (event, { mode, password } = {}) => {
+    const authMode = mode ?? currentSettings?.authMode;
+    const dbPassword = password ?? currentSettings?.dbPassword;
+    if (!AUTH_MODES.includes(authMode)) return { success: false, error: `Unknown auth mode: ${authMode}` };
+    if (authMode === 'scram-sha-256' && !dbPassword) return { success: false, error: 'Set a password before enabling scram-sha-256' };
+    const previous = currentSettings;
+    const updated = await SettingsStore.save({ authMode, dbPassword });
+    if (!updated) return { success: false, error: 'Failed to save settings' };
+    currentSettings = updated;
+    const { errors, outOfSync } = await applyAuthToRunningInstances(previous);
+    return errors.length ? { success: false, error: errors.join('\n'), outOfSync } : { success: true };
+});
+
+// Explicit reset: roles that reject the configured password get it through a short local trust window
+ipcMain.handle('auth:resetPassword', async () => {
+    const { errors } = await applyAuthToRunningInstances(currentSettings, { allowReset: true });
+    return errors.length ? { success: false, error: errors.join('\n') } : { success: true };
+});
+
 ipcMain.handle('check-port', async (event, port) => {
     return await checkPort(port);
 });
 
+// --- Port conflicts ---
+const { inspectPort, findFreePort } = require('./src-main/port-inspector');
+const { inspectPostmaster } = require('./src-main/postmaster-pid');
+
+/**
+ * Explain whether an instance can listen on its port and, if not, who holds it.
+ * conflict.kind: 'instance' (another instance of this app), 'postgres' (a PostgreSQL server we do not manage),
+ * 'process' (any other program) or 'unknown' (the OS would not say). A server already running for this
+ * instance's own data directory is not a conflict: starting adopts it.
+ */
+async function diagnoseInstancePort(instance, port = instance.port) {
+    const others = getInstances().filter(i => i.id !== instance.id);
+    const reserved = others.map(i => i.port);
+    const suggest = () => findFreePort(port + 1, { exclude: reserved }).catch(() => null);
+
+    const configured = others.find(i => i.port === port);
+    if (configured) {
+        return { port, free: false, conflict: { kind: 'instance', instanceName: configured.name, message: `Port ${port} is assigned to instance "${configured.name}".` }, suggestedPort: await suggest() };
+    }
+    const info = await inspectPort(port);
+    if (info.free) return { port, free: true, conflict: null, suggestedPort: null };
+
+    const own = await inspectPostmaster(services.getInstanceDataDir(instance));
+    if (own.state === 'running' && (own.port === port || own.pid === info.pid)) {
+        return { port, free: false, conflict: null, running: true, pid: own.pid, suggestedPort: null };
+    }
+
+    let conflict;
+    const who = info.pid ? `${info.processName || 'a process'} (PID ${info.pid})` : null;
+    for (const other of others) {
+        const pm = await inspectPostmaster(services.getInstanceDataDir(other));
+        if (pm.state === 'running' && (pm.pid === info.pid || pm.port === port)) {
+            conflict = { kind: 'instance', instanceName: other.name, pid: pm.pid, message: `Port ${port} is in use by instance "${other.name}" (PID ${pm.pid}).` };
+            break;
+        }
+    }
+    if (!conflict && info.isPostgres) {
+        conflict = { kind: 'postgres', pid: info.pid, processName: info.processName, message: `Port ${port} is in use by another PostgreSQL server, ${who}: a system installation, Postgres.app or another copy of this app.` };
+    } else if (!conflict && who) {
+        conflict = { kind: 'process', pid: info.pid, processName: info.processName, message: `Port ${port} is in use by ${who}.` };
+    } else if (!conflict) {
+        conflict = { kind: 'unknown', pid: null, message: `Port ${port} is in use, but the OS did not say by which program (it may belong to another user or need administrator rights to see).` };
+    }
+    return { port, free: false, conflict, suggestedPort: await suggest() };
+}
+
+ipcMain.handle('port:diagnose', async (event, instanceId, port) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    try {
+        return await diagnoseInstancePort(instance, parseInt(port, 10) || instance.port);
+    } catch (e) {
+        return { error: e.message || String(e) };
+    }
+});
+
+// Switch a stopped instance to another port: re-checked here, then written in a single settings save
+ipcMain.handle('port:apply', async (event, instanceId, port) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    const newPort = parseInt(port, 10);
+    if (!(newPort >= 1 && newPort <= 65535)) return { success: false, error: 'Port must be between 1 and 65535' };
+    if (processManager.isRunning(services.processIdFor(instance.id))) return { success: false, error: `Stop "${instance.name}" first` };
+    const check = await diagnoseInstancePort(instance, newPort);
+    if (check.conflict) return { success: false, error: check.conflict.message, suggestedPort: check.suggestedPort };
+    const updated = await SettingsStore.save({
+        instances: getInstances().map(i => (i.id === instance.id ? { ...i, port: newPort } : i))
+    });
+    if (!updated) return { success: false, error: 'Failed to save settings' };
+    currentSettings = updated;
+    sendLog(`[${services.processIdFor(instance.id)}] Port changed from ${instance.port} to ${newPort}.`);
+    return { success: true, instance: getInstance(instance.id) };
+});
+
 // --- DB API (for built-in DB browser; uses pg when Postgres is running) ---
 const MAX_ROWS = 5000;
-function getDbConfig(database) {
+
+// Point the browser at another instance; the renderer reloads its tree afterwards
+ipcMain.handle('db:selectInstance', async (event, instanceId) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    activeDbInstanceId = instance.id;
+    return { success: true, instanceId: instance.id, port: instance.port };
+});
+
+ipcMain.handle('db:getActiveInstance', async () => {
+    const instance = getInstance(activeDbInstanceId) || getInstance(config.DEFAULT_INSTANCE_ID);
+    return { instanceId: instance.id, port: instance.port };
+});
+
+function getDbConfig(database, instanceId) {
     const db = database && typeof database === 'string' ? database : 'postgres';
     const s = currentSettings || { ports: {}, dbUser: 'postgres', dbPassword: 'postgres' };
-    const port = s.ports?.postgres || config.PORTS.POSTGRES || 5432;
     return {
         host: '127.0.0.1',
-        port: Number(port) || 5432,
+        port: getActiveDbPort(instanceId),
         user: s.dbUser || 'postgres',
         password: s.dbPassword ?? 'postgres',
         database: db
@@ -202,12 +763,12 @@ function getDbConfig(database) {
 }
 
 /** Try to create the configured DB user (e.g. postgres1) by connecting as postgres. Call when connection fails with "role does not exist". */
-async function tryCreateConfiguredRole() {
+async function tryCreateConfiguredRole(instanceId) {
     const s = currentSettings || { ports: {}, dbUser: 'postgres', dbPassword: 'postgres' };
     const wantUser = (s.dbUser || 'postgres').trim();
     if (wantUser === 'postgres') return false;
     if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(wantUser)) return false;
-    const port = Number(s.ports?.postgres || config.PORTS.POSTGRES || 5432) || 5432;
+    const port = getActiveDbPort(instanceId);
     const password = s.dbPassword ?? 'postgres';
     const { Client } = require('pg');
     const client = new Client({
@@ -230,41 +791,50 @@ async function tryCreateConfiguredRole() {
     }
 }
 
-async function withDb(database, fn) {
-    try {
-        const { Client } = require('pg');
-        const client = new Client(getDbConfig(database));
-        await client.connect();
+const { dbPools, resetSession, connectDedicated } = require('./src-main/db-pool');
+const { isCursorable, controlsTransactions, readLimited, queryCursors, PAGE_SIZE } = require('./src-main/query-cursor');
+
+/**
+ * Run fn with a pooled client for database. Errors (including those thrown by fn) are returned as { error }.
+ * options.instanceId targets a specific instance instead of the one selected in the browser;
+ * options.resetSession cleans the session afterwards, for handlers that run the user's own SQL;
+ * options.dedicated uses a connection of its own, closed afterwards, instead of a pooled one.
+ */
+async function withDb(database, fn, { instanceId, resetSession: reset = false, dedicated = false } = {}) {
+    const attempt = async () => {
+        const cfg = getDbConfig(database, instanceId);
+        const client = dedicated ? await connectDedicated(cfg) : await dbPools.connect(cfg);
+        let discard = false;
         try {
             return await fn(client);
+        } catch (e) {
+            // The session may be mid-transaction or broken; close it rather than hand it out again
+            discard = true;
+            throw e;
         } finally {
-            await client.end();
+            // A query editor result left open for paging keeps its client until the cursor is closed
+            if (discard || !queryCursors.holds(client)) {
+                if (!discard && reset && !dedicated) discard = !await resetSession(client);
+                client.release(discard);
+            }
         }
+    };
+    const toError = (e) => ({ error: (e.message || String(e)) + (e.detail ? '\n\nDetail: ' + e.detail : '') });
+    try {
+        return await attempt();
     } catch (e) {
         const msg = e.message || String(e);
         const isRoleMissing = /role\s+["']?[\w]+["']?\s+does not exist/i.test(msg) || /role\s+["']?[\w]+["']?\s+doesn't exist/i.test(msg);
         const s = currentSettings || { ports: {}, dbUser: 'postgres' };
         const wantUser = (s.dbUser || 'postgres').trim();
-        if (isRoleMissing && wantUser !== 'postgres') {
-            const created = await tryCreateConfiguredRole();
-            if (created) {
-                try {
-                    const client2 = new Client(getDbConfig(database));
-                    await client2.connect();
-                    try {
-                        return await fn(client2);
-                    } finally {
-                        await client2.end();
-                    }
-                } catch (e2) {
-                    const msg2 = e2.message || String(e2);
-                    const detail2 = e2.detail ? '\n\nDetail: ' + e2.detail : '';
-                    return { error: msg2 + detail2 };
-                }
+        if (isRoleMissing && wantUser !== 'postgres' && await tryCreateConfiguredRole(instanceId)) {
+            try {
+                return await attempt();
+            } catch (e2) {
+                return toError(e2);
             }
         }
-        const detail = e.detail ? '\n\nDetail: ' + e.detail : '';
-        return { error: msg + detail };
+        return toError(e);
     }
 }
 
@@ -575,30 +1145,59 @@ ipcMain.handle('db:getOverviewStats', async (event, database) => {
     });
 });
 
+// Idle pooled sessions in other databases would make DROP/ALTER DATABASE fail with "being accessed by other users"
+async function closeOtherDatabasePools(sql, database) {
+    if (/\b(DROP|ALTER)\s+DATABASE\b/i.test(sql)) await dbPools.close({ port: getActiveDbPort(), except: database });
+}
+
 ipcMain.handle('db:runQuery', async (event, database, sql) => {
     if (!sql || typeof sql !== 'string') return { error: 'Invalid SQL' };
     const trimmed = sql.trim().toUpperCase();
     if (trimmed.startsWith('SELECT') || trimmed.startsWith('WITH')) {
         return await withDb(database, async (client) => {
+            // Read through a cursor, so results beyond MAX_ROWS are never computed; truncated says they exist
+            const limited = isCursorable(sql) ? await readLimited(client, sql, MAX_ROWS) : null;
+            if (limited) return limited;
             const r = await client.query({ text: sql, rowMode: 'array' });
             const rows = r.rows.slice(0, MAX_ROWS);
-            return { rows, fields: r.fields?.map(f => f.name) || [], rowCount: r.rowCount };
-        });
+            return { rows, fields: r.fields?.map(f => f.name) || [], rowCount: r.rowCount, truncated: r.rows.length > rows.length };
+        }, { resetSession: true });
     }
     return { error: 'Only SELECT (and read-only) queries are allowed via this API' };
 });
 
-// Run arbitrary SQL (single or multiple statements) - full query editor support
-ipcMain.handle('db:runScript', async (event, database, sql) => {
+// Query editor runs by id: the backend serving each, so it can be cancelled from another connection.
+// Each run has a dedicated connection, so its PID never belongs to a pooled session serving something else.
+const runningQueries = new Map();
+
+// Run arbitrary SQL (single or multiple statements) - full query editor support.
+// With a queryId the backend PID is announced ('query-started') and db:cancelQuery can stop the run.
+// A final plain query is read through a cursor: the first page comes back with a cursorId for db:fetchMore
+// (rowCount stays null until the last page); other results are capped at MAX_ROWS and flagged truncated.
+ipcMain.handle('db:runScript', async (event, database, sql, queryId) => {
     if (!sql || typeof sql !== 'string') return { error: 'Invalid SQL' };
     const rawDb = database && typeof database === 'string' ? database : 'postgres';
     const db = rawDb.trim() || 'postgres';
     const statements = sql.split(';').map(s => s.trim()).filter(s => s.length > 0);
     if (statements.length === 0) return { error: 'No statement to run' };
-    return await withDb(db, async (client) => {
+    await closeOtherDatabasePools(sql, db);
+    const instanceId = activeDbInstanceId;
+    let pid = null;
+    const result = await withDb(db, async (client) => {
+        pid = client.processID ?? null;
+        if (queryId) {
+            runningQueries.set(queryId, { pid, database: db, instanceId, cancel: null });
+            event.sender.send('query-started', { queryId, pid });
+        }
+        const useCursor = isCursorable(statements[statements.length - 1]) && !controlsTransactions(statements);
         let lastResult = null;
         try {
-            for (const stmt of statements) {
+            for (const [index, stmt] of statements.entries()) {
+                if (useCursor && index === statements.length - 1) {
+                    const page = await queryCursors.start(client, stmt, { port: getActiveDbPort(instanceId) });
+                    if (page) return { rows: page.rows, fields: page.fields, rowCount: page.rowCount, cursorId: page.cursorId, pageSize: PAGE_SIZE };
+                    // The query writes (through a function), which a paged result cannot: run it in full below
+                }
                 lastResult = await client.query({ text: stmt + ';', rowMode: 'array' });
             }
         } catch (e) {
@@ -621,10 +1220,56 @@ ipcMain.handle('db:runScript', async (event, database, sql) => {
         }
         if (!lastResult) return { rows: [], fields: [], rowCount: 0 };
         const fields = lastResult.fields?.map(f => f.name) || [];
-        const rows = lastResult.rows?.slice(0, MAX_ROWS) || [];
-        const rowCount = lastResult.rowCount ?? rows.length;
-        return { rows, fields, rowCount };
-    });
+        const allRows = lastResult.rows || [];
+        const rows = allRows.slice(0, MAX_ROWS);
+        const rowCount = lastResult.rowCount ?? allRows.length;
+        return { rows, fields, rowCount, truncated: allRows.length > rows.length };
+    }, { instanceId, dedicated: true });
+    const cancelled = queryId ? runningQueries.get(queryId)?.cancel : null;
+    if (queryId) runningQueries.delete(queryId);
+    return { ...result, pid, ...(cancelled ? { cancelled } : {}) };
+});
+
+// Next page of a db:runScript result; the cursor closes itself after the last row
+ipcMain.handle('db:fetchMore', async (event, cursorId, count) => {
+    try {
+        return await queryCursors.fetch(cursorId, count);
+    } catch (e) {
+        return { error: e.message || String(e) };
+    }
+});
+
+// The editor no longer shows a paged result (new run, tab left or closed): drop it and end its connection
+ipcMain.handle('db:closeCursor', async (event, cursorId) => {
+    await queryCursors.close(cursorId);
+    return { success: true };
+});
+
+/**
+ * Stop a query started with db:runScript: the first call cancels the running statement (pg_cancel_backend),
+ * a second one ends its backend (pg_terminate_backend) for statements that ignore cancel requests.
+ * A separate connection is used, so this works even when every pooled connection is busy.
+ */
+ipcMain.handle('db:cancelQuery', async (event, queryId) => {
+    const run = runningQueries.get(queryId);
+    if (!run?.pid) return { success: false, error: 'The query is no longer running' };
+    const action = run.cancel ? 'terminate' : 'cancel';
+    const { Client } = require('pg');
+    const client = new Client(getDbConfig(run.database, run.instanceId));
+    try {
+        await client.connect();
+        // The run may have finished while connecting; its backend is gone then
+        if (runningQueries.get(queryId) !== run) return { success: false, error: 'The query is no longer running' };
+        const fn = action === 'terminate' ? 'pg_terminate_backend' : 'pg_cancel_backend';
+        const res = await client.query(`SELECT ${fn}($1) AS ok`, [run.pid]);
+        if (!res.rows[0]?.ok) return { success: false, error: `Backend ${run.pid} is not running` };
+        run.cancel = action;
+        return { success: true, action, pid: run.pid };
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    } finally {
+        client.end().catch(() => {});
+    }
 });
 ipcMain.handle('db:runExplain', async (event, database, sql) => {
     if (!sql || typeof sql !== 'string') return { error: 'Invalid SQL' };
@@ -638,63 +1283,32 @@ ipcMain.handle('db:runExplain', async (event, database, sql) => {
         const r = await client.query(explainSql);
         const plan = r.rows.map((row) => row.query_plan || row.QUERY_PLAN || Object.values(row)[0]).filter(Boolean).join('\n');
         return { plan };
-    });
+    }, { resetSession: true });
 });
 
 // Run DDL (CREATE TABLE, etc.) in a database
 ipcMain.handle('db:runDdl', async (event, database, sql) => {
     if (!sql || typeof sql !== 'string') return { error: 'Invalid SQL' };
     const db = database && typeof database === 'string' ? database : 'postgres';
+    await closeOtherDatabasePools(sql, db);
     return await withDb(db, async (client) => {
         await client.query(sql.trim());
         return {};
-    });
+    }, { resetSession: true });
 });
 
-// Backup database: show save dialog, run pg_dump to chosen path
-function getPgDumpPath() {
-    let p = config.PATHS.POSTGRES_BIN;
-    if (process.platform === 'win32') {
-        p = p.replace('postgres.exe', 'pg_dump.exe');
-    } else {
-        p = p.replace(/postgres$/, 'pg_dump');
-    }
-    return p;
-}
+const backup = require('./src-main/backup');
+const { connectionInfo } = require('./src-main/conninfo');
 
 function getPsqlPath() {
-    let p = config.PATHS.POSTGRES_BIN;
-    if (process.platform === 'win32') {
-        p = p.replace('postgres.exe', 'psql.exe');
-    } else {
-        p = p.replace(/postgres$/, 'psql');
-    }
-    return p;
-}
-
-function getPgRestorePath() {
-    let p = config.PATHS.POSTGRES_BIN;
-    if (process.platform === 'win32') {
-        p = p.replace('postgres.exe', 'pg_restore.exe');
-    } else {
-        p = p.replace(/postgres$/, 'pg_restore');
-    }
-    return p;
+    return services.getBinPath('psql');
 }
 
 function getPgEnv() {
-    const s = currentSettings || { ports: {}, dbUser: 'postgres', dbPassword: 'postgres' };
-    const port = s.ports?.postgres || config.PORTS.POSTGRES || 5432;
-    const postgresBinDir = path.dirname(config.PATHS.POSTGRES_BIN);
-    const postgresRoot = path.dirname(postgresBinDir);
-    return {
-        PGPASSWORD: s.dbPassword ?? 'postgres',
-        PGSHARE: path.join(postgresRoot, 'share'),
-        PGLIB: path.join(postgresRoot, 'lib'),
-        ...process.env
-    };
+    return backup.clientEnv(currentSettings?.dbPassword);
 }
 
+// Backup database: show save dialog, run pg_dump to chosen path
 ipcMain.handle('db:backupDatabase', async (event, database) => {
     const db = database && typeof database === 'string' ? database : 'postgres';
     if (!mainWindow) return { success: false, error: 'Window not ready' };
@@ -709,66 +1323,41 @@ ipcMain.handle('db:backupDatabase', async (event, database) => {
         ]
     });
     if (canceled || !filePath) return { success: false, cancelled: true };
-    const ext = path.extname(filePath).toLowerCase();
-    const formatFlag = (ext === '.tar' ? '-Ft' : (ext === '.backup' || ext === '.dump' ? '-Fc' : '-Fp'));
-    const { execFile } = require('child_process');
-    const execFileAsync = require('util').promisify(execFile);
     const s = currentSettings || { ports: {}, dbUser: 'postgres' };
-    const port = s.ports?.postgres || config.PORTS.POSTGRES || 5432;
     try {
-        await execFileAsync(getPgDumpPath(), [
-            '-h', '127.0.0.1',
-            '-p', String(port),
-            '-U', s.dbUser || 'postgres',
-            '-d', db,
-            formatFlag,
-            '-f', filePath
-        ], { env: getPgEnv() });
+        await backup.backupDatabase({ port: getActiveDbPort(), user: s.dbUser, password: s.dbPassword, database: db, filePath });
         return { success: true };
     } catch (e) {
         return { success: false, error: e.message || String(e) };
     }
 });
 
-ipcMain.handle('db:restoreDatabase', async (event, database) => {
-    const db = database && typeof database === 'string' ? database : 'postgres';
-    if (!mainWindow) return { success: false, error: 'Window not ready' };
+// Open dialog for a backup file; null when cancelled
+async function pickBackupFile(title = 'Restore database') {
     const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
-        title: 'Restore database',
+        title,
         properties: ['openFile'],
         filters: [
             { name: 'SQL / Custom / Tar', extensions: ['sql', 'backup', 'dump', 'tar'] },
             { name: 'All files', extensions: ['*'] }
         ]
     });
-    if (canceled || !filePaths || filePaths.length === 0) return { success: false, cancelled: true };
-    const filePath = filePaths[0];
-    const ext = path.extname(filePath).toLowerCase();
-    const usePgRestore = (ext === '.tar' || ext === '.backup' || ext === '.dump');
-    const { execFile } = require('child_process');
-    const execFileAsync = require('util').promisify(execFile);
+    return canceled || !filePaths || filePaths.length === 0 ? null : filePaths[0];
+}
+
+// Custom/tar archives go through pg_restore, plain SQL through psql
+async function restoreFromFile(filePath, db, port, { clean = false } = {}) {
     const s = currentSettings || { ports: {}, dbUser: 'postgres' };
-    const port = s.ports?.postgres || config.PORTS.POSTGRES || 5432;
+    await backup.restoreDatabase({ port, user: s.dbUser, password: s.dbPassword, database: db, filePath, clean });
+}
+
+ipcMain.handle('db:restoreDatabase', async (event, database) => {
+    const db = database && typeof database === 'string' ? database : 'postgres';
+    if (!mainWindow) return { success: false, error: 'Window not ready' };
+    const filePath = await pickBackupFile();
+    if (!filePath) return { success: false, cancelled: true };
     try {
-        if (usePgRestore) {
-            await execFileAsync(getPgRestorePath(), [
-                '-h', '127.0.0.1',
-                '-p', String(port),
-                '-U', s.dbUser || 'postgres',
-                '-d', db,
-                '--no-owner',
-                '--no-acl',
-                filePath
-            ], { env: getPgEnv() });
-        } else {
-            await execFileAsync(getPsqlPath(), [
-                '-h', '127.0.0.1',
-                '-p', String(port),
-                '-U', s.dbUser || 'postgres',
-                '-d', db,
-                '-f', filePath
-            ], { env: getPgEnv() });
-        }
+        await restoreFromFile(filePath, db, getActiveDbPort());
         return { success: true };
     } catch (e) {
         return { success: false, error: e.message || String(e) };
@@ -1092,6 +1681,644 @@ ipcMain.handle('query:saveToFile', async (event, content) => {
     }
 });
 
+// --- Server configuration (pg_settings / ALTER SYSTEM) ---
+const serverConfig = require('./src-main/server-config');
+
+// Wrap a server-config call: withDb returns { error } on connection failures, we do the same for query errors
+function withServerConfig(instanceId, fn) {
+    return withDb('postgres', async (client) => {
+        try {
+            return await fn(client);
+        } catch (e) {
+            return { error: e.message || String(e) };
+        }
+    }, { instanceId });
+}
+
+ipcMain.handle('server:listSettings', async (event, instanceId) => {
+    return withServerConfig(instanceId, async (client) => ({ rows: await serverConfig.listSettings(client) }));
+});
+
+ipcMain.handle('server:setSetting', async (event, instanceId, name, value) => {
+    return withServerConfig(instanceId, (client) => serverConfig.setSetting(client, name, value));
+});
+
+ipcMain.handle('server:resetSetting', async (event, instanceId, name) => {
+    return withServerConfig(instanceId, (client) => serverConfig.resetSetting(client, name));
+});
+
+ipcMain.handle('server:resetAllSettings', async (event, instanceId) => {
+    const res = await withServerConfig(instanceId, (client) => serverConfig.resetAllSettings(client));
+    if (!res.error) await saveInstanceTuning(instanceId, null);
+    return res;
+});
+
+// --- Tuning profiles ---
+const tuning = require('./src-main/tuning');
+
+// Remember the applied profile on the instance so the page can show it
+async function saveInstanceTuning(instanceId, profile) {
+    const id = instanceId || config.DEFAULT_INSTANCE_ID;
+    const updated = await SettingsStore.save({
+        instances: getInstances().map(i => (i.id === id ? { ...i, tuningProfile: profile } : i))
+    });
+    if (updated) currentSettings = updated;
+}
+
+ipcMain.handle('tuning:profiles', async (event, instanceId) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    return {
+        profiles: Object.entries(tuning.PROFILES).map(([id, p]) => ({ id, ...p })),
+        hardware: tuning.detectHardware(),
+        current: instance?.tuningProfile ?? null
+    };
+});
+
+ipcMain.handle('tuning:preview', async (event, instanceId, profile) => {
+    return withServerConfig(instanceId, async (client) => ({
+        rows: await tuning.preview(client, profile, tuning.detectHardware())
+    }));
+});
+
+ipcMain.handle('tuning:apply', async (event, instanceId, profile) => {
+    const res = await withServerConfig(instanceId, (client) => tuning.applyProfile(client, profile, tuning.detectHardware()));
+    if (res.error) return res;
+    await saveInstanceTuning(instanceId, profile);
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    sendLog(`[${services.processIdFor(instance.id)}] Applied the "${profile}" tuning profile${res.restartRequired ? ' (restart required)' : ''}.`);
+    return res;
+});
+
+// --- Point-in-time recovery (WAL archiving + base backups) ---
+const pitr = require('./src-main/pitr');
+
+// Archiving state (when running) and the base backups on disk
+ipcMain.handle('pitr:status', async (event, instanceId) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    const running = processManager.isRunning(services.processIdFor(instance.id));
+    const status = running ? await withServerConfig(instance.id, (client) => pitr.status(client, instance)) : null;
+    return {
+        running,
+        status: status && !status.error ? status : null,
+        error: status?.error,
+        archiveDir: pitr.archivePaths(instance).root,
+        baseBackups: await pitr.listBaseBackups(instance)
+    };
+});
+
+ipcMain.handle('pitr:enable', async (event, instanceId) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    const res = await withServerConfig(instance.id, (client) => pitr.enableArchiving(client, instance));
+    if (!res.error) sendLog(`[${services.processIdFor(instance.id)}] WAL archiving enabled into ${res.archiveDir}${res.restartRequired ? ' (restart required)' : ''}.`);
+    return res;
+});
+
+ipcMain.handle('pitr:disable', async (event, instanceId) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    const res = await withServerConfig(instance.id, (client) => pitr.disableArchiving(client));
+    if (!res.error) sendLog(`[${services.processIdFor(instance.id)}] WAL archiving disabled; archived files are kept.`);
+    return res;
+});
+
+ipcMain.handle('pitr:baseBackup', async (event, instanceId) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    if (!processManager.isRunning(services.processIdFor(instance.id))) return { success: false, error: `Start "${instance.name}" first` };
+    try {
+        const backupInfo = await pitr.createBaseBackup({
+            instance,
+            port: instance.port,
+            user: currentSettings?.dbUser,
+            password: currentSettings?.dbPassword,
+            onLog: sendLog
+        });
+        return { success: true, backup: backupInfo };
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
+ipcMain.handle('pitr:removeBaseBackup', async (event, instanceId, backupId) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    try {
+        await pitr.removeBaseBackup(instance, backupId);
+        return { success: true };
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
+/**
+ * Restore an instance to a point in time. A running server first archives its current WAL segment
+ * (so the archive reaches "now") and is stopped; the restored cluster is started afterwards.
+ * If the restore fails, the untouched cluster is started again.
+ */
+ipcMain.handle('pitr:restore', async (event, instanceId, targetTime) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    if (movingInstances.has(instance.id)) return { success: false, error: `"${instance.name}" is being moved` };
+    const tag = `[${services.processIdFor(instance.id)}]`;
+    const wasRunning = processManager.isRunning(services.processIdFor(instance.id));
+    movingInstances.add(instance.id);
+    let swapped = false;
+    try {
+        if (wasRunning) {
+            const flushed = await withDb('postgres', (client) => pitr.flushWal(client), { instanceId: instance.id });
+            if (flushed !== true) sendLog(`${tag} The current WAL segment was not archived; the last few minutes may not be restorable.`);
+            await services.stopPostgres(sendLog, { instance, mode: 'fast', timeouts: currentSettings?.shutdownTimeouts });
+        }
+        const result = await pitr.restoreToTime({
+            instance,
+            targetTime,
+            password: currentSettings?.dbPassword,
+            onLog: sendLog,
+            onProgress: (p) => {
+                if (mainWindow) mainWindow.webContents.send('pitr-progress', { instanceId: instance.id, ...p });
+            }
+        });
+        swapped = true;
+        await startInstance(instance);
+        return { success: true, ...result };
+    } catch (e) {
+        sendLog(`${tag} Point-in-time restore failed: ${e.message}`);
+        // Before the swap the original cluster is untouched; bring it back as it was
+        if (!swapped && wasRunning) await startInstance(instance).catch(() => {});
+        return { success: false, error: e.message || String(e) };
+    } finally {
+        movingInstances.delete(instance.id);
+    }
+});
+
+// --- Streaming replicas ---
+const replica = require('./src-main/replica');
+
+/**
+ * Clone a running instance into a new replica instance and start it on its own port.
+ * The replica keeps replicaOf (primary id) and replicationSlot in its instance settings.
+ */
+ipcMain.handle('replica:create', async (event, primaryId, input = {}) => {
+    const primary = getInstance(primaryId || config.DEFAULT_INSTANCE_ID);
+    if (!primary) return { success: false, error: `Unknown instance: ${primaryId}` };
+    if (primary.replicaOf) return { success: false, error: `"${primary.name}" is itself a replica; create replicas of its primary` };
+    if (!processManager.isRunning(services.processIdFor(primary.id))) return { success: false, error: `Start "${primary.name}" first` };
+
+    const walLevel = await withDb('postgres', async (client) => (await client.query('SHOW wal_level')).rows[0].wal_level, { instanceId: primary.id });
+    if (walLevel?.error) return { success: false, error: walLevel.error };
+    if (walLevel === 'minimal') return { success: false, error: `"${primary.name}" runs with wal_level = minimal; set it to replica and restart first` };
+
+    const instances = getInstances();
+    const name = String(input.name || '').trim() || `${primary.name} replica`;
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'replica';
+    let id = base;
+    for (let n = 2; instances.some(i => i.id === id); n++) id = `${base}-${n}`;
+    const reserved = instances.map(i => i.port);
+    const port = input.port ? parseInt(input.port, 10) : await findFreePort(primary.port + 1, { exclude: reserved }).catch(() => null);
+    if (!(port >= 1 && port <= 65535)) return { success: false, error: 'No free port found for the replica' };
+    const clash = instances.find(i => i.port === port);
+    if (clash) return { success: false, error: `Port ${port} is already used by instance "${clash.name}"` };
+
+    const instance = { id, name, port, dataDir: null, autoStart: false, replicaOf: primary.id, replicationSlot: replica.slotNameFor(id) };
+    try {
+        await replica.createReplica({
+            primary,
+            replica: instance,
+            user: currentSettings?.dbUser,
+            password: currentSettings?.dbPassword,
+            onLog: sendLog
+        });
+    } catch (e) {
+        sendLog(`[${services.processIdFor(id)}] Creating the replica failed: ${e.message}`);
+        // pg_basebackup -C creates the slot before copying; do not leave it retaining WAL
+        await withDb('postgres', (client) => replica.dropSlot(client, instance.replicationSlot), { instanceId: primary.id });
+        return { success: false, error: e.message || String(e) };
+    }
+
+    const updated = await SettingsStore.save({ instances: [...getInstances(), instance] });
+    if (!updated) return { success: false, error: 'Failed to save settings' };
+    currentSettings = updated;
+    applySupervisorPolicy(currentSettings);
+    try {
+        await startInstance(instance);
+    } catch (e) {
+        return { success: true, instance: getInstance(id), error: `The replica was created but did not start: ${e.message}` };
+    }
+    return { success: true, instance: getInstance(id) };
+});
+
+// Lag of a replica, from the primary's pg_stat_replication and from the replica itself
+ipcMain.handle('replica:status', async (event, instanceId) => {
+    const instance = getInstance(instanceId);
+    if (!instance?.replicaOf) return { error: `"${instance?.name || instanceId}" is not a replica` };
+    const primary = getInstance(instance.replicaOf);
+    const primaryRunning = !!primary && processManager.isRunning(services.processIdFor(primary.id));
+    const running = processManager.isRunning(services.processIdFor(instance.id));
+    const fromPrimary = primaryRunning ? await withDb('postgres', (client) => replica.primaryStatus(client), { instanceId: primary.id }) : null;
+    const standby = running ? await withDb('postgres', (client) => replica.standbyStatus(client), { instanceId: instance.id }) : null;
+    const error = fromPrimary?.error || standby?.error;
+    return {
+        primaryName: primary?.name ?? null,
+        primaryRunning,
+        running,
+        sender: fromPrimary?.senders?.find(s => s.application_name === instance.id) ?? null,
+        slot: fromPrimary?.slots?.find(s => s.slot_name === instance.replicationSlot) ?? null,
+        standby: standby && !standby.error ? standby : null,
+        ...(error ? { error } : {})
+    };
+});
+
+// The replica stops following its primary and becomes a read-write instance of its own
+ipcMain.handle('replica:promote', async (event, instanceId) => {
+    const instance = getInstance(instanceId);
+    if (!instance?.replicaOf) return { success: false, error: `"${instance?.name || instanceId}" is not a replica` };
+    if (!processManager.isRunning(services.processIdFor(instance.id))) return { success: false, error: `Start "${instance.name}" first` };
+    const tag = `[${services.processIdFor(instance.id)}]`;
+    const promoted = await withDb('postgres', (client) => replica.promote(client), { instanceId: instance.id });
+    if (promoted?.error) return { success: false, error: promoted.error };
+    sendLog(`${tag} Promoted; it no longer follows its primary.`);
+
+    const { replicaOf, replicationSlot, ...standalone } = instance;
+    const updated = await SettingsStore.save({ instances: getInstances().map(i => (i.id === instance.id ? standalone : i)) });
+    if (!updated) return { success: false, error: 'Failed to save settings' };
+    currentSettings = updated;
+    const warning = await dropReplicaSlot(replicaOf, replicationSlot);
+    return { success: true, ...(warning ? { warning } : {}) };
+});
+
+// Stop the replica, drop its slot on the primary and delete the instance with its data
+ipcMain.handle('replica:teardown', async (event, instanceId) => {
+    const instance = getInstance(instanceId);
+    if (!instance?.replicaOf) return { success: false, error: `"${instance?.name || instanceId}" is not a replica` };
+    const procId = services.processIdFor(instance.id);
+    try {
+        if (processManager.isRunning(procId)) {
+            await services.stopPostgres(sendLog, { instance, mode: 'fast', timeouts: currentSettings?.shutdownTimeouts });
+        }
+        // Cancels a pending supervisor restart
+        await processManager.stop(procId);
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    }
+    const updated = await SettingsStore.save({ instances: getInstances().filter(i => i.id !== instance.id) });
+    if (!updated) return { success: false, error: 'Failed to save settings' };
+    currentSettings = updated;
+    if (activeDbInstanceId === instance.id) activeDbInstanceId = config.DEFAULT_INSTANCE_ID;
+    const warning = await dropReplicaSlot(instance.replicaOf, instance.replicationSlot);
+    if (!instance.dataDir) {
+        const fs = require('fs-extra');
+        await fs.remove(services.getInstanceDataDir(instance));
+    }
+    sendLog(`[${procId}] Replica removed.`);
+    return { success: true, ...(warning ? { warning } : {}) };
+});
+
+// Drop a replica's slot on its primary; returns a warning when that was not possible
+async function dropReplicaSlot(primaryId, slot) {
+    const primary = getInstance(primaryId);
+    if (!primary || !slot) return null;
+    const tag = `[${services.processIdFor(primary.id)}]`;
+    const message = `Replication slot ${slot} is still on "${primary.name}" and keeps WAL; drop it with SELECT pg_drop_replication_slot('${slot}') once it runs.`;
+    if (!processManager.isRunning(services.processIdFor(primary.id))) {
+        sendLog(`${tag} ${message}`);
+        return message;
+    }
+    const dropped = await withDb('postgres', (client) => replica.dropSlot(client, slot), { instanceId: primary.id });
+    if (dropped?.error) {
+        sendLog(`${tag} ${message} (${dropped.error})`);
+        return message;
+    }
+    if (dropped) sendLog(`${tag} Dropped replication slot ${slot}.`);
+    return null;
+}
+
+// --- Cluster snapshots ---
+const snapshots = require('./src-main/snapshots');
+
+ipcMain.handle('snapshots:list', async (event, instanceId) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    return { dir: snapshots.snapshotsDir(instance), snapshots: await snapshots.listSnapshots(instance) };
+});
+
+/**
+ * Run a snapshot job on a stopped cluster: a running server is shut down cleanly first and started
+ * again afterwards, whether the job succeeded or not.
+ */
+async function withStoppedInstance(instance, job) {
+    if (movingInstances.has(instance.id)) throw new Error(`"${instance.name}" is busy with another data directory operation`);
+    const wasRunning = processManager.isRunning(services.processIdFor(instance.id));
+    movingInstances.add(instance.id);
+    try {
+        if (wasRunning) await services.stopPostgres(sendLog, { instance, mode: 'fast', timeouts: currentSettings?.shutdownTimeouts });
+        return await job();
+    } finally {
+        movingInstances.delete(instance.id);
+        // Without its cluster, starting would initdb a fresh empty one in its place
+        const dataDir = services.getInstanceDataDir(getInstance(instance.id) || instance);
+        if (wasRunning && !fs.existsSync(path.join(dataDir, 'PG_VERSION'))) {
+            sendLog(`[${services.processIdFor(instance.id)}] Not restarting: ${dataDir} holds no cluster.`);
+        } else if (wasRunning) {
+            await startInstance(instance).catch((e) => sendLog(`[${services.processIdFor(instance.id)}] Restart failed: ${e.message}`));
+        }
+    }
+}
+
+function sendSnapshotProgress(instanceId, p) {
+    if (mainWindow) mainWindow.webContents.send('snapshot-progress', { instanceId, ...p });
+}
+
+ipcMain.handle('snapshots:create', async (event, instanceId, { name, note } = {}) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    if (!String(name || '').trim()) return { success: false, error: 'Give the snapshot a name' };
+    try {
+        const snapshot = await withStoppedInstance(instance, () => snapshots.createSnapshot({
+            instance,
+            name,
+            note,
+            onLog: sendLog,
+            onProgress: (p) => sendSnapshotProgress(instance.id, p)
+        }));
+        return { success: true, snapshot };
+    } catch (e) {
+        sendLog(`[${services.processIdFor(instance.id)}] Snapshot failed: ${e.message}`);
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
+ipcMain.handle('snapshots:revert', async (event, instanceId, snapshotId) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    // Replicas cannot follow a primary whose WAL went back in time
+    const replicas = getInstances().filter(i => i.replicaOf === instance.id);
+    if (replicas.length) return { success: false, error: `Tear down or promote its replicas first (${replicas.map(i => i.name).join(', ')})` };
+    try {
+        const reverted = await withStoppedInstance(instance, () => snapshots.revertToSnapshot({
+            instance,
+            id: snapshotId,
+            onLog: sendLog,
+            onProgress: (p) => sendSnapshotProgress(instance.id, p)
+        }));
+        return { success: true, snapshot: reverted };
+    } catch (e) {
+        sendLog(`[${services.processIdFor(instance.id)}] Revert failed: ${e.message}`);
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
+ipcMain.handle('snapshots:remove', async (event, instanceId, snapshotId) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { success: false, error: `Unknown instance: ${instanceId}` };
+    try {
+        await snapshots.removeSnapshot(instance, snapshotId);
+        return { success: true };
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
+// --- Scheduled backups ---
+const { BackupScheduler, validateSchedule, defaultDestination } = require('./src-main/backup-scheduler');
+const backupScheduler = new BackupScheduler({ getSettings: () => currentSettings || SettingsStore.get(), onLog: sendLog });
+backupScheduler.on('history', (entry) => {
+    if (mainWindow) mainWindow.webContents.send('backup-history', entry);
+});
+
+async function saveBackupSchedules(schedules) {
+    const updated = await SettingsStore.save({ backupSchedules: schedules });
+    if (!updated) throw new Error('Failed to save settings');
+    currentSettings = updated;
+}
+
+// Schedules (with next/last run) and history of one instance
+ipcMain.handle('backups:list', async (event, instanceId) => {
+    const instance = getInstance(instanceId || config.DEFAULT_INSTANCE_ID);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    const schedules = await backupScheduler.describe();
+    return {
+        schedules: schedules.filter(s => s.instanceId === instance.id),
+        history: await backupScheduler.history({ instanceId: instance.id }),
+        defaultDestination: defaultDestination(instance)
+    };
+});
+
+// Create or update a schedule (matched by id)
+ipcMain.handle('backups:saveSchedule', async (event, schedule) => {
+    try {
+        const normalized = validateSchedule(schedule);
+        if (!getInstance(normalized.instanceId)) throw new Error(`Unknown instance: ${normalized.instanceId}`);
+        const list = currentSettings?.backupSchedules || [];
+        const exists = list.some(s => s.id === normalized.id);
+        await saveBackupSchedules(exists ? list.map(s => (s.id === normalized.id ? normalized : s)) : [...list, normalized]);
+        return { success: true, schedule: normalized };
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
+// Remove a schedule; its backup files and history stay
+ipcMain.handle('backups:deleteSchedule', async (event, scheduleId) => {
+    try {
+        await saveBackupSchedules((currentSettings?.backupSchedules || []).filter(s => s.id !== scheduleId));
+        return { success: true };
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
+ipcMain.handle('backups:runNow', async (event, scheduleId) => {
+    try {
+        const entry = await backupScheduler.run(scheduleId);
+        return { success: entry.status === 'success', entry, error: entry.error };
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
+ipcMain.handle('backups:pickFolder', async () => {
+    if (!mainWindow) return null;
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Folder for scheduled backups',
+        properties: ['openDirectory', 'createDirectory']
+    });
+    return canceled || !filePaths.length ? null : filePaths[0];
+});
+
+// Restore a backup from the history into the database it was taken from
+ipcMain.handle('backups:restoreEntry', async (event, entryId) => {
+    const entry = (await backupScheduler.history()).find(e => e.id === entryId);
+    if (!entry?.filePath || entry.pruned) return { success: false, error: 'This backup file is no longer available' };
+    const instance = getInstance(entry.instanceId);
+    if (!instance) return { success: false, error: `Unknown instance: ${entry.instanceId}` };
+    if (!processManager.isRunning(services.processIdFor(instance.id))) return { success: false, error: `Start "${instance.name}" first` };
+    const fs = require('fs-extra');
+    if (!await fs.pathExists(entry.filePath)) return { success: false, error: `${entry.filePath} was moved or deleted` };
+    try {
+        // A scheduled backup usually goes back over its own database: its objects are dropped and recreated
+        await restoreFromFile(entry.filePath, entry.database, instance.port, { clean: true });
+        sendLog(`[backup] Restored ${entry.filePath} into ${entry.database}@${instance.id}.`);
+        return { success: true };
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
+// --- Network access (LAN sharing) ---
+const networkAccess = require('./src-main/network-access');
+
+// Current listen_addresses, network rules and exposure warnings for an instance
+async function getNetworkState(instance) {
+    const running = processManager.isRunning(services.processIdFor(instance.id));
+    const rules = await networkAccess.readRules(services.getInstanceDataDir(instance));
+    let listenAddresses = null;
+    let pendingRestart = false;
+    let hbaErrors = [];
+    if (running) {
+        const res = await withServerConfig(instance.id, async (client) => {
+            const setting = await client.query("SELECT setting, pending_restart FROM pg_settings WHERE name = 'listen_addresses'");
+            // pg_hba_file_rules reports lines the last reload could not parse
+            const errors = await client.query('SELECT line_number, error FROM pg_hba_file_rules WHERE error IS NOT NULL');
+            return { ...setting.rows[0], errors: errors.rows };
+        });
+        if (!res.error) {
+            listenAddresses = res.setting;
+            pendingRestart = !!res.pending_restart;
+            hbaErrors = res.errors.map(r => `pg_hba.conf line ${r.line_number}: ${r.error}`);
+        }
+    }
+    return {
+        running,
+        port: instance.port,
+        listenAddresses,
+        pendingRestart,
+        rules,
+        hbaErrors,
+        warnings: networkAccess.describeExposure(listenAddresses ?? 'localhost', rules, instance.port)
+    };
+}
+
+ipcMain.handle('network:get', async (event, instanceId) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    try {
+        return await getNetworkState(instance);
+    } catch (e) {
+        return { error: e.message || String(e) };
+    }
+});
+
+// listen_addresses only changes on restart; ALTER SYSTEM + reload marks it pending
+ipcMain.handle('network:setListenAddresses', async (event, instanceId, value) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    let normalized;
+    try {
+        normalized = networkAccess.validateListenAddresses(value);
+    } catch (e) {
+        return { error: e.message };
+    }
+    const res = await withServerConfig(instance.id, (client) => serverConfig.setSetting(client, 'listen_addresses', normalized));
+    if (res.error) return res;
+    sendLog(`[${services.processIdFor(instance.id)}] listen_addresses set to ${normalized} (applies after restart)`);
+    return getNetworkState(instance);
+});
+
+// Replace the network rules in pg_hba.conf and reload a running server
+ipcMain.handle('network:saveRules', async (event, instanceId, rules) => {
+    const instance = getInstance(instanceId);
+    if (!instance) return { error: `Unknown instance: ${instanceId}` };
+    const tag = `[${services.processIdFor(instance.id)}]`;
+    try {
+        const saved = await networkAccess.writeRules(services.getInstanceDataDir(instance), rules);
+        if (processManager.isRunning(services.processIdFor(instance.id))) {
+            await services.reloadPostgres(instance);
+            // Give the postmaster a moment to re-read pg_hba.conf before reporting errors
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+        sendLog(`${tag} pg_hba.conf updated: ${saved.length} network rule(s)`);
+        return await getNetworkState(instance);
+    } catch (e) {
+        return { error: e.message || String(e) };
+    }
+});
+
+// --- Log viewer ---
+ipcMain.handle('logs:query', async (event, filter) => {
+    try {
+        return await logStore.query(filter || {});
+    } catch (e) {
+        return { entries: [], total: 0, error: e.message || String(e) };
+    }
+});
+
+// Export the entries matching the viewer's filter (text, or JSON lines for .jsonl)
+ipcMain.handle('logs:export', async (event, filter) => {
+    if (!mainWindow) return { success: false, error: 'Window not ready' };
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export logs',
+        defaultPath: `portable-postgis-logs-${stamp}.log`,
+        filters: [{ name: 'Log file', extensions: ['log', 'txt'] }, { name: 'JSON Lines', extensions: ['jsonl'] }]
+    });
+    if (canceled || !filePath) return { success: false, cancelled: true };
+    try {
+        const count = await logStore.export(filePath, filter || {});
+        return { success: true, count, filePath };
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
+// --- Diagnostics ---
+const doctor = require('./src-main/doctor');
+let lastDoctorReport = null;
+
+async function runDoctor() {
+    lastDoctorReport = await doctor.runChecks({
+        settings: currentSettings,
+        instances: getInstances(),
+        isRunning: (instance) => processManager.isRunning(services.processIdFor(instance.id))
+    });
+    return lastDoctorReport;
+}
+
+ipcMain.handle('doctor:run', async () => {
+    try {
+        return await runDoctor();
+    } catch (e) {
+        return { ranAt: new Date().toISOString(), checks: [], error: e.message || String(e) };
+    }
+});
+
+// Zip with the latest report, redacted settings, versions and the app logs, for attaching to bug reports
+ipcMain.handle('doctor:export', async () => {
+    if (!mainWindow) return { success: false, error: 'Window not ready' };
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export diagnostics',
+        defaultPath: `portable-postgis-diagnostics-${stamp}.zip`,
+        filters: [{ name: 'Zip archive', extensions: ['zip'] }]
+    });
+    if (canceled || !filePath) return { success: false, cancelled: true };
+    try {
+        const report = lastDoctorReport || await runDoctor();
+        await logStore.flush();
+        const bundled = await pgVersion.getBundledVersion();
+        await doctor.exportBundle(filePath, {
+            report,
+            settings: currentSettings,
+            versions: { app: app.getVersion(), postgres: bundled?.full ?? null },
+            logFiles: logStore.files()
+        });
+        return { success: true, filePath };
+    } catch (e) {
+        return { success: false, error: e.message || String(e) };
+    }
+});
+
 // Load query from file: show open dialog, read content
 ipcMain.handle('query:loadFromFile', async () => {
     if (!mainWindow) return { success: false, error: 'Window not ready' };
@@ -1109,6 +2336,71 @@ ipcMain.handle('query:loadFromFile', async () => {
     }
 });
 
+// --- System tray ---
+function showWindow() {
+    if (!mainWindow) {
+        createWindow();
+        return;
+    }
+    mainWindow.show();
+    mainWindow.focus();
+}
+
+function refreshTray() {
+    tray?.refresh();
+}
+
+// Tray actions have no page to report to: failures go to the log and an error box
+async function runTrayAction(instanceId, label, action) {
+    const instance = getInstance(instanceId);
+    if (!instance) return;
+    try {
+        await action(instance);
+    } catch (e) {
+        sendLog(`[${services.processIdFor(instance.id)}] ${label} failed: ${e.message}`);
+        dialog.showErrorBox(`${label} failed`, `${instance.name}: ${e.message}`);
+    } finally {
+        refreshTray();
+    }
+}
+
+function setupTray() {
+    try {
+        tray = require('./src-main/tray').createTray(path.join(__dirname, 'assets', 'icon.png'), {
+            getInstances: () => getInstances().map(instance => ({ ...instance, ...getInstanceStatus(instance) })),
+            onStart: (id) => runTrayAction(id, 'Start', (instance) => {
+                if (movingInstances.has(instance.id)) throw new Error('it is being moved to a new data directory');
+                return startInstance(instance);
+            }),
+            onStop: (id) => runTrayAction(id, 'Stop', (instance) =>
+                services.stopPostgres(sendLog, { instance, mode: 'fast', timeouts: currentSettings?.shutdownTimeouts })),
+            onRestart: (id) => runTrayAction(id, 'Restart', restartInstance),
+            onCopyConnection: (id) => {
+                const instance = getInstance(id);
+                if (instance) clipboard.writeText(connectionInfo(currentSettings, instance.port).uri);
+            },
+            onOpenWindow: showWindow,
+            onOpenBrowser: () => {
+                const navigate = () => mainWindow.webContents.send('navigate', '/database');
+                const wasOpen = !!mainWindow;
+                showWindow();
+                if (wasOpen) navigate();
+                else mainWindow.webContents.once('did-finish-load', navigate);
+            },
+            onQuit: () => app.quit()
+        });
+    } catch (e) {
+        // Some Linux desktops have no tray; the app then behaves as without tray mode
+        console.error('System tray unavailable:', e.message);
+        tray = null;
+        return;
+    }
+    // Servers started or stopped elsewhere (dashboard, CLI, crashes) show up within a few seconds
+    setInterval(refreshTray, 5000);
+}
+
+app.on('activate', () => showWindow());
+
 ipcMain.handle('relaunch-app', () => {
     app.relaunch();
     app.exit(0);
@@ -1120,7 +2412,12 @@ app.on('ready', async () => {
     }
     app.setName('Portable PostGIS Desktop');
     currentSettings = await SettingsStore.load();
-    await createWindow();
+    applySupervisorPolicy(currentSettings);
+    const trayMode = currentSettings?.tray?.keepRunning;
+    // Started minimized the window still loads (hidden), so autoStart instances start as usual
+    await createWindow({ show: !(trayMode && currentSettings?.tray?.startMinimized) });
+    setupTray();
+    backupScheduler.start();
 
     // Small delay to ensure window is initialized before potential conflict events
     // But ideally we wait for ui-ready. 
@@ -1138,6 +2435,8 @@ ipcMain.on('ui-ready', () => {
     
     // Auto-start is now handled by the renderer calling 'start-postgres' based on its own logic/settings
     // We do NOT call startAppServices(currentSettings) here anymore.
+    // Exception: instances the user flagged "start with the app".
+    autoStartInstances();
 });
 
 // ... existing IPC handlers ...
@@ -1178,12 +2477,18 @@ ipcMain.handle('check-extensions', async () => {
     const env = {
         ...process.env,
         PGSHARE: postgresShareDir,
-        PGLIB: postgresLibDir
+        PGLIB: postgresLibDir,
+        PGPASSWORD: currentSettings?.dbPassword ?? 'postgres'
     };
+    if (config.IS_LINUX) {
+        env.LD_LIBRARY_PATH = services.withLibraryPath(postgresLibDir);
+    }
     
     try {
         // Query pg_extension catalog: name|version
         const { stdout } = await execFileAsync(psqlPath, [
+            '-h', '127.0.0.1',
+            '-p', String(getActiveDbPort()),
             '-U', 'postgres',
             '-d', 'postgres',
             '-A', '-t',
@@ -1215,26 +2520,23 @@ ipcMain.handle('open-external', async (event, url) => {
 ipcMain.handle('wipe-data', async () => {
     console.log('Received wipe-data request');
     try {
-        // 1. Stop all services
-        await processManager.stopAll();
-        
-        // 2. Wait a bit to ensure files are released
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        // 1. Stop all services and wait for the postmaster to exit (releases the data files)
+        await services.stopAll(sendLog, { mode: 'fast', timeouts: currentSettings?.shutdownTimeouts }, currentSettings?.instances);
         
-        // 3. Remove data directory
+        // 2. Remove data directory
         const fs = require('fs-extra');
         if (await fs.pathExists(config.PATHS.DATA)) {
             await fs.remove(config.PATHS.DATA);
             console.log('Data directory wiped successfully');
         }
         
-        // 4. Clear Electron Session Data (Cookies, Local Storage, etc.)
+        // 3. Clear Electron Session Data (Cookies, Local Storage, etc.)
         if (mainWindow) {
             console.log('Clearing session data...');
             await mainWindow.webContents.session.clearStorageData();
         }
 
-        // 5. Relaunch the application
+        // 4. Relaunch the application
         app.relaunch();
         app.exit(0);
         
@@ -1257,7 +2559,7 @@ ipcMain.handle('enable-extension', async (event, extName, database) => {
         }
         await execFileAsync(psqlPath, [
             '-h', '127.0.0.1',
-            '-p', String(currentSettings?.ports?.postgres || config.PORTS.POSTGRES || 5432),
+            '-p', String(getActiveDbPort()),
             '-U', currentSettings?.dbUser || 'postgres',
             '-d', db,
             '-c', `CREATE EXTENSION IF NOT EXISTS "${extName}" CASCADE;`
@@ -1282,7 +2584,7 @@ ipcMain.handle('disable-extension', async (event, extName, database) => {
         }
         await execFileAsync(psqlPath, [
             '-h', '127.0.0.1',
-            '-p', String(currentSettings?.ports?.postgres || config.PORTS.POSTGRES || 5432),
+            '-p', String(getActiveDbPort()),
             '-U', currentSettings?.dbUser || 'postgres',
             '-d', db,
             '-c', `DROP EXTENSION IF EXISTS "${extName}" CASCADE;`
@@ -1299,13 +2601,14 @@ ipcMain.handle('get-available-extensions', async () => {
     try {
         const fs = require('fs-extra');
         // Resolve extension directory relative to BIN_DIR
-        // config.PATHS.BIN is bin/mac or bin/win
+        // config.PATHS.BIN is bin/mac, bin/win or bin/linux
         // Extensions are usually in:
         // Mac: bin/mac/postgres/share/postgresql/extension
         // Win: bin/win/postgres/share/extension (or share/postgresql/extension depending on distribution)
+        // Linux: depends on how the relocatable tarball was built, so check both like Windows
         
         let extDir;
-        if (config.IS_WIN) {
+        if (config.IS_WIN || config.IS_LINUX) {
              // Adjust based on typical Windows layout if needed, assuming similar for now or verify later
              extDir = path.join(config.PATHS.BIN, 'postgres', 'share', 'extension');
              if (!await fs.pathExists(extDir)) {
@@ -5,6 +5,7 @@ import { TitleBarComponent } from './layout/title-bar/title-bar.component';
 import { ActivityBarComponent } from './layout/activity-bar/activity-bar.component';
 import { StatusBarComponent } from './layout/status-bar/status-bar.component';
 import { ThemeService } from './core/theme.service';
+import { getElectronApi } from './core/electron-api';
 
 @Component({
   selector: 'app-root',
@@ -26,6 +27,7 @@ export class AppComponent implements OnInit {
     this.router.events
       .pipe(filter((e): e is NavigationEnd => e instanceof NavigationEnd))
       .subscribe((e) => this.updateLayoutForRoute(e.urlAfterRedirects));
+    getElectronApi()?.onNavigate?.((url) => this.router.navigateByUrl(url));
   }
 
   private updateLayoutForRoute(url: string): void {
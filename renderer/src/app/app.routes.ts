@@ -4,6 +4,10 @@ export const routes: Routes = [
   { path: '', loadComponent: () => import('./pages/initial-redirect/initial-redirect.component').then(m => m.InitialRedirectComponent) },
   { path: 'dashboard', loadComponent: () => import('./pages/dashboard/dashboard.component').then(m => m.DashboardComponent) },
   { path: 'database', loadComponent: () => import('./pages/database/database.component').then(m => m.DatabaseComponent) },
+  { path: 'settings/backups', loadComponent: () => import('./pages/backups/backups.component').then(m => m.BackupsComponent) },
+  { path: 'settings/diagnostics', loadComponent: () => import('./pages/diagnostics/diagnostics.component').then(m => m.DiagnosticsComponent) },
+  { path: 'settings/network', loadComponent: () => import('./pages/network-access/network-access.component').then(m => m.NetworkAccessComponent) },
+  { path: 'settings/server', loadComponent: () => import('./pages/server-settings/server-settings.component').then(m => m.ServerSettingsComponent) },
   { path: 'settings', loadComponent: () => import('./pages/settings/settings.component').then(m => m.SettingsComponent) },
   { path: 'onboarding', loadComponent: () => import('./pages/onboarding/onboarding.component').then(m => m.OnboardingComponent) },
   { path: '**', redirectTo: 'dashboard' },
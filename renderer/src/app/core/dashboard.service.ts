@@ -1,16 +1,56 @@
 import { Injectable } from '@angular/core';
+import { getElectronApi, LogEntry, LogFilter, LogLevel } from './electron-api';
+
+const LEVEL_RANK: Record<LogLevel, number> = {
+  DEBUG: 0,
+  LOG: 1,
+  INFO: 2,
+  NOTICE: 3,
+  WARNING: 4,
+  ERROR: 5,
+  FATAL: 6,
+  PANIC: 7,
+};
 
 @Injectable({ providedIn: 'root' })
 export class DashboardService {
-  /** In-memory logs so they persist when navigating away from Dashboard */
-  logs: string[] = [];
-  private maxLogs = 500;
+  /** Entries received this session, kept here so they persist when navigating away from Dashboard */
+  entries: LogEntry[] = [];
+  /** When this app session started; the log viewer's default range */
+  readonly sessionStartedAt = new Date().toISOString();
+  private maxEntries = 1000;
+  private connected = false;
+  private listeners = new Set<(entries: LogEntry[]) => void>();
+
+  /** Subscribe to live log entries from the main process (once per app session). */
+  connect(): void {
+    const api = getElectronApi();
+    if (this.connected || !api?.onLogEntries) return;
+    this.connected = true;
+    api.onLogEntries((entries) => this.addEntries(entries ?? []));
+  }
+
+  /** Listen for new entries; returns the unsubscribe function. */
+  subscribe(listener: (entries: LogEntry[]) => void): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
 
-  addLog(msg: string): void {
-    this.logs = [...this.logs.slice(-(this.maxLogs - 1)), msg];
+  addEntries(entries: LogEntry[]): void {
+    if (entries.length === 0) return;
+    this.entries = [...this.entries, ...entries].slice(-this.maxEntries);
+    this.listeners.forEach((listener) => listener(entries));
   }
 
-  clearLogs(): void {
-    this.logs = [];
+  /** Same rules as matchesFilter in src-main/log-store.js, for entries that arrive live. */
+  matches(entry: LogEntry, filter: LogFilter): boolean {
+    if (filter.sources?.length && !filter.sources.includes(entry.source)) return false;
+    if (filter.instance && (entry.instance || 'default') !== filter.instance) return false;
+    if (filter.minLevel && (LEVEL_RANK[entry.level] ?? 0) < LEVEL_RANK[filter.minLevel]) return false;
+    const ts = Date.parse(entry.ts);
+    if (filter.from && ts < new Date(filter.from).getTime()) return false;
+    if (filter.to && ts > new Date(filter.to).getTime()) return false;
+    if (filter.search && !entry.message.toLowerCase().includes(filter.search.toLowerCase())) return false;
+    return true;
   }
 }
@@ -24,17 +24,471 @@ export interface DbBrowserLayout {
   queryEditorHeight?: number;
 }
 
+/** pg_ctl shutdown mode; stop escalates smart -> fast -> immediate when a mode times out. */
+export type ShutdownMode = 'smart' | 'fast' | 'immediate';
+
+/** Crash auto-restart policy applied to the PostgreSQL process. */
+export interface SupervisorPolicy {
+  enabled?: boolean;
+  maxRestarts?: number;
+  windowMs?: number;
+  initialDelayMs?: number;
+  maxDelayMs?: number;
+}
+
+/** System tray behaviour: keep servers running with the window closed, optionally open hidden. */
+export interface TraySettings {
+  keepRunning?: boolean;
+  startMinimized?: boolean;
+}
+
+/** Why an instance cannot listen on a port (see diagnoseInstancePort in main.js). */
+export interface PortConflict {
+  kind: 'instance' | 'postgres' | 'process' | 'unknown';
+  message: string;
+  pid?: number | null;
+  processName?: string | null;
+  instanceName?: string;
+}
+
+export interface PortDiagnosis {
+  port: number;
+  free: boolean;
+  /** null when the instance can start: the port is free, or its own server already holds it (running) */
+  conflict: PortConflict | null;
+  running?: boolean;
+  pid?: number;
+  /** Next free port not assigned to another instance */
+  suggestedPort: number | null;
+  error?: string;
+}
+
+/** A named PostgreSQL cluster with its own data directory and port. */
+export interface InstanceConfig {
+  id: string;
+  name: string;
+  port: number;
+  /** Custom data directory; null = managed location under data/. */
+  dataDir?: string | null;
+  autoStart?: boolean;
+  /** Last tuning profile applied from Server configuration; null after "Reset all". */
+  tuningProfile?: TuningProfileId | null;
+  /** Set on streaming replicas: id of the primary they follow, and their replication slot there. */
+  replicaOf?: string;
+  replicationSlot?: string;
+}
+
+/** Instance plus its runtime status, as returned by listInstances. */
+export interface InstanceStatus extends InstanceConfig {
+  dataDirPath: string;
+  running: boolean;
+  restarting?: boolean;
+  adopted?: boolean;
+  pid?: number | null;
+}
+
+/** Progress of a cluster move; byte counts are set during copy and verify. */
+export interface DataMoveProgress {
+  instanceId: string;
+  phase: 'stopping' | 'copy' | 'verify' | 'starting' | 'done' | 'failed';
+  doneBytes?: number;
+  totalBytes?: number;
+  file?: string | null;
+}
+
+/** Supervisor progress after an unexpected exit. */
+export interface SupervisorEvent {
+  id: string;
+  instanceId?: string | null;
+  state: 'restarting' | 'restarted' | 'crash-loop' | 'cancelled';
+  code?: number | null;
+  attempt?: number;
+  maxRestarts?: number;
+  delayMs?: number;
+  restarts?: number;
+  windowMs?: number;
+}
+
+/** Startup progress from the readiness probe; 'failed' is terminal and carries the reason. */
+export interface ReadinessEvent {
+  state: 'no-response' | 'starting' | 'recovering' | 'rejecting' | 'ready' | 'failed';
+  message: string;
+  instanceId?: string;
+}
+
+/** Data directory integrity report (see src-main/data-integrity.js). */
+export interface IntegrityReport {
+  dataDir: string;
+  /** empty: initdb can run; suspect: critical files missing, the directory was quarantined */
+  state: 'empty' | 'ok' | 'suspect';
+  version: string | null;
+  checks: { id: string; label: string; ok: boolean; detail: string }[];
+  /** Empty directories a copy dropped; recreated on start */
+  missingDirs: string[];
+  checkedAt: string;
+  /** Where a suspect directory was moved */
+  quarantinePath?: string;
+}
+
+/** A cluster from another PostgreSQL major version than the bundled server (see src-main/pg-version.js). */
+export interface UpgradeInfo {
+  dataDir: string;
+  clusterVersion: string;
+  bundledVersion: string;
+  /** Kept older binaries (bin/<os>/postgres-<major>/bin); null when they are missing */
+  oldBinDir: string | null;
+}
+
+/** pg_upgrade with a dump-and-restore fallback, or dump and restore only. */
+export type UpgradeMethod = 'pg_upgrade' | 'dump';
+
+/** Upgrade step: backup, init, check, upgrade, restore, swap, done. */
+export interface UpgradeProgress {
+  instanceId: string;
+  phase: string;
+  message: string;
+}
+
+/** How to continue after a quarantine: fresh cluster, pg_resetwal on the old one, or fresh cluster + backup. */
+export type QuarantineAction = 'reinitialize' | 'recover' | 'restore';
+
+/** PostgreSQL severity scale; app messages are mapped onto it. */
+export type LogLevel = 'DEBUG' | 'LOG' | 'INFO' | 'NOTICE' | 'WARNING' | 'ERROR' | 'FATAL' | 'PANIC';
+
+/** One parsed log line (see src-main/log-store.js). */
+export interface LogEntry {
+  ts: string;
+  /** 'postgres', 'initdb', 'app', ... */
+  source: string;
+  instance: string | null;
+  level: LogLevel;
+  pid: number | null;
+  message: string;
+}
+
+export interface LogFilter {
+  sources?: string[];
+  instance?: string;
+  minLevel?: LogLevel;
+  search?: string;
+  /** ISO timestamps (or epoch ms) bounding the range. */
+  from?: string | number;
+  to?: string | number;
+  limit?: number;
+}
+
+/** One environment check from the Diagnostics page. */
+export interface DoctorCheck {
+  id: string;
+  label: string;
+  status: 'pass' | 'warn' | 'fail';
+  detail: string;
+  /** How to fix a warn/fail; empty on pass */
+  hint: string;
+}
+
+export interface DoctorReport {
+  ranAt: string;
+  checks: DoctorCheck[];
+  error?: string;
+}
+
+/** A row of pg_settings. */
+export interface ServerSetting {
+  name: string;
+  setting: string;
+  unit: string | null;
+  category: string;
+  short_desc: string;
+  extra_desc: string | null;
+  /** When a change takes effect: internal (never), postmaster (restart), sighup (reload), user, ... */
+  context: string;
+  vartype: 'bool' | 'enum' | 'integer' | 'real' | 'string';
+  source: string;
+  min_val: string | null;
+  max_val: string | null;
+  enumvals: string[] | null;
+  boot_val: string | null;
+  reset_val: string | null;
+  sourcefile: string | null;
+  pending_restart: boolean;
+}
+
+/** Result of changing a server setting: the updated row and whether a restart is needed to apply it. */
+export interface ServerSettingChange {
+  setting?: ServerSetting;
+  restartRequired?: boolean;
+  error?: string;
+}
+
+export type TuningProfileId = 'laptop' | 'workstation' | 'bulk-load';
+
+export interface TuningProfile {
+  id: TuningProfileId;
+  label: string;
+  description: string;
+}
+
+/** A setting a tuning profile manages: the server's current value and the profile's (null = reset to default). */
+export interface TuningPreviewRow {
+  name: string;
+  current: string | null;
+  unit: string | null;
+  proposed: string | null;
+  context: string;
+}
+
+/** A pg_basebackup copy under <parent>/backups/<name>-pitr/base; restores start from one of these. */
+export interface BaseBackup {
+  id: string;
+  path: string;
+  startedAt: string;
+  finishedAt: string;
+  sizeBytes: number;
+}
+
+export interface PitrStatus {
+  /** Our archive_command is configured */
+  enabled: boolean;
+  /** archive_mode is on in the running server (off until the restart after enabling) */
+  active: boolean;
+  restartRequired: boolean;
+  archiveDir: string;
+  archiver: {
+    archived_count: number;
+    last_archived_wal: string | null;
+    last_archived_time: string | null;
+    failed_count: number;
+    last_failed_wal: string | null;
+    last_failed_time: string | null;
+  } | null;
+}
+
+export interface PitrProgress {
+  instanceId: string;
+  phase: 'copy' | 'verify' | 'replay' | 'swap' | 'done';
+  message?: string;
+  doneBytes?: number;
+  totalBytes?: number;
+}
+
+export type BackupFormat = 'plain' | 'custom' | 'tar';
+
+/** When a scheduled backup runs: every N minutes, or at local times on some weekdays (0 = Sunday; none = every day). */
+export type BackupWhen = { kind: 'interval'; everyMinutes: number } | { kind: 'times'; times: string[]; days: number[] };
+
+export interface BackupSchedule {
+  id?: string;
+  instanceId: string;
+  database: string;
+  enabled: boolean;
+  when: BackupWhen;
+  format: BackupFormat;
+  /** null = backups/<data dir>-dumps next to the data directory */
+  destination: string | null;
+  /** Files beyond count or older than maxAgeDays are deleted after each run (the newest is always kept) */
+  retention: { count: number | null; maxAgeDays: number | null };
+  createdAt?: string;
+}
+
+export interface BackupHistoryEntry {
+  id: string;
+  scheduleId: string;
+  instanceId: string;
+  database: string;
+  format: BackupFormat;
+  startedAt: string;
+  finishedAt: string;
+  durationMs: number;
+  status: 'success' | 'failed' | 'skipped';
+  error: string | null;
+  filePath: string | null;
+  sizeBytes: number;
+  /** The file was deleted by the retention policy */
+  pruned: boolean;
+  /** Consecutive skipped runs share one entry: how many, and when the first was */
+  skippedRuns?: number;
+  firstSkippedAt?: string;
+}
+
+export interface BackupScheduleStatus extends BackupSchedule {
+  id: string;
+  nextRunAt: string | null;
+  lastEntry: BackupHistoryEntry | null;
+  running: boolean;
+}
+
+/** A replica's connection as seen from the primary (pg_stat_replication); lags in bytes behind the primary's WAL position. */
+export interface ReplicationSender {
+  application_name: string;
+  state: string;
+  sync_state: string;
+  client_addr: string | null;
+  sent_lsn: string | null;
+  replay_lsn: string | null;
+  sent_lag_bytes: number | null;
+  replay_lag_bytes: number | null;
+  write_lag_sec: number | null;
+  flush_lag_sec: number | null;
+  replay_lag_sec: number | null;
+}
+
+export interface ReplicaStatus {
+  primaryName?: string | null;
+  primaryRunning?: boolean;
+  running?: boolean;
+  /** null while the replica is not connected to its primary */
+  sender?: ReplicationSender | null;
+  slot?: { slot_name: string; active: boolean; retained_bytes: number | null } | null;
+  standby?: { in_recovery: boolean; receive_lsn: string | null; replay_lsn: string | null; last_replay_at: string | null; receiver_status: string | null } | null;
+  error?: string;
+}
+
+/** A saved copy of a whole cluster (data/snapshots/<data dir name>/<id>). */
+export interface ClusterSnapshot {
+  id: string;
+  name: string;
+  note: string;
+  createdAt: string;
+  sizeBytes: number;
+  fileCount: number;
+  path: string;
+}
+
+export interface SnapshotProgress {
+  instanceId: string;
+  phase: 'copy';
+  doneBytes: number;
+  totalBytes: number;
+  file?: string | null;
+}
+
+/** A network rule in the managed section of pg_hba.conf. */
+export interface HbaRule {
+  type: 'host' | 'hostssl' | 'hostnossl';
+  database: string;
+  user: string;
+  /** IPv4 or IPv6 CIDR, e.g. 192.168.1.0/24 */
+  address: string;
+  method: 'scram-sha-256' | 'md5' | 'trust' | 'reject';
+}
+
+/** LAN sharing state of an instance. listenAddresses is null while it is stopped. */
+export interface NetworkState {
+  running?: boolean;
+  port?: number;
+  listenAddresses?: string | null;
+  pendingRestart?: boolean;
+  rules?: HbaRule[];
+  /** Lines pg_hba_file_rules could not parse after the last reload */
+  hbaErrors?: string[];
+  /** Set when the configuration reaches beyond localhost */
+  warnings?: string[];
+  error?: string;
+}
+
+/** pg_hba.conf method for local connections (see src-main/auth.js). */
+export type AuthMode = 'trust' | 'scram-sha-256';
+
+/** Persisted app settings (settings.json). */
+export interface AppSettings {
+  ports?: { postgres?: number; pgadmin?: number };
+  theme?: string;
+  dbUser?: string;
+  dbPassword?: string;
+  authMode?: AuthMode;
+  dbBrowserLayout?: DbBrowserLayout;
+  queryHistory?: string[];
+  firstRun?: boolean;
+  shutdownTimeouts?: { smart?: number; fast?: number; immediate?: number };
+  supervisor?: SupervisorPolicy;
+  tray?: TraySettings;
+  backupSchedules?: BackupSchedule[];
+  instances?: InstanceConfig[];
+}
+
 export interface ElectronApi {
-  startPostgres: (port: number) => Promise<{ success: boolean; error?: string }>;
-  stopPostgres: () => Promise<{ success: boolean }>;
-  getSettings: () => Promise<{ ports?: { postgres?: number; pgadmin?: number }; theme?: string; dbUser?: string; dbPassword?: string; dbBrowserLayout?: DbBrowserLayout; queryHistory?: string[]; firstRun?: boolean }>;
-  saveSettings: (settings: { theme?: string; ports?: { postgres?: number; pgadmin?: number }; dbUser?: string; dbPassword?: string; dbBrowserLayout?: DbBrowserLayout; queryHistory?: string[]; firstRun?: boolean }) => Promise<unknown>;
+  startPostgres: (port: number, instanceId?: string) => Promise<{ success: boolean; error?: string; integrity?: IntegrityReport; upgrade?: UpgradeInfo; adopted?: boolean; alreadyRunning?: boolean; pid?: number | null; port?: number }>;
+  stopPostgres: (mode?: ShutdownMode, instanceId?: string) => Promise<{ success: boolean; mode?: string; code?: number | null; error?: string }>;
+  getSettings: () => Promise<AppSettings>;
+  saveSettings: (settings: AppSettings) => Promise<unknown>;
   signalUiReady: () => void;
-  getPostgresStatus: () => Promise<{ running: boolean }>;
+  restartPostgres?: (instanceId?: string) => Promise<{ success: boolean; error?: string; pid?: number | null; port?: number }>;
+  /**
+   * Save auth mode and/or password and apply them to every running instance.
+   * outOfSync names the instances whose postgres role rejects the password; authResetPassword resets them.
+   */
+  authUpdate?: (changes: { mode?: AuthMode; password?: string }) => Promise<{ success: boolean; error?: string; outOfSync?: string[] }>;
+  authResetPassword?: () => Promise<{ success: boolean; error?: string }>;
+  getPostgresStatus: (instanceId?: string) => Promise<{ running: boolean; restarting?: boolean; adopted?: boolean; pid?: number | null }>;
+  listInstances?: () => Promise<InstanceStatus[]>;
+  /** Who holds an instance's port (or the given one) and which free port to use instead. */
+  diagnosePort?: (instanceId: string, port?: number) => Promise<PortDiagnosis>;
+  /** Switch a stopped instance to another port after re-checking it. */
+  applyPort?: (instanceId: string, port: number) => Promise<{ success: boolean; instance?: InstanceConfig; error?: string; suggestedPort?: number | null }>;
+  saveInstance?: (instance: Partial<InstanceConfig> & { name: string; port: number }) => Promise<{ success: boolean; instance?: InstanceConfig; error?: string }>;
+  deleteInstance?: (instanceId: string, options?: { removeData?: boolean }) => Promise<{ success: boolean; error?: string }>;
+  /** Folder picker for a new data directory; null when cancelled. */
+  pickDataDir?: () => Promise<string | null>;
+  /** Stop, copy + verify, switch and restart; rolled back if the new copy does not start. */
+  moveInstanceData?: (instanceId: string, targetDir: string, options?: { removeSource?: boolean }) => Promise<{ success: boolean; error?: string; dataDir?: string; previousDataDir?: string; removedSource?: boolean }>;
+  onDataMoveProgress?: (cb: (event: DataMoveProgress) => void) => void;
+  /** Upgrade a stopped instance to the bundled major version, then start it. */
+  upgradeInstance?: (instanceId: string, method: UpgradeMethod) => Promise<{ success: boolean; error?: string; method?: UpgradeMethod; fromVersion?: string; toVersion?: string; dumpFile?: string; oldDataDir?: string }>;
+  onUpgradeRequired?: (cb: (event: { instanceId: string; upgrade: UpgradeInfo }) => void) => void;
+  onUpgradeProgress?: (cb: (event: UpgradeProgress) => void) => void;
+  /** Route requested by the main process (e.g. "Open database browser" in the tray). */
+  onNavigate?: (cb: (url: string) => void) => void;
   onLog: (cb: (msg: string) => void) => void;
-  onServiceExit: (cb: (data: { id: string }) => void) => void;
+  onLogEntries?: (cb: (entries: LogEntry[]) => void) => void;
+  logsQuery?: (filter: LogFilter) => Promise<{ entries: LogEntry[]; total: number; error?: string }>;
+  logsExport?: (filter: LogFilter) => Promise<{ success: boolean; cancelled?: boolean; count?: number; filePath?: string; error?: string }>;
+  doctorRun?: () => Promise<DoctorReport>;
+  doctorExport?: () => Promise<{ success: boolean; cancelled?: boolean; filePath?: string; error?: string }>;
+  onServiceExit: (cb: (data: { id: string; instanceId?: string | null; code?: number | null; expected?: boolean }) => void) => void;
+  onServiceSupervisor?: (cb: (event: SupervisorEvent) => void) => void;
+  onPostgresReadiness?: (cb: (event: ReadinessEvent) => void) => void;
+  /** A data directory failed its integrity checks on start and was moved to quarantine. */
+  onDataQuarantined?: (cb: (event: { instanceId: string; report: IntegrityReport }) => void) => void;
+  dataCheckIntegrity?: (instanceId: string) => Promise<{ report?: IntegrityReport; quarantined?: { path: string; name: string; report: IntegrityReport | null }[]; error?: string }>;
+  dataResolveQuarantine?: (instanceId: string, action: QuarantineAction, quarantinePath: string) => Promise<{ success: boolean; cancelled?: boolean; error?: string; integrity?: IntegrityReport }>;
   openExternal?: (url: string) => Promise<void>;
   wipeData?: () => Promise<unknown>;
+  serverListSettings?: (instanceId?: string) => Promise<{ rows?: ServerSetting[]; error?: string }>;
+  serverSetSetting?: (instanceId: string | undefined, name: string, value: string) => Promise<ServerSettingChange>;
+  serverResetSetting?: (instanceId: string | undefined, name: string) => Promise<ServerSettingChange>;
+  serverResetAllSettings?: (instanceId?: string) => Promise<{ restartRequired?: boolean; error?: string }>;
+  tuningProfiles?: (instanceId?: string) => Promise<{ profiles: TuningProfile[]; hardware: { totalMemory: number; cpus: number }; current: TuningProfileId | null }>;
+  tuningPreview?: (instanceId: string, profile: TuningProfileId) => Promise<{ rows?: TuningPreviewRow[]; error?: string }>;
+  tuningApply?: (instanceId: string, profile: TuningProfileId) => Promise<{ applied?: Record<string, string>; restartRequired?: boolean; error?: string }>;
+  pitrStatus?: (instanceId: string) => Promise<{ running?: boolean; status?: PitrStatus | null; archiveDir?: string; baseBackups?: BaseBackup[]; error?: string }>;
+  pitrEnable?: (instanceId: string) => Promise<{ restartRequired?: boolean; archiveDir?: string; error?: string }>;
+  pitrDisable?: (instanceId: string) => Promise<{ restartRequired?: boolean; error?: string }>;
+  pitrBaseBackup?: (instanceId: string) => Promise<{ success: boolean; backup?: BaseBackup; error?: string }>;
+  pitrRemoveBaseBackup?: (instanceId: string, backupId: string) => Promise<{ success: boolean; error?: string }>;
+  pitrRestore?: (instanceId: string, targetTime: string) => Promise<{ success: boolean; baseBackup?: string; targetTime?: string; previousDataDir?: string; error?: string }>;
+  onPitrProgress?: (cb: (event: PitrProgress) => void) => void;
+  backupsList?: (instanceId: string) => Promise<{ schedules?: BackupScheduleStatus[]; history?: BackupHistoryEntry[]; defaultDestination?: string; error?: string }>;
+  backupsSaveSchedule?: (schedule: BackupSchedule) => Promise<{ success: boolean; schedule?: BackupSchedule; error?: string }>;
+  backupsDeleteSchedule?: (scheduleId: string) => Promise<{ success: boolean; error?: string }>;
+  backupsRunNow?: (scheduleId: string) => Promise<{ success: boolean; entry?: BackupHistoryEntry; error?: string | null }>;
+  backupsPickFolder?: () => Promise<string | null>;
+  backupsRestoreEntry?: (entryId: string) => Promise<{ success: boolean; error?: string }>;
+  onBackupHistory?: (cb: (entry: BackupHistoryEntry) => void) => void;
+  replicaCreate?: (primaryId: string, options?: { name?: string; port?: number }) => Promise<{ success: boolean; instance?: InstanceConfig; error?: string }>;
+  replicaStatus?: (instanceId: string) => Promise<ReplicaStatus>;
+  replicaPromote?: (instanceId: string) => Promise<{ success: boolean; warning?: string; error?: string }>;
+  replicaTeardown?: (instanceId: string) => Promise<{ success: boolean; warning?: string; error?: string }>;
+  snapshotsList?: (instanceId: string) => Promise<{ dir?: string; snapshots?: ClusterSnapshot[]; error?: string }>;
+  snapshotsCreate?: (instanceId: string, options: { name: string; note?: string }) => Promise<{ success: boolean; snapshot?: ClusterSnapshot; error?: string }>;
+  snapshotsRevert?: (instanceId: string, snapshotId: string) => Promise<{ success: boolean; snapshot?: { id: string; name: string; createdAt: string }; error?: string }>;
+  snapshotsRemove?: (instanceId: string, snapshotId: string) => Promise<{ success: boolean; error?: string }>;
+  onSnapshotProgress?: (cb: (event: SnapshotProgress) => void) => void;
+  networkGet?: (instanceId?: string) => Promise<NetworkState>;
+  networkSetListenAddresses?: (instanceId: string, value: string) => Promise<NetworkState>;
+  networkSaveRules?: (instanceId: string, rules: HbaRule[]) => Promise<NetworkState>;
+  dbSelectInstance?: (instanceId: string) => Promise<{ success?: boolean; instanceId?: string; port?: number; error?: string }>;
+  dbGetActiveInstance?: () => Promise<{ instanceId: string; port: number }>;
   dbListDatabases?: () => Promise<{ rows?: string[]; error?: string }>;
   dbListRoles?: () => Promise<{ rows?: string[]; error?: string }>;
   dbListTablespaces?: () => Promise<{ rows?: string[]; error?: string }>;
@@ -65,8 +519,27 @@ export interface ElectronApi {
   }>;
   checkExtensions?: () => Promise<{ name: string; version: string }[]>;
   dbFetchRows?: (database: string, schema: string, table: string, limit?: number, offset?: number) => Promise<{ rows?: unknown[]; total?: number; error?: string }>;
-  dbRunQuery?: (database: string, sql: string) => Promise<{ rows?: unknown[]; fields?: string[]; rowCount?: number; error?: string }>;
-  dbRunScript?: (database: string, sql: string) => Promise<{ rows?: unknown[]; fields?: string[]; rowCount?: number; error?: string }>;
+  dbRunQuery?: (database: string, sql: string) => Promise<{ rows?: unknown[]; fields?: string[]; rowCount?: number | null; truncated?: boolean; error?: string }>;
+  /**
+   * queryId (optional) makes the run cancellable with dbCancelQuery; pid is the backend that ran it.
+   * A final plain query comes back as its first page, with a cursorId for dbFetchMore and rowCount null until
+   * the last page is read; other results are cut to the first rows and marked truncated.
+   */
+  dbRunScript?: (database: string, sql: string, queryId?: string) => Promise<{
+    rows?: unknown[];
+    fields?: string[];
+    rowCount?: number | null;
+    cursorId?: string | null;
+    truncated?: boolean;
+    error?: string;
+    pid?: number | null;
+    cancelled?: 'cancel' | 'terminate';
+  }>;
+  dbFetchMore?: (cursorId: string, count?: number) => Promise<{ rows?: unknown[]; done?: boolean; fetched?: number; rowCount?: number | null; error?: string }>;
+  dbCloseCursor?: (cursorId: string) => Promise<{ success: boolean }>;
+  /** First call cancels the running statement, a second one terminates its backend. */
+  dbCancelQuery?: (queryId: string) => Promise<{ success: boolean; action?: 'cancel' | 'terminate'; pid?: number; error?: string }>;
+  onQueryStarted?: (cb: (event: { queryId: string; pid: number | null }) => void) => void;
   dbRunExplain?: (database: string, sql: string) => Promise<{ plan?: string; error?: string }>;
   dbRunDdl?: (database: string, sql: string) => Promise<{ error?: string }>;
   dbBackupDatabase?: (database: string) => Promise<{ success: boolean; cancelled?: boolean; error?: string }>;
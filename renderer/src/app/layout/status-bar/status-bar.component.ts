@@ -9,6 +9,9 @@ import { getElectronApi } from '../../core/electron-api';
 })
 export class StatusBarComponent implements OnInit {
   pgPort = 5432;
+  /** Right-hand status text; reflects supervisor restarts / crash loops. */
+  statusText = 'Ready';
+  statusWarn = false;
 
   ngOnInit(): void {
     const api = getElectronApi();
@@ -16,9 +19,21 @@ export class StatusBarComponent implements OnInit {
       api.getSettings().then((s) => {
         if (s?.ports?.postgres != null) this.pgPort = s.ports.postgres;
       });
+      api.onServiceSupervisor?.((e) => {
+        if (e.id !== 'postgres') return;
+        if (e.state === 'restarting') this.setStatus(`PostgreSQL crashed, restarting (${e.attempt}/${e.maxRestarts})…`, true);
+        else if (e.state === 'restarted') this.setStatus('PostgreSQL restarted', false);
+        else if (e.state === 'crash-loop') this.setStatus('PostgreSQL crash loop – auto-restart paused', true);
+        else this.setStatus('Ready', false);
+      });
     }
   }
 
+  private setStatus(text: string, warn: boolean): void {
+    this.statusText = text;
+    this.statusWarn = warn;
+  }
+
   openGitHub(event: Event): void {
     event.preventDefault();
     const api = getElectronApi();
@@ -0,0 +1,335 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+import {
+  BackupFormat,
+  BackupHistoryEntry,
+  BackupScheduleStatus,
+  BaseBackup,
+  getElectronApi,
+  InstanceStatus,
+  PitrProgress,
+  PitrStatus,
+} from '../../core/electron-api';
+
+/** <input type="datetime-local"> value for a date, in local time. */
+function toLocalInput(date: Date): string {
+  const pad = (n: number) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/** Schedule form; times is a comma-separated list, days one checkbox per weekday (Sunday first). */
+interface ScheduleForm {
+  id?: string;
+  createdAt?: string;
+  enabled: boolean;
+  database: string;
+  whenKind: 'interval' | 'times';
+  everyHours: number;
+  times: string;
+  days: boolean[];
+  format: BackupFormat;
+  destination: string;
+  keepCount: number | null;
+  keepDays: number | null;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+@Component({
+  selector: 'app-backups',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterLink],
+  templateUrl: './backups.component.html',
+  styleUrl: './backups.component.scss',
+})
+export class BackupsComponent implements OnInit {
+  instances: InstanceStatus[] = [];
+  instanceId = 'default';
+  loading = false;
+  running = false;
+  status: PitrStatus | null = null;
+  archiveDir = '';
+  baseBackups: BaseBackup[] = [];
+  error = '';
+  notice = '';
+  busy = false;
+
+  readonly weekdays = WEEKDAYS;
+  schedules: BackupScheduleStatus[] = [];
+  history: BackupHistoryEntry[] = [];
+  defaultDestination = '';
+  form: ScheduleForm | null = null;
+  formError = '';
+
+  /** Local date and time to restore to (datetime-local value). */
+  targetTime = toLocalInput(new Date(Date.now() - 10 * 60 * 1000));
+  restoring = false;
+  progress: PitrProgress | null = null;
+
+  ngOnInit(): void {
+    const api = getElectronApi();
+    api?.listInstances?.().then((list) => (this.instances = list ?? []));
+    api?.onPitrProgress?.((e) => {
+      if (this.restoring && e.instanceId === this.instanceId) this.progress = e;
+    });
+    api?.onBackupHistory?.((entry) => {
+      if (entry.instanceId === this.instanceId) this.loadSchedules();
+    });
+    this.load();
+  }
+
+  get instanceName(): string {
+    return this.instances.find((i) => i.id === this.instanceId)?.name ?? 'Default';
+  }
+
+  /** Restores can go back to the end of the oldest base backup. */
+  get earliestRestore(): string | null {
+    return this.baseBackups.length ? this.baseBackups[this.baseBackups.length - 1].finishedAt : null;
+  }
+
+  load(): void {
+    const api = getElectronApi();
+    if (!api?.pitrStatus) return;
+    this.loading = true;
+    api.pitrStatus(this.instanceId).then((res) => {
+      this.loading = false;
+      this.error = res.error ?? '';
+      this.running = !!res.running;
+      this.status = res.status ?? null;
+      this.archiveDir = res.archiveDir ?? '';
+      this.baseBackups = res.baseBackups ?? [];
+    });
+    this.loadSchedules();
+  }
+
+  loadSchedules(): void {
+    getElectronApi()?.backupsList?.(this.instanceId).then((res) => {
+      this.schedules = res.schedules ?? [];
+      this.history = res.history ?? [];
+      this.defaultDestination = res.defaultDestination ?? '';
+    });
+  }
+
+  selectInstance(id: string): void {
+    this.instanceId = id;
+    this.notice = '';
+    this.form = null;
+    this.load();
+  }
+
+  formatBytes(bytes: number): string {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + ['B', 'KB', 'MB', 'GB', 'TB'][i];
+  }
+
+  describeWhen(schedule: BackupScheduleStatus): string {
+    const when = schedule.when;
+    if (when.kind === 'interval') {
+      const hours = when.everyMinutes / 60;
+      return Number.isInteger(hours) ? `Every ${hours} h` : `Every ${when.everyMinutes} min`;
+    }
+    const days = when.days.length && when.days.length < 7 ? when.days.map((d) => WEEKDAYS[d]).join(', ') : 'Daily';
+    return `${days} at ${when.times.join(', ')}`;
+  }
+
+  describeRetention(schedule: BackupScheduleStatus): string {
+    const { count, maxAgeDays } = schedule.retention;
+    const parts = [count ? `last ${count}` : '', maxAgeDays ? `${maxAgeDays} days` : ''].filter(Boolean);
+    return parts.length ? `Keep ${parts.join(', at most ')}` : 'Keep all';
+  }
+
+  newSchedule(): void {
+    this.formError = '';
+    this.form = {
+      enabled: true,
+      database: 'postgres',
+      whenKind: 'times',
+      everyHours: 6,
+      times: '02:00',
+      days: WEEKDAYS.map(() => false),
+      format: 'custom',
+      destination: '',
+      keepCount: 7,
+      keepDays: null,
+    };
+  }
+
+  editSchedule(schedule: BackupScheduleStatus): void {
+    this.formError = '';
+    const when = schedule.when;
+    this.form = {
+      id: schedule.id,
+      createdAt: schedule.createdAt,
+      enabled: schedule.enabled,
+      database: schedule.database,
+      whenKind: when.kind,
+      everyHours: when.kind === 'interval' ? when.everyMinutes / 60 : 6,
+      times: when.kind === 'times' ? when.times.join(', ') : '02:00',
+      days: WEEKDAYS.map((_, i) => when.kind === 'times' && when.days.includes(i)),
+      format: schedule.format,
+      destination: schedule.destination ?? '',
+      keepCount: schedule.retention.count,
+      keepDays: schedule.retention.maxAgeDays,
+    };
+  }
+
+  async pickDestination(): Promise<void> {
+    const folder = await getElectronApi()?.backupsPickFolder?.();
+    if (folder && this.form) this.form.destination = folder;
+  }
+
+  async saveSchedule(): Promise<void> {
+    const api = getElectronApi();
+    const f = this.form;
+    if (!api?.backupsSaveSchedule || !f) return;
+    const res = await api.backupsSaveSchedule({
+      id: f.id,
+      createdAt: f.createdAt,
+      instanceId: this.instanceId,
+      database: f.database,
+      enabled: f.enabled,
+      when: f.whenKind === 'interval'
+        ? { kind: 'interval', everyMinutes: Math.round(Number(f.everyHours) * 60) }
+        : { kind: 'times', times: f.times.split(',').map((t) => t.trim()).filter(Boolean), days: f.days.flatMap((on, i) => (on ? [i] : [])) },
+      format: f.format,
+      destination: f.destination.trim() || null,
+      retention: { count: f.keepCount || null, maxAgeDays: f.keepDays || null },
+    });
+    if (!res.success) {
+      this.formError = res.error || 'Could not save the schedule';
+      return;
+    }
+    this.form = null;
+    this.loadSchedules();
+  }
+
+  async toggleSchedule(schedule: BackupScheduleStatus): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.backupsSaveSchedule) return;
+    const { nextRunAt, lastEntry, running, ...stored } = schedule;
+    const res = await api.backupsSaveSchedule({ ...stored, enabled: !schedule.enabled });
+    if (!res.success) this.error = res.error || 'Could not save the schedule';
+    this.loadSchedules();
+  }
+
+  async deleteSchedule(schedule: BackupScheduleStatus): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.backupsDeleteSchedule) return;
+    if (!window.confirm(`Delete the backup schedule for ${schedule.database}? Backup files already written are kept.`)) return;
+    const res = await api.backupsDeleteSchedule(schedule.id);
+    if (!res.success) this.error = res.error || 'Delete failed';
+    this.loadSchedules();
+  }
+
+  async runNow(schedule: BackupScheduleStatus): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.backupsRunNow) return;
+    schedule.running = true;
+    const res = await api.backupsRunNow(schedule.id);
+    schedule.running = false;
+    this.error = res.success ? '' : res.error || 'Backup failed';
+    this.notice = res.success ? `Backed up ${schedule.database} to ${res.entry?.filePath}.` : '';
+    this.loadSchedules();
+  }
+
+  async restoreEntry(entry: BackupHistoryEntry): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.backupsRestoreEntry) return;
+    const when = new Date(entry.startedAt).toLocaleString();
+    const how = entry.format === 'plain'
+      ? 'The SQL file is replayed with psql. Scheduled plain dumps drop their objects before recreating them; older ones report errors for objects that already exist.'
+      : 'Objects in the backup are dropped and recreated; objects created since the backup are kept.';
+    if (!window.confirm(`Restore the backup from ${when} into ${entry.database}? ${how}`)) return;
+    this.busy = true;
+    const res = await api.backupsRestoreEntry(entry.id);
+    this.busy = false;
+    this.error = res.success ? '' : res.error || 'Restore failed';
+    this.notice = res.success ? `Restored ${entry.database} from the backup of ${when}.` : '';
+  }
+
+  async setArchiving(enabled: boolean): Promise<void> {
+    const api = getElectronApi();
+    const call = enabled ? api?.pitrEnable : api?.pitrDisable;
+    if (!call) return;
+    if (!enabled && !window.confirm(`Stop archiving WAL for ${this.instanceName}? Existing archives and base backups are kept, but you cannot restore to later times.`)) return;
+    this.busy = true;
+    const res = await call(this.instanceId);
+    this.busy = false;
+    if (res.error) {
+      this.error = res.error;
+      return;
+    }
+    this.notice = enabled
+      ? `Archiving is set up.${res.restartRequired ? ' Restart the server to start archiving, then take a base backup.' : ' Take a base backup to have a starting point for restores.'}`
+      : `Archiving is off.${res.restartRequired ? ' It stops after the next restart.' : ''}`;
+    this.load();
+  }
+
+  async restartServer(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.restartPostgres) return;
+    this.busy = true;
+    const res = await api.restartPostgres(this.instanceId);
+    this.busy = false;
+    if (!res.success) this.error = res.error || 'Restart failed';
+    this.load();
+  }
+
+  async takeBaseBackup(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.pitrBaseBackup) return;
+    this.busy = true;
+    this.notice = '';
+    const res = await api.pitrBaseBackup(this.instanceId);
+    this.busy = false;
+    if (!res.success) {
+      this.error = res.error || 'Base backup failed';
+      return;
+    }
+    this.error = '';
+    this.notice = `Base backup finished (${this.formatBytes(res.backup!.sizeBytes)}).`;
+    this.load();
+  }
+
+  async removeBaseBackup(backup: BaseBackup): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.pitrRemoveBaseBackup) return;
+    if (!window.confirm(`Delete the base backup from ${new Date(backup.finishedAt).toLocaleString()}? Times before the next backup can no longer be restored.`)) return;
+    const res = await api.pitrRemoveBaseBackup(this.instanceId, backup.id);
+    if (!res.success) this.error = res.error || 'Delete failed';
+    this.load();
+  }
+
+  async restore(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.pitrRestore) return;
+    const target = new Date(this.targetTime);
+    if (Number.isNaN(target.getTime())) {
+      this.error = 'Choose a date and time to restore to.';
+      return;
+    }
+    const confirmed = window.confirm(
+      `Restore ${this.instanceName} to ${target.toLocaleString()}?\n\n` +
+        'The server is stopped, the cluster is rebuilt from a base backup and the archived WAL, and started again. ' +
+        'Changes made after that time are not in the restored cluster; the current one is kept in the backups folder.'
+    );
+    if (!confirmed) return;
+    this.restoring = true;
+    this.progress = null;
+    this.error = '';
+    this.notice = '';
+    const res = await api.pitrRestore(this.instanceId, target.toISOString());
+    this.restoring = false;
+    this.progress = null;
+    if (!res.success) {
+      this.error = res.error || 'Restore failed';
+    } else {
+      this.notice = `Restored to ${new Date(res.targetTime!).toLocaleString()}. The previous cluster is kept in ${res.previousDataDir}. WAL archiving is off in the restored cluster: turn it on again and take a new base backup.`;
+    }
+    this.load();
+  }
+}
@@ -1,9 +1,51 @@
 import { Component, OnInit, OnDestroy } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
-import { getElectronApi } from '../../core/electron-api';
+import { ClusterSnapshot, DataMoveProgress, getElectronApi, InstanceStatus, IntegrityReport, LogEntry, LogFilter, LogLevel, PortDiagnosis, QuarantineAction, ReadinessEvent, ReplicaStatus, SnapshotProgress, SupervisorEvent, UpgradeInfo, UpgradeMethod } from '../../core/electron-api';
 import { DashboardService } from '../../core/dashboard.service';
 
+type InstanceState = 'stopped' | 'starting' | 'running' | 'stopping' | 'restarting';
+
+type LogRange = 'session' | '15m' | '1h' | '24h' | 'all';
+
+const RANGE_MS: Record<Exclude<LogRange, 'session' | 'all'>, number> = {
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+};
+
+/** One row of the Services card: an instance plus its live status in this view. */
+interface InstanceRow extends InstanceStatus {
+  status: InstanceState;
+  /** Readiness probe state while starting (e.g. "recovering"), shown next to the badge. */
+  startupState: string;
+  /** Informational notice: supervisor restarts, adopted server (cleared on manual start/stop). */
+  notice: string;
+  error: string;
+  /** Set when the data directory failed its integrity checks and was quarantined. */
+  integrity: IntegrityReport | null;
+  resolving: boolean;
+  /** Progress while the cluster is moved to another folder. */
+  move: DataMoveProgress | null;
+  /** Set when the cluster needs a major-version upgrade before it can start. */
+  upgrade: UpgradeInfo | null;
+  /** Latest upgrade step while one runs. */
+  upgradeStep: string;
+  /** Set when the pre-start check found the port taken. */
+  portConflict: PortDiagnosis | null;
+  /** Replicas only: replication state from the primary and the replica. */
+  replication: ReplicaStatus | null;
+  /** A replica is being created from, promoted or torn down on this row. */
+  replicaBusy: boolean;
+  /** Snapshot panel: null while closed. */
+  snapshots: ClusterSnapshot[] | null;
+  snapshotName: string;
+  snapshotNote: string;
+  /** A snapshot is being saved or reverted; the server is stopped meanwhile. */
+  snapshotBusy: boolean;
+  snapshotProgress: SnapshotProgress | null;
+}
+
 @Component({
   selector: 'app-dashboard',
   standalone: true,
@@ -12,16 +54,30 @@ import { DashboardService } from '../../core/dashboard.service';
   styleUrl: './dashboard.component.scss',
 })
 export class DashboardComponent implements OnInit, OnDestroy {
-  pgStatus: 'stopped' | 'running' = 'stopped';
-  pgPort = 5432;
+  instances: InstanceRow[] = [];
   pgUser = 'postgres';
   pgPassword = 'postgres';
   showPassword = false;
   error = '';
+  newInstanceName = '';
+  newInstancePort: number | null = null;
 
-  get logs(): string[] {
-    return this.dashboardService.logs;
-  }
+  /** Log viewer: persisted entries matching the filter, plus matching live ones. */
+  logEntries: LogEntry[] = [];
+  logTotal = 0;
+  logsLoading = false;
+  logSearch = '';
+  logMinLevel: LogLevel | '' = '';
+  logSource = '';
+  logRange: LogRange = 'session';
+  logMessage = '';
+  /** Entries before this are hidden by "Clear" (the files keep them). */
+  private logsClearedAt: string | null = null;
+  private readonly maxLogEntries = 1000;
+  private unsubscribeLogs: (() => void) | null = null;
+  private searchTimer: ReturnType<typeof setTimeout> | null = null;
+  /** Re-reads instance status so servers started or stopped from the CLI show up. */
+  private statusTimer: ReturnType<typeof setInterval> | null = null;
 
   constructor(private dashboardService: DashboardService) {}
 
@@ -30,57 +86,547 @@ export class DashboardComponent implements OnInit, OnDestroy {
     if (api) {
       api.signalUiReady();
       api.getSettings().then((s) => {
-        if (s?.ports?.postgres != null) this.pgPort = s.ports.postgres;
         this.pgUser = 'postgres'; // Username fixed for now
         if (s?.dbPassword != null) this.pgPassword = s.dbPassword;
       });
-      this.refreshPostgresStatus();
-      api.onLog((msg) => this.dashboardService.addLog(msg));
-      api.onServiceExit(({ id }) => {
-        if (id === 'postgres') this.pgStatus = 'stopped';
+      this.loadInstances();
+      this.statusTimer = setInterval(() => this.loadInstances(), 5000);
+      this.dashboardService.connect();
+      this.unsubscribeLogs = this.dashboardService.subscribe((entries) => this.onLiveEntries(entries));
+      this.loadLogs();
+      api.onServiceExit(({ instanceId }) => {
+        const row = this.findRow(instanceId);
+        if (row && row.status !== 'stopping') row.status = 'stopped';
+      });
+      api.onServiceSupervisor?.((e) => {
+        const row = this.findRow(e.instanceId);
+        if (row) this.onSupervisorEvent(row, e);
+      });
+      api.onPostgresReadiness?.((e) => {
+        const row = this.findRow(e.instanceId ?? 'default');
+        if (row) this.onReadinessEvent(row, e);
+      });
+      api.onDataQuarantined?.(({ instanceId, report }) => {
+        const row = this.findRow(instanceId);
+        if (row) row.integrity = report;
+      });
+      api.onUpgradeRequired?.(({ instanceId, upgrade }) => {
+        const row = this.findRow(instanceId);
+        if (row) row.upgrade = upgrade;
+      });
+      api.onUpgradeProgress?.((e) => {
+        const row = this.findRow(e.instanceId);
+        if (row?.upgradeStep) row.upgradeStep = e.message;
+      });
+      api.onDataMoveProgress?.((e) => {
+        const row = this.findRow(e.instanceId);
+        if (row?.move) row.move = e;
+      });
+      api.onSnapshotProgress?.((e) => {
+        const row = this.findRow(e.instanceId);
+        if (row?.snapshotBusy) row.snapshotProgress = e;
       });
     }
   }
 
-  ngOnDestroy() {}
+  ngOnDestroy() {
+    this.unsubscribeLogs?.();
+    if (this.searchTimer) clearTimeout(this.searchTimer);
+    if (this.statusTimer) clearInterval(this.statusTimer);
+  }
 
-  refreshPostgresStatus(): void {
+  loadInstances(): void {
     const api = getElectronApi();
-    if (api) {
-      api.getPostgresStatus().then((r) => {
-        this.pgStatus = r?.running ? 'running' : 'stopped';
+    if (!api?.listInstances) return;
+    api.listInstances().then((list) => {
+      this.instances = (list ?? []).map((i) => {
+        const previous = this.findRow(i.id);
+        return {
+          ...i,
+          status: i.running ? 'running' : i.restarting ? 'restarting' : previous?.status === 'starting' || previous?.status === 'stopping' ? previous.status : 'stopped',
+          startupState: previous?.startupState ?? '',
+          notice: i.adopted ? `Using a server started outside this window, by an earlier session or the CLI (PID ${i.pid}).` : previous?.notice ?? '',
+          error: previous?.error ?? '',
+          integrity: previous?.integrity ?? null,
+          resolving: previous?.resolving ?? false,
+          move: previous?.move ?? null,
+          upgrade: previous?.upgrade ?? null,
+          upgradeStep: previous?.upgradeStep ?? '',
+          portConflict: previous?.portConflict ?? null,
+          replication: previous?.replication ?? null,
+          replicaBusy: previous?.replicaBusy ?? false,
+          snapshots: previous?.snapshots ?? null,
+          snapshotName: previous?.snapshotName ?? '',
+          snapshotNote: previous?.snapshotNote ?? '',
+          snapshotBusy: previous?.snapshotBusy ?? false,
+          snapshotProgress: previous?.snapshotProgress ?? null,
+        };
       });
+      for (const row of this.instances.filter((r) => r.replicaOf)) {
+        api.replicaStatus?.(row.id).then((status) => (row.replication = status));
+      }
+    });
+  }
+
+  private findRow(instanceId: string | null | undefined): InstanceRow | undefined {
+    return instanceId ? this.instances.find((r) => r.id === instanceId) : undefined;
+  }
+
+  statusLabel(row: InstanceRow): string {
+    switch (row.status) {
+      case 'running': return 'Running';
+      case 'starting': return 'Starting…';
+      case 'stopping': return 'Stopping…';
+      case 'restarting': return 'Restarting…';
+      default: return 'Stopped';
+    }
+  }
+
+  get portsSummary(): string {
+    if (this.instances.length <= 1) return String(this.instances[0]?.port ?? 5432);
+    return this.instances.map((r) => `${r.port} (${r.name})`).join(', ');
+  }
+
+  private onReadinessEvent(row: InstanceRow, e: ReadinessEvent): void {
+    const labels: Record<ReadinessEvent['state'], string> = {
+      'no-response': 'waiting for server',
+      starting: 'starting up',
+      recovering: 'recovering',
+      rejecting: 'rejecting connections',
+      ready: '',
+      failed: '',
+    };
+    row.startupState = labels[e.state];
+  }
+
+  private onSupervisorEvent(row: InstanceRow, e: SupervisorEvent): void {
+    switch (e.state) {
+      case 'restarting':
+        row.status = 'restarting';
+        row.notice = `${row.name} exited unexpectedly (code ${e.code ?? 'n/a'}). Restarting in ${Math.round((e.delayMs ?? 0) / 1000)}s (attempt ${e.attempt}/${e.maxRestarts}).`;
+        break;
+      case 'restarted':
+        row.status = 'running';
+        row.notice = `${row.name} was restarted after a crash (attempt ${e.attempt}).`;
+        break;
+      case 'crash-loop':
+        row.status = 'stopped';
+        row.notice = `${row.name} keeps crashing (${e.restarts} restarts in ${Math.round((e.windowMs ?? 0) / 1000)}s). Auto-restart paused; check the logs and start it manually.`;
+        break;
+      case 'cancelled':
+        if (row.status === 'restarting') row.status = 'stopped';
+        break;
     }
   }
 
   saveConnectionSettings(): void {
     const api = getElectronApi();
     if (!api) return;
-    api.getSettings().then((s) => {
-      api.saveSettings({
-        ports: { ...s?.ports, postgres: this.pgPort },
-        dbUser: 'postgres', // Username fixed for now
-        dbPassword: this.pgPassword ?? 'postgres',
-      });
+    api.saveSettings({
+      dbUser: 'postgres', // Username fixed for now
+      dbPassword: this.pgPassword ?? 'postgres',
+    });
+  }
+
+  async saveInstance(row: InstanceRow, changes: { port?: number; autoStart?: boolean } = {}): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.saveInstance) return;
+    row.error = '';
+    const result = await api.saveInstance({ id: row.id, name: row.name, port: row.port, autoStart: row.autoStart, ...changes });
+    if (!result.success) {
+      row.error = result.error || 'Failed to save instance';
+    } else if (row.status === 'running' && changes.port != null) {
+      row.notice = 'Port saved. Restart the instance to apply it.';
+    }
+    this.loadInstances();
+  }
+
+  async addInstance(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.saveInstance) return;
+    this.error = '';
+    const name = this.newInstanceName.trim();
+    const port = this.newInstancePort ?? Math.max(...this.instances.map((r) => r.port), 5432) + 1;
+    const result = await api.saveInstance({ name, port });
+    if (!result.success) {
+      this.error = result.error || 'Failed to add instance';
+      return;
+    }
+    this.newInstanceName = '';
+    this.newInstancePort = null;
+    this.loadInstances();
+  }
+
+  async deleteInstance(row: InstanceRow): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.deleteInstance) return;
+    const confirmed = window.confirm(`Delete instance "${row.name}" and its data directory (${row.dataDirPath})?`);
+    if (!confirmed) return;
+    const result = await api.deleteInstance(row.id, { removeData: true });
+    if (!result.success) {
+      row.error = result.error || 'Failed to delete instance';
+      return;
+    }
+    this.loadInstances();
+  }
+
+  instanceName(instanceId: string | undefined): string {
+    return this.findRow(instanceId)?.name ?? instanceId ?? '';
+  }
+
+  /** "streaming, 0 B behind (0.2 s)" from the primary's view, or why there is no connection. */
+  replicationLabel(row: InstanceRow): string {
+    const r = row.replication;
+    if (!r) return '';
+    if (r.sender) {
+      const bytes = r.sender.replay_lag_bytes ?? 0;
+      const seconds = r.sender.replay_lag_sec != null ? ` (${r.sender.replay_lag_sec.toFixed(1)} s)` : '';
+      return `${r.sender.state}, ${this.formatBytes(bytes)} behind${seconds}`;
+    }
+    if (!r.running) return 'stopped';
+    if (!r.primaryRunning) return 'primary not running';
+    return r.standby?.receiver_status ? `not streaming (receiver ${r.standby.receiver_status})` : 'not connected';
+  }
+
+  formatBytes(bytes: number): string {
+    if (bytes <= 0) return '0 B';
+    const k = 1024;
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), 4);
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + ['B', 'KB', 'MB', 'GB', 'TB'][i];
+  }
+
+  async createReplica(row: InstanceRow): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.replicaCreate) return;
+    if (!window.confirm(`Create a streaming replica of "${row.name}"? Its data is copied with pg_basebackup into a new instance on the next free port.`)) return;
+    row.error = '';
+    row.notice = 'Creating replica…';
+    row.replicaBusy = true;
+    const result = await api.replicaCreate(row.id);
+    row.replicaBusy = false;
+    row.notice = '';
+    if (!result.success) {
+      row.error = result.error || 'Failed to create the replica';
+    } else if (result.error) {
+      row.error = result.error;
+    } else {
+      row.notice = `Replica "${result.instance?.name}" runs on port ${result.instance?.port}.`;
+    }
+    this.loadInstances();
+  }
+
+  async promoteReplica(row: InstanceRow): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.replicaPromote) return;
+    const primary = this.instanceName(row.replicaOf);
+    if (!window.confirm(`Promote "${row.name}"? It stops following "${primary}" and accepts writes; this cannot be undone.`)) return;
+    row.error = '';
+    row.replicaBusy = true;
+    const result = await api.replicaPromote(row.id);
+    row.replicaBusy = false;
+    if (!result.success) {
+      row.error = result.error || 'Promote failed';
+    } else {
+      row.replication = null;
+      row.notice = result.warning || `Promoted; "${row.name}" is now a standalone instance.`;
+    }
+    this.loadInstances();
+  }
+
+  async teardownReplica(row: InstanceRow): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.replicaTeardown) return;
+    if (!window.confirm(`Tear down replica "${row.name}"? It is stopped, its slot on "${this.instanceName(row.replicaOf)}" is dropped and its data directory deleted.`)) return;
+    row.error = '';
+    row.replicaBusy = true;
+    const result = await api.replicaTeardown(row.id);
+    row.replicaBusy = false;
+    if (!result.success) {
+      row.error = result.error || 'Teardown failed';
+      return;
+    }
+    if (result.warning) this.error = result.warning;
+    this.loadInstances();
+  }
+
+  toggleSnapshots(row: InstanceRow): void {
+    if (row.snapshots) {
+      row.snapshots = null;
+      return;
+    }
+    this.loadSnapshots(row);
+  }
+
+  private loadSnapshots(row: InstanceRow): void {
+    getElectronApi()?.snapshotsList?.(row.id).then((res) => {
+      if (res.error) row.error = res.error;
+      row.snapshots = res.snapshots ?? [];
+    });
+  }
+
+  async createSnapshot(row: InstanceRow): Promise<void> {
+    const api = getElectronApi();
+    const name = row.snapshotName.trim();
+    if (!api?.snapshotsCreate || !name) return;
+    if (row.status === 'running' && !window.confirm(`Stop "${row.name}" to take the snapshot? It is started again afterwards.`)) return;
+    row.error = '';
+    row.notice = '';
+    row.snapshotBusy = true;
+    row.snapshotProgress = null;
+    const result = await api.snapshotsCreate(row.id, { name, note: row.snapshotNote });
+    row.snapshotBusy = false;
+    row.snapshotProgress = null;
+    if (!result.success) {
+      row.error = result.error || 'Snapshot failed';
+    } else {
+      row.notice = `Snapshot "${name}" saved (${this.formatBytes(result.snapshot!.sizeBytes)}).`;
+      row.snapshotName = '';
+      row.snapshotNote = '';
+    }
+    this.loadSnapshots(row);
+    this.loadInstances();
+  }
+
+  async revertSnapshot(row: InstanceRow, snapshot: ClusterSnapshot): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.snapshotsRevert) return;
+    const when = new Date(snapshot.createdAt).toLocaleString();
+    const confirmed = window.confirm(
+      `Revert "${row.name}" to snapshot "${snapshot.name}" from ${when}?\n\n` +
+        'Every change made since then, in all databases of this instance, is lost. The server is stopped for the revert' +
+        (row.status === 'running' ? ' and started again afterwards.' : '.')
+    );
+    if (!confirmed) return;
+    row.error = '';
+    row.notice = '';
+    row.snapshotBusy = true;
+    row.snapshotProgress = null;
+    const result = await api.snapshotsRevert(row.id, snapshot.id);
+    row.snapshotBusy = false;
+    row.snapshotProgress = null;
+    if (!result.success) row.error = result.error || 'Revert failed';
+    else row.notice = `Reverted to snapshot "${snapshot.name}" from ${when}.`;
+    this.loadInstances();
+  }
+
+  async removeSnapshot(row: InstanceRow, snapshot: ClusterSnapshot): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.snapshotsRemove) return;
+    if (!window.confirm(`Delete snapshot "${snapshot.name}" (${this.formatBytes(snapshot.sizeBytes)})?`)) return;
+    const result = await api.snapshotsRemove(row.id, snapshot.id);
+    if (!result.success) row.error = result.error || 'Delete failed';
+    this.loadSnapshots(row);
+  }
+
+  snapshotProgressLabel(row: InstanceRow): string {
+    const p = row.snapshotProgress;
+    if (!p?.totalBytes) return 'Copying the data directory…';
+    return `Copying the data directory… ${Math.floor((p.doneBytes / p.totalBytes) * 100)}%`;
+  }
+
+  async moveInstanceData(row: InstanceRow): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.pickDataDir || !api.moveInstanceData) return;
+    const target = await api.pickDataDir();
+    if (!target) return;
+    const running = row.status === 'running';
+    if (!window.confirm(`Move the data of "${row.name}" from ${row.dataDirPath} to ${target}?${running ? ' The server is stopped during the copy and started again afterwards.' : ''}`)) return;
+    const removeSource = window.confirm('Delete the old data directory once the move has been verified? Choose Cancel to keep it as a backup.');
+    row.error = '';
+    row.notice = '';
+    row.move = { instanceId: row.id, phase: running ? 'stopping' : 'copy' };
+    const result = await api.moveInstanceData(row.id, target, { removeSource });
+    row.move = null;
+    if (result.success) {
+      row.notice = result.removedSource
+        ? `Moved to ${result.dataDir}.`
+        : `Moved to ${result.dataDir}. The old copy is still in ${result.previousDataDir}.`;
+    } else {
+      row.error = result.error || 'Move failed';
+      // A failed start from the new folder is already rolled back; its report does not apply
+      row.integrity = null;
+    }
+    this.loadInstances();
+  }
+
+  moveLabel(move: DataMoveProgress): string {
+    const pct = move.totalBytes ? Math.floor(((move.doneBytes ?? 0) / move.totalBytes) * 100) : 0;
+    switch (move.phase) {
+      case 'stopping': return 'Stopping the server…';
+      case 'copy': return `Copying… ${pct}%`;
+      case 'verify': return `Verifying… ${pct}%`;
+      case 'starting': return 'Starting from the new location…';
+      case 'failed': return 'Rolling back…';
+      default: return 'Finishing…';
+    }
+  }
+
+  private get logFilter(): LogFilter {
+    let from: string | undefined;
+    if (this.logRange === 'session') from = this.dashboardService.sessionStartedAt;
+    else if (this.logRange !== 'all') from = new Date(Date.now() - RANGE_MS[this.logRange]).toISOString();
+    if (this.logsClearedAt && (!from || this.logsClearedAt > from)) from = this.logsClearedAt;
+    return {
+      sources: this.logSource ? [this.logSource] : undefined,
+      minLevel: this.logMinLevel || undefined,
+      search: this.logSearch.trim() || undefined,
+      from,
+    };
+  }
+
+  loadLogs(): void {
+    const api = getElectronApi();
+    if (!api?.logsQuery) {
+      // No persisted store (e.g. browser dev): show what arrived this session
+      this.logEntries = this.dashboardService.entries.filter((e) => this.dashboardService.matches(e, this.logFilter));
+      return;
+    }
+    this.logsLoading = true;
+    api.logsQuery({ ...this.logFilter, limit: this.maxLogEntries }).then((res) => {
+      this.logsLoading = false;
+      this.logEntries = res?.entries ?? [];
+      this.logTotal = res?.total ?? this.logEntries.length;
+      this.logMessage = res?.error ? `Could not read log files: ${res.error}` : '';
     });
   }
 
+  onLogSearchChange(): void {
+    if (this.searchTimer) clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.loadLogs(), 300);
+  }
+
+  private onLiveEntries(entries: LogEntry[]): void {
+    // A query in flight will include these already
+    if (this.logsLoading) return;
+    const filter = this.logFilter;
+    const matching = entries.filter((e) => this.dashboardService.matches(e, filter));
+    if (matching.length === 0) return;
+    this.logEntries = [...this.logEntries, ...matching].slice(-this.maxLogEntries);
+    this.logTotal += matching.length;
+  }
+
+  async exportLogs(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.logsExport) return;
+    const result = await api.logsExport(this.logFilter);
+    if (result.cancelled) return;
+    this.logMessage = result.success
+      ? `Exported ${result.count} entries to ${result.filePath}.`
+      : `Export failed: ${result.error || 'unknown error'}`;
+  }
+
   clearLogs(): void {
-    this.dashboardService.clearLogs();
+    this.logsClearedAt = new Date().toISOString();
+    this.logEntries = [];
+    this.logTotal = 0;
+  }
+
+  logTime(entry: LogEntry): string {
+    const d = new Date(entry.ts);
+    const sameDay = d.toDateString() === new Date().toDateString();
+    return sameDay ? d.toLocaleTimeString() : d.toLocaleString();
   }
 
-  async togglePostgres() {
+  async toggleInstance(row: InstanceRow) {
     const api = getElectronApi();
     if (!api) return;
-    this.error = '';
-    if (this.pgStatus === 'running') {
-      await api.stopPostgres();
-      this.pgStatus = 'stopped';
+    row.error = '';
+    if (row.status === 'stopping' || row.status === 'starting') return;
+    row.notice = '';
+    if (row.status === 'running' || row.status === 'restarting') {
+      // Resolves only once the postmaster has exited (escalating smart -> fast -> immediate)
+      row.status = 'stopping';
+      const result = await api.stopPostgres('smart', row.id);
+      row.status = 'stopped';
+      if (!result.success) row.error = result.error || 'Failed to stop';
+    } else {
+      row.status = 'starting';
+      row.startupState = '';
+      row.portConflict = null;
+      // Explain a taken port before trying, instead of letting the start fail
+      const check = await api.diagnosePort?.(row.id);
+      if (check?.conflict) {
+        row.status = 'stopped';
+        row.portConflict = check;
+        return;
+      }
+      const result = await api.startPostgres(row.port || 5432, row.id);
+      row.startupState = '';
+      if (result.success) {
+        row.status = 'running';
+        if (result.adopted) {
+          row.notice = `Adopted a server left running by an earlier session (PID ${result.pid}, port ${result.port}).`;
+        }
+      } else {
+        row.status = 'stopped';
+        row.error = result.error || 'Failed to start';
+        row.integrity = result.integrity ?? null;
+        row.upgrade = result.upgrade ?? null;
+      }
+    }
+  }
+
+  /** Move the instance to the suggested free port, then start it. */
+  async useSuggestedPort(row: InstanceRow): Promise<void> {
+    const api = getElectronApi();
+    const port = row.portConflict?.suggestedPort;
+    if (!api?.applyPort || !port) return;
+    const result = await api.applyPort(row.id, port);
+    if (!result.success) {
+      row.error = result.error || 'Failed to change the port';
+      if (row.portConflict && result.suggestedPort) row.portConflict.suggestedPort = result.suggestedPort;
+      return;
+    }
+    row.port = port;
+    row.portConflict = null;
+    await this.toggleInstance(row);
+    if (!row.error) row.notice = `Port changed to ${port}. Update the port in any tools that connect to "${row.name}".`;
+  }
+
+  async upgradeInstance(row: InstanceRow, method: UpgradeMethod): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.upgradeInstance || !row.upgrade) return;
+    const how = method === 'pg_upgrade' ? 'pg_upgrade (falling back to dump and restore if it fails)' : 'dump and restore';
+    if (!window.confirm(`Upgrade "${row.name}" from PostgreSQL ${row.upgrade.clusterVersion} to ${row.upgrade.bundledVersion} with ${how}? A dump is written first and the old cluster is kept.`)) return;
+    row.error = '';
+    row.notice = '';
+    row.upgradeStep = 'Starting…';
+    row.status = 'starting';
+    const result = await api.upgradeInstance(row.id, method);
+    row.upgradeStep = '';
+    if (result.success) {
+      row.status = 'running';
+      row.upgrade = null;
+      row.notice = `Upgraded to PostgreSQL ${result.toVersion}${result.method === 'dump' ? ' by dump and restore' : ''}. The old cluster is kept in ${result.oldDataDir}; the pre-upgrade dump is ${result.dumpFile}.`;
+    } else {
+      row.status = 'stopped';
+      row.error = result.error || 'Upgrade failed';
+    }
+  }
+
+  /** Continue after a quarantine; the quarantined copy is kept unless it is recovered in place. */
+  async resolveQuarantine(row: InstanceRow, action: QuarantineAction): Promise<void> {
+    const api = getElectronApi();
+    const quarantinePath = row.integrity?.quarantinePath;
+    if (!api?.dataResolveQuarantine || !quarantinePath) return;
+    if (action === 'recover' && !window.confirm('pg_resetwal discards WAL and may lose recent transactions or leave data inconsistent. Dump your data and re-create the cluster afterwards. Continue?')) return;
+    row.resolving = true;
+    row.error = '';
+    row.status = 'starting';
+    const result = await api.dataResolveQuarantine(row.id, action, quarantinePath);
+    row.resolving = false;
+    row.startupState = '';
+    if (result.success) {
+      row.status = 'running';
+      row.integrity = null;
+      row.notice = action === 'recover'
+        ? 'Recovered with pg_resetwal. Check your data and take a backup.'
+        : `Started with a fresh cluster. The old data is kept in ${quarantinePath}.`;
     } else {
-      const port = this.pgPort || 5432;
-      const result = await api.startPostgres(port);
-      if (result.success) this.pgStatus = 'running';
-      else this.error = result.error || 'Failed to start';
+      row.status = 'stopped';
+      if (!result.cancelled) row.error = result.error || 'Failed to continue';
+      // A failed recovery is checked (and quarantined) again on start
+      if (result.integrity) row.integrity = result.integrity;
     }
   }
 }
@@ -7,7 +7,7 @@ import { NgxGraphModule, DagreLayout } from '@swimlane/ngx-graph';
 import type { Graph, Edge, Node, Layout } from '@swimlane/ngx-graph';
 import { TitleWhenTruncatedDirective } from '../../shared/title-when-truncated.directive';
 import { getElectronApi } from '../../core/electron-api';
-import type { DbBrowserLayout, ExportFormat, ImportFormat, TableCopyOptions } from '../../core/electron-api';
+import type { DbBrowserLayout, ExportFormat, ImportFormat, InstanceStatus, TableCopyOptions } from '../../core/electron-api';
 import { ThemeService } from '../../core/theme.service';
 
 interface SchemaNode {
@@ -63,6 +63,19 @@ export interface ExplorerContext {
   database?: string;
 }
 
+/**
+ * Query editor result. A paged result has a cursorId while more rows can be fetched. truncated marks a
+ * result cut to the rows loaded so far (not paged, or its tab was left); rowCount is the total when known.
+ */
+interface QueryResult {
+  rows?: unknown[];
+  fields?: string[];
+  error?: string;
+  rowCount?: number | null;
+  cursorId?: string | null;
+  truncated?: boolean;
+}
+
 /** Editor tab (Overview, Query, table/view, or ER diagram) */
 export interface EditorTab {
   id: string;
@@ -304,8 +317,15 @@ export class DatabaseComponent implements OnInit, OnDestroy {
   treeError = '';
   tableError = '';
   querySql = 'SELECT * FROM public.users LIMIT 100;';
-  queryResult: { rows?: unknown[]; fields?: string[]; error?: string; rowCount?: number } | null = null;
+  queryResult: QueryResult | null = null;
   queryRunning = false;
+  /** The next page of a paged result is being read. */
+  queryFetching = false;
+  /** Query editor run in progress: its id for dbCancelQuery, the backend PID once known, and the stop step taken. */
+  runningQuery: { id: string; pid: number | null; startedAt: number; cancel: 'cancel' | 'terminate' | null } | null = null;
+  /** Time since the running query started (ms), refreshed while it runs. */
+  queryElapsedMs = 0;
+  private queryElapsedTimer: ReturnType<typeof setInterval> | null = null;
   /** EXPLAIN result (plan text or error) */
   explainResult: { plan?: string; error?: string } | null = null;
   explainRunning = false;
@@ -321,7 +341,7 @@ export class DatabaseComponent implements OnInit, OnDestroy {
     string,
     {
       sql: string;
-      result: { rows?: unknown[]; fields?: string[]; error?: string; rowCount?: number } | null;
+      result: QueryResult | null;
       outputTab: 'results' | 'messages' | 'explain';
       durationMs: number | null;
       explainResult: { plan?: string; error?: string } | null;
@@ -354,6 +374,9 @@ export class DatabaseComponent implements OnInit, OnDestroy {
 
   /** Multi-database: list from server */
   databasesList: string[] = [];
+  /** Configured PostgreSQL instances; the selector is shown when there is more than one. */
+  instances: InstanceStatus[] = [];
+  activeInstanceId = 'default';
   /** Currently selected database (drives tree and extensions) */
   selectedDatabase: string | null = null;
   /** Database for the currently active query tab (set when switching to a query tab; used for Run/Explain so execution always uses the right DB) */
@@ -612,6 +635,7 @@ export class DatabaseComponent implements OnInit, OnDestroy {
 
   ngOnInit(): void {
     this.loadLayoutFromSettings();
+    this.loadInstances();
     this.loadDatabases();
     this.loadRolesAndTablespaces();
     this.queryTabState['query:postgres:0'] = {
@@ -621,6 +645,9 @@ export class DatabaseComponent implements OnInit, OnDestroy {
       durationMs: null,
       explainResult: null,
     };
+    this.api?.onQueryStarted?.(({ queryId, pid }) => {
+      if (this.runningQuery?.id === queryId) this.runningQuery.pid = pid;
+    });
   }
 
   loadLayoutFromSettings(): void {
@@ -674,12 +701,44 @@ export class DatabaseComponent implements OnInit, OnDestroy {
   }
 
   ngOnDestroy(): void {
+    this.stopQueryElapsedTimer();
+    this.closeQueryCursor(this.queryResult);
+    Object.values(this.queryTabState).forEach((state) => this.closeQueryCursor(state.result));
     if (this.sqlCompletionDisposable) {
       this.sqlCompletionDisposable.dispose();
       this.sqlCompletionDisposable = null;
     }
   }
 
+  loadInstances(): void {
+    const api = this.api;
+    if (!api?.listInstances) return;
+    api.listInstances().then((list) => {
+      this.instances = list ?? [];
+    });
+    api.dbGetActiveInstance?.().then((res) => {
+      if (res?.instanceId) this.activeInstanceId = res.instanceId;
+    });
+  }
+
+  get activeInstanceName(): string {
+    return this.instances.find((i) => i.id === this.activeInstanceId)?.name ?? 'Default';
+  }
+
+  /** Point the browser at another instance and reload the tree from it. */
+  selectInstance(instanceId: string): void {
+    const api = this.api;
+    if (!api?.dbSelectInstance || instanceId === this.activeInstanceId) return;
+    api.dbSelectInstance(instanceId).then((res) => {
+      if (res?.error) return;
+      this.activeInstanceId = instanceId;
+      this.selectedDatabase = null;
+      this.databasesList = [];
+      this.schemas = [];
+      this.refresh();
+    });
+  }
+
   loadDatabases(): void {
     const api = this.api;
     if (!api?.dbListDatabases) {
@@ -1143,7 +1202,10 @@ export class DatabaseComponent implements OnInit, OnDestroy {
     if (!tab || tab.type === 'overview') return;
     const idx = this.openTabs.findIndex((t) => t.id === id);
     if (idx === -1) return;
-    if (tab.type === 'query') delete this.queryTabState[id];
+    if (tab.type === 'query') {
+      this.closeQueryCursor(this.activeTabId === id ? this.queryResult : this.queryTabState[id]?.result);
+      delete this.queryTabState[id];
+    }
     this.openTabs = this.openTabs.filter((t) => t.id !== id);
     if (this.activeTabId === id) {
       const next = this.openTabs[Math.min(idx, this.openTabs.length - 1)];
@@ -1166,7 +1228,11 @@ export class DatabaseComponent implements OnInit, OnDestroy {
 
     const prevId = this.activeTabId;
     const prevTab = this.getTabById(prevId);
-    if (prevTab?.type === 'query') this.saveQueryTabState(prevId);
+    if (prevTab?.type === 'query') {
+      // A paged result holds a connection: leaving the tab ends it, what was loaded stays. A fetch in flight does it on return.
+      if (prevId !== id && !this.queryFetching) this.queryResult = this.releaseQueryCursor(this.queryResult);
+      this.saveQueryTabState(prevId);
+    }
 
     this.activeTabId = id;
     if (tab.type === 'query') {
@@ -1537,13 +1603,23 @@ export class DatabaseComponent implements OnInit, OnDestroy {
     const sql = this.getSqlToRun();
     if (!sql) return;
     this.queryRunning = true;
+    this.closeQueryCursor(this.queryResult);
     this.queryResult = null;
     this.explainResult = null;
     this.queryDurationMs = null;
     const start = performance.now();
-    api.dbRunScript(db, sql).then((res) => {
+    const queryId = crypto.randomUUID();
+    this.runningQuery = { id: queryId, pid: null, startedAt: start, cancel: null };
+    this.queryElapsedMs = 0;
+    this.queryElapsedTimer = setInterval(() => (this.queryElapsedMs = performance.now() - start), 100);
+    api.dbRunScript(db, sql, queryId).then((res) => {
+      this.stopQueryElapsedTimer();
+      this.runningQuery = null;
       this.queryRunning = false;
-      this.queryResult = res;
+      // A query can finish before the cancel request reaches it; only a failed run was stopped
+      this.queryResult = res.cancelled && res.error
+        ? { ...res, error: `${res.cancelled === 'terminate' ? 'Query stopped; its backend was terminated' : 'Query cancelled'}.\n${res.error}` }
+        : res;
       this.queryDurationMs = Math.round(performance.now() - start);
       if (res.error) this.queryOutputTab = 'messages';
       else this.queryOutputTab = 'results';
@@ -1552,6 +1628,75 @@ export class DatabaseComponent implements OnInit, OnDestroy {
     });
   }
 
+  /** Read the next page of a paged result (Fetch more button, or scrolling near the end). */
+  fetchMoreRows(): void {
+    const tabId = this.activeTabId;
+    const cursorId = this.queryResult?.cursorId;
+    if (!cursorId || this.queryFetching || !this.api?.dbFetchMore) return;
+    this.queryFetching = true;
+    this.api.dbFetchMore(cursorId).then((res) => {
+      this.queryFetching = false;
+      // The server has moved past these rows: if the tab was left meanwhile they still go to its stored result
+      const active = this.activeTabId === tabId;
+      const result = active ? this.queryResult : this.queryTabState[tabId]?.result;
+      if (!result || result.cursorId !== cursorId) return;
+      const next: QueryResult = res.error
+        ? { ...result, cursorId: null, truncated: true }
+        : {
+            ...result,
+            rows: (result.rows ?? []).concat(res.rows ?? []),
+            cursorId: res.done ? null : cursorId,
+            rowCount: res.rowCount ?? result.rowCount,
+          };
+      if (!active) {
+        this.queryTabState[tabId].result = this.releaseQueryCursor(next);
+        return;
+      }
+      this.queryResult = next;
+      this.saveQueryTabState(tabId);
+      if (res.error) window.alert(`Could not fetch more rows: ${res.error}`);
+    });
+  }
+
+  /** Infinite scroll: fetch the next page once the grid shows rows close to the end of what is loaded. */
+  onQueryResultsScrolled(firstVisibleIndex: number): void {
+    if (this.queryResult?.cursorId && firstVisibleIndex >= this.getQueryRows().length - 200) this.fetchMoreRows();
+  }
+
+  /** "1000 row(s) loaded, more available" / "12000 row(s), showing the first 5000" / "42 row(s)" */
+  get queryRowCountLabel(): string {
+    const loaded = this.getQueryRows().length;
+    const r = this.queryResult;
+    if (r?.cursorId) return r.rowCount != null ? `${loaded} of ${r.rowCount} row(s) loaded` : `${loaded} row(s) loaded, more available`;
+    if (r?.truncated) return r.rowCount != null && r.rowCount > loaded ? `${r.rowCount} row(s), showing the first ${loaded}` : `first ${loaded} row(s), more not loaded`;
+    return `${r?.rowCount ?? loaded} row(s)`;
+  }
+
+  private closeQueryCursor(result: QueryResult | null | undefined): void {
+    if (result?.cursorId) this.api?.dbCloseCursor?.(result.cursorId);
+  }
+
+  /** Close a paged result's cursor and keep the rows loaded so far, marked truncated if there were more. */
+  private releaseQueryCursor(result: QueryResult | null): QueryResult | null {
+    if (!result?.cursorId) return result;
+    this.closeQueryCursor(result);
+    return { ...result, cursorId: null, truncated: true };
+  }
+
+  /** Stop button: cancels the running statement; pressed again, terminates the backend. */
+  stopQuery(): void {
+    const run = this.runningQuery;
+    if (!run || !this.api?.dbCancelQuery) return;
+    this.api.dbCancelQuery(run.id).then((res) => {
+      if (res.success && this.runningQuery === run) run.cancel = res.action ?? 'cancel';
+    });
+  }
+
+  private stopQueryElapsedTimer(): void {
+    if (this.queryElapsedTimer) clearInterval(this.queryElapsedTimer);
+    this.queryElapsedTimer = null;
+  }
+
   runExplain(): void {
     const api = this.api;
     const db = this.getQueryRunDatabase();
@@ -1611,6 +1756,7 @@ export class DatabaseComponent implements OnInit, OnDestroy {
     const sql = this.queryHistory[i];
     if (sql) {
       this.querySql = sql;
+      this.closeQueryCursor(this.queryResult);
       this.queryResult = null;
       this.explainResult = null;
     }
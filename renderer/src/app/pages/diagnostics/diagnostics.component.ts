@@ -0,0 +1,49 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { RouterLink } from '@angular/router';
+import { DoctorCheck, DoctorReport, getElectronApi } from '../../core/electron-api';
+
+@Component({
+  selector: 'app-diagnostics',
+  standalone: true,
+  imports: [CommonModule, RouterLink],
+  templateUrl: './diagnostics.component.html',
+  styleUrl: './diagnostics.component.scss',
+})
+export class DiagnosticsComponent implements OnInit {
+  report: DoctorReport | null = null;
+  running = false;
+  exporting = false;
+  error = '';
+  notice = '';
+
+  ngOnInit(): void {
+    this.run();
+  }
+
+  count(status: DoctorCheck['status']): number {
+    return this.report?.checks.filter((c) => c.status === status).length ?? 0;
+  }
+
+  async run(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.doctorRun) return;
+    this.running = true;
+    this.notice = '';
+    const res = await api.doctorRun();
+    this.running = false;
+    this.error = res.error ?? '';
+    this.report = res;
+  }
+
+  async exportBundle(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.doctorExport) return;
+    this.exporting = true;
+    const res = await api.doctorExport();
+    this.exporting = false;
+    if (res.cancelled) return;
+    this.error = res.success ? '' : res.error || 'Export failed';
+    this.notice = res.success ? `Saved to ${res.filePath}` : '';
+  }
+}
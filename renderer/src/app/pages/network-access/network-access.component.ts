@@ -0,0 +1,117 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+import { getElectronApi, HbaRule, InstanceStatus, NetworkState } from '../../core/electron-api';
+
+const LOCAL_ONLY = ['localhost', '127.0.0.1', '::1'];
+
+@Component({
+  selector: 'app-network-access',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterLink],
+  templateUrl: './network-access.component.html',
+  styleUrl: './network-access.component.scss',
+})
+export class NetworkAccessComponent implements OnInit {
+  readonly ruleTypes: HbaRule['type'][] = ['host', 'hostssl', 'hostnossl'];
+  readonly methods: HbaRule['method'][] = ['scram-sha-256', 'md5', 'trust', 'reject'];
+
+  instances: InstanceStatus[] = [];
+  instanceId = 'default';
+  state: NetworkState = {};
+  listenDraft = '';
+  rules: HbaRule[] = [];
+  loading = false;
+  saving = false;
+  restarting = false;
+  error = '';
+  notice = '';
+
+  ngOnInit(): void {
+    const api = getElectronApi();
+    api?.listInstances?.().then((list) => (this.instances = list ?? []));
+    this.load();
+  }
+
+  get instanceName(): string {
+    return this.instances.find((i) => i.id === this.instanceId)?.name ?? 'Default';
+  }
+
+  get rulesDirty(): boolean {
+    return JSON.stringify(this.rules) !== JSON.stringify(this.state.rules ?? []);
+  }
+
+  load(): void {
+    const api = getElectronApi();
+    if (!api?.networkGet) return;
+    this.loading = true;
+    api.networkGet(this.instanceId).then((res) => {
+      this.loading = false;
+      this.applyState(res);
+    });
+  }
+
+  selectInstance(id: string): void {
+    this.instanceId = id;
+    this.notice = '';
+    this.load();
+  }
+
+  private applyState(res: NetworkState): void {
+    if (res.error) {
+      this.error = res.error;
+      return;
+    }
+    this.error = '';
+    this.state = res;
+    this.listenDraft = res.listenAddresses ?? '';
+    this.rules = (res.rules ?? []).map((r) => ({ ...r }));
+  }
+
+  async saveListenAddresses(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.networkSetListenAddresses) return;
+    const exposing = this.listenDraft.split(',').map((a) => a.trim()).some((a) => a && !LOCAL_ONLY.includes(a));
+    if (exposing && !window.confirm(`Listen on ${this.listenDraft}? Other machines on the network will be able to reach ${this.instanceName}. Only rules below decide who can log in.`)) return;
+    this.saving = true;
+    const res = await api.networkSetListenAddresses(this.instanceId, this.listenDraft);
+    this.saving = false;
+    this.applyState(res);
+    if (!res.error) this.notice = 'listen_addresses saved. Restart the server to apply it.';
+  }
+
+  addRule(): void {
+    this.rules.push({ type: 'host', database: 'all', user: 'all', address: '192.168.1.0/24', method: 'scram-sha-256' });
+  }
+
+  removeRule(index: number): void {
+    this.rules.splice(index, 1);
+  }
+
+  revertRules(): void {
+    this.rules = (this.state.rules ?? []).map((r) => ({ ...r }));
+  }
+
+  async saveRules(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.networkSaveRules) return;
+    if (this.rules.some((r) => r.method === 'trust') && !window.confirm('A rule uses trust: anyone in its address range can log in without a password. Save anyway?')) return;
+    this.saving = true;
+    const res = await api.networkSaveRules(this.instanceId, this.rules);
+    this.saving = false;
+    this.applyState(res);
+    if (!res.error) this.notice = res.running ? 'Rules saved and the server configuration reloaded.' : 'Rules saved. They apply when the server starts.';
+  }
+
+  async restart(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.restartPostgres) return;
+    this.restarting = true;
+    const res = await api.restartPostgres(this.instanceId);
+    this.restarting = false;
+    this.notice = res.success ? `${this.instanceName} was restarted.` : '';
+    if (!res.success) this.error = res.error || 'Restart failed';
+    this.load();
+  }
+}
@@ -1,7 +1,7 @@
 import { Component, inject } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { Router } from '@angular/router';
-import { getElectronApi } from '../../core/electron-api';
+import { getElectronApi, PortDiagnosis } from '../../core/electron-api';
 
 @Component({
   selector: 'app-onboarding',
@@ -17,9 +17,15 @@ export class OnboardingComponent {
   readonly totalSteps = 4;
   readonly steps = [0, 1, 2, 3];
 
+  /** Port check for the default instance, run when the "Start PostgreSQL" step opens */
+  portCheck: PortDiagnosis | null = null;
+  portApplying = false;
+  portNotice = '';
+
   next(): void {
     if (this.step < this.totalSteps - 1) {
       this.step++;
+      if (this.step === 1) this.checkPort();
     } else {
       this.markOnboardingComplete();
       this.router.navigate(['/dashboard']);
@@ -28,6 +34,32 @@ export class OnboardingComponent {
 
   prev(): void {
     if (this.step > 0) this.step--;
+    if (this.step === 1) this.checkPort();
+  }
+
+  async checkPort(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.diagnosePort) return;
+    const check = await api.diagnosePort('default');
+    this.portCheck = check.error ? null : check;
+  }
+
+  async useSuggestedPort(): Promise<void> {
+    const port = this.portCheck?.suggestedPort;
+    const api = getElectronApi();
+    if (!port || !api?.applyPort) return;
+    this.portApplying = true;
+    try {
+      const res = await api.applyPort('default', port);
+      if (!res.success) {
+        this.portNotice = res.error || 'Could not change the port.';
+        return;
+      }
+      this.portNotice = `Port changed to ${port}.`;
+      await this.checkPort();
+    } finally {
+      this.portApplying = false;
+    }
   }
 
   skip(): void {
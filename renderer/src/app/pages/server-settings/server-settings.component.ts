@@ -0,0 +1,265 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { RouterLink } from '@angular/router';
+import { getElectronApi, InstanceStatus, ServerSetting, TuningPreviewRow, TuningProfile, TuningProfileId } from '../../core/electron-api';
+
+/** A pg_settings row plus the value being edited. */
+interface SettingRow extends ServerSetting {
+  draft: string;
+  saving: boolean;
+  error: string;
+}
+
+interface SettingGroup {
+  category: string;
+  rows: SettingRow[];
+  expanded: boolean;
+}
+
+@Component({
+  selector: 'app-server-settings',
+  standalone: true,
+  imports: [CommonModule, FormsModule, RouterLink],
+  templateUrl: './server-settings.component.html',
+  styleUrl: './server-settings.component.scss',
+})
+export class ServerSettingsComponent implements OnInit {
+  instances: InstanceStatus[] = [];
+  instanceId = 'default';
+  loading = false;
+  restarting = false;
+  error = '';
+  notice = '';
+  search = '';
+  /** Only settings whose value does not come from the built-in default. */
+  modifiedOnly = false;
+
+  /** Tuning profiles computed from this machine's memory and CPU count. */
+  profiles: TuningProfile[] = [];
+  hardware: { totalMemory: number; cpus: number } | null = null;
+  currentProfile: TuningProfileId | null = null;
+  selectedProfile: TuningProfileId = 'workstation';
+  tuningPreview: TuningPreviewRow[] = [];
+  tuningError = '';
+  tuningBusy = false;
+
+  private rows: SettingRow[] = [];
+  groups: SettingGroup[] = [];
+  private collapsed = new Set<string>();
+
+  ngOnInit(): void {
+    const api = getElectronApi();
+    api?.listInstances?.().then((list) => (this.instances = list ?? []));
+    this.load();
+    this.loadProfiles();
+  }
+
+  get instanceName(): string {
+    return this.instances.find((i) => i.id === this.instanceId)?.name ?? 'Default';
+  }
+
+  /** Some changed setting only takes effect after a server restart. */
+  get restartRequired(): boolean {
+    return this.rows.some((r) => r.pending_restart);
+  }
+
+  load(): void {
+    const api = getElectronApi();
+    if (!api?.serverListSettings) return;
+    this.loading = true;
+    this.error = '';
+    api.serverListSettings(this.instanceId).then((res) => {
+      this.loading = false;
+      if (res.error) {
+        this.rows = [];
+        this.error = /ECONNREFUSED|connect/i.test(res.error)
+          ? `${this.instanceName} is not running. Start it from the Dashboard to edit its settings.`
+          : res.error;
+      } else {
+        this.rows = (res.rows ?? []).map((r) => this.toRow(r));
+      }
+      this.applyFilter();
+    });
+  }
+
+  selectInstance(id: string): void {
+    this.instanceId = id;
+    this.notice = '';
+    this.load();
+    this.loadProfiles();
+  }
+
+  loadProfiles(): void {
+    const api = getElectronApi();
+    if (!api?.tuningProfiles) return;
+    this.tuningPreview = [];
+    this.tuningError = '';
+    api.tuningProfiles(this.instanceId).then((res) => {
+      this.profiles = res.profiles;
+      this.hardware = res.hardware;
+      this.currentProfile = res.current;
+      if (res.current) this.selectedProfile = res.current;
+    });
+  }
+
+  get selectedProfileInfo(): TuningProfile | undefined {
+    return this.profiles.find((p) => p.id === this.selectedProfile);
+  }
+
+  get currentProfileLabel(): string {
+    return this.profiles.find((p) => p.id === this.currentProfile)?.label ?? 'none (server defaults or manual settings)';
+  }
+
+  formatMemory(bytes: number): string {
+    const gb = bytes / 1024 ** 3;
+    return gb >= 1 ? `${gb.toFixed(1)} GB` : `${Math.round(bytes / 1024 ** 2)} MB`;
+  }
+
+  async previewProfile(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.tuningPreview) return;
+    this.tuningBusy = true;
+    this.tuningError = '';
+    const res = await api.tuningPreview(this.instanceId, this.selectedProfile);
+    this.tuningBusy = false;
+    if (res.error) {
+      this.tuningPreview = [];
+      this.tuningError = res.error;
+      return;
+    }
+    this.tuningPreview = res.rows ?? [];
+  }
+
+  async applyProfile(): Promise<void> {
+    const api = getElectronApi();
+    const profile = this.selectedProfileInfo;
+    if (!api?.tuningApply || !profile) return;
+    if (!window.confirm(`Apply the "${profile.label}" profile to ${this.instanceName}? It overwrites these settings in postgresql.auto.conf.`)) return;
+    this.tuningBusy = true;
+    this.tuningError = '';
+    const res = await api.tuningApply(this.instanceId, profile.id);
+    this.tuningBusy = false;
+    if (res.error) {
+      this.tuningError = res.error;
+      return;
+    }
+    this.currentProfile = profile.id;
+    this.tuningPreview = [];
+    this.notice = res.restartRequired
+      ? `"${profile.label}" is saved. Memory and worker settings take effect after a restart.`
+      : `"${profile.label}" is applied.`;
+    this.load();
+  }
+
+  private toRow(setting: ServerSetting): SettingRow {
+    return { ...setting, draft: setting.setting, saving: false, error: '' };
+  }
+
+  applyFilter(): void {
+    const q = this.search.trim().toLowerCase();
+    const byCategory = new Map<string, SettingRow[]>();
+    for (const row of this.rows) {
+      if (this.modifiedOnly && !this.isModified(row)) continue;
+      if (q && !row.name.toLowerCase().includes(q) && !row.short_desc.toLowerCase().includes(q)) continue;
+      const list = byCategory.get(row.category) ?? [];
+      list.push(row);
+      byCategory.set(row.category, list);
+    }
+    this.groups = [...byCategory.entries()].map(([category, rows]) => ({
+      category,
+      rows,
+      // Searching opens every matching group
+      expanded: !!q || !this.collapsed.has(category),
+    }));
+  }
+
+  toggleGroup(group: SettingGroup): void {
+    group.expanded = !group.expanded;
+    if (group.expanded) this.collapsed.delete(group.category);
+    else this.collapsed.add(group.category);
+  }
+
+  isModified(row: ServerSetting): boolean {
+    return row.source !== 'default' && row.source !== 'override';
+  }
+
+  isReadOnly(row: ServerSetting): boolean {
+    return row.context === 'internal';
+  }
+
+  isDirty(row: SettingRow): boolean {
+    return row.draft !== row.setting;
+  }
+
+  /** "min … max unit" hint for numeric settings. */
+  rangeHint(row: ServerSetting): string {
+    if (row.vartype !== 'integer' && row.vartype !== 'real') return '';
+    const unit = row.unit ? ` ${row.unit}` : '';
+    return `${row.min_val} … ${row.max_val}${unit}`;
+  }
+
+  contextHint(row: ServerSetting): string {
+    switch (row.context) {
+      case 'postmaster': return 'Needs restart';
+      case 'internal': return 'Read-only';
+      case 'sighup': return 'Applied on reload';
+      default: return '';
+    }
+  }
+
+  async save(row: SettingRow): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.serverSetSetting) return;
+    row.saving = true;
+    row.error = '';
+    const res = await api.serverSetSetting(this.instanceId, row.name, row.draft);
+    this.applyChange(row, res);
+  }
+
+  async reset(row: SettingRow): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.serverResetSetting) return;
+    row.saving = true;
+    row.error = '';
+    const res = await api.serverResetSetting(this.instanceId, row.name);
+    this.applyChange(row, res);
+  }
+
+  private applyChange(row: SettingRow, res: { setting?: ServerSetting; restartRequired?: boolean; error?: string }): void {
+    row.saving = false;
+    if (res.error) {
+      row.error = res.error;
+      return;
+    }
+    if (res.setting) Object.assign(row, this.toRow(res.setting));
+    this.notice = res.restartRequired
+      ? `${row.name} is saved and takes effect after a restart.`
+      : `${row.name} is now ${row.setting}${row.unit ? ' ' + row.unit : ''}.`;
+  }
+
+  async resetAll(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.serverResetAllSettings) return;
+    if (!window.confirm(`Reset every setting changed here (postgresql.auto.conf) on ${this.instanceName}?`)) return;
+    const res = await api.serverResetAllSettings(this.instanceId);
+    if (res.error) {
+      this.error = res.error;
+      return;
+    }
+    this.notice = res.restartRequired ? 'All settings were reset. Some take effect after a restart.' : 'All settings were reset.';
+    this.currentProfile = null;
+    this.load();
+  }
+
+  async restart(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.restartPostgres) return;
+    this.restarting = true;
+    const res = await api.restartPostgres(this.instanceId);
+    this.restarting = false;
+    this.notice = res.success ? `${this.instanceName} was restarted.` : '';
+    if (!res.success) this.error = res.error || 'Restart failed';
+    this.load();
+  }
+}
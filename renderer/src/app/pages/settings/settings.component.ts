@@ -3,7 +3,7 @@ import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
 import { Router } from '@angular/router';
 import { ThemeService, ThemeId } from '../../core/theme.service';
-import { getElectronApi } from '../../core/electron-api';
+import { AuthMode, getElectronApi } from '../../core/electron-api';
 
 @Component({
   selector: 'app-settings',
@@ -23,6 +23,22 @@ export class SettingsComponent implements OnInit {
   connectionSaved = false;
   connectionError = '';
 
+  /** pg_hba.conf method for local connections */
+  authMode: AuthMode = 'scram-sha-256';
+  authSaving = false;
+  authNotice = '';
+  authError = '';
+  /** Running instances whose postgres role rejects the configured password */
+  passwordOutOfSync: string[] = [];
+
+  /** Restart PostgreSQL automatically after a crash (ProcessManager supervisor) */
+  autoRestart = true;
+  maxRestarts = 5;
+
+  /** Closing the window hides it to the system tray; servers keep running */
+  keepRunningInTray = false;
+  startMinimized = false;
+
   constructor(
     private theme: ThemeService,
     private router: Router,
@@ -40,6 +56,27 @@ export class SettingsComponent implements OnInit {
       if (s?.ports?.postgres != null) this.dbPort = s.ports.postgres;
       this.dbUser = 'postgres'; // Username fixed for now
       if (s?.dbPassword != null) this.dbPassword = s.dbPassword;
+      if (s?.authMode) this.authMode = s.authMode;
+      if (s?.supervisor?.enabled != null) this.autoRestart = s.supervisor.enabled;
+      if (s?.supervisor?.maxRestarts != null) this.maxRestarts = s.supervisor.maxRestarts;
+      this.keepRunningInTray = !!s?.tray?.keepRunning;
+      this.startMinimized = !!s?.tray?.startMinimized;
+    });
+  }
+
+  saveSupervisorSettings(): void {
+    const api = getElectronApi();
+    if (!api?.saveSettings) return;
+    api.saveSettings({
+      supervisor: { enabled: this.autoRestart, maxRestarts: Math.max(1, Number(this.maxRestarts) || 5) },
+    });
+  }
+
+  saveTraySettings(): void {
+    const api = getElectronApi();
+    if (!api?.saveSettings) return;
+    api.saveSettings({
+      tray: { keepRunning: this.keepRunningInTray, startMinimized: this.keepRunningInTray && this.startMinimized },
     });
   }
 
@@ -52,21 +89,81 @@ export class SettingsComponent implements OnInit {
       api.saveSettings({
         ports: { ...s?.ports, postgres: this.dbPort },
         dbUser: 'postgres', // Username fixed for now
-        dbPassword: this.dbPassword ?? 'postgres',
-      }).then(() => {
-        this.connectionSaved = true;
-        setTimeout(() => (this.connectionSaved = false), 2000);
-      }).catch((err) => {
-        this.connectionError = err?.message || 'Failed to save';
-      });
+      })
+        // The password also goes to the postgres role of every running instance
+        .then(() => api.authUpdate?.({ password: this.dbPassword ?? 'postgres' }))
+        .then((res) => {
+          this.passwordOutOfSync = res?.outOfSync ?? [];
+          if (res && !res.success) {
+            this.connectionError = res.error || 'Failed to apply the password';
+            return;
+          }
+          this.connectionSaved = true;
+          setTimeout(() => (this.connectionSaved = false), 2000);
+        }).catch((err) => {
+          this.connectionError = err?.message || 'Failed to save';
+        });
     });
   }
 
+  async saveAuthMode(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.authUpdate) return;
+    if (this.authMode === 'trust' && !window.confirm('With trust, any local user or program can connect without a password. Continue?')) {
+      this.authMode = 'scram-sha-256';
+      return;
+    }
+    this.authSaving = true;
+    this.authNotice = '';
+    this.authError = '';
+    const res = await api.authUpdate({ mode: this.authMode });
+    this.authSaving = false;
+    this.passwordOutOfSync = res.outOfSync ?? [];
+    if (res.success) this.authNotice = `Local connections now use ${this.authMode}.`;
+    else this.authError = res.error || 'Failed to change authentication';
+  }
+
+  /** Set the configured password on roles that reject it; local trust is enabled for a moment to do so. */
+  async resetRolePassword(): Promise<void> {
+    const api = getElectronApi();
+    if (!api?.authResetPassword) return;
+    const names = this.passwordOutOfSync.join(', ');
+    if (!window.confirm(`Reset the postgres password of ${names} to the password above? Any other password set on the role is replaced.`)) return;
+    this.authSaving = true;
+    this.authNotice = '';
+    this.authError = '';
+    const res = await api.authResetPassword();
+    this.authSaving = false;
+    if (res.success) {
+      this.passwordOutOfSync = [];
+      this.connectionError = '';
+      this.authNotice = 'The password was reset.';
+    } else {
+      this.authError = res.error || 'Failed to reset the password';
+    }
+  }
+
   setTheme(t: ThemeId): void {
     this.activeTheme = t;
     this.theme.setTheme(t);
   }
 
+  openServerSettings(): void {
+    this.router.navigate(['/settings/server']);
+  }
+
+  openNetworkAccess(): void {
+    this.router.navigate(['/settings/network']);
+  }
+
+  openBackups(): void {
+    this.router.navigate(['/settings/backups']);
+  }
+
+  openDiagnostics(): void {
+    this.router.navigate(['/settings/diagnostics']);
+  }
+
   showOnboardingAgain(): void {
     this.router.navigate(['/onboarding']);
   }
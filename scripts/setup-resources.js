@@ -15,6 +15,11 @@ const CONFIG = {
     win: {
         postgres: "https://get.enterprisedb.com/postgresql/postgresql-14.10-1-windows-x64-binaries.zip",
         postgis: "https://download.osgeo.org/postgis/windows/pg14/postgis-bundle-pg14-3.6.1x64.zip"
+    },
+    linux: {
+        // No canonical download: Linux uses a relocatable PostgreSQL+PostGIS tarball built or fetched by the team.
+        // Pass --archive=/path/to/postgres.tar.gz or set POSTGRES_ARCHIVE.
+        postgres: null
     }
 };
 
@@ -22,8 +27,17 @@ const ARGS = process.argv.slice(2);
 // Default to all targets if user asked for it, or just current platform
 const TARGETS = ARGS.includes('--target=win') ? ['win']
     : ARGS.includes('--target=mac') ? ['mac']
-        : ARGS.includes('--target=all') ? ['mac', 'win']
-            : [process.platform === 'win32' ? 'win' : 'mac'];
+        : ARGS.includes('--target=linux') ? ['linux']
+            : ARGS.includes('--target=all') ? ['mac', 'win', 'linux']
+                : [process.platform === 'win32' ? 'win' : process.platform === 'linux' ? 'linux' : 'mac'];
+
+// Local archive for targets without a download URL (linux): --archive=<path> or POSTGRES_ARCHIVE
+const ARCHIVE_ARG = ARGS.find(a => a.startsWith('--archive='));
+const LOCAL_ARCHIVE = ARCHIVE_ARG ? ARCHIVE_ARG.slice('--archive='.length) : process.env.POSTGRES_ARCHIVE;
+
+// --keep-previous: when bumping PostgreSQL, keep the installed binaries as bin/<os>/postgres-<major>
+// so the app can pg_upgrade clusters created by them (see src-main/upgrade.js)
+const KEEP_PREVIOUS = ARGS.includes('--keep-previous');
 
 async function downloadFile(url, dest, { retries = 3, retryDelayMs = 1000 } = {}) {
     console.log(`Downloading ${url}...`);
@@ -89,7 +103,93 @@ async function downloadFile(url, dest, { retries = 3, retryDelayMs = 1000 } = {}
     }
 }
 
+// Linux: unpack a relocatable PostgreSQL+PostGIS tarball (bin/, lib/, share/) into bin/linux/postgres.
+// Libraries are resolved at runtime through LD_LIBRARY_PATH (see services.startPostgres).
+async function installPostgresFromArchive(targetOS) {
+    const binRoot = path.join(__dirname, '..', 'bin', targetOS);
+    const extractPath = path.join(binRoot, 'postgres');
+
+    if (await fs.pathExists(extractPath)) {
+        console.log(`[${targetOS}] Postgres already installed.`);
+        return;
+    }
+
+    const archivePath = LOCAL_ARCHIVE || CONFIG[targetOS].postgres;
+    if (!archivePath) {
+        throw new Error(`[${targetOS}] No PostgreSQL archive given. Pass --archive=/path/to/postgres.tar.gz or set POSTGRES_ARCHIVE.`);
+    }
+    const resolvedArchive = path.resolve(archivePath);
+    if (!await fs.pathExists(resolvedArchive)) {
+        throw new Error(`[${targetOS}] PostgreSQL archive not found at ${resolvedArchive}`);
+    }
+
+    const tempDir = path.join(binRoot, 'postgres-temp');
+    await fs.remove(tempDir);
+    await fs.ensureDir(tempDir);
+
+    console.log(`[${targetOS}] Extracting ${resolvedArchive}...`);
+    try {
+        if (/\.(tar|tgz|tar\.gz)$/i.test(resolvedArchive)) {
+            await tar.x({ file: resolvedArchive, cwd: tempDir });
+        } else {
+            // .tar.xz / .tar.bz2 etc.: let the system tar pick the decompressor
+            const { spawn } = require('child_process');
+            await new Promise((resolve, reject) => {
+                const child = spawn('tar', ['-xf', resolvedArchive, '-C', tempDir]);
+                child.on('close', code => code === 0 ? resolve() : reject(new Error(`tar exited with ${code}`)));
+                child.on('error', reject);
+            });
+        }
+    } catch (e) {
+        await fs.remove(tempDir);
+        throw new Error(`[${targetOS}] Failed to extract ${resolvedArchive}: ${e.message}`);
+    }
+
+    // Tarballs usually have a single top-level folder (pgsql/, postgresql-16/ ...). Find the one with bin/postgres.
+    const candidateRoots = [tempDir];
+    for (const entry of await fs.readdir(tempDir, { withFileTypes: true })) {
+        if (entry.isDirectory()) candidateRoots.push(path.join(tempDir, entry.name));
+    }
+    let bundleRoot = null;
+    for (const root of candidateRoots) {
+        if (await fs.pathExists(path.join(root, 'bin', 'postgres'))) {
+            bundleRoot = root;
+            break;
+        }
+    }
+    if (!bundleRoot) {
+        await fs.remove(tempDir);
+        throw new Error(`[${targetOS}] Archive does not contain bin/postgres at its root or in a top-level folder.`);
+    }
+
+    await fs.move(bundleRoot, extractPath);
+    await fs.remove(tempDir);
+
+    const binDir = path.join(extractPath, 'bin');
+    for (const name of await fs.readdir(binDir)) {
+        try {
+            await fs.chmod(path.join(binDir, name), 0o755);
+        } catch (e) {
+            console.error(`[${targetOS}] Failed to chmod ${name}:`, e.message);
+        }
+    }
+    console.log(`[${targetOS}] Fixed permissions for Postgres binaries.`);
+
+    const postgisControl1 = path.join(extractPath, 'share', 'extension', 'postgis.control');
+    const postgisControl2 = path.join(extractPath, 'share', 'postgresql', 'extension', 'postgis.control');
+    if (await fs.pathExists(postgisControl1) || await fs.pathExists(postgisControl2)) {
+        console.log(`[${targetOS}] ✅ PostGIS found in archive.`);
+    } else {
+        console.warn(`[${targetOS}] ⚠️  PostGIS control file not found in archive. PostGIS will not be available.`);
+    }
+
+    console.log(`[${targetOS}] Postgres installed.`);
+}
+
 async function installPostgres(targetOS) {
+    if (targetOS === 'linux') {
+        return installPostgresFromArchive(targetOS);
+    }
     const url = CONFIG[targetOS].postgres;
     const filename = path.basename(url);
     const binRoot = path.join(__dirname, '..', 'bin', targetOS);
@@ -377,11 +477,48 @@ async function installPgAdmin(_targetOS) {
     console.log('[setup] pgAdmin is no longer bundled; skipping.');
 }
 
+// Major version of an installed tree: pg_config.h when headers are bundled, else `postgres -V` (same OS only)
+async function detectMajorVersion(targetOS, postgresDir) {
+    for (const header of ['include/pg_config.h', 'include/server/pg_config.h', 'include/postgresql/server/pg_config.h']) {
+        const file = path.join(postgresDir, header);
+        if (await fs.pathExists(file)) {
+            const m = (await fs.readFile(file, 'utf8')).match(/#define PG_MAJORVERSION "([\d.]+)"/);
+            if (m) return m[1];
+        }
+    }
+    const current = process.platform === 'win32' ? 'win' : process.platform === 'linux' ? 'linux' : 'mac';
+    if (targetOS !== current) return null;
+    const exe = path.join(postgresDir, 'bin', targetOS === 'win' ? 'postgres.exe' : 'postgres');
+    try {
+        const { execFileSync } = require('child_process');
+        const libDir = path.join(postgresDir, 'lib');
+        const out = execFileSync(exe, ['-V'], { env: { ...process.env, LD_LIBRARY_PATH: libDir }, encoding: 'utf8' });
+        const m = out.match(/\(PostgreSQL\)\s+(\d+)(?:\.(\d+))?/);
+        return m ? (Number(m[1]) >= 10 ? m[1] : `${m[1]}.${m[2]}`) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+async function keepPreviousPostgres(targetOS) {
+    const binRoot = path.join(__dirname, '..', 'bin', targetOS);
+    const current = path.join(binRoot, 'postgres');
+    if (!await fs.pathExists(current)) return;
+    const major = await detectMajorVersion(targetOS, current);
+    const target = path.join(binRoot, `postgres-${major || 'previous'}`);
+    if (await fs.pathExists(target)) {
+        throw new Error(`[${targetOS}] ${target} already exists; remove it or drop --keep-previous.`);
+    }
+    await fs.move(current, target);
+    console.log(`[${targetOS}] Kept the previous ${major ? `PostgreSQL ${major}` : 'PostgreSQL'} binaries in ${target}.`);
+}
+
 async function run() {
     try {
         console.log(`Targets: ${TARGETS.join(', ')}`);
         for (const target of TARGETS) {
             console.log(`--- Setting up for ${target} ---`);
+            if (KEEP_PREVIOUS) await keepPreviousPostgres(target);
             await installPostgres(target);
             await installPython(target);
             await installPgAdmin(target);
@@ -0,0 +1,220 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { Client } = require('pg');
+const networkAccess = require('./network-access');
+
+// trust: no password checks (legacy behaviour). scram-sha-256: the configured password is enforced.
+const AUTH_MODES = ['trust', 'scram-sha-256'];
+const SUPERUSER = 'postgres';
+const HBA_MARKER = '# Managed by Portable PostGIS';
+
+// pg_reload_conf()/pg_ctl reload only signal the postmaster; give it a moment to re-read pg_hba.conf
+const RELOAD_SETTLE_MS = 300;
+
+// The postgres role rejects the configured password; resetting it takes an explicit ensureAuth({ allowReset })
+class PasswordOutOfSyncError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PasswordOutOfSyncError';
+    }
+}
+
+/**
+ * pg_hba.conf contents for a mode: local socket and loopback only.
+ * @param {string} mode - One of AUTH_MODES
+ * @returns {string}
+ */
+function buildHba(mode) {
+    const lines = [
+        `${HBA_MARKER} (auth: ${mode}). Change the mode and network rules in Settings; manual edits are overwritten.`,
+        '# TYPE  DATABASE        USER            ADDRESS                 METHOD',
+        `local   all             all                                     ${mode}`,
+        `host    all             all             127.0.0.1/32            ${mode}`,
+        `host    all             all             ::1/128                 ${mode}`,
+        `local   replication     all                                     ${mode}`,
+        `host    replication     all             127.0.0.1/32            ${mode}`,
+        `host    replication     all             ::1/128                 ${mode}`
+    ];
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Which mode pg_hba.conf currently enforces.
+ * @param {string} dataDir
+ * @returns {Promise<string|null>} A mode from AUTH_MODES, or null when missing or mixed (hand-edited)
+ */
+async function readHbaMode(dataDir) {
+    const hbaPath = path.join(dataDir, 'pg_hba.conf');
+    if (!await fs.pathExists(hbaPath)) return null;
+    const content = await fs.readFile(hbaPath, 'utf8');
+    const marker = content.match(/^# Managed by Portable PostGIS \(auth: ([\w-]+)\)/m);
+    if (marker && AUTH_MODES.includes(marker[1])) return marker[1];
+    const methods = new Set(content.split(/\r?\n/)
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(Boolean)
+        .map(line => line.split(/\s+/))
+        // local lines have no ADDRESS column; the method follows USER (or ADDRESS for host lines)
+        .map(cols => (cols[0] === 'local' ? cols[3] : cols[4])));
+    return methods.size === 1 && AUTH_MODES.includes([...methods][0]) ? [...methods][0] : null;
+}
+
+/**
+ * Replace pg_hba.conf with the managed version. The first unmanaged file is kept as pg_hba.conf.orig;
+ * network access rules (see network-access.js) are carried over.
+ * @param {string} dataDir
+ * @param {string} mode
+ */
+async function writeHba(dataDir, mode) {
+    const hbaPath = path.join(dataDir, 'pg_hba.conf');
+    const backup = `${hbaPath}.orig`;
+    if (await fs.pathExists(hbaPath) && !await fs.pathExists(backup)) {
+        const current = await fs.readFile(hbaPath, 'utf8');
+        if (!current.includes(HBA_MARKER)) await fs.copy(hbaPath, backup);
+    }
+    const rules = await networkAccess.readRules(dataDir);
+    await fs.writeFile(hbaPath, networkAccess.replaceSection(buildHba(mode), rules), { mode: 0o600 });
+}
+
+/**
+ * initdb arguments for a mode. scram writes the password to a private temp file for --pwfile.
+ * @param {string} mode
+ * @param {string} password
+ * @returns {Promise<{ args: string[], cleanup: function }>} Call cleanup() once initdb has exited
+ */
+async function prepareInitdbAuth(mode, password) {
+    if (mode !== 'scram-sha-256') {
+        return { args: ['--auth', 'trust'], cleanup: async () => {} };
+    }
+    if (!password) throw new Error('A password is required for scram-sha-256 authentication');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'portable-postgis-'));
+    const pwfile = path.join(dir, 'pwfile');
+    await fs.writeFile(pwfile, `${password}\n`, { mode: 0o600 });
+    return {
+        args: ['--auth-local', mode, '--auth-host', mode, '--pwfile', pwfile],
+        cleanup: () => fs.remove(dir)
+    };
+}
+
+async function tryConnect(port, password) {
+    const client = new Client({ host: '127.0.0.1', port, user: SUPERUSER, password, database: 'postgres', connectionTimeoutMillis: 5000 });
+    client.on('error', () => {});
+    try {
+        await client.connect();
+        return client;
+    } catch (e) {
+        try { await client.end(); } catch (_) {}
+        if (e.code === '28P01' || e.code === '28000') return null; // wrong password / no hba match
+        throw e;
+    }
+}
+
+/**
+ * Give the postgres role, and those of roles that exist, the password. Roles not created yet are skipped.
+ * ALTER ROLE cannot take bind parameters; the literal is escaped by the driver.
+ * @returns {Promise<string[]>} Roles that were updated
+ */
+async function setRolePassword(client, password, roles = []) {
+    const wanted = [...new Set([SUPERUSER, ...roles.filter(Boolean)])];
+    const { rows } = await client.query('SELECT rolname FROM pg_roles WHERE rolname = ANY($1) ORDER BY rolname', [wanted]);
+    await client.query("SET password_encryption = 'scram-sha-256'");
+    for (const { rolname } of rows) {
+        await client.query(`ALTER ROLE ${client.escapeIdentifier(rolname)} WITH PASSWORD ${client.escapeLiteral(password)}`);
+    }
+    return rows.map(r => r.rolname);
+}
+
+/**
+ * Connect with local trust enabled for as long as fn runs. The previous pg_hba.conf is always put back
+ * and reloaded, also when connecting or fn fails.
+ */
+async function withTrustWindow({ port, dataDir, reload }, fn) {
+    const hbaPath = path.join(dataDir, 'pg_hba.conf');
+    const previous = await fs.readFile(hbaPath, 'utf8');
+    await writeHba(dataDir, 'trust');
+    let client = null;
+    try {
+        await reload();
+        await settle();
+        client = await tryConnect(port, '');
+        if (!client) throw new Error('Could not connect to reset the postgres password');
+        return await fn(client);
+    } finally {
+        if (client) await client.end().catch(() => {});
+        await fs.writeFile(hbaPath, previous, { mode: 0o600 });
+        await reload();
+        await settle();
+    }
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, RELOAD_SETTLE_MS));
+
+/**
+ * Bring a running cluster in line with the configured mode and password.
+ * - scram: the postgres role (and the configured login roles) get the password, then pg_hba.conf is switched to scram-sha-256.
+ * - trust: pg_hba.conf is switched back to trust (the roles keep their password).
+ * If the role password is out of sync (e.g. changed outside the app, or a typo in the settings) a
+ * PasswordOutOfSyncError is thrown. With allowReset, loopback trust is enabled just long enough to set it again.
+ * @param {object} opts
+ * @param {number} opts.port
+ * @param {string} opts.dataDir
+ * @param {string} opts.mode - One of AUTH_MODES
+ * @param {string} opts.password - Configured password
+ * @param {string} [opts.previousPassword] - Tried when the configured one is rejected
+ * @param {string[]} [opts.roles] - Other login roles that use the password (the configured DB user)
+ * @param {boolean} [opts.allowReset] - The user asked to reset the password of a role that rejects it
+ * @param {function} opts.reload - () => Promise; reloads the server config without a connection (pg_ctl reload)
+ * @param {function} [opts.onLog]
+ * @returns {Promise<{ changed: boolean }>}
+ * @throws {PasswordOutOfSyncError} when no password is accepted and allowReset is not set
+ */
+async function ensureAuth({ port, dataDir, mode, password, previousPassword, roles = [], allowReset = false, reload, onLog = () => {} }) {
+    if (!AUTH_MODES.includes(mode)) throw new Error(`Unknown auth mode: ${mode}`);
+    if (mode === 'scram-sha-256' && !password) throw new Error('A password is required for scram-sha-256 authentication');
+
+    const hbaMode = await readHbaMode(dataDir);
+    let client = await tryConnect(port, password);
+    // Under scram a successful login proves the role already has this password
+    const passwordInSync = !!client && hbaMode === 'scram-sha-256';
+    if (!client && previousPassword !== undefined && previousPassword !== password) {
+        client = await tryConnect(port, previousPassword);
+    }
+
+    let changed = false;
+    const applyPassword = async (c) => {
+        const updated = await setRolePassword(c, password, roles);
+        onLog(`Applied the configured password to ${updated.join(', ')}.`);
+        changed = true;
+    };
+    if (!client) {
+        if (!allowReset) {
+            throw new PasswordOutOfSyncError('The postgres role rejects the configured password. Check the password in Settings, or reset the role to it.');
+        }
+        onLog('Configured password was rejected; briefly allowing local trust to reset it.');
+        await withTrustWindow({ port, dataDir, reload }, applyPassword);
+    } else {
+        try {
+            if (mode === 'scram-sha-256' && !passwordInSync) await applyPassword(client);
+        } finally {
+            await client.end().catch(() => {});
+        }
+    }
+
+    if (await readHbaMode(dataDir) === mode) return { changed };
+    await writeHba(dataDir, mode);
+    await reload();
+    await settle();
+    onLog(`pg_hba.conf now uses ${mode} for local connections.`);
+    return { changed: true };
+}
+
+module.exports = {
+    AUTH_MODES,
+    PasswordOutOfSyncError,
+    buildHba,
+    readHbaMode,
+    writeHba,
+    prepareInitdbAuth,
+    setRolePassword,
+    ensureAuth
+};
@@ -0,0 +1,356 @@
+// Scheduled pg_dump backups with retention, run by the main process while the app is open
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const config = require('./config');
+const services = require('./services');
+const processManager = require('./process-manager');
+const backup = require('./backup');
+
+const FORMATS = { plain: '.sql', custom: '.backup', tar: '.tar' };
+const MIN_INTERVAL_MINUTES = 5;
+// Due schedules are looked for this often; a run missed while the app was closed happens at the next check
+const TICK_MS = 30 * 1000;
+const HISTORY_LIMIT = 500;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Database names may contain characters that are not allowed (or are separators) in file names
+const safeFileName = (name) => name.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Dumps are named <database>-<schedule id prefix>-<UTC start time><ext>, so retention can tell a schedule's files apart
+// in a folder shared with other schedules or with files of the user's own
+const filePrefix = (schedule) => `${safeFileName(schedule.database)}-${schedule.id.slice(0, 8)}-`;
+const STAMP_RE = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/;
+
+/**
+ * File name for a dump of a schedule started at the given time.
+ * @param {object} schedule
+ * @param {Date} startedAt
+ */
+function backupFileName(schedule, startedAt) {
+    return `${filePrefix(schedule)}${startedAt.toISOString().replace(/[:.]/g, '-')}${FORMATS[schedule.format]}`;
+}
+
+/**
+ * A schedule's dumps in a folder, newest first, with the start time read back from the file name.
+ * @param {string} dir
+ * @param {object} schedule
+ * @returns {Promise<Array<{ filePath: string, startedAt: Date }>>}
+ */
+async function listBackupFiles(dir, schedule) {
+    const prefix = filePrefix(schedule);
+    const extensions = new RegExp(`(${Object.values(FORMATS).map(escapeRegExp).join('|')})$`);
+    const names = await fs.readdir(dir).catch(() => []);
+    const files = [];
+    for (const name of names) {
+        if (!name.startsWith(prefix)) continue;
+        const ext = name.match(extensions);
+        const stamp = ext && name.slice(prefix.length, -ext[1].length).match(STAMP_RE);
+        if (!stamp) continue;
+        const [, date, h, m, sec, ms] = stamp;
+        files.push({ filePath: path.join(dir, name), startedAt: new Date(`${date}T${h}:${m}:${sec}.${ms}Z`) });
+    }
+    return files.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Check a schedule from the renderer and fill in defaults.
+ * when: { kind: 'interval', everyMinutes } or { kind: 'times', times: ['HH:MM'], days: [0-6] } (0 = Sunday, empty = every day)
+ * @param {object} input
+ * @returns {object} The normalized schedule
+ * @throws {Error} with a message for the form
+ */
+function validateSchedule(input) {
+    const s = input || {};
+    if (typeof s.database !== 'string' || !s.database.trim()) throw new Error('Choose a database');
+    if (!FORMATS[s.format || 'custom']) throw new Error(`Format must be one of ${Object.keys(FORMATS).join(', ')}`);
+    let when;
+    if (s.when?.kind === 'interval') {
+        const everyMinutes = parseInt(s.when.everyMinutes, 10);
+        if (!(everyMinutes >= MIN_INTERVAL_MINUTES)) throw new Error(`Run at most every ${MIN_INTERVAL_MINUTES} minutes`);
+        when = { kind: 'interval', everyMinutes };
+    } else if (s.when?.kind === 'times') {
+        const times = [...new Set((s.when.times || []).map(t => String(t).trim()))].sort();
+        if (!times.length || !times.every(t => TIME_RE.test(t))) throw new Error('Times must look like 02:30');
+        const days = [...new Set((s.when.days || []).map(Number))].filter(d => d >= 0 && d <= 6).sort();
+        when = { kind: 'times', times, days };
+    } else {
+        throw new Error('Choose when the backup runs');
+    }
+    const count = s.retention?.count ? parseInt(s.retention.count, 10) : null;
+    const maxAgeDays = s.retention?.maxAgeDays ? parseInt(s.retention.maxAgeDays, 10) : null;
+    if ((count !== null && !(count >= 1)) || (maxAgeDays !== null && !(maxAgeDays >= 1))) {
+        throw new Error('Keep at least one backup and one day');
+    }
+    if (s.destination && !path.isAbsolute(s.destination)) throw new Error('The destination must be an absolute folder');
+    return {
+        id: s.id || crypto.randomUUID(),
+        instanceId: s.instanceId || config.DEFAULT_INSTANCE_ID,
+        database: s.database.trim(),
+        enabled: s.enabled !== false,
+        when,
+        format: s.format || 'custom',
+        destination: s.destination || null,
+        retention: { count, maxAgeDays },
+        createdAt: s.createdAt || new Date().toISOString()
+    };
+}
+
+/**
+ * When a schedule runs next, counting from its last run (or its creation).
+ * @param {object} schedule - Normalized by validateSchedule
+ * @param {Date|null} lastRunAt
+ * @returns {Date}
+ */
+function nextRunAt(schedule, lastRunAt) {
+    const from = lastRunAt || new Date(schedule.createdAt);
+    if (schedule.when.kind === 'interval') {
+        return new Date(from.getTime() + schedule.when.everyMinutes * 60 * 1000);
+    }
+    const { times, days } = schedule.when;
+    // Local times on the allowed days; a week ahead always contains one
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+        if (days.length && !days.includes(day.getDay())) continue;
+        for (const time of times) {
+            const [h, m] = time.split(':').map(Number);
+            const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m);
+            if (at > from) return at;
+        }
+    }
+    throw new Error('Schedule has no upcoming time');
+}
+
+/**
+ * Default folder for an instance's scheduled dumps: <parent>/backups/<name>-dumps, next to its data directory.
+ * @param {{ id: string, dataDir?: string|null }} instance
+ */
+function defaultDestination(instance) {
+    const dataDir = services.getInstanceDataDir(instance);
+    return path.join(path.dirname(dataDir), 'backups', `${path.basename(dataDir)}-dumps`);
+}
+
+/**
+ * Runs due schedules and keeps their history in data/backup-history.json.
+ * Emits 'history' (entry) after every run.
+ */
+class BackupScheduler extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {function} options.getSettings - () => current settings (backupSchedules, instances, dbUser, dbPassword)
+     * @param {function} [options.onLog]
+     * @param {string} [options.historyFile]
+     */
+    constructor({ getSettings, onLog = () => {}, historyFile = path.join(config.PATHS.DATA, 'backup-history.json') }) {
+        super();
+        this.getSettings = getSettings;
+        this.onLog = onLog;
+        this.historyFile = historyFile;
+        this.entries = null;
+        this.timer = null;
+        this.active = new Set();
+        // History writes run one after another; runs started from the window can finish together
+        this.saving = Promise.resolve();
+    }
+
+    async loadHistory() {
+        if (!this.entries) {
+            this.entries = await fs.readJson(this.historyFile).catch(() => []);
+        }
+        return this.entries;
+    }
+
+    saveHistory() {
+        const write = async () => {
+            // Entries of files still on disk stay beyond the limit so they can be restored from the window
+            let others = 0;
+            this.entries = this.entries.filter(e => (e.status === 'success' && !e.pruned) || others++ < HISTORY_LIMIT);
+            const tmp = `${this.historyFile}.${process.pid}.tmp`;
+            await fs.outputJson(tmp, this.entries, { spaces: 2 });
+            await fs.move(tmp, this.historyFile, { overwrite: true });
+        };
+        const result = this.saving.then(write);
+        this.saving = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * History, newest first.
+     * @param {{ instanceId?: string, scheduleId?: string }} [filter]
+     */
+    async history({ instanceId, scheduleId } = {}) {
+        const entries = await this.loadHistory();
+        return entries.filter(e => (!instanceId || e.instanceId === instanceId) && (!scheduleId || e.scheduleId === scheduleId));
+    }
+
+    schedules() {
+        return this.getSettings().backupSchedules || [];
+    }
+
+    // Last attempt of a schedule, whatever its outcome; failed and skipped runs wait for the next slot
+    lastRun(scheduleId) {
+        const entry = (this.entries || []).find(e => e.scheduleId === scheduleId);
+        return entry ? new Date(entry.startedAt) : null;
+    }
+
+    /**
+     * Schedules with their next and last run, for the renderer.
+     */
+    async describe() {
+        await this.loadHistory();
+        return this.schedules().map((s) => ({
+            ...s,
+            nextRunAt: s.enabled ? nextRunAt(s, this.lastRun(s.id)).toISOString() : null,
+            lastEntry: this.entries.find(e => e.scheduleId === s.id) || null,
+            running: this.active.has(s.id)
+        }));
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.tick().catch(e => this.onLog(`[backup] Scheduler error: ${e.message}`)), TICK_MS);
+        this.tick().catch(() => {});
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async tick() {
+        await this.loadHistory();
+        const now = new Date();
+        for (const schedule of this.schedules()) {
+            if (!schedule.enabled || this.active.has(schedule.id)) continue;
+            // One broken schedule must not hold up the others
+            try {
+                if (nextRunAt(schedule, this.lastRun(schedule.id)) <= now) {
+                    await this.run(schedule.id);
+                }
+            } catch (e) {
+                this.onLog(`[backup] ${schedule.database}@${schedule.instanceId}: ${e.message}`);
+            }
+        }
+    }
+
+    /**
+     * Run one schedule now. A stopped instance is recorded as skipped.
+     * @param {string} scheduleId
+     * @returns {Promise<object>} The history entry
+     */
+    async run(scheduleId) {
+        const schedule = this.schedules().find(s => s.id === scheduleId);
+        if (!schedule) throw new Error(`No backup schedule ${scheduleId}`);
+        if (this.active.has(schedule.id)) throw new Error('This backup is already running');
+        await this.loadHistory();
+        const settings = this.getSettings();
+        const instance = (settings.instances || []).find(i => i.id === schedule.instanceId);
+        const started = new Date();
+        const entry = {
+            id: crypto.randomUUID(),
+            scheduleId: schedule.id,
+            instanceId: schedule.instanceId,
+            database: schedule.database,
+            format: schedule.format,
+            startedAt: started.toISOString(),
+            finishedAt: null,
+            durationMs: 0,
+            status: 'success',
+            error: null,
+            filePath: null,
+            sizeBytes: 0,
+            pruned: false
+        };
+
+        let dir = null;
+        this.active.add(schedule.id);
+        try {
+            if (!instance) throw new Error(`Instance ${schedule.instanceId} no longer exists`);
+            if (!processManager.isRunning(services.processIdFor(instance.id))) {
+                entry.status = 'skipped';
+                entry.error = `${instance.name} was not running`;
+            } else {
+                dir = schedule.destination || defaultDestination(instance);
+                await fs.ensureDir(dir);
+                entry.filePath = path.join(dir, backupFileName(schedule, started));
+                await backup.backupDatabase({
+                    port: instance.port,
+                    user: settings.dbUser,
+                    password: settings.dbPassword,
+                    database: schedule.database,
+                    filePath: entry.filePath,
+                    // Restoring from the history goes over the same database
+                    clean: true
+                });
+                entry.sizeBytes = (await fs.stat(entry.filePath)).size;
+            }
+        } catch (e) {
+            entry.status = 'failed';
+            entry.error = e.message || String(e);
+            if (entry.filePath) await fs.remove(entry.filePath).catch(() => {});
+            entry.filePath = null;
+        } finally {
+            this.active.delete(schedule.id);
+        }
+        entry.finishedAt = new Date().toISOString();
+        entry.durationMs = Date.now() - started.getTime();
+        // One skipped entry per stopped period rather than one per slot, so a stopped instance does not fill the history
+        const previous = this.entries.find(e => e.scheduleId === schedule.id);
+        if (entry.status === 'skipped' && previous?.status === 'skipped') {
+            entry.id = previous.id;
+            entry.skippedRuns = (previous.skippedRuns || 1) + 1;
+            entry.firstSkippedAt = previous.firstSkippedAt || previous.startedAt;
+            this.entries.splice(this.entries.indexOf(previous), 1);
+        }
+        this.entries.unshift(entry);
+        if (entry.status === 'success') await this.prune(schedule, dir);
+        await this.saveHistory();
+
+        const tag = `[backup] ${schedule.database}@${schedule.instanceId}`;
+        if (entry.status === 'success') this.onLog(`${tag}: saved ${entry.filePath} in ${Math.round(entry.durationMs / 1000)}s.`);
+        else this.onLog(`${tag}: ${entry.status}, ${entry.error}`);
+        this.emit('history', entry);
+        return entry;
+    }
+
+    /**
+     * Delete this schedule's files beyond the retention count or age. The folder is listed rather than the history,
+     * which is capped; entries of removed files are marked pruned. The newest backup is never removed.
+     * @param {object} schedule
+     * @param {string} dir - The schedule's destination
+     */
+    async prune(schedule, dir) {
+        const { count, maxAgeDays } = schedule.retention || {};
+        if (!count && !maxAgeDays) return;
+        const files = await listBackupFiles(dir, schedule);
+        const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+        for (const [index, file] of files.entries()) {
+            if (index === 0) continue;
+            const tooMany = count && index >= count;
+            const tooOld = cutoff && file.startedAt.getTime() < cutoff;
+            if (!tooMany && !tooOld) continue;
+            try {
+                await fs.remove(file.filePath);
+            } catch (e) {
+                this.onLog(`[backup] Could not remove ${file.filePath}: ${e.message}`);
+                continue;
+            }
+            for (const entry of this.entries) {
+                if (entry.filePath === file.filePath) entry.pruned = true;
+            }
+            this.onLog(`[backup] Removed ${file.filePath} (retention).`);
+        }
+    }
+}
+
+module.exports = {
+    FORMATS,
+    validateSchedule,
+    nextRunAt,
+    defaultDestination,
+    backupFileName,
+    listBackupFiles,
+    BackupScheduler
+};
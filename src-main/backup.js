@@ -0,0 +1,88 @@
+// pg_dump / pg_restore / psql wrappers shared by the app window and the CLI
+const path = require('path');
+const { execFile } = require('child_process');
+const execFileAsync = require('util').promisify(execFile);
+const config = require('./config');
+const services = require('./services');
+
+// Output format from the file extension: custom (.backup/.dump), tar (.tar), plain SQL otherwise
+const ARCHIVE_EXTENSIONS = ['.backup', '.dump', '.tar'];
+
+function formatFlagFor(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.tar') return '-Ft';
+    return ARCHIVE_EXTENSIONS.includes(ext) ? '-Fc' : '-Fp';
+}
+
+/**
+ * Environment for the bundled client tools: the password, PGSHARE/PGLIB and the lib path on Linux.
+ * @param {string} [password]
+ * @returns {object}
+ */
+function clientEnv(password) {
+    const postgresRoot = path.dirname(path.dirname(config.PATHS.POSTGRES_BIN));
+    const env = {
+        PGPASSWORD: password ?? 'postgres',
+        PGSHARE: path.join(postgresRoot, 'share'),
+        PGLIB: path.join(postgresRoot, 'lib'),
+        ...process.env
+    };
+    if (config.IS_LINUX) {
+        env.LD_LIBRARY_PATH = services.withLibraryPath(path.join(postgresRoot, 'lib'));
+    }
+    return env;
+}
+
+const connectionArgs = ({ port, user, database }) => [
+    '-h', '127.0.0.1',
+    '-p', String(port),
+    '-U', user || 'postgres',
+    '-d', database
+];
+
+// --clean --if-exists: drop each object before recreating it, so a backup can go back over its own database
+const CLEAN_ARGS = ['--clean', '--if-exists'];
+
+/**
+ * Dump one database; the format follows the file extension.
+ * clean makes a plain SQL dump drop its objects before recreating them (archives decide that at restore time).
+ * @param {{ port: number, user?: string, password?: string, database: string, filePath: string, clean?: boolean }} options
+ */
+async function backupDatabase({ port, user, password, database, filePath, clean = false }) {
+    const format = formatFlagFor(filePath);
+    await execFileAsync(services.getBinPath('pg_dump'), [
+        ...connectionArgs({ port, user, database }),
+        format,
+        ...(clean && format === '-Fp' ? CLEAN_ARGS : []),
+        '-f', filePath
+    ], { env: clientEnv(password) });
+}
+
+/**
+ * Restore a backup into an existing database: custom/tar archives go through pg_restore, plain SQL through psql.
+ * clean drops the archive's objects first; a plain SQL file is run as it is.
+ * @param {{ port: number, user?: string, password?: string, database: string, filePath: string, clean?: boolean }} options
+ */
+async function restoreDatabase({ port, user, password, database, filePath, clean = false }) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ARCHIVE_EXTENSIONS.includes(ext)) {
+        await execFileAsync(services.getBinPath('pg_restore'), [
+            ...connectionArgs({ port, user, database }),
+            '--no-owner',
+            '--no-acl',
+            ...(clean ? CLEAN_ARGS : []),
+            filePath
+        ], { env: clientEnv(password) });
+    } else {
+        await execFileAsync(services.getBinPath('psql'), [
+            ...connectionArgs({ port, user, database }),
+            '-f', filePath
+        ], { env: clientEnv(password) });
+    }
+}
+
+module.exports = {
+    clientEnv,
+    backupDatabase,
+    restoreDatabase
+};
@@ -0,0 +1,235 @@
+// Copy a stopped cluster to a new location: verified by checksums (moves) or cloned copy-on-write (snapshots)
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { pipeline } = require('stream/promises');
+const { Transform, Writable } = require('stream');
+
+// Runtime files of a running postmaster; the server is stopped before copying
+const SKIPPED_FILES = ['postmaster.pid', 'postmaster.pid.stale'];
+
+/**
+ * Every file, directory and symlink under root, relative to it.
+ * @param {string} root
+ * @returns {Promise<{ rel: string, type: 'file'|'dir'|'link', size: number }[]>}
+ */
+async function listTree(root) {
+    const entries = [];
+    async function walk(rel) {
+        for (const name of await fs.readdir(path.join(root, rel))) {
+            const childRel = rel ? path.join(rel, name) : name;
+            if (!rel && SKIPPED_FILES.includes(name)) continue;
+            const stat = await fs.lstat(path.join(root, childRel));
+            if (stat.isSymbolicLink()) {
+                // pg_tblspc entries point at tablespaces outside the data dir; the link is kept as is
+                entries.push({ rel: childRel, type: 'link', size: 0 });
+            } else if (stat.isDirectory()) {
+                entries.push({ rel: childRel, type: 'dir', size: 0 });
+                await walk(childRel);
+            } else {
+                entries.push({ rel: childRel, type: 'file', size: stat.size });
+            }
+        }
+    }
+    await walk('');
+    return entries;
+}
+
+function isInside(parent, child) {
+    const rel = path.relative(parent, child);
+    return !!rel && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/**
+ * Check that target can receive a copy of source: absolute, not nested with source, empty, writable, enough space.
+ * @param {string} source
+ * @param {string} target
+ * @returns {Promise<{ totalBytes: number, fileCount: number }>}
+ */
+async function validateTarget(source, target) {
+    if (!target || !path.isAbsolute(target)) throw new Error('Choose an absolute folder for the data directory');
+    const src = path.resolve(source);
+    const dst = path.resolve(target);
+    if (src === dst) throw new Error('The cluster is already in this folder');
+    if (isInside(src, dst) || isInside(dst, src)) throw new Error('The new folder cannot be inside the current data directory, or contain it');
+    if (!await fs.pathExists(path.join(src, 'PG_VERSION'))) throw new Error(`${src} does not contain a PostgreSQL cluster`);
+    if (await fs.pathExists(dst)) {
+        const existing = await fs.readdir(dst);
+        if (existing.length > 0) throw new Error(`${dst} is not empty`);
+    }
+    await fs.ensureDir(dst);
+    // fs.access is unreliable for write checks on Windows; try a real file
+    const probe = path.join(dst, `.write-test-${process.pid}`);
+    try {
+        await fs.writeFile(probe, '');
+        await fs.remove(probe);
+    } catch (e) {
+        throw new Error(`${dst} is not writable (${e.code || e.message})`);
+    }
+
+    const entries = await listTree(src);
+    const totalBytes = entries.reduce((sum, e) => sum + e.size, 0);
+    if (typeof fs.promises.statfs === 'function') {
+        const stats = await fs.promises.statfs(dst);
+        const free = stats.bavail * stats.bsize;
+        if (free < totalBytes) {
+            throw new Error(`Not enough space in ${dst}: ${formatBytes(totalBytes)} needed, ${formatBytes(free)} free`);
+        }
+    }
+    return { totalBytes, fileCount: entries.filter(e => e.type === 'file').length };
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// Stream a file through sha256, optionally writing it elsewhere; reports bytes as they pass
+async function hashFile(file, { copyTo = null, onBytes = () => {} } = {}) {
+    const hash = crypto.createHash('sha256');
+    const tap = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            onBytes(chunk.length);
+            callback(null, chunk);
+        }
+    });
+    const sink = copyTo
+        ? fs.createWriteStream(copyTo, { mode: 0o600 })
+        : new Writable({ write: (chunk, encoding, callback) => callback() });
+    await pipeline(fs.createReadStream(file), tap, sink);
+    return hash.digest('hex');
+}
+
+/**
+ * Copy source to target (validated by validateTarget), then re-read every copied file and compare checksums.
+ * @param {string} source
+ * @param {string} target
+ * @param {function} [onProgress] - ({ phase: 'copy'|'verify', doneBytes, totalBytes, file }) => void
+ * @returns {Promise<{ fileCount: number, totalBytes: number }>}
+ */
+async function copyCluster(source, target, onProgress = () => {}) {
+    const entries = await listTree(source);
+    const files = entries.filter(e => e.type === 'file');
+    const totalBytes = files.reduce((sum, e) => sum + e.size, 0);
+    const checksums = new Map();
+
+    // Throttle progress to a few events per second; the UI only needs the trend
+    let lastReport = 0;
+    const report = (phase, doneBytes, file, force = false) => {
+        const now = Date.now();
+        if (!force && now - lastReport < 200) return;
+        lastReport = now;
+        onProgress({ phase, doneBytes, totalBytes, file });
+    };
+
+    let done = 0;
+    for (const entry of entries) {
+        const from = path.join(source, entry.rel);
+        const to = path.join(target, entry.rel);
+        if (entry.type === 'dir') {
+            await fs.ensureDir(to);
+            if (process.platform !== 'win32') await fs.chmod(to, 0o700);
+        } else if (entry.type === 'link') {
+            await fs.symlink(await fs.readlink(from), to);
+        } else {
+            checksums.set(entry.rel, await hashFile(from, {
+                copyTo: to,
+                onBytes: (n) => {
+                    done += n;
+                    report('copy', done, entry.rel);
+                }
+            }));
+        }
+    }
+    report('copy', done, null, true);
+
+    done = 0;
+    for (const entry of files) {
+        const actual = await hashFile(path.join(target, entry.rel), {
+            onBytes: (n) => {
+                done += n;
+                report('verify', done, entry.rel);
+            }
+        });
+        if (actual !== checksums.get(entry.rel)) throw new Error(`Verification failed: ${entry.rel} differs from the original`);
+    }
+    report('verify', done, null, true);
+    if (process.platform !== 'win32') await fs.chmod(target, 0o700);
+    return { fileCount: files.length, totalBytes };
+}
+
+/**
+ * Copy source to target without checksums, cloning files copy-on-write where the file system supports it
+ * (APFS, Btrfs, XFS, ReFS) and copying them otherwise. Hardlinks are not an option: the server rewrites
+ * relation files in place, which would change every linked copy.
+ * @param {string} source - A stopped cluster
+ * @param {string} target - Empty or missing
+ * @param {function} [onProgress] - ({ phase: 'copy', doneBytes, totalBytes, file }) => void
+ * @returns {Promise<{ fileCount: number, totalBytes: number }>}
+ */
+async function cloneCluster(source, target, onProgress = () => {}) {
+    const entries = await listTree(source);
+    const files = entries.filter(e => e.type === 'file');
+    const totalBytes = files.reduce((sum, e) => sum + e.size, 0);
+    await fs.ensureDir(target);
+    let done = 0;
+    let lastReport = 0;
+    for (const entry of entries) {
+        const from = path.join(source, entry.rel);
+        const to = path.join(target, entry.rel);
+        if (entry.type === 'dir') {
+            await fs.ensureDir(to);
+            if (process.platform !== 'win32') await fs.chmod(to, 0o700);
+        } else if (entry.type === 'link') {
+            await fs.symlink(await fs.readlink(from), to);
+        } else {
+            await fs.promises.copyFile(from, to, fs.constants.COPYFILE_FICLONE);
+            done += entry.size;
+            if (Date.now() - lastReport >= 200) {
+                lastReport = Date.now();
+                onProgress({ phase: 'copy', doneBytes: done, totalBytes, file: entry.rel });
+            }
+        }
+    }
+    onProgress({ phase: 'copy', doneBytes: done, totalBytes, file: null });
+    if (process.platform !== 'win32') await fs.chmod(target, 0o700);
+    return { fileCount: files.length, totalBytes };
+}
+
+/**
+ * Put replacement where dataDir is, moving the current cluster aside to asideTo first. If the second move
+ * fails the current cluster is moved back, so dataDir is never left missing.
+ * @param {string} dataDir - A stopped cluster
+ * @param {string} replacement - The cluster to take its place
+ * @param {string} asideTo - Missing; where the current cluster is kept
+ */
+async function swapDataDir(dataDir, replacement, asideTo) {
+    await fs.move(dataDir, asideTo);
+    try {
+        await fs.move(replacement, dataDir);
+    } catch (e) {
+        try {
+            // A move across devices copies; a partial copy goes before the cluster returns
+            await fs.remove(dataDir);
+            await fs.move(asideTo, dataDir);
+        } catch (_) {
+            throw new Error(`${e.message}. The current cluster could not be moved back and is in ${asideTo}`);
+        }
+        throw e;
+    }
+}
+
+module.exports = {
+    validateTarget,
+    copyCluster,
+    cloneCluster,
+    swapDataDir,
+    formatBytes
+};
@@ -6,6 +6,10 @@ const os = require('os');
 const isPackaged = __dirname.includes('app.asar');
 
 const IS_WIN = process.platform === 'win32';
+const IS_LINUX = process.platform === 'linux';
+
+// Folder name under bin/ for the current OS (matches setup-resources.js targets)
+const PLATFORM = IS_WIN ? 'win' : IS_LINUX ? 'linux' : 'mac';
 
 // In dev: __dirname is src-main/, so .. is root.
 // In prod (ASAR): __dirname is resources/app.asar/src-main, so .. is app.asar, ../.. is resources.
@@ -13,7 +17,7 @@ const ROOT_DIR = isPackaged
     ? path.join(__dirname, '..', '..') 
     : path.join(__dirname, '..');
 
-const BIN_DIR = path.join(ROOT_DIR, 'bin', IS_WIN ? 'win' : 'mac');
+const BIN_DIR = path.join(ROOT_DIR, 'bin', PLATFORM);
 
 // Fix for Windows ASAR path issue:
 // If we are in ASAR on Windows, path.join might produce mixed slashes or issues if ROOT_DIR has weird casing.
@@ -21,9 +25,15 @@ const BIN_DIR = path.join(ROOT_DIR, 'bin', IS_WIN ? 'win' : 'mac');
 
 const DATA_DIR = path.join(ROOT_DIR, 'data');
 
+// The cluster that always exists; older single-instance installs map onto it
+const DEFAULT_INSTANCE_ID = 'default';
+
 module.exports = {
     IS_WIN,
+    IS_LINUX,
+    PLATFORM,
     isPackaged,
+    DEFAULT_INSTANCE_ID,
     PATHS: {
         ROOT: ROOT_DIR,
         BIN: BIN_DIR,
@@ -0,0 +1,18 @@
+// Connection parameters for a local instance, as shown by the CLI and copied from the tray
+
+/**
+ * @param {{ dbUser?: string, dbPassword?: string, authMode?: string }} settings
+ * @param {number} port
+ * @param {string} [database]
+ * @returns {{ host: string, port: number, user: string, password: string|null, database: string, uri: string }}
+ *   password is null under trust authentication (none is needed)
+ */
+function connectionInfo(settings, port, database = 'postgres') {
+    const user = settings?.dbUser || 'postgres';
+    const trust = settings?.authMode === 'trust';
+    const password = trust ? null : settings?.dbPassword ?? '';
+    const userinfo = trust ? encodeURIComponent(user) : `${encodeURIComponent(user)}:${encodeURIComponent(password)}`;
+    return { host: '127.0.0.1', port, user, password, database, uri: `postgresql://${userinfo}@127.0.0.1:${port}/${database}` };
+}
+
+module.exports = { connectionInfo };
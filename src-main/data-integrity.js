@@ -0,0 +1,169 @@
+// Data directory integrity checks and quarantine (a suspect cluster is moved aside, never deleted)
+const path = require('path');
+const fs = require('fs-extra');
+
+// pg_control is always PG_CONTROL_FILE_SIZE bytes
+const PG_CONTROL_SIZE = 8192;
+
+// Directories a cluster can run without content in; missing ones are recreated (a copy may skip empty dirs)
+const REPAIRABLE_DIRS = [
+    'pg_commit_ts',
+    'pg_dynshmem',
+    'pg_logical',
+    'pg_logical/mappings',
+    'pg_logical/snapshots',
+    'pg_multixact',
+    'pg_multixact/members',
+    'pg_multixact/offsets',
+    'pg_notify',
+    'pg_replslot',
+    'pg_serial',
+    'pg_snapshots',
+    'pg_stat',
+    'pg_stat_tmp',
+    'pg_subtrans',
+    'pg_tblspc',
+    'pg_twophase',
+    'pg_wal/archive_status',
+    'pg_xact'
+];
+
+// Files left by the app itself that do not make a directory "non-empty"
+const IGNORED_ENTRIES = ['postmaster.pid.stale', '.DS_Store'];
+
+class DataDirError extends Error {
+    constructor(message, report) {
+        super(message);
+        this.name = 'DataDirError';
+        this.report = report;
+    }
+}
+
+async function statOrNull(p) {
+    try {
+        return await fs.stat(p);
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Inspect a data directory without changing it.
+ * state is 'empty' (initdb can run), 'ok', or 'suspect' (critical files missing; must not be overwritten).
+ * @param {string} dataDir
+ * @returns {Promise<{ dataDir: string, state: string, version: string|null, checks: { id: string, label: string, ok: boolean, detail: string }[], missingDirs: string[], checkedAt: string }>}
+ */
+async function checkDataDir(dataDir) {
+    const report = { dataDir, state: 'empty', version: null, checks: [], missingDirs: [], checkedAt: new Date().toISOString() };
+    const entries = (await fs.pathExists(dataDir) ? await fs.readdir(dataDir) : [])
+        .filter(name => !IGNORED_ENTRIES.includes(name));
+    if (entries.length === 0) return report;
+
+    const add = (id, label, ok, detail) => report.checks.push({ id, label, ok, detail });
+
+    const versionPath = path.join(dataDir, 'PG_VERSION');
+    if (await fs.pathExists(versionPath)) {
+        report.version = (await fs.readFile(versionPath, 'utf8')).trim();
+        add('pg_version', 'PG_VERSION', true, `Major version ${report.version}`);
+    } else {
+        add('pg_version', 'PG_VERSION', false, 'Missing: this is not (or no longer) a complete PostgreSQL data directory');
+    }
+
+    const conf = await statOrNull(path.join(dataDir, 'postgresql.conf'));
+    add('postgresql_conf', 'postgresql.conf', !!conf, conf ? 'Present' : 'Missing');
+
+    const control = await statOrNull(path.join(dataDir, 'global', 'pg_control'));
+    add('pg_control', 'global/pg_control', !!control && control.size === PG_CONTROL_SIZE,
+        !control ? 'Missing' : control.size === PG_CONTROL_SIZE ? 'Present' : `Unexpected size ${control.size} bytes (expected ${PG_CONTROL_SIZE})`);
+
+    // template0, template1 and postgres each have a directory under base/
+    const baseDir = path.join(dataDir, 'base');
+    const dbs = await fs.pathExists(baseDir) ? await fs.readdir(baseDir) : null;
+    add('base', 'base/', !!dbs && dbs.length >= 2,
+        dbs === null ? 'Missing' : `${dbs.length} database director${dbs.length === 1 ? 'y' : 'ies'}`);
+
+    const wal = await statOrNull(path.join(dataDir, 'pg_wal'));
+    add('pg_wal', 'pg_wal/', !!wal, wal ? 'Present' : 'Missing');
+
+    for (const dir of REPAIRABLE_DIRS) {
+        if (!await fs.pathExists(path.join(dataDir, dir))) report.missingDirs.push(dir);
+    }
+
+    report.state = report.checks.every(c => c.ok) ? 'ok' : 'suspect';
+    return report;
+}
+
+/**
+ * Recreate the empty directories from REPAIRABLE_DIRS that a copy or sync dropped.
+ * @param {string} dataDir
+ * @param {string[]} dirs - report.missingDirs
+ */
+async function repairMissingDirs(dataDir, dirs) {
+    for (const dir of dirs) {
+        const fullPath = path.join(dataDir, dir);
+        await fs.ensureDir(fullPath);
+        if (process.platform !== 'win32') await fs.chmod(fullPath, 0o700);
+    }
+}
+
+// <parent>/quarantine/<name>-<timestamp>: next to the data dir, so the move is a rename on the same volume
+function quarantineRoot(dataDir) {
+    return path.join(path.dirname(dataDir), 'quarantine');
+}
+
+/**
+ * Move a data directory into quarantine and leave an empty directory in its place.
+ * The integrity report is saved alongside as integrity-report.json.
+ * @param {string} dataDir
+ * @param {object} report - From checkDataDir
+ * @returns {Promise<string>} Quarantine path
+ */
+async function quarantineDataDir(dataDir, report) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const target = path.join(quarantineRoot(dataDir), `${path.basename(dataDir)}-${stamp}`);
+    await fs.move(dataDir, target);
+    await fs.writeJson(`${target}.integrity-report.json`, report, { spaces: 2 });
+    await fs.ensureDir(dataDir);
+    return target;
+}
+
+/**
+ * Quarantined copies of a data directory, newest first.
+ * @param {string} dataDir
+ * @returns {Promise<{ path: string, name: string, report: object|null }[]>}
+ */
+async function listQuarantined(dataDir) {
+    const root = quarantineRoot(dataDir);
+    if (!await fs.pathExists(root)) return [];
+    const prefix = `${path.basename(dataDir)}-`;
+    const names = (await fs.readdir(root)).filter(n => n.startsWith(prefix) && !n.endsWith('.json')).sort().reverse();
+    return Promise.all(names.map(async (name) => {
+        const p = path.join(root, name);
+        const report = await fs.readJson(`${p}.integrity-report.json`).catch(() => null);
+        return { path: p, name, report };
+    }));
+}
+
+/**
+ * Move a quarantined copy back in place. The data directory must be empty.
+ * @param {string} dataDir
+ * @param {string} quarantinePath - From quarantineDataDir / listQuarantined
+ */
+async function restoreQuarantined(dataDir, quarantinePath) {
+    if (path.dirname(quarantinePath) !== quarantineRoot(dataDir)) throw new Error('Not a quarantined copy of this data directory');
+    const current = (await checkDataDir(dataDir)).state;
+    if (current !== 'empty') throw new Error(`${dataDir} is not empty; move its contents away first`);
+    await fs.remove(dataDir);
+    await fs.move(quarantinePath, dataDir);
+    await fs.remove(`${quarantinePath}.integrity-report.json`);
+}
+
+module.exports = {
+    DataDirError,
+    REPAIRABLE_DIRS,
+    checkDataDir,
+    repairMissingDirs,
+    quarantineDataDir,
+    listQuarantined,
+    restoreQuarantined
+};
@@ -0,0 +1,115 @@
+// Long-lived pg connection pools for the main process, one per server and database
+const { Pool, Client } = require('pg');
+
+// Enough for the explorer's parallel lookups (e.g. one column query per table of an ER diagram)
+const POOL_MAX = 8;
+// Idle connections are closed after this; they also keep DROP DATABASE from succeeding
+const IDLE_TIMEOUT_MS = 30 * 1000;
+// A request waiting this long for a free connection fails instead of hanging
+const CONNECT_TIMEOUT_MS = 15 * 1000;
+
+const keyOf = (cfg) => `${cfg.host}:${cfg.port}/${cfg.database}`;
+
+/**
+ * Pools keyed by host, port and database. A pool whose user or password no longer matches the
+ * requested config is closed and replaced, so credentials changes never reuse old sessions.
+ */
+class DbPools {
+    constructor({ max = POOL_MAX, idleTimeoutMillis = IDLE_TIMEOUT_MS, connectionTimeoutMillis = CONNECT_TIMEOUT_MS } = {}) {
+        this.options = { max, idleTimeoutMillis, connectionTimeoutMillis };
+        this.pools = new Map();
+    }
+
+    pool(cfg) {
+        const key = keyOf(cfg);
+        const existing = this.pools.get(key);
+        if (existing && existing.cfg.user === cfg.user && existing.cfg.password === cfg.password) return existing.pool;
+        if (existing) this.end(key);
+        const pool = new Pool({ ...cfg, ...this.options });
+        // Idle clients error when their server stops; the pool drops them, nothing else to do
+        pool.on('error', () => {});
+        this.pools.set(key, { cfg, pool });
+        return pool;
+    }
+
+    /**
+     * Check out a client; give it back with client.release(), or client.release(true) to close it.
+     * @param {{ host: string, port: number, user: string, password: string, database: string }} cfg
+     * @returns {Promise<import('pg').PoolClient>}
+     */
+    connect(cfg) {
+        return this.pool(cfg).connect();
+    }
+
+    end(key) {
+        const entry = this.pools.get(key);
+        if (!entry) return Promise.resolve();
+        this.pools.delete(key);
+        // Waits for checked-out clients to be released
+        return entry.pool.end().catch(() => {});
+    }
+
+    /**
+     * Close the pools matching a filter (all without one).
+     * @param {{ port?: number, database?: string, except?: string }} [filter] - except: keep this database's pool
+     */
+    async close({ port, database, except } = {}) {
+        const keys = [...this.pools.entries()]
+            .filter(([, { cfg }]) => (port === undefined || cfg.port === port)
+                && (database === undefined || cfg.database === database)
+                && (except === undefined || cfg.database !== except))
+            .map(([key]) => key);
+        await Promise.all(keys.map(key => this.end(key)));
+    }
+}
+
+/**
+ * Return a pooled client to a clean session after arbitrary SQL: an open or failed transaction is
+ * rolled back and SET, prepared statements, temp tables, LISTEN and the like are discarded.
+ * @param {import('pg').PoolClient} client
+ * @returns {Promise<boolean>} false when the session could not be reset (close the client instead)
+ */
+async function resetSession(client) {
+    try {
+        await client.query('DISCARD ALL');
+        return true;
+    } catch (_) {
+        // DISCARD ALL cannot run inside a transaction block
+        try {
+            await client.query('ROLLBACK');
+            await client.query('DISCARD ALL');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+}
+
+/**
+ * A connection of its own, outside the pools, for work that must not share a backend (the query editor:
+ * its backend PID is signalled to cancel a run). Like a pooled client it is given back with release(),
+ * which always closes it.
+ * @param {{ host: string, port: number, user: string, password: string, database: string }} cfg
+ * @returns {Promise<import('pg').Client & { release: function }>}
+ */
+async function connectDedicated(cfg) {
+    const client = new Client({ ...cfg, connectionTimeoutMillis: CONNECT_TIMEOUT_MS });
+    // Errors after connecting (the server stopping) surface on the next query
+    client.on('error', () => {});
+    try {
+        await client.connect();
+    } catch (e) {
+        client.end().catch(() => {});
+        throw e;
+    }
+    client.release = () => client.end().catch(() => {});
+    return client;
+}
+
+module.exports = {
+    DbPools,
+    resetSession,
+    connectDedicated,
+    // Shared pools of the main process
+    dbPools: new DbPools()
+};
@@ -0,0 +1,265 @@
+// Environment diagnostics ("doctor"): structured checks with a fix hint each, and a zip bundle for bug reports
+const path = require('path');
+const os = require('os');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const execFileAsync = require('util').promisify(execFile);
+const config = require('./config');
+const services = require('./services');
+const pgVersion = require('./pg-version');
+const { isPortFree, findPortOwner } = require('./port-inspector');
+const { AUTH_MODES } = require('./auth');
+
+const { PATHS } = config;
+
+// Binaries the app runs; postgres/pg_ctl/initdb are required, the rest break single features
+const REQUIRED_BINARIES = ['postgres', 'pg_ctl', 'initdb'];
+const TOOL_BINARIES = ['psql', 'pg_dump', 'pg_dumpall', 'pg_restore', 'createdb', 'pg_resetwal', 'pg_upgrade'];
+
+// Settings values that must never leave the machine
+const REDACTED_KEYS = ['dbPassword'];
+
+const pass = (detail) => ({ status: 'pass', detail, hint: '' });
+const warn = (detail, hint) => ({ status: 'warn', detail, hint });
+const fail = (detail, hint) => ({ status: 'fail', detail, hint });
+
+const postgresRoot = () => path.dirname(path.dirname(PATHS.POSTGRES_BIN));
+const setupHint = `Run "node scripts/setup-resources.js" (or reinstall the app) to restore ${PATHS.BIN}.`;
+
+async function isExecutable(file) {
+    try {
+        await fs.access(file, config.IS_WIN ? fs.constants.F_OK : fs.constants.X_OK);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+async function checkBinaries() {
+    const missing = [];
+    const notExecutable = [];
+    for (const name of [...REQUIRED_BINARIES, ...TOOL_BINARIES]) {
+        const file = services.getBinPath(name);
+        if (!await fs.pathExists(file)) missing.push(name);
+        else if (!await isExecutable(file)) notExecutable.push(name);
+    }
+    const requiredMissing = missing.filter(n => REQUIRED_BINARIES.includes(n));
+    if (requiredMissing.length) return fail(`Missing: ${requiredMissing.join(', ')}`, setupHint);
+    if (notExecutable.length) {
+        return fail(`Not executable: ${notExecutable.join(', ')}`,
+            `chmod +x the files in ${path.dirname(PATHS.POSTGRES_BIN)}; on macOS also run "xattr -cr" on the app (see README).`);
+    }
+    if (missing.length) return warn(`Missing tools: ${missing.join(', ')}`, `Backup, restore or upgrade features that use them will fail. ${setupHint}`);
+    return pass(`All ${REQUIRED_BINARIES.length + TOOL_BINARIES.length} binaries found in ${path.dirname(PATHS.POSTGRES_BIN)}`);
+}
+
+// Running the binaries proves their shared libraries resolve
+async function checkLibraries() {
+    const server = await pgVersion.getBundledVersion();
+    if (!server) {
+        return fail('postgres -V could not be run',
+            config.IS_LINUX
+                ? `Check that ${path.join(postgresRoot(), 'lib')} contains the bundled libraries (libpq, libssl, GEOS, PROJ...).`
+                : 'A library the server links against is missing or blocked; check the app log for the loader error.');
+    }
+    try {
+        const { stdout } = await execFileAsync(services.getBinPath('psql'), ['--version'], { env: services.getLibEnv(), timeout: 10000 });
+        return pass(`postgres ${server.full}, ${stdout.trim()}`);
+    } catch (e) {
+        return warn(`postgres ${server.full} runs, psql does not (${e.message.split('\n')[0]})`, 'libpq may be missing from the bundled lib directory.');
+    }
+}
+
+// Mirrors services.buildPostgresEnv: extensions live in share/postgresql/extension or share/extension
+async function findExtensionDir() {
+    for (const dir of [path.join(postgresRoot(), 'share', 'postgresql', 'extension'), path.join(postgresRoot(), 'share', 'extension')]) {
+        if (await fs.pathExists(dir) && (await fs.readdir(dir)).some(f => f.endsWith('.control'))) return dir;
+    }
+    return null;
+}
+
+async function checkShareLayout() {
+    const extDir = await findExtensionDir();
+    if (!extDir) {
+        return fail(`No extension control files under ${path.join(postgresRoot(), 'share')}`,
+            'The share/ directory is incomplete: CREATE EXTENSION will fail. Re-run the setup script.');
+    }
+    const controls = (await fs.readdir(extDir)).filter(f => f.endsWith('.control'));
+    const sample = ['postgresql.conf.sample', 'pg_hba.conf.sample'];
+    const shareRoot = path.dirname(extDir);
+    const missing = [];
+    for (const f of sample) if (!await fs.pathExists(path.join(shareRoot, f))) missing.push(f);
+    if (missing.length) return fail(`${shareRoot} lacks ${missing.join(', ')}`, 'initdb needs these templates. Re-run the setup script.');
+    return pass(`${controls.length} extensions in ${extDir}`);
+}
+
+// Control file plus the shared library it loads ($libdir/<module>)
+async function checkExtension(name, label) {
+    const extDir = await findExtensionDir();
+    if (!extDir || !await fs.pathExists(path.join(extDir, `${name}.control`))) {
+        return fail(`${name}.control not found`, `${label} is not part of the bundled binaries. Use a PostgreSQL build that includes it.`);
+    }
+    const control = await fs.readFile(path.join(extDir, `${name}.control`), 'utf8');
+    const version = control.match(/default_version\s*=\s*'([^']+)'/)?.[1] ?? 'unknown';
+    const moduleName = control.match(/module_pathname\s*=\s*'\$libdir\/([^']+)'/)?.[1];
+    if (moduleName) {
+        const libDir = path.join(postgresRoot(), 'lib');
+        const candidates = [libDir, path.join(libDir, 'postgresql')];
+        const libs = [];
+        for (const dir of candidates) {
+            if (await fs.pathExists(dir)) libs.push(...(await fs.readdir(dir)).filter(f => f.startsWith(`${moduleName}.`)));
+        }
+        if (libs.length === 0) {
+            return warn(`${label} ${version}: control file present but ${moduleName} library not found`,
+                `CREATE EXTENSION ${name} will fail to load $libdir/${moduleName}. Re-run the setup script.`);
+        }
+    }
+    return pass(`${label} ${version} available`);
+}
+
+async function checkPorts(instances, isRunning) {
+    const problems = [];
+    const details = [];
+    for (const instance of instances) {
+        if (isRunning(instance)) {
+            details.push(`${instance.name}: ${instance.port} (running)`);
+        } else if (await isPortFree(instance.port)) {
+            details.push(`${instance.name}: ${instance.port} free`);
+        } else {
+            const owner = await findPortOwner(instance.port);
+            problems.push(`${instance.name}: port ${instance.port} is used by ${owner ? `${owner.name || 'a process'} (PID ${owner.pid})` : 'another process'}`);
+        }
+    }
+    if (problems.length) return fail(problems.join('; '), 'Stop the other program or give the instance another port on the Dashboard.');
+    return pass(details.join('; '));
+}
+
+async function checkDataDirs(instances) {
+    const problems = [];
+    const details = [];
+    for (const instance of instances) {
+        const dataDir = services.getInstanceDataDir(instance);
+        if (!await fs.pathExists(dataDir)) {
+            details.push(`${instance.name}: not created yet (first start)`);
+            continue;
+        }
+        try {
+            await fs.access(dataDir, fs.constants.R_OK | fs.constants.W_OK);
+        } catch (_) {
+            problems.push(`${instance.name}: ${dataDir} is not readable and writable by this user`);
+            continue;
+        }
+        if (!config.IS_WIN) {
+            const mode = (await fs.stat(dataDir)).mode & 0o777;
+            // The server refuses to start unless the directory is 0700 (or 0750 with group access)
+            if (mode !== 0o700 && mode !== 0o750) {
+                problems.push(`${instance.name}: ${dataDir} has mode ${mode.toString(8)}; PostgreSQL requires 700 or 750`);
+                continue;
+            }
+        }
+        details.push(`${instance.name}: ${dataDir}`);
+    }
+    if (problems.length) return fail(problems.join('; '), 'Fix ownership/permissions (chmod 700) or move the data directory to a local, writable folder.');
+    return pass(details.join('; '));
+}
+
+async function checkVersions(instances) {
+    const mismatches = [];
+    const details = [];
+    for (const instance of instances) {
+        const v = await pgVersion.compareWithBundled(services.getInstanceDataDir(instance));
+        if (v.mismatch) mismatches.push(`${instance.name}: cluster ${v.clusterVersion}, server ${v.bundledVersion}`);
+        else if (v.clusterVersion) details.push(`${instance.name}: ${v.clusterVersion}`);
+    }
+    if (mismatches.length) return fail(mismatches.join('; '), 'Start the instance from the Dashboard and use the upgrade it offers.');
+    return pass(details.length ? details.join('; ') : 'No initialized clusters yet');
+}
+
+function checkSettings(settings, instances) {
+    const problems = [];
+    const ports = new Map();
+    for (const instance of instances) {
+        if (!Number.isInteger(instance.port) || instance.port < 1 || instance.port > 65535) problems.push(`${instance.name}: invalid port ${instance.port}`);
+        if (ports.has(instance.port)) problems.push(`${instance.name} and ${ports.get(instance.port)} share port ${instance.port}`);
+        ports.set(instance.port, instance.name);
+        if (instance.dataDir && !path.isAbsolute(instance.dataDir)) problems.push(`${instance.name}: data directory ${instance.dataDir} is not absolute`);
+    }
+    if (!AUTH_MODES.includes(settings?.authMode)) problems.push(`Unknown auth mode ${settings?.authMode}`);
+    if (settings?.authMode === 'scram-sha-256' && !settings?.dbPassword) problems.push('scram-sha-256 is on but no password is set');
+    for (const [mode, ms] of Object.entries(settings?.shutdownTimeouts || {})) {
+        if (!(Number(ms) > 0)) problems.push(`Shutdown timeout for ${mode} must be positive`);
+    }
+    if (settings?.supervisor && !(Number(settings.supervisor.maxRestarts) >= 1)) problems.push('Max restarts per minute must be at least 1');
+    if (problems.length) return fail(problems.join('; '), 'Correct these on the Settings page or the Dashboard.');
+    return pass('Settings are consistent');
+}
+
+/**
+ * Run every check. Individual checks never throw; an unexpected error becomes a fail result.
+ * @param {{ settings: object, instances: object[], isRunning: function }} context - isRunning(instance) => boolean
+ * @returns {Promise<{ ranAt: string, checks: { id: string, label: string, status: 'pass'|'warn'|'fail', detail: string, hint: string }[] }>}
+ */
+async function runChecks({ settings, instances, isRunning }) {
+    const checks = [
+        ['binaries', 'Binaries present and executable', () => checkBinaries()],
+        ['libraries', 'Library loading', () => checkLibraries()],
+        ['share', 'share/ and extension layout', () => checkShareLayout()],
+        ['ports', 'Port availability', () => checkPorts(instances, isRunning)],
+        ['data-dirs', 'Data directory permissions', () => checkDataDirs(instances)],
+        ['pg-version', 'PG_VERSION matches the server', () => checkVersions(instances)],
+        ['postgis', 'PostGIS', () => checkExtension('postgis', 'PostGIS')],
+        ['pgrouting', 'pgRouting', () => checkExtension('pgrouting', 'pgRouting')],
+        ['settings', 'Settings', async () => checkSettings(settings, instances)]
+    ];
+    const results = [];
+    for (const [id, label, fn] of checks) {
+        let result;
+        try {
+            result = await fn();
+        } catch (e) {
+            result = fail(`Check failed to run: ${e.message}`, 'Include the diagnostics bundle when reporting this.');
+        }
+        results.push({ id, label, ...result });
+    }
+    return { ranAt: new Date().toISOString(), checks: results };
+}
+
+/**
+ * Settings with secrets replaced.
+ * @param {object} settings
+ * @returns {object}
+ */
+function redactSettings(settings) {
+    const copy = JSON.parse(JSON.stringify(settings || {}));
+    for (const key of REDACTED_KEYS) if (copy[key] !== undefined) copy[key] = '[redacted]';
+    return copy;
+}
+
+/**
+ * Write a zip with the report, redacted settings, versions and the rotated log files.
+ * @param {string} filePath - Destination .zip
+ * @param {{ report: object, settings: object, versions: object, logFiles: string[] }} contents
+ */
+async function exportBundle(filePath, { report, settings, versions, logFiles }) {
+    // adm-zip is loaded lazily: only the export needs it
+    const AdmZip = require('adm-zip');
+    const zip = new AdmZip();
+    zip.addFile('diagnostics.json', Buffer.from(JSON.stringify(report, null, 2)));
+    zip.addFile('settings.json', Buffer.from(JSON.stringify(redactSettings(settings), null, 2)));
+    zip.addFile('versions.json', Buffer.from(JSON.stringify({
+        ...versions,
+        platform: `${process.platform} ${os.release()} (${process.arch})`,
+        node: process.versions.node,
+        electron: process.versions.electron ?? null
+    }, null, 2)));
+    for (const file of logFiles) {
+        if (await fs.pathExists(file)) zip.addLocalFile(file, 'logs');
+    }
+    await new Promise((resolve, reject) => zip.writeZip(filePath, (err) => (err ? reject(err) : resolve())));
+}
+
+module.exports = {
+    runChecks,
+    redactSettings,
+    exportBundle
+};
@@ -0,0 +1,221 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { PATHS } = require('./config');
+
+const LOG_DIR = path.join(PATHS.DATA, 'logs');
+const LOG_FILE = 'portable-postgis.log';
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+// PostgreSQL severities, least to most severe. App lines are mapped onto the same scale.
+const LEVELS = ['DEBUG', 'LOG', 'INFO', 'NOTICE', 'WARNING', 'ERROR', 'FATAL', 'PANIC'];
+const LEVEL_RANK = Object.fromEntries(LEVELS.map((level, i) => [level, i]));
+
+// Continuation lines PostgreSQL prints after a message; they inherit the level of the line they belong to
+const CONTINUATIONS = ['DETAIL', 'HINT', 'STATEMENT', 'CONTEXT', 'QUERY', 'LOCATION'];
+
+// "[postgres] ...", "[postgres:test] ...", "[initdb] ..." (prefixes added by ProcessManager and services)
+const PREFIX_RE = /^\[([a-z][\w-]*)(?::([\w-]+))?\]\s?([\s\S]*)$/i;
+// Default log_line_prefix '%m [%p] ': "2024-05-01 10:00:00.123 UTC [1234] LOG:  message"
+const PG_LINE_RE = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}(?:\.\d+)?)(?: ([A-Z]{2,5}|[+-]\d{2}(?::?\d{2})?))? \[(\d+)\] ([A-Z0-9]+):\s+(.*)$/;
+// Severity without a prefix (initdb, pg_ctl, or a custom log_line_prefix)
+const BARE_LEVEL_RE = /^(?:.*?\s)?(DEBUG\d?|LOG|INFO|NOTICE|WARNING|ERROR|FATAL|PANIC|DETAIL|HINT|STATEMENT|CONTEXT|QUERY|LOCATION):\s+/;
+
+function normalizeLevel(raw) {
+    if (/^DEBUG/.test(raw)) return 'DEBUG';
+    return LEVEL_RANK[raw] !== undefined ? raw : null;
+}
+
+function parsePgTimestamp(date, time, zone) {
+    const utc = !zone || zone === 'UTC' || zone === 'GMT';
+    const offset = /^[+-]/.test(zone || '') ? zone.replace(/^([+-]\d{2})(\d{2})?$/, (m, h, mm) => `${h}:${mm || '00'}`) : '';
+    // Named zones other than UTC cannot be resolved reliably; they are read as local time
+    const parsed = new Date(`${date}T${time}${offset || (utc ? 'Z' : '')}`);
+    return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// App messages have no severity of their own; infer one from the wording
+function inferAppLevel(text) {
+    if (/❌|\b(error|failed|fatal)\b/i.test(text)) return 'ERROR';
+    if (/⚠️|\bwarning\b/i.test(text)) return 'WARNING';
+    return 'INFO';
+}
+
+/**
+ * Split a log message into structured entries, one per line.
+ * @param {string} msg - e.g. "[postgres:test] 2024-05-01 10:00:00.123 UTC [42] LOG:  database system is ready"
+ * @param {Date} [now] - Timestamp for lines that do not carry their own
+ * @returns {Array<{ ts: string, source: string, instance: string|null, level: string, pid: number|null, message: string }>}
+ */
+function parseLogMessage(msg, now = new Date()) {
+    const text = String(msg ?? '');
+    const prefix = text.match(PREFIX_RE);
+    const source = prefix ? prefix[1].toLowerCase() : 'app';
+    const instance = prefix ? prefix[2] || null : null;
+    const body = prefix ? prefix[3] : text;
+
+    const entries = [];
+    for (const line of body.split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        const previous = entries[entries.length - 1];
+        const pg = line.match(PG_LINE_RE);
+        if (pg) {
+            const [, date, time, zone, pid, rawLevel, message] = pg;
+            const continuation = CONTINUATIONS.includes(rawLevel);
+            entries.push({
+                ts: (parsePgTimestamp(date, time, zone) || now).toISOString(),
+                source,
+                instance,
+                level: continuation && previous ? previous.level : normalizeLevel(rawLevel) || 'LOG',
+                pid: Number(pid),
+                message: continuation ? `${rawLevel}: ${message}` : message
+            });
+            continue;
+        }
+        const bare = line.match(BARE_LEVEL_RE);
+        let level;
+        if (bare && CONTINUATIONS.includes(bare[1])) level = previous ? previous.level : 'LOG';
+        else if (bare) level = normalizeLevel(bare[1]) || 'LOG';
+        else level = inferAppLevel(line);
+        entries.push({ ts: now.toISOString(), source, instance, level, pid: null, message: line.trim() });
+    }
+    return entries;
+}
+
+/**
+ * Whether an entry passes a filter.
+ * @param {object} entry
+ * @param {{ sources?: string[], instance?: string, minLevel?: string, search?: string, from?: string|number, to?: string|number }} filter
+ */
+function matchesFilter(entry, { sources, instance, minLevel, search, from, to } = {}) {
+    if (sources?.length && !sources.includes(entry.source)) return false;
+    if (instance && (entry.instance || 'default') !== instance) return false;
+    if (minLevel && (LEVEL_RANK[entry.level] ?? 0) < (LEVEL_RANK[minLevel] ?? 0)) return false;
+    const ts = Date.parse(entry.ts);
+    if (from && ts < new Date(from).getTime()) return false;
+    if (to && ts > new Date(to).getTime()) return false;
+    if (search && !entry.message.toLowerCase().includes(String(search).toLowerCase())) return false;
+    return true;
+}
+
+function formatEntry(entry) {
+    const tag = entry.instance ? `${entry.source}:${entry.instance}` : entry.source;
+    return `${entry.ts} [${tag}] ${entry.level}: ${entry.message}`;
+}
+
+/**
+ * Persists log output as JSON lines under data/logs, rotating portable-postgis.log -> .1 -> .2 ...
+ * Writes are queued so entries keep their order and rotation never races an append.
+ */
+class LogStore {
+    constructor({ dir = LOG_DIR, maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES } = {}) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.size = null;
+        this.queue = Promise.resolve();
+    }
+
+    get file() {
+        return path.join(this.dir, LOG_FILE);
+    }
+
+    // Oldest first, current file last
+    files() {
+        const rotated = [];
+        for (let i = this.maxFiles; i >= 1; i--) rotated.push(`${this.file}.${i}`);
+        return [...rotated, this.file];
+    }
+
+    /**
+     * Parse and persist a log message. Returns the parsed entries right away; the write happens in the background.
+     * @param {string} msg
+     * @returns {object[]}
+     */
+    append(msg) {
+        const entries = parseLogMessage(msg);
+        if (entries.length > 0) {
+            const chunk = entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+            this.queue = this.queue
+                .then(() => this.write(chunk))
+                .catch((err) => console.error('Failed to write log file:', err.message));
+        }
+        return entries;
+    }
+
+    async write(chunk) {
+        await fs.ensureDir(this.dir);
+        if (this.size === null) {
+            this.size = (await fs.pathExists(this.file)) ? (await fs.stat(this.file)).size : 0;
+        }
+        const bytes = Buffer.byteLength(chunk);
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            await this.rotate();
+        }
+        await fs.appendFile(this.file, chunk);
+        this.size += bytes;
+    }
+
+    async rotate() {
+        await fs.remove(`${this.file}.${this.maxFiles}`);
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const from = `${this.file}.${i}`;
+            if (await fs.pathExists(from)) await fs.move(from, `${this.file}.${i + 1}`, { overwrite: true });
+        }
+        await fs.move(this.file, `${this.file}.1`, { overwrite: true });
+        this.size = 0;
+    }
+
+    // Wait for queued writes (before reading or exporting)
+    flush() {
+        return this.queue;
+    }
+
+    /**
+     * Read persisted entries matching a filter, newest `limit` of them in chronological order.
+     * @param {object} filter - See matchesFilter, plus limit (default 1000)
+     * @returns {Promise<{ entries: object[], total: number }>}
+     */
+    async query({ limit = 1000, ...filter } = {}) {
+        await this.flush();
+        const matched = [];
+        for (const file of this.files()) {
+            if (!await fs.pathExists(file)) continue;
+            const content = await fs.readFile(file, 'utf8');
+            for (const line of content.split('\n')) {
+                if (!line) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    continue; // Torn write from a crash
+                }
+                if (matchesFilter(entry, filter)) matched.push(entry);
+            }
+        }
+        return { entries: limit > 0 ? matched.slice(-limit) : matched, total: matched.length };
+    }
+
+    /**
+     * Write matching entries to a file: JSON lines for .jsonl/.json, readable text otherwise.
+     * @param {string} targetPath
+     * @param {object} filter - See matchesFilter
+     * @returns {Promise<number>} Number of entries written
+     */
+    async export(targetPath, filter = {}) {
+        const { entries } = await this.query({ ...filter, limit: 0 });
+        const asJson = /\.jsonl?$/i.test(targetPath);
+        const content = entries.map(e => (asJson ? JSON.stringify(e) : formatEntry(e))).join('\n');
+        await fs.writeFile(targetPath, content ? content + '\n' : '');
+        return entries.length;
+    }
+}
+
+module.exports = {
+    LEVELS,
+    parseLogMessage,
+    matchesFilter,
+    LogStore,
+    // Shared store for the app's own logs
+    logStore: new LogStore()
+};
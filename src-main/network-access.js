@@ -0,0 +1,194 @@
+// LAN sharing: listen_addresses (via ALTER SYSTEM) and the network rules section of pg_hba.conf
+const net = require('net');
+const path = require('path');
+const fs = require('fs-extra');
+
+const SECTION_BEGIN = '# BEGIN network access (managed by Portable PostGIS)';
+const SECTION_END = '# END network access';
+
+const RULE_TYPES = ['host', 'hostssl', 'hostnossl'];
+const RULE_METHODS = ['scram-sha-256', 'md5', 'trust', 'reject'];
+// Database/user keywords pg_hba.conf understands besides plain names
+const DATABASE_KEYWORDS = ['all', 'sameuser', 'samerole', 'replication'];
+const NAME_RE = /^\+?[a-z_][a-z0-9_$]*$/i;
+const HOSTNAME_RE = /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i;
+
+const LOOPBACK_ADDRESSES = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Parse "a.b.c.d/n" or "x:y::z/n".
+ * @param {string} cidr
+ * @returns {{ ip: string, bits: number, family: number }|null}
+ */
+function parseCidr(cidr) {
+    const m = String(cidr).trim().match(/^([^/\s]+)\/(\d{1,3})$/);
+    if (!m) return null;
+    const family = net.isIP(m[1]);
+    const bits = parseInt(m[2], 10);
+    if (!family || bits > (family === 4 ? 32 : 128)) return null;
+    return { ip: m[1], bits, family };
+}
+
+// 127.0.0.0/8 and ::1/128 never leave the machine
+function isLoopbackCidr(cidr) {
+    const parsed = parseCidr(cidr);
+    if (!parsed) return false;
+    if (parsed.family === 4) return parsed.ip.startsWith('127.') && parsed.bits >= 8;
+    return parsed.ip === '::1' && parsed.bits === 128;
+}
+
+function validateNameList(value, label, keywords) {
+    const items = String(value ?? '').split(',').map(s => s.trim());
+    if (items.length === 0 || items.some(s => !s)) throw new Error(`${label} is required`);
+    for (const item of items) {
+        if (!keywords.includes(item) && !NAME_RE.test(item)) throw new Error(`${label}: "${item}" is not a valid name`);
+    }
+    return items.join(',');
+}
+
+/**
+ * Check a rule and return it normalized.
+ * @param {{ type?: string, database: string, user: string, address: string, method: string }} rule
+ * @returns {{ type: string, database: string, user: string, address: string, method: string }}
+ */
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object') throw new Error('Rule is missing');
+    const type = rule.type || 'host';
+    if (!RULE_TYPES.includes(type)) throw new Error(`Connection type must be one of ${RULE_TYPES.join(', ')}`);
+    const database = validateNameList(rule.database, 'Database', DATABASE_KEYWORDS);
+    const user = validateNameList(rule.user, 'User', ['all']);
+    const address = String(rule.address ?? '').trim();
+    if (!parseCidr(address)) throw new Error(`Address must be an IPv4 or IPv6 CIDR (e.g. 192.168.1.0/24), got "${address}"`);
+    if (!RULE_METHODS.includes(rule.method)) throw new Error(`Method must be one of ${RULE_METHODS.join(', ')}`);
+    return { type, database, user, address, method: rule.method };
+}
+
+/**
+ * Check a listen_addresses value: "*", or a comma list of host names and IP addresses.
+ * @param {string} value
+ * @returns {string} Normalized value
+ */
+function validateListenAddresses(value) {
+    const items = String(value ?? '').split(',').map(s => s.trim()).filter(Boolean);
+    if (items.length === 0) throw new Error('Enter at least one address (localhost to stay local)');
+    for (const item of items) {
+        if (item !== '*' && !net.isIP(item) && !HOSTNAME_RE.test(item)) throw new Error(`"${item}" is not a valid address`);
+    }
+    return items.join(',');
+}
+
+/**
+ * Whether the server would accept connections from other machines.
+ * @param {string} listenAddresses
+ * @returns {boolean}
+ */
+function isExposed(listenAddresses) {
+    return String(listenAddresses ?? '').split(',').map(s => s.trim()).filter(Boolean)
+        .some(a => !LOOPBACK_ADDRESSES.includes(a));
+}
+
+/**
+ * Human-readable warnings for a configuration that reaches beyond localhost.
+ * @param {string} listenAddresses
+ * @param {object[]} rules
+ * @param {number} port
+ * @returns {string[]}
+ */
+function describeExposure(listenAddresses, rules, port) {
+    const warnings = [];
+    const remote = rules.filter(r => r.method !== 'reject' && !isLoopbackCidr(r.address));
+    if (isExposed(listenAddresses)) {
+        warnings.push(`The server listens on ${listenAddresses}; other machines on the network can reach port ${port}.`);
+    }
+    if (remote.some(r => r.method === 'trust')) {
+        warnings.push('A rule uses trust: anyone in its address range can log in as any matching user without a password.');
+    }
+    if (remote.some(r => parseCidr(r.address)?.bits === 0)) {
+        warnings.push('A rule allows every address (/0). Only use this on a network you control.');
+    }
+    return warnings;
+}
+
+/**
+ * The managed section for a list of rules (empty string when there are none).
+ * @param {object[]} rules
+ * @returns {string}
+ */
+function formatSection(rules) {
+    if (rules.length === 0) return '';
+    const lines = rules.map(r => [r.type.padEnd(7), r.database.padEnd(15), r.user.padEnd(15), r.address.padEnd(23), r.method].join(' '));
+    return [SECTION_BEGIN, ...lines, SECTION_END].join('\n') + '\n';
+}
+
+/**
+ * Network rules from the managed section of pg_hba.conf content.
+ * @param {string} content
+ * @returns {object[]}
+ */
+function parseRules(content) {
+    const start = content.indexOf(SECTION_BEGIN);
+    const end = content.indexOf(SECTION_END, start);
+    if (start === -1 || end === -1) return [];
+    return content.slice(start + SECTION_BEGIN.length, end).split(/\r?\n/)
+        .map(line => line.replace(/#.*/, '').trim())
+        .filter(Boolean)
+        .map(line => {
+            const [type, database, user, address, method] = line.split(/\s+/);
+            return { type, database, user, address, method };
+        });
+}
+
+// content with the managed section replaced (appended when there is none)
+function replaceSection(content, rules) {
+    const start = content.indexOf(SECTION_BEGIN);
+    const end = start === -1 ? -1 : content.indexOf(SECTION_END, start);
+    const base = start === -1 || end === -1
+        ? content
+        : content.slice(0, start) + content.slice(end + SECTION_END.length).replace(/^\r?\n/, '');
+    const trimmed = base.replace(/\s*$/, '\n');
+    return rules.length ? `${trimmed}\n${formatSection(rules)}` : trimmed;
+}
+
+/**
+ * @param {string} dataDir
+ * @returns {Promise<object[]>} Rules in file order
+ */
+async function readRules(dataDir) {
+    const hbaPath = path.join(dataDir, 'pg_hba.conf');
+    if (!await fs.pathExists(hbaPath)) return [];
+    return parseRules(await fs.readFile(hbaPath, 'utf8'));
+}
+
+/**
+ * Validate and write the network rules; the rest of pg_hba.conf is left as is.
+ * @param {string} dataDir
+ * @param {object[]} rules
+ * @returns {Promise<object[]>} The normalized rules
+ */
+async function writeRules(dataDir, rules) {
+    const normalized = (rules || []).map((rule, i) => {
+        try {
+            return validateRule(rule);
+        } catch (e) {
+            throw new Error(`Rule ${i + 1}: ${e.message}`);
+        }
+    });
+    const hbaPath = path.join(dataDir, 'pg_hba.conf');
+    const content = await fs.pathExists(hbaPath) ? await fs.readFile(hbaPath, 'utf8') : '';
+    await fs.writeFile(hbaPath, replaceSection(content, normalized), { mode: 0o600 });
+    return normalized;
+}
+
+module.exports = {
+    RULE_TYPES,
+    RULE_METHODS,
+    validateRule,
+    validateListenAddresses,
+    isExposed,
+    describeExposure,
+    formatSection,
+    parseRules,
+    replaceSection,
+    readRules,
+    writeRules
+};
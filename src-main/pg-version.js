@@ -0,0 +1,100 @@
+// PostgreSQL major versions: bundled binaries, side-by-side older binaries (bin/<os>/postgres-<major>) and clusters
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const execFileAsync = require('util').promisify(execFile);
+const config = require('./config');
+
+const { PATHS } = config;
+
+class VersionMismatchError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = 'VersionMismatchError';
+        // { dataDir, clusterVersion, bundledVersion, oldBinDir }
+        this.upgrade = details;
+    }
+}
+
+// PG_VERSION holds "16" for 10+, "9.6" before
+function majorOf(version) {
+    const [major, minor] = String(version).split('.');
+    return Number(major) >= 10 ? major : `${major}.${minor}`;
+}
+
+/**
+ * Version of the postgres binary in binDir.
+ * @param {string} binDir - Directory containing postgres(.exe)
+ * @returns {Promise<{ major: string, full: string }|null>} null when it cannot be run
+ */
+async function getBinaryVersion(binDir) {
+    const exe = path.join(binDir, config.IS_WIN ? 'postgres.exe' : 'postgres');
+    if (!await fs.pathExists(exe)) return null;
+    const libDir = path.join(path.dirname(binDir), 'lib');
+    const env = config.IS_LINUX
+        ? { ...process.env, LD_LIBRARY_PATH: process.env.LD_LIBRARY_PATH ? `${libDir}${path.delimiter}${process.env.LD_LIBRARY_PATH}` : libDir }
+        : process.env;
+    try {
+        const { stdout } = await execFileAsync(exe, ['-V'], { env, timeout: 10000 });
+        const m = stdout.match(/\(PostgreSQL\)\s+([\d.]+)/);
+        return m ? { major: majorOf(m[1]), full: m[1] } : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+let bundledVersion;
+
+/**
+ * Version of the bundled server (cached; the binaries do not change while the app runs).
+ * @returns {Promise<{ major: string, full: string }|null>}
+ */
+async function getBundledVersion() {
+    if (bundledVersion === undefined) bundledVersion = await getBinaryVersion(path.dirname(PATHS.POSTGRES_BIN));
+    return bundledVersion;
+}
+
+/**
+ * Find kept older binaries for a major version: any bin/<os>/postgres-* folder whose server reports it.
+ * @param {string} major
+ * @returns {Promise<string|null>} Their bin directory
+ */
+async function findOldBinaries(major) {
+    if (!await fs.pathExists(PATHS.BIN)) return null;
+    const candidates = (await fs.readdir(PATHS.BIN)).filter(name => name.startsWith('postgres-'));
+    // postgres-<major> is the naming setup-resources uses; try it first
+    candidates.sort((a, b) => (b === `postgres-${major}`) - (a === `postgres-${major}`));
+    for (const name of candidates) {
+        const binDir = path.join(PATHS.BIN, name, 'bin');
+        const version = await getBinaryVersion(binDir);
+        if (version?.major === major) return binDir;
+    }
+    return null;
+}
+
+/**
+ * Compare a cluster's PG_VERSION with the bundled server.
+ * @param {string} dataDir
+ * @returns {Promise<{ clusterVersion: string|null, bundledVersion: string|null, mismatch: boolean }>}
+ */
+async function compareWithBundled(dataDir) {
+    const versionFile = path.join(dataDir, 'PG_VERSION');
+    const clusterVersion = await fs.pathExists(versionFile) ? (await fs.readFile(versionFile, 'utf8')).trim() : null;
+    const bundled = await getBundledVersion();
+    const bundledMajor = bundled?.major ?? null;
+    return {
+        clusterVersion,
+        bundledVersion: bundledMajor,
+        // An unknown bundled version is not treated as a mismatch; the server will say if it cannot start
+        mismatch: !!clusterVersion && !!bundledMajor && clusterVersion !== bundledMajor
+    };
+}
+
+module.exports = {
+    VersionMismatchError,
+    majorOf,
+    getBinaryVersion,
+    getBundledVersion,
+    findOldBinaries,
+    compareWithBundled
+};
@@ -0,0 +1,306 @@
+// Continuous WAL archiving, base backups (pg_basebackup) and point-in-time restore into a side folder
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('./config');
+const services = require('./services');
+const networkAccess = require('./network-access');
+const clusterMove = require('./cluster-move');
+const { findFreePort } = require('./port-inspector');
+const { TEMP_PORT_START, exe, binEnv, run, startTemp, stopTemp } = require('./temp-server');
+
+// Force a WAL segment switch at least this often while the server is busy, bounding what a crash can lose
+const ARCHIVE_TIMEOUT_SEC = 300;
+// Replaying a lot of WAL can take a while; pg_ctl waits this long for the restored server
+const RECOVERY_TIMEOUT_SEC = 1800;
+// Written into postgresql.auto.conf for the restore, removed again afterwards
+const RECOVERY_SETTINGS = ['restore_command', 'recovery_target_time', 'recovery_target_action'];
+// Set by enableArchiving; a restored cluster starts without them (see restoreToTime)
+const ARCHIVE_SETTINGS = ['archive_mode', 'archive_command', 'archive_timeout'];
+
+/**
+ * Archive folders of an instance, next to the upgrade backups: <parent>/backups/<name>-pitr/{wal,base}.
+ * @param {{ id: string, dataDir?: string|null }} instance
+ * @returns {{ root: string, wal: string, base: string }}
+ */
+function archivePaths(instance) {
+    const dataDir = services.getInstanceDataDir(instance);
+    const root = path.join(path.dirname(dataDir), 'backups', `${path.basename(dataDir)}-pitr`);
+    return { root, wal: path.join(root, 'wal'), base: path.join(root, 'base') };
+}
+
+// Paths end up inside a double-quoted shell argument; % is the placeholder escape in archive/restore_command
+function commandPath(dir) {
+    if (dir.includes('"')) throw new Error(`The archive folder cannot contain quotes: ${dir}`);
+    return dir.replace(/%/g, '%%');
+}
+
+// Copy a finished segment into the archive, refusing to overwrite one that is already there
+function archiveCommand(walDir) {
+    const target = `${commandPath(walDir)}${path.sep}%f`;
+    return config.IS_WIN
+        ? `if not exist "${target}" copy "%p" "${target}"`
+        : `test ! -f "${target}" && cp "%p" "${target}"`;
+}
+
+function restoreCommand(walDir) {
+    const source = `${commandPath(walDir)}${path.sep}%f`;
+    return config.IS_WIN ? `copy "${source}" "%p"` : `cp "${source}" "%p"`;
+}
+
+/**
+ * Archiving state of a running server.
+ * @param {import('pg').Client} client
+ * @param {{ id: string, dataDir?: string|null }} instance
+ * @returns {Promise<{ enabled: boolean, active: boolean, restartRequired: boolean, archiveDir: string, archiver: object|null }>}
+ *   enabled: our archive_command is configured; active: archive_mode is on in the running server
+ */
+async function status(client, instance) {
+    const paths = archivePaths(instance);
+    const res = await client.query(
+        `SELECT name, setting, pending_restart FROM pg_settings WHERE name IN ('archive_mode', 'archive_command')`
+    );
+    const byName = Object.fromEntries(res.rows.map(r => [r.name, r]));
+    const archiver = (await client.query(
+        `SELECT archived_count, last_archived_wal, last_archived_time, failed_count, last_failed_wal, last_failed_time
+         FROM pg_stat_archiver`
+    )).rows[0] || null;
+    return {
+        enabled: byName.archive_command?.setting === archiveCommand(paths.wal),
+        active: byName.archive_mode?.setting === 'on',
+        restartRequired: res.rows.some(r => r.pending_restart),
+        archiveDir: paths.root,
+        archiver
+    };
+}
+
+async function reloadAndCheck(client) {
+    await client.query('SELECT pg_reload_conf()');
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const res = await client.query(`SELECT count(*)::int AS n FROM pg_settings WHERE pending_restart AND name LIKE 'archive%'`);
+    return { restartRequired: res.rows[0].n > 0 };
+}
+
+/**
+ * Turn on archiving into the instance's archive folder. archive_mode needs a restart the first time.
+ * @param {import('pg').Client} client
+ * @param {{ id: string, dataDir?: string|null }} instance
+ * @returns {Promise<{ restartRequired: boolean, archiveDir: string }>}
+ */
+async function enableArchiving(client, instance) {
+    const paths = archivePaths(instance);
+    await fs.ensureDir(paths.wal);
+    await fs.ensureDir(paths.base);
+    const walLevel = (await client.query('SHOW wal_level')).rows[0].wal_level;
+    if (walLevel === 'minimal') await client.query(`ALTER SYSTEM SET wal_level = 'replica'`);
+    await client.query(`ALTER SYSTEM SET archive_mode = 'on'`);
+    await client.query(`ALTER SYSTEM SET archive_command = ${client.escapeLiteral(archiveCommand(paths.wal))}`);
+    await client.query(`ALTER SYSTEM SET archive_timeout = ${client.escapeLiteral(String(ARCHIVE_TIMEOUT_SEC))}`);
+    return { ...await reloadAndCheck(client), archiveDir: paths.root };
+}
+
+/**
+ * Stop archiving. Archived WAL and base backups are kept.
+ * @param {import('pg').Client} client
+ * @returns {Promise<{ restartRequired: boolean }>}
+ */
+async function disableArchiving(client) {
+    for (const name of ['archive_mode', 'archive_command', 'archive_timeout']) {
+        await client.query(`ALTER SYSTEM RESET ${name}`);
+    }
+    return reloadAndCheck(client);
+}
+
+/**
+ * Close the current WAL segment and wait until the archiver has copied it, so a restore can reach "now".
+ * @param {import('pg').Client} client
+ * @param {number} [timeoutMs]
+ * @returns {Promise<boolean>} false when the segment was not archived in time (see pg_stat_archiver)
+ */
+async function flushWal(client, timeoutMs = 30000) {
+    const res = await client.query('SELECT pg_walfile_name(pg_switch_wal()) AS wal');
+    const wal = res.rows[0].wal;
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const archived = (await client.query('SELECT last_archived_wal FROM pg_stat_archiver')).rows[0]?.last_archived_wal;
+        // Segment names sort in WAL order within a timeline
+        if (archived && archived >= wal) return true;
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    return false;
+}
+
+async function dirSize(dir) {
+    let total = 0;
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) total += await dirSize(full);
+        else if (entry.isFile()) total += (await fs.stat(full)).size;
+    }
+    return total;
+}
+
+/**
+ * Take a base backup of a running instance with pg_basebackup (plain format, WAL streamed alongside).
+ * A <id>.json file next to the backup records when it finished; restores start from it.
+ * @param {object} opts
+ * @param {{ id: string, dataDir?: string|null }} opts.instance
+ * @param {number} opts.port
+ * @param {string} [opts.user]
+ * @param {string} [opts.password]
+ * @param {function} [opts.onLog]
+ * @returns {Promise<{ id: string, path: string, startedAt: string, finishedAt: string, sizeBytes: number }>}
+ */
+async function createBaseBackup({ instance, port, user, password, onLog = () => {} }) {
+    const tag = `[${services.processIdFor(instance.id)}]`;
+    const paths = archivePaths(instance);
+    const startedAt = new Date().toISOString();
+    const id = startedAt.replace(/[:.]/g, '-');
+    const target = path.join(paths.base, id);
+    await fs.ensureDir(paths.base);
+    onLog(`${tag} Taking a base backup into ${target}...`);
+    const binDir = path.dirname(config.PATHS.POSTGRES_BIN);
+    try {
+        await run(exe(binDir, 'pg_basebackup'), [
+            '-h', '127.0.0.1', '-p', String(port), '-U', user || 'postgres',
+            '-D', target, '-Fp', '-X', 'stream', '--checkpoint=fast'
+        ], { env: binEnv([binDir], password), onLine: (line) => onLog(`${tag} [pg_basebackup] ${line}`) });
+    } catch (e) {
+        await fs.remove(target).catch(() => {});
+        throw e;
+    }
+    const info = { id, path: target, startedAt, finishedAt: new Date().toISOString(), sizeBytes: await dirSize(target) };
+    await fs.writeJson(path.join(paths.base, `${id}.json`), info, { spaces: 2 });
+    onLog(`${tag} Base backup finished (${clusterMove.formatBytes(info.sizeBytes)}).`);
+    return info;
+}
+
+/**
+ * Base backups of an instance, newest first. Folders without their .json (interrupted backups) are left out.
+ * @param {{ id: string, dataDir?: string|null }} instance
+ */
+async function listBaseBackups(instance) {
+    const { base } = archivePaths(instance);
+    if (!await fs.pathExists(base)) return [];
+    const backups = [];
+    for (const name of await fs.readdir(base)) {
+        if (!name.endsWith('.json')) continue;
+        const info = await fs.readJson(path.join(base, name)).catch(() => null);
+        if (info && await fs.pathExists(path.join(base, info.id))) backups.push({ ...info, path: path.join(base, info.id) });
+    }
+    return backups.sort((a, b) => b.finishedAt.localeCompare(a.finishedAt));
+}
+
+async function removeBaseBackup(instance, id) {
+    const backup = (await listBaseBackups(instance)).find(b => b.id === id);
+    if (!backup) throw new Error(`No base backup ${id}`);
+    await fs.remove(backup.path);
+    await fs.remove(`${backup.path}.json`);
+}
+
+// Remove settings from postgresql.auto.conf, then write values (a subset of names) again
+async function rewriteAutoConf(dataDir, names, values = {}) {
+    const file = path.join(dataDir, 'postgresql.auto.conf');
+    const current = await fs.pathExists(file) ? await fs.readFile(file, 'utf8') : '';
+    const kept = current.split(/\r?\n/).filter(line => !names.some(name => line.trim().startsWith(`${name} `) || line.trim().startsWith(`${name}=`)));
+    while (kept.length && !kept[kept.length - 1].trim()) kept.pop();
+    const added = Object.entries(values).map(([name, value]) => `${name} = '${String(value).replace(/'/g, "''")}'`);
+    await fs.writeFile(file, [...kept, ...added, ''].join('\n'));
+}
+
+// Replace the recovery settings (an empty values object only removes them)
+const writeRecoverySettings = (dataDir, values) => rewriteAutoConf(dataDir, RECOVERY_SETTINGS, values);
+
+/**
+ * Rebuild a stopped instance's cluster as it was at targetTime:
+ * 1. copy:    the newest base backup finished before targetTime is copied (and verified) into <dataDir>.pitr-<stamp>
+ * 2. replay:  a temporary server replays archived WAL up to targetTime, then promotes
+ * 3. swap:    the current data directory moves to <parent>/backups and the restored one takes its place
+ * The current cluster is not touched unless every step succeeded. The restored cluster does not archive:
+ * its new timeline would otherwise go into the archive it was restored from; archiving is turned on again by hand.
+ * @param {object} opts
+ * @param {{ id: string, dataDir?: string|null }} opts.instance - Must be stopped
+ * @param {string|Date} opts.targetTime
+ * @param {string} [opts.password]
+ * @param {function} [opts.onLog]
+ * @param {function} [opts.onProgress] - ({ phase, message, doneBytes?, totalBytes? }) => void
+ * @returns {Promise<{ baseBackup: string, targetTime: string, previousDataDir: string }>}
+ */
+async function restoreToTime({ instance, targetTime, password, onLog = () => {}, onProgress = () => {} }) {
+    const tag = `[${services.processIdFor(instance.id)}]`;
+    const progress = (phase, message) => {
+        onLog(`${tag} ${message}`);
+        onProgress({ phase, message });
+    };
+    const target = new Date(targetTime);
+    if (Number.isNaN(target.getTime())) throw new Error('Choose a valid date and time to restore to');
+    if (target > new Date()) throw new Error('The restore time is in the future');
+
+    const paths = archivePaths(instance);
+    const base = (await listBaseBackups(instance)).find(b => new Date(b.finishedAt) <= target);
+    if (!base) throw new Error(`No base backup finished before ${target.toISOString()}; the earliest point you can restore to is the end of the oldest base backup`);
+
+    const dataDir = services.getInstanceDataDir(instance);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const staging = `${dataDir}.pitr-${stamp}`;
+    const previousDataDir = path.join(path.dirname(dataDir), 'backups', `${path.basename(dataDir)}-before-restore-${stamp}`);
+    const logFile = path.join(paths.root, `restore-${stamp}.log`);
+    const binDir = path.dirname(config.PATHS.POSTGRES_BIN);
+    const env = binEnv([binDir], password);
+
+    let replaying = false;
+    try {
+        // 1. Copy the base backup
+        progress('copy', `Copying base backup ${base.id} to ${staging}...`);
+        await fs.ensureDir(staging);
+        await clusterMove.copyCluster(base.path, staging, (p) => onProgress({ phase: 'copy', ...p }));
+        // Before the first start: the replay server promotes and would archive into the same folder too
+        await rewriteAutoConf(staging, ARCHIVE_SETTINGS);
+        await writeRecoverySettings(staging, {
+            restore_command: restoreCommand(paths.wal),
+            recovery_target_time: target.toISOString(),
+            recovery_target_action: 'promote'
+        });
+        await fs.writeFile(path.join(staging, 'recovery.signal'), '');
+
+        // 2. Replay; without hot standby pg_ctl only returns once recovery has reached the target and promoted
+        progress('replay', `Replaying archived WAL up to ${target.toISOString()}...`);
+        const port = await findFreePort(TEMP_PORT_START);
+        replaying = true;
+        try {
+            await startTemp(binDir, staging, port, env, logFile, { options: ['-c hot_standby=off'], timeoutSec: RECOVERY_TIMEOUT_SEC });
+        } catch (e) {
+            const log = await fs.readFile(logFile, 'utf8').catch(() => '');
+            if (/recovery ended before configured recovery target was reached/.test(log)) {
+                throw new Error(`The WAL archive does not reach ${target.toISOString()}. Choose an earlier time (log: ${logFile})`);
+            }
+            throw new Error(`Recovery failed: ${e.message} (log: ${logFile})`);
+        }
+        await stopTemp(binDir, staging, env);
+        await writeRecoverySettings(staging, {});
+    } catch (e) {
+        // pg_ctl gives up waiting (-t) without stopping the server; it must not run while staging is removed
+        if (replaying) await stopTemp(binDir, staging, env).catch(() => {});
+        await fs.remove(staging).catch(() => {});
+        throw e;
+    }
+
+    // 3. Swap; LAN rules follow the current cluster, not the backup's copy of pg_hba.conf
+    progress('swap', 'Switching to the restored cluster...');
+    const rules = await networkAccess.readRules(dataDir);
+    await clusterMove.swapDataDir(dataDir, staging, previousDataDir);
+    await networkAccess.writeRules(dataDir, rules);
+    progress('done', `Restored to ${target.toISOString()} from base backup ${base.id}. The replaced cluster is kept in ${previousDataDir}. WAL archiving is off in the restored cluster; turn it on again and take a new base backup.`);
+    return { baseBackup: base.id, targetTime: target.toISOString(), previousDataDir };
+}
+
+module.exports = {
+    archivePaths,
+    status,
+    enableArchiving,
+    disableArchiving,
+    flushWal,
+    createBaseBackup,
+    listBaseBackups,
+    removeBaseBackup,
+    restoreToTime
+};
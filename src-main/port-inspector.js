@@ -0,0 +1,147 @@
+const net = require('net');
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const execFileAsync = require('util').promisify(execFile);
+
+/**
+ * Check whether we can bind to a TCP port.
+ * @param {number} port
+ * @param {string} host
+ * @returns {Promise<boolean>} true if the port is free
+ */
+function isPortFree(port, host = '127.0.0.1') {
+    return new Promise((resolve) => {
+        const server = net.createServer();
+        server.once('error', () => {
+            // EADDRINUSE or any other error: assume not available for safety
+            resolve(false);
+        });
+        server.once('listening', () => {
+            server.close();
+            resolve(true);
+        });
+        server.listen(port, host);
+    });
+}
+
+/**
+ * Check whether a PID belongs to a live process.
+ * EPERM means it exists but belongs to another user, which still counts as alive.
+ * @param {number} pid
+ */
+function isPidAlive(pid) {
+    if (!pid || pid <= 0) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (e) {
+        return e.code === 'EPERM';
+    }
+}
+
+/**
+ * Best-effort executable name for a PID (e.g. 'postgres', 'postgres.exe'). Null if unknown.
+ * @param {number} pid
+ * @returns {Promise<string|null>}
+ */
+async function getProcessName(pid) {
+    try {
+        if (process.platform === 'linux') {
+            const comm = await fs.readFile(`/proc/${pid}/comm`, 'utf8');
+            return comm.trim() || null;
+        }
+        if (process.platform === 'win32') {
+            // "postgres.exe","1234","Console","1","12,345 K"
+            const { stdout } = await execFileAsync('tasklist', ['/FI', `PID eq ${pid}`, '/FO', 'CSV', '/NH'], { timeout: 5000 });
+            const match = stdout.match(/^"([^"]+)","(\d+)"/m);
+            return match && Number(match[2]) === pid ? match[1] : null;
+        }
+        const { stdout } = await execFileAsync('ps', ['-p', String(pid), '-o', 'comm='], { timeout: 5000 });
+        return stdout.trim() ? path.basename(stdout.trim()) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// PIDs listening on a TCP port, using whatever tool the OS offers
+async function findListeningPids(port) {
+    if (process.platform === 'win32') {
+        // TCP    127.0.0.1:5432    0.0.0.0:0    LISTENING    1234
+        const { stdout } = await execFileAsync('netstat', ['-ano', '-p', 'TCP'], { timeout: 5000 });
+        const pids = stdout.split(/\r?\n/)
+            .map(line => line.trim().split(/\s+/))
+            .filter(cols => cols.length >= 5 && /LISTENING/i.test(cols[3]) && cols[1].endsWith(`:${port}`))
+            .map(cols => Number(cols[4]));
+        return [...new Set(pids)];
+    }
+    if (process.platform === 'linux') {
+        try {
+            // LISTEN 0 244 127.0.0.1:5432 0.0.0.0:* users:(("postgres",pid=1234,fd=7))
+            const { stdout } = await execFileAsync('ss', ['-ltnpH', `sport = :${port}`], { timeout: 5000 });
+            const pids = [...stdout.matchAll(/pid=(\d+)/g)].map(m => Number(m[1]));
+            if (pids.length > 0) return [...new Set(pids)];
+        } catch (e) {
+            // ss missing: fall through to lsof
+        }
+    }
+    const { stdout } = await execFileAsync('lsof', ['-nP', `-iTCP:${port}`, '-sTCP:LISTEN', '-t'], { timeout: 5000 });
+    return [...new Set(stdout.split(/\s+/).filter(Boolean).map(Number))];
+}
+
+/**
+ * Find which process listens on a port, where the OS lets us see it.
+ * @param {number} port
+ * @returns {Promise<{ pid: number, name: string|null }|null>} null when the owner cannot be determined
+ */
+async function findPortOwner(port) {
+    let pids;
+    try {
+        pids = await findListeningPids(port);
+    } catch (e) {
+        return null;
+    }
+    if (!pids.length) return null;
+    const pid = pids[0];
+    return { pid, name: await getProcessName(pid) };
+}
+
+/**
+ * What holds a port, as far as the OS lets us see.
+ * @param {number} port
+ * @returns {Promise<{ port: number, free: boolean, pid: number|null, processName: string|null, isPostgres: boolean }>}
+ */
+async function inspectPort(port) {
+    if (await isPortFree(port)) return { port, free: true, pid: null, processName: null, isPostgres: false };
+    const owner = await findPortOwner(port);
+    return {
+        port,
+        free: false,
+        pid: owner?.pid ?? null,
+        processName: owner?.name ?? null,
+        isPostgres: /postgres/i.test(owner?.name || '')
+    };
+}
+
+/**
+ * First free port from start upwards.
+ * @param {number} start
+ * @param {{ exclude?: number[], attempts?: number }} [options] - exclude: ports reserved elsewhere (e.g. other instances)
+ * @returns {Promise<number>}
+ * @throws {Error} when none of the next `attempts` ports is free
+ */
+async function findFreePort(start, { exclude = [], attempts = 100 } = {}) {
+    for (let port = start; port < start + attempts && port <= 65535; port++) {
+        if (!exclude.includes(port) && await isPortFree(port)) return port;
+    }
+    throw new Error(`No free port found from ${start}`);
+}
+
+module.exports = {
+    isPortFree,
+    inspectPort,
+    findFreePort,
+    isPidAlive,
+    getProcessName,
+    findPortOwner
+};
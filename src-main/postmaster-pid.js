@@ -0,0 +1,76 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { isPidAlive, getProcessName } = require('./port-inspector');
+
+/**
+ * Parse data/postgres/postmaster.pid.
+ * Line layout (PostgreSQL 10+): pid, data dir, start time, port, socket dir, listen address, shmem key, status.
+ * @param {string} dataDir
+ * @returns {Promise<{ pid: number, dataDir: string, startedAt: Date|null, port: number|null, status: string|null }|null>}
+ */
+async function readPidFile(dataDir) {
+    const pidFile = path.join(dataDir, 'postmaster.pid');
+    if (!await fs.pathExists(pidFile)) return null;
+    const lines = (await fs.readFile(pidFile, 'utf8')).split(/\r?\n/);
+    const pid = parseInt(lines[0], 10);
+    const started = parseInt(lines[2], 10);
+    return {
+        pid: Number.isNaN(pid) ? 0 : pid,
+        dataDir: (lines[1] || '').trim(),
+        startedAt: Number.isNaN(started) ? null : new Date(started * 1000),
+        port: parseInt(lines[3], 10) || null,
+        status: (lines[7] || '').trim() || null
+    };
+}
+
+function samePath(a, b) {
+    const norm = (p) => path.resolve(p).replace(/[\\/]+$/, '');
+    return process.platform === 'win32'
+        ? norm(a).toLowerCase() === norm(b).toLowerCase()
+        : norm(a) === norm(b);
+}
+
+/**
+ * Work out who owns the data directory according to postmaster.pid.
+ * - none:    no pid file, nothing to do
+ * - running: the PID is a live postgres serving this data directory (safe to adopt)
+ * - stale:   the PID is gone, reused by another program, or the file points at another data dir
+ * @param {string} dataDir
+ * @returns {Promise<{ state: 'none'|'running'|'stale', reason?: string, pid?: number, port?: number|null, status?: string|null, processName?: string|null }>}
+ */
+async function inspectPostmaster(dataDir) {
+    const info = await readPidFile(dataDir);
+    if (!info) return { state: 'none' };
+
+    const base = { pid: info.pid, port: info.port, status: info.status };
+    if (!isPidAlive(info.pid)) {
+        return { ...base, state: 'stale', reason: `PID ${info.pid} is not running` };
+    }
+    const processName = await getProcessName(info.pid);
+    if (processName && !/postgres/i.test(processName)) {
+        return { ...base, processName, state: 'stale', reason: `PID ${info.pid} now belongs to ${processName}` };
+    }
+    if (info.dataDir && !samePath(info.dataDir, dataDir)) {
+        // Data directory was copied/moved while a server was running elsewhere
+        return { ...base, processName, state: 'stale', reason: `pid file points at another data directory (${info.dataDir})` };
+    }
+    return { ...base, processName, state: 'running' };
+}
+
+/**
+ * Move a stale postmaster.pid aside (kept as postmaster.pid.stale for troubleshooting) so the server can start.
+ * @param {string} dataDir
+ * @returns {Promise<string>} Path of the moved file
+ */
+async function quarantinePidFile(dataDir) {
+    const pidFile = path.join(dataDir, 'postmaster.pid');
+    const target = path.join(dataDir, 'postmaster.pid.stale');
+    await fs.move(pidFile, target, { overwrite: true });
+    return target;
+}
+
+module.exports = {
+    readPidFile,
+    inspectPostmaster,
+    quarantinePidFile
+};
@@ -1,11 +1,69 @@
 const { spawn } = require('child_process');
 const config = require('./config');
 const EventEmitter = require('events');
+const { isPidAlive } = require('./port-inspector');
+
+// Used when the caller does not provide its own escalation ladder
+const DEFAULT_STOP_STEPS = [
+    { signal: 'SIGTERM', timeout: 5000 },
+    { signal: 'SIGKILL', timeout: 5000 }
+];
+
+const TIMED_OUT = Symbol('timed-out');
+
+// Resolve with the promise's value, or TIMED_OUT if it takes longer than `ms`
+function waitFor(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(TIMED_OUT), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Stand-in for a ChildProcess we did not spawn: we can signal it and poll for its exit, nothing more
+class AdoptedProcess extends EventEmitter {
+    /**
+     * @param {number} pid
+     * @param {{ pollMs?: number, cleanExit?: function }} [options] - cleanExit() => boolean tells a clean
+     *   shutdown by someone else (e.g. the CLI) from a crash; the exit is reported with code 0 when it returns true
+     */
+    constructor(pid, { pollMs = 1000, cleanExit = () => false } = {}) {
+        super();
+        this.pid = pid;
+        this.adopted = true;
+        this.timer = setInterval(() => {
+            if (isPidAlive(pid)) return;
+            clearInterval(this.timer);
+            // Exit code is unknown for a process that is not our child
+            this.emit('close', cleanExit() ? 0 : null);
+        }, pollMs);
+    }
+
+    kill(signal = 'SIGTERM') {
+        process.kill(this.pid, signal);
+        return true;
+    }
+}
+
+// Supervisor policy applied by supervise() when fields are omitted
+const DEFAULT_SUPERVISOR_POLICY = {
+    enabled: true,
+    maxRestarts: 5,       // restarts allowed inside windowMs before we call it a crash loop
+    windowMs: 60000,
+    initialDelayMs: 1000, // doubled on every restart inside the window
+    maxDelayMs: 30000
+};
 
 class ProcessManager extends EventEmitter {
     constructor() {
         super();
         this.processes = {};
+        this.stopping = {};
+        // Supervisor state, keyed by process id
+        this.specs = {};
+        this.policies = {};
+        this.restartHistory = {};
+        this.restartTimers = {};
     }
 
     /**
@@ -21,26 +79,32 @@ class ProcessManager extends EventEmitter {
             onLog(`[${id}] Process already running.`);
             return;
         }
+        // A manual start begins a fresh crash-loop window
+        this.cancelRestart(id);
+        delete this.restartHistory[id];
+        this.specs[id] = { command, args, options, onLog };
+        return this.spawnProcess(id);
+    }
+
+    spawnProcess(id) {
+        const { command, args, options, onLog } = this.specs[id];
 
         onLog(`[${id}] Starting ${command} ${args.join(' ')}`);
 
         const child = spawn(command, args, options);
 
-        child.stdout.on('data', (data) => {
+        // No pipes when the caller redirected stdio (e.g. a detached server logging to a file)
+        child.stdout?.on('data', (data) => {
             onLog(`[${id}] ${data.toString().trim()}`);
         });
 
-        child.stderr.on('data', (data) => {
+        child.stderr?.on('data', (data) => {
             // Postgres logs to stderr usually, so don't treat it as fatal error
             onLog(`[${id}] ${data.toString().trim()}`);
             // console.error(`[${id}] ERROR: ${data.toString().trim()}`);
         });
 
-        child.on('close', (code) => {
-            onLog(`[${id}] Process exited with code ${code}`);
-            delete this.processes[id];
-            this.emit('process-exit', { id, code });
-        });
+        child.on('close', (code) => this.handleExit(id, code, onLog));
 
         child.on('error', (err) => {
             onLog(`[${id}] Failed to start: ${err.message}`);
@@ -50,23 +114,164 @@ class ProcessManager extends EventEmitter {
         return child;
     }
 
+    /**
+     * Track a process we did not spawn (e.g. a postmaster left running by a previous app session).
+     * stop(), isRunning() and the supervisor treat it like a spawned child; exit is detected by polling the PID.
+     * @param {string} id - Unique ID for the process
+     * @param {number} pid - PID of the running process
+     * @param {object} [spec] - { command, args, options, onLog } used if the supervisor has to respawn it,
+     *   plus cleanExit (see AdoptedProcess)
+     */
+    adopt(id, pid, { cleanExit, ...spec } = {}) {
+        if (this.processes[id]) return this.processes[id];
+        const onLog = spec.onLog || console.log;
+        if (spec.command) this.specs[id] = { args: [], options: {}, ...spec, onLog };
+        else delete this.specs[id];
+
+        const child = new AdoptedProcess(pid, { cleanExit });
+        child.on('close', (code) => this.handleExit(id, code, onLog));
+        onLog(`[${id}] Adopted running process (PID ${pid}).`);
+        this.processes[id] = child;
+        return child;
+    }
+
+    isAdopted(id) {
+        return !!this.processes[id]?.adopted;
+    }
+
+    getPid(id) {
+        return this.processes[id]?.pid ?? null;
+    }
+
+    handleExit(id, code, onLog) {
+        onLog(`[${id}] Process exited with code ${code}`);
+        delete this.processes[id];
+        // stop() registers itself before signalling, so anything else is unexpected
+        const expected = !!this.stopping[id];
+        this.emit('process-exit', { id, code, expected });
+        if (!expected && code !== 0) this.handleCrash(id, code);
+    }
+
+    /**
+     * Restart a process automatically when it exits unexpectedly (non-zero code, not via stop()).
+     * Restarts back off exponentially; more than `maxRestarts` inside `windowMs` is a crash loop
+     * and the supervisor gives up until the next manual start().
+     * Emits 'supervisor' events: { id, state: 'restarting' | 'restarted' | 'crash-loop' | 'cancelled', ... }
+     * @param {string} id - Process ID
+     * @param {object|null} policy - Overrides for DEFAULT_SUPERVISOR_POLICY; null or enabled: false turns it off
+     */
+    supervise(id, policy) {
+        if (!policy || policy.enabled === false) {
+            delete this.policies[id];
+            this.cancelRestart(id);
+            return;
+        }
+        this.policies[id] = { ...DEFAULT_SUPERVISOR_POLICY, ...policy };
+    }
+
+    handleCrash(id, code) {
+        const policy = this.policies[id];
+        if (!policy || !this.specs[id]) return;
+
+        const now = Date.now();
+        const history = (this.restartHistory[id] || []).filter(t => now - t < policy.windowMs);
+        if (history.length >= policy.maxRestarts) {
+            this.restartHistory[id] = history;
+            this.specs[id].onLog(`[${id}] Crash loop: ${history.length} restarts within ${policy.windowMs / 1000}s. Giving up.`);
+            this.emit('supervisor', { id, state: 'crash-loop', code, restarts: history.length, windowMs: policy.windowMs });
+            return;
+        }
+
+        const attempt = history.length + 1;
+        const delayMs = Math.min(policy.initialDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+        history.push(now);
+        this.restartHistory[id] = history;
+
+        this.specs[id].onLog(`[${id}] Exited unexpectedly (code ${code}). Restarting in ${delayMs}ms (attempt ${attempt}/${policy.maxRestarts})...`);
+        this.emit('supervisor', { id, state: 'restarting', code, attempt, maxRestarts: policy.maxRestarts, delayMs });
+
+        this.restartTimers[id] = setTimeout(() => {
+            delete this.restartTimers[id];
+            if (this.processes[id]) return;
+            this.spawnProcess(id);
+            this.emit('supervisor', { id, state: 'restarted', attempt });
+        }, delayMs);
+    }
+
+    cancelRestart(id) {
+        if (!this.restartTimers[id]) return false;
+        clearTimeout(this.restartTimers[id]);
+        delete this.restartTimers[id];
+        this.emit('supervisor', { id, state: 'cancelled' });
+        return true;
+    }
+
+    isRestarting(id) {
+        return !!this.restartTimers[id];
+    }
+
     isRunning(id) {
         return !!this.processes[id];
     }
 
-    stop(id) {
+    // Ids that are running or waiting for a supervisor restart
+    listIds() {
+        return [...new Set([...Object.keys(this.processes), ...Object.keys(this.restartTimers)])];
+    }
+
+    /**
+     * Stop a process and wait until it has actually exited.
+     * Walks through `steps` in order: each one sends a signal (or runs a custom action, e.g. `pg_ctl stop`)
+     * and waits up to `timeout` ms for the exit before escalating to the next step.
+     * Calling stop() again while a stop is in progress returns the same promise.
+     * @param {string} id - Process ID
+     * @param {{ label?: string, signal?: string, run?: function, timeout?: number }[]} steps - Escalation ladder
+     * @returns {Promise<{ id: string, code: number|null, step: string|null }>} Resolves once the process has exited
+     */
+    stop(id, steps = DEFAULT_STOP_STEPS) {
+        // A deliberate stop also cancels a pending supervisor restart
+        this.cancelRestart(id);
         const child = this.processes[id];
-        if (child) {
-            console.log(`[${id}] Stopping...`);
-            // Windows often needs SIGTERM or even SIGKILL if it doesn't listen to SIGINT
-            // Process might be stubborn to SIGTERM
-            child.kill('SIGTERM');
-            delete this.processes[id];
-        }
+        if (!child) return Promise.resolve({ id, code: null, step: null });
+        if (this.stopping[id]) return this.stopping[id];
+
+        const exited = new Promise((resolve) => child.once('close', (code) => resolve(code)));
+
+        this.stopping[id] = (async () => {
+            let label = null;
+            for (const step of steps) {
+                label = step.label || step.signal;
+                console.log(`[${id}] Stopping (${label})...`);
+                try {
+                    if (step.run) await step.run(child);
+                    else child.kill(step.signal);
+                } catch (err) {
+                    console.log(`[${id}] Stop step "${label}" failed: ${err.message}`);
+                    continue;
+                }
+                const code = await waitFor(exited, step.timeout);
+                if (code !== TIMED_OUT) return { id, code, step: label };
+                console.log(`[${id}] Still running after ${step.timeout}ms, escalating...`);
+            }
+            // Out of steps: keep waiting, the last one is expected to be SIGKILL
+            return { id, code: await exited, step: label };
+        })().finally(() => {
+            delete this.stopping[id];
+        });
+        return this.stopping[id];
     }
 
+    isStopping(id) {
+        return !!this.stopping[id];
+    }
+
+    /**
+     * Stop every managed process (default escalation) and wait for all of them to exit.
+     * @returns {Promise<object[]>}
+     */
     stopAll() {
-        Object.keys(this.processes).forEach(id => this.stop(id));
+        Object.keys(this.restartTimers).forEach(id => this.cancelRestart(id));
+        return Promise.all(Object.keys(this.processes).map(id => this.stop(id)));
     }
 }
 
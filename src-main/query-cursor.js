@@ -0,0 +1,192 @@
+// Server-side cursors for the query editor: large results are read page by page instead of all at once.
+// A cursor lives in a read-only transaction that stays open while the editor pages through it, so the query
+// only runs as far as the rows fetched and the first page does not wait for the rest. Read-only keeps a
+// query from doing part of its writes (a function with side effects fails instead, and such a query is then
+// run the ordinary way). The open transaction holds a snapshot and table locks, hence the short idle timeout.
+const crypto = require('crypto');
+
+const PAGE_SIZE = 1000;
+// A result nobody fetched from for this long is closed and its connection ended
+const IDLE_TIMEOUT_MS = 3 * 60 * 1000;
+// Each open result holds a connection and an open transaction; the least recently used goes first
+const MAX_OPEN = 4;
+const CURSOR_NAME = 'query_editor_cursor';
+// read_only_sql_transaction: the query tried to write
+const READ_ONLY_SQLSTATE = '25006';
+
+/**
+ * Whether a statement can be declared as a cursor: a plain query, without data-modifying CTEs, SELECT INTO
+ * or row locks (FOR UPDATE/SHARE, which a read-only transaction refuses).
+ * @param {string} statement
+ */
+function isCursorable(statement) {
+    if (/\bINTO\b/i.test(statement)) return false;
+    if (/\bFOR\s+(NO\s+KEY\s+UPDATE|UPDATE|KEY\s+SHARE|SHARE)\b/i.test(statement)) return false;
+    if (/^\s*(SELECT|VALUES|TABLE)\b/i.test(statement)) return true;
+    return /^\s*WITH\b/i.test(statement) && !/\b(INSERT|UPDATE|DELETE|MERGE)\b/i.test(statement);
+}
+
+/**
+ * Whether a script manages transactions itself. Its result is then read without a cursor, whose own
+ * transaction would interfere (and an unfinished one of the script's is rolled back, as before).
+ * @param {string[]} statements
+ */
+function controlsTransactions(statements) {
+    return statements.some(s => /^\s*(BEGIN|START\s+TRANSACTION|COMMIT|END|ROLLBACK|ABORT|SAVEPOINT|RELEASE|PREPARE\s+TRANSACTION)\b/i.test(s));
+}
+
+/**
+ * Declare statement as a cursor in a new read-only transaction and read its first rows. The transaction is
+ * left open on success; ROLLBACK (or ending the connection) closes the cursor.
+ * @returns {Promise<{ rows: unknown[][], fields: string[] }|null>} null when the query writes
+ */
+async function openAndRead(client, statement, count) {
+    await client.query('BEGIN TRANSACTION READ ONLY');
+    try {
+        await client.query(`DECLARE ${CURSOR_NAME} NO SCROLL CURSOR FOR ${statement}`);
+        return await fetchPage(client, count);
+    } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        if (e.code === READ_ONLY_SQLSTATE) return null;
+        throw e;
+    }
+}
+
+async function fetchPage(client, count) {
+    const page = await client.query({ text: `FETCH FORWARD ${count} FROM ${CURSOR_NAME}`, rowMode: 'array' });
+    return { rows: page.rows, fields: page.fields?.map(f => f.name) || [] };
+}
+
+/**
+ * Read at most limit rows of a query; the rest of the result is never computed. truncated tells whether
+ * more rows existed, and rowCount is then unknown (null).
+ * @param {import('pg').PoolClient} client
+ * @param {string} statement - Checked with isCursorable
+ * @param {number} limit
+ * @returns {Promise<{ rows: unknown[][], fields: string[], rowCount: number|null, truncated: boolean }|null>}
+ *   null when the query writes and cannot be read this way; run it normally instead
+ */
+async function readLimited(client, statement, limit) {
+    const page = await openAndRead(client, statement, limit + 1);
+    if (!page) return null;
+    await client.query('ROLLBACK').catch(() => {});
+    const truncated = page.rows.length > limit;
+    return { rows: page.rows.slice(0, limit), fields: page.fields, rowCount: truncated ? null : page.rows.length, truncated };
+}
+
+/**
+ * Open cursors by id. Each keeps its client, the dedicated connection of a query editor run, until the
+ * result is read to the end, closed, left idle, or pushed out by newer results (MAX_OPEN).
+ */
+class QueryCursors {
+    constructor({ pageSize = PAGE_SIZE, idleTimeoutMs = IDLE_TIMEOUT_MS, maxOpen = MAX_OPEN } = {}) {
+        this.pageSize = pageSize;
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.maxOpen = maxOpen;
+        // Insertion order is use order: touch() moves an entry to the end
+        this.cursors = new Map();
+        // Clients held by an open cursor; withDb must not release these
+        this.clients = new Set();
+    }
+
+    holds(client) {
+        return this.clients.has(client);
+    }
+
+    /**
+     * Declare statement as a cursor and read the first page. When more rows may remain the client is kept,
+     * in its transaction, for fetch(); otherwise the transaction ends and the client is left to the caller.
+     * rowCount is null until the last row has been read.
+     * @param {import('pg').Client & { release: function }} client - A dedicated connection (see db-pool.connectDedicated)
+     * @param {string} statement - Checked with isCursorable
+     * @param {{ port?: number }} [meta] - Kept to close the cursors of a stopped server
+     * @returns {Promise<{ rows: unknown[][], fields: string[], rowCount: number|null, done: boolean, fetched: number, cursorId: string|null }|null>}
+     *   null when the query writes and cannot be paged; run it normally instead
+     */
+    async start(client, statement, meta = {}) {
+        const page = await openAndRead(client, statement, this.pageSize);
+        if (!page) return null;
+        const fetched = page.rows.length;
+        if (fetched < this.pageSize) {
+            await client.query('ROLLBACK').catch(() => {});
+            return { ...page, rowCount: fetched, done: true, fetched, cursorId: null };
+        }
+        const entry = { id: crypto.randomUUID(), client, fetched, port: meta.port, timer: null, busy: false };
+        // The server stopping meanwhile must not crash the app
+        entry.onError = () => this.close(entry.id);
+        client.on('error', entry.onError);
+        this.cursors.set(entry.id, entry);
+        this.clients.add(client);
+        this.touch(entry);
+        const stale = [...this.cursors.keys()].slice(0, Math.max(0, this.cursors.size - this.maxOpen));
+        await Promise.all(stale.map(id => this.close(id)));
+        return { ...page, rowCount: null, done: false, fetched, cursorId: entry.id };
+    }
+
+    touch(entry) {
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => this.close(entry.id), this.idleTimeoutMs);
+        this.cursors.delete(entry.id);
+        this.cursors.set(entry.id, entry);
+    }
+
+    /**
+     * Read the next rows of an open cursor; the cursor is closed once it is exhausted or fails.
+     * @param {string} cursorId
+     * @param {number} [count]
+     * @returns {Promise<{ rows: unknown[][], done: boolean, fetched: number, rowCount: number|null }>}
+     */
+    async fetch(cursorId, count = this.pageSize) {
+        const entry = this.cursors.get(cursorId);
+        if (!entry) throw new Error('This result is no longer open; run the query again');
+        if (entry.busy) throw new Error('Rows are already being fetched');
+        const n = Math.max(1, Math.min(parseInt(count, 10) || this.pageSize, 50000));
+        entry.busy = true;
+        try {
+            const { rows } = await fetchPage(entry.client, n);
+            entry.fetched += rows.length;
+            const done = rows.length < n;
+            if (done) await this.close(cursorId);
+            else this.touch(entry);
+            return { rows, done, fetched: entry.fetched, rowCount: done ? entry.fetched : null };
+        } catch (e) {
+            await this.close(cursorId);
+            throw e;
+        } finally {
+            entry.busy = false;
+        }
+    }
+
+    /**
+     * Close a cursor and end its connection, which rolls back its transaction.
+     * @param {string} cursorId
+     */
+    async close(cursorId) {
+        const entry = this.cursors.get(cursorId);
+        if (!entry) return;
+        this.cursors.delete(cursorId);
+        clearTimeout(entry.timer);
+        this.clients.delete(entry.client);
+        // Ending the connection can still report an error; the listener stays to swallow it
+        await entry.client.release(true);
+    }
+
+    /**
+     * Close every cursor, or those on one server port.
+     * @param {{ port?: number }} [filter]
+     */
+    async closeAll({ port } = {}) {
+        const ids = [...this.cursors.values()].filter(e => port === undefined || e.port === port).map(e => e.id);
+        await Promise.all(ids.map(id => this.close(id)));
+    }
+}
+
+module.exports = {
+    PAGE_SIZE,
+    isCursorable,
+    controlsTransactions,
+    readLimited,
+    QueryCursors,
+    // Cursors of the query editor
+    queryCursors: new QueryCursors()
+};
@@ -0,0 +1,98 @@
+const { Client } = require('pg');
+
+/**
+ * Server states reported while waiting for PostgreSQL to accept connections:
+ * - no-response: nothing is listening yet (or the TCP connect timed out)
+ * - starting:    postmaster is up but still initializing ("the database system is starting up")
+ * - recovering:  replaying WAL after a crash or in archive recovery
+ * - rejecting:   server answered but refuses connections (shutting down, too many clients, ...)
+ * - ready:       server accepts connections (an auth or missing-database error also proves this)
+ */
+const READINESS_STATES = ['no-response', 'starting', 'recovering', 'rejecting', 'ready'];
+
+class ReadinessError extends Error {
+    constructor(message, state) {
+        super(message);
+        this.name = 'ReadinessError';
+        this.state = state;
+    }
+}
+
+// Map a connection error to a readiness state (mirrors what pg_isready considers OK / REJECT / NO_RESPONSE)
+function classifyError(err) {
+    const msg = err.message || '';
+    if (['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'EPIPE'].includes(err.code) || /timeout|terminated unexpectedly/i.test(msg)) {
+        return 'no-response';
+    }
+    if (err.code === '57P03') {
+        if (/starting up/i.test(msg)) return 'starting';
+        if (/recovery|not yet accepting/i.test(msg)) return 'recovering';
+        return 'rejecting';
+    }
+    // The server processed our startup packet: authentication / database lookup errors mean it is up
+    if (/^28/.test(err.code || '') || err.code === '3D000') return 'ready';
+    return 'rejecting';
+}
+
+/**
+ * Single protocol-level probe.
+ * @param {{ port: number, host?: string, user?: string, password?: string, database?: string }} opts
+ * @returns {Promise<{ state: string, message: string }>}
+ */
+async function probe({ port, host = '127.0.0.1', user = 'postgres', password, database = 'postgres' }) {
+    const client = new Client({ host, port, user, password, database, connectionTimeoutMillis: 2000 });
+    // Errors after connect (e.g. server shutting down mid-probe) must not crash the main process
+    client.on('error', () => {});
+    try {
+        await client.connect();
+        return { state: 'ready', message: 'Accepting connections' };
+    } catch (err) {
+        return { state: classifyError(err), message: err.message || String(err) };
+    } finally {
+        try { await client.end(); } catch (_) {}
+    }
+}
+
+/**
+ * Poll until the server is ready, reporting every state change through onState.
+ * Gives `timeoutMs` for the server to answer at all, and the longer `recoveryTimeoutMs`
+ * while it reports starting/recovering (crash recovery can legitimately take minutes).
+ * @param {object} opts - probe() options plus:
+ * @param {function} [opts.onState] - ({ state, message }) => void, called on each change
+ * @param {function} [opts.isAlive] - () => boolean; stop waiting as soon as the process has exited
+ * @param {number} [opts.timeoutMs]
+ * @param {number} [opts.recoveryTimeoutMs]
+ * @param {number} [opts.intervalMs]
+ * @returns {Promise<{ state: 'ready', message: string }>}
+ * @throws {ReadinessError} with the last observed state
+ */
+async function waitForReady({ onState = () => {}, isAlive = () => true, timeoutMs = 30000, recoveryTimeoutMs = 600000, intervalMs = 500, ...probeOpts }) {
+    const startedAt = Date.now();
+    let last = null;
+    for (;;) {
+        if (!isAlive()) {
+            throw new ReadinessError('PostgreSQL exited before it was ready', last?.state || 'no-response');
+        }
+        const result = await probe(probeOpts);
+        if (!last || last.state !== result.state) {
+            onState(result);
+        }
+        last = result;
+        if (result.state === 'ready') return result;
+
+        const elapsed = Date.now() - startedAt;
+        const limit = (result.state === 'starting' || result.state === 'recovering') ? recoveryTimeoutMs : timeoutMs;
+        if (elapsed > limit) {
+            throw new ReadinessError(`PostgreSQL not ready after ${Math.round(elapsed / 1000)}s (${result.state}: ${result.message})`, result.state);
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = {
+    READINESS_STATES,
+    ReadinessError,
+    classifyError,
+    probe,
+    waitForReady
+};
@@ -0,0 +1,144 @@
+// Local streaming replicas: a second instance cloned with pg_basebackup that follows its primary.
+// The replica is an ordinary instance (own data directory, port and process) with replicaOf set.
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('./config');
+const services = require('./services');
+const { exe, binEnv, run } = require('./temp-server');
+
+// Archiving settings are copied from the primary; a standby must not write into the primary's archive
+const PRIMARY_ONLY_SETTINGS = ['archive_mode', 'archive_command', 'archive_timeout'];
+
+/** Replication slot for a replica instance; slot names allow lower-case letters, digits and underscores. */
+function slotNameFor(replicaId) {
+    return `replica_${String(replicaId).toLowerCase().replace(/[^a-z0-9_]/g, '_')}`.slice(0, 63);
+}
+
+// Drop primary-only settings from postgresql.auto.conf and name the cluster, which the walreceiver
+// reports as application_name in the primary's pg_stat_replication
+async function prepareStandbyConf(dataDir, replicaId) {
+    const file = path.join(dataDir, 'postgresql.auto.conf');
+    const current = await fs.pathExists(file) ? await fs.readFile(file, 'utf8') : '';
+    const names = [...PRIMARY_ONLY_SETTINGS, 'cluster_name'];
+    const kept = current.split(/\r?\n/).filter(line => !names.some(name => line.trim().startsWith(`${name} `) || line.trim().startsWith(`${name}=`)));
+    while (kept.length && !kept[kept.length - 1].trim()) kept.pop();
+    await fs.writeFile(file, [...kept, `cluster_name = '${replicaId}'`, ''].join('\n'));
+}
+
+/**
+ * Clone a running primary into the replica's (empty) data directory. pg_basebackup -R writes
+ * standby.signal and primary_conninfo; -C -S creates a physical slot so the primary keeps the WAL
+ * the replica has not received yet.
+ * @param {object} options
+ * @param {object} options.primary - Primary instance (running)
+ * @param {object} options.replica - New replica instance
+ * @param {string} [options.user]
+ * @param {string} [options.password]
+ * @param {function} [options.onLog]
+ * @returns {Promise<{ dataDir: string, slot: string }>}
+ */
+async function createReplica({ primary, replica, user, password, onLog = () => {} }) {
+    const tag = `[${services.processIdFor(replica.id)}]`;
+    const dataDir = services.getInstanceDataDir(replica);
+    if (await fs.pathExists(dataDir) && (await fs.readdir(dataDir)).length) {
+        throw new Error(`${dataDir} is not empty`);
+    }
+    const slot = slotNameFor(replica.id);
+    const binDir = path.dirname(config.PATHS.POSTGRES_BIN);
+    onLog(`${tag} Cloning "${primary.name}" (port ${primary.port}) into ${dataDir}...`);
+    await fs.ensureDir(dataDir);
+    try {
+        await run(exe(binDir, 'pg_basebackup'), [
+            '-h', '127.0.0.1', '-p', String(primary.port), '-U', user || 'postgres',
+            '-D', dataDir, '-Fp', '-X', 'stream', '--checkpoint=fast', '-R', '-C', '-S', slot
+        ], { env: binEnv([binDir], password), onLine: (line) => onLog(`${tag} [pg_basebackup] ${line}`) });
+        await prepareStandbyConf(dataDir, replica.id);
+    } catch (e) {
+        await fs.remove(dataDir).catch(() => {});
+        throw e;
+    }
+    onLog(`${tag} Replica data directory ready (slot ${slot}).`);
+    return { dataDir, slot };
+}
+
+/** Whether a data directory is set up as a standby (standby.signal present). */
+async function isStandby(dataDir) {
+    return fs.pathExists(path.join(dataDir, 'standby.signal'));
+}
+
+/**
+ * Replication as seen from the primary: connected walreceivers and the slots they use.
+ * Byte lags count from the primary's current WAL position.
+ * @param {import('pg').Client} client - Connected to the primary
+ */
+async function primaryStatus(client) {
+    const senders = await client.query(`
+        SELECT application_name, state, sync_state, client_addr::text AS client_addr,
+               sent_lsn::text AS sent_lsn, replay_lsn::text AS replay_lsn,
+               pg_wal_lsn_diff(pg_current_wal_lsn(), sent_lsn)::bigint AS sent_lag_bytes,
+               pg_wal_lsn_diff(pg_current_wal_lsn(), replay_lsn)::bigint AS replay_lag_bytes,
+               EXTRACT(EPOCH FROM write_lag)::float AS write_lag_sec,
+               EXTRACT(EPOCH FROM flush_lag)::float AS flush_lag_sec,
+               EXTRACT(EPOCH FROM replay_lag)::float AS replay_lag_sec
+        FROM pg_stat_replication ORDER BY application_name`);
+    const slots = await client.query(`
+        SELECT slot_name, active,
+               pg_wal_lsn_diff(pg_current_wal_lsn(), restart_lsn)::bigint AS retained_bytes
+        FROM pg_replication_slots WHERE slot_type = 'physical' ORDER BY slot_name`);
+    const num = (v) => (v === null || v === undefined ? null : Number(v));
+    return {
+        senders: senders.rows.map(r => ({
+            ...r,
+            sent_lag_bytes: num(r.sent_lag_bytes),
+            replay_lag_bytes: num(r.replay_lag_bytes)
+        })),
+        slots: slots.rows.map(r => ({ ...r, retained_bytes: num(r.retained_bytes) }))
+    };
+}
+
+/**
+ * Replication as seen from the replica: whether it still replays, and how far behind the last replayed transaction is.
+ * @param {import('pg').Client} client - Connected to the replica
+ */
+async function standbyStatus(client) {
+    const res = await client.query(`
+        SELECT pg_is_in_recovery() AS in_recovery,
+               pg_last_wal_receive_lsn()::text AS receive_lsn,
+               pg_last_wal_replay_lsn()::text AS replay_lsn,
+               pg_last_xact_replay_timestamp() AS last_replay_at,
+               (SELECT status FROM pg_stat_wal_receiver) AS receiver_status`);
+    return res.rows[0];
+}
+
+/**
+ * Promote a standby to a read-write primary and wait for it to leave recovery.
+ * @param {import('pg').Client} client - Connected to the replica
+ */
+async function promote(client) {
+    const res = await client.query('SELECT pg_promote(true, 60) AS promoted');
+    if (!res.rows[0]?.promoted) throw new Error('The replica did not finish promotion within 60 seconds');
+}
+
+/**
+ * Drop the replica's slot on the primary so it stops retaining WAL. A slot still in use is left alone.
+ * @param {import('pg').Client} client - Connected to the primary
+ * @param {string} slot
+ * @returns {Promise<boolean>} Whether a slot was dropped
+ */
+async function dropSlot(client, slot) {
+    const res = await client.query(
+        'SELECT pg_drop_replication_slot(slot_name) FROM pg_replication_slots WHERE slot_name = $1 AND NOT active',
+        [slot]
+    );
+    return res.rowCount > 0;
+}
+
+module.exports = {
+    slotNameFor,
+    createReplica,
+    isStandby,
+    primaryStatus,
+    standbyStatus,
+    promote,
+    dropSlot
+};
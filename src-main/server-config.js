@@ -0,0 +1,87 @@
+// Server configuration through pg_settings / ALTER SYSTEM (written to postgresql.auto.conf, never postgresql.conf)
+
+const SETTINGS_COLUMNS = `name, setting, unit, category, short_desc, extra_desc, context, vartype, source,
+    min_val, max_val, enumvals, boot_val, reset_val, sourcefile, pending_restart`;
+
+// GUC names: plain or extension-qualified (e.g. auto_explain.log_min_duration)
+const NAME_RE = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?$/i;
+
+// pg_reload_conf() only signals the postmaster; give it a moment before reading pending_restart
+const RELOAD_SETTLE_MS = 300;
+
+/**
+ * All server settings, ordered by category then name.
+ * @param {import('pg').Client} client
+ * @returns {Promise<object[]>}
+ */
+async function listSettings(client) {
+    const res = await client.query(`SELECT ${SETTINGS_COLUMNS} FROM pg_settings ORDER BY category, name`);
+    return res.rows;
+}
+
+async function getSetting(client, name) {
+    const res = await client.query(`SELECT ${SETTINGS_COLUMNS} FROM pg_settings WHERE name = $1`, [name]);
+    return res.rows[0] || null;
+}
+
+async function requireSetting(client, name) {
+    if (typeof name !== 'string' || !NAME_RE.test(name)) throw new Error(`Invalid setting name: ${name}`);
+    const row = await getSetting(client, name);
+    if (!row) throw new Error(`Unknown setting: ${name}`);
+    if (row.context === 'internal') throw new Error(`${name} is fixed when the server is built and cannot be changed`);
+    return row;
+}
+
+// Reload the configuration and report the setting as the server now sees it
+async function reloadAndRead(client, name) {
+    await client.query('SELECT pg_reload_conf()');
+    await new Promise(resolve => setTimeout(resolve, RELOAD_SETTLE_MS));
+    const row = await getSetting(client, name);
+    return { setting: row, restartRequired: !!row?.pending_restart };
+}
+
+/**
+ * ALTER SYSTEM SET name = value, then reload.
+ * @param {import('pg').Client} client
+ * @param {string} name
+ * @param {string|number|boolean} value - In the setting's own unit, as pg_settings shows it
+ * @returns {Promise<{ setting: object, restartRequired: boolean }>}
+ */
+async function setSetting(client, name, value) {
+    await requireSetting(client, name);
+    const literal = client.escapeLiteral(String(value));
+    await client.query(`ALTER SYSTEM SET ${client.escapeIdentifier(name)} = ${literal}`);
+    return reloadAndRead(client, name);
+}
+
+/**
+ * ALTER SYSTEM RESET name (back to postgresql.conf or the built-in default), then reload.
+ * @param {import('pg').Client} client
+ * @param {string} name
+ * @returns {Promise<{ setting: object, restartRequired: boolean }>}
+ */
+async function resetSetting(client, name) {
+    await requireSetting(client, name);
+    await client.query(`ALTER SYSTEM RESET ${client.escapeIdentifier(name)}`);
+    return reloadAndRead(client, name);
+}
+
+/**
+ * ALTER SYSTEM RESET ALL, then reload.
+ * @param {import('pg').Client} client
+ * @returns {Promise<{ restartRequired: boolean }>}
+ */
+async function resetAllSettings(client) {
+    await client.query('ALTER SYSTEM RESET ALL');
+    await client.query('SELECT pg_reload_conf()');
+    await new Promise(resolve => setTimeout(resolve, RELOAD_SETTLE_MS));
+    const res = await client.query('SELECT count(*)::int AS n FROM pg_settings WHERE pending_restart');
+    return { restartRequired: res.rows[0].n > 0 };
+}
+
+module.exports = {
+    listSettings,
+    setSetting,
+    resetSetting,
+    resetAllSettings
+};
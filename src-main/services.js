@@ -1,141 +1,237 @@
 const path = require('path');
 const fs = require('fs-extra');
-const net = require('net');
 const config = require('./config');
 const processManager = require('./process-manager');
+const { inspectPostmaster, quarantinePidFile } = require('./postmaster-pid');
+const { isPortFree, findPortOwner } = require('./port-inspector');
+const { waitForReady } = require('./readiness');
+const auth = require('./auth');
+const integrity = require('./data-integrity');
+const pgVersion = require('./pg-version');
 
-const { PATHS, PORTS } = config;
+const { PATHS, PORTS, DEFAULT_INSTANCE_ID } = config;
 
-async function startPostgres(onLog, port) {
+// ProcessManager id for an instance. The default instance keeps the historical 'postgres' id.
+function processIdFor(instanceId) {
+    return !instanceId || instanceId === DEFAULT_INSTANCE_ID ? 'postgres' : `postgres:${instanceId}`;
+}
+
+// Reverse of processIdFor; null for ids that are not PostgreSQL instances (e.g. 'pgadmin')
+function instanceIdFor(processId) {
+    if (processId === 'postgres') return DEFAULT_INSTANCE_ID;
+    return processId.startsWith('postgres:') ? processId.slice('postgres:'.length) : null;
+}
+
+/**
+ * Data directory of an instance: its configured dataDir, otherwise data/postgres for the
+ * default instance and data/instances/<id> for the others.
+ * @param {{ id?: string, dataDir?: string|null }} [instance]
+ * @returns {string}
+ */
+function getInstanceDataDir(instance) {
+    if (instance?.dataDir) return instance.dataDir;
+    if (!instance?.id || instance.id === DEFAULT_INSTANCE_ID) return path.join(PATHS.DATA, 'postgres');
+    return path.join(PATHS.DATA, 'instances', instance.id);
+}
+
+/**
+ * Start the bundled PostgreSQL (or adopt one already serving our data dir) and wait until it accepts connections.
+ * @param {function} onLog - Log callback
+ * @param {number} port - Port to listen on
+ * @param {{ instance?: { id: string, dataDir?: string|null }, password?: string, dbUser?: string, authMode?: string, onReadiness?: function }} options -
+ *   instance to start (default instance when omitted); password for the readiness probe and for scram auth;
+ *   dbUser, the configured login role, gets the password too;
+ *   authMode from auth.AUTH_MODES (applied to new and existing clusters);
+ *   onReadiness receives { state, message } as startup progresses (see readiness.js, plus 'failed');
+ *   logFile detaches the server and appends its output there instead of onLog
+ * @returns {Promise<{ adopted?: boolean, alreadyRunning?: boolean, pid: number|null, port?: number }|undefined>}
+ * @throws {Error} with the reason when the server exits or never becomes ready
+ */
+async function startPostgres(onLog, port, { instance, password, dbUser, authMode = 'trust', onReadiness = () => {}, logFile = null } = {}) {
     const pgPort = port || PORTS.POSTGRES;
+    const procId = processIdFor(instance?.id);
+    const tag = `[${procId}]`;
+    if (processManager.isRunning(procId)) {
+        onLog(`${tag} Process already running.`);
+        return { alreadyRunning: true, pid: processManager.getPid(procId) };
+    }
     // 1. Check if binaries exist
     if (!await fs.pathExists(PATHS.POSTGRES_BIN)) {
-        onLog(`[postgres] Binary not found at ${PATHS.POSTGRES_BIN}. Please run setup.`);
+        onLog(`${tag} Binary not found at ${PATHS.POSTGRES_BIN}. Please run setup.`);
         return;
     }
 
     // 2. Init DB if not exists
-    const dataDir = path.join(PATHS.DATA, 'postgres');
+    const dataDir = getInstanceDataDir(instance);
     await fs.ensureDir(dataDir);
 
+    // A previous session (or a crash) may have left a postmaster.pid behind.
+    // Adopt a live server for this data dir; move a stale pid file aside so the new postmaster can start.
+    const existing = await inspectPostmaster(dataDir);
+    if (existing.state === 'running') {
+        const runningPort = existing.port || pgPort;
+        onLog(`${tag} Found a running server for this data directory (PID ${existing.pid}, port ${runningPort}). Adopting it.`);
+        if (runningPort !== pgPort) {
+            onLog(`${tag} Warning: it listens on port ${runningPort}, not the configured ${pgPort}. Stop it to apply the new port.`);
+        }
+        await adoptServer(onLog, procId, dataDir, existing.pid, runningPort);
+        await waitUntilReady(procId, runningPort, { password, onLog, onReadiness });
+        return { adopted: true, pid: existing.pid, port: runningPort };
+    }
+    if (existing.state === 'stale') {
+        const moved = await quarantinePidFile(dataDir);
+        onLog(`${tag} Stale postmaster.pid found (${existing.reason}). Moved it to ${path.basename(moved)}.`);
+    }
+
     // Fix permissions (Important for Mac)
     if (process.platform !== 'win32') {
         try {
             await fs.chmod(dataDir, 0o700);
-            onLog(`[postgres] Set permissions 0700 on ${dataDir}`);
+            onLog(`${tag} Set permissions 0700 on ${dataDir}`);
         } catch (err) {
-            onLog(`[postgres] Warning: Failed to set permissions on data directory: ${err.message}`);
+            onLog(`${tag} Warning: Failed to set permissions on data directory: ${err.message}`);
         }
     }
 
-    // Repair missing directories (e.g. if skipped by build/copy)
-    // We include the COMPLETE standard PostgreSQL directory structure here to be safe.
-    const requiredDirs = [
-        'base',
-        'global',
-        'pg_commit_ts',
-        'pg_dynshmem',
-        'pg_logical',
-        'pg_logical/mappings',
-        'pg_logical/snapshots',
-        'pg_multixact',
-        'pg_multixact/members',
-        'pg_multixact/offsets',
-        'pg_notify',
-        'pg_replslot',
-        'pg_serial',
-        'pg_snapshots',
-        'pg_stat',
-        'pg_stat_tmp',
-        'pg_subtrans',
-        'pg_tblspc',
-        'pg_twophase',
-        'pg_wal',
-        'pg_wal/archive_status',
-        'pg_xact'
-    ];
-    
-    // Only attempt repair if we believe the DB is initialized (has version file)
-    if (await fs.pathExists(path.join(dataDir, 'PG_VERSION'))) {
-        onLog('[postgres] Checking for missing data directories...');
-        try {
-            const files = await fs.readdir(dataDir);
-            onLog(`[postgres] Current data dir content: ${files.join(', ')}`);
-        } catch (e) {
-            onLog(`[postgres] Failed to list data dir: ${e.message}`);
-        }
+    // A directory that is neither empty nor a complete cluster is never overwritten: it is moved
+    // to quarantine and the user decides (re-initialize, pg_resetwal recovery, restore a backup).
+    const report = await integrity.checkDataDir(dataDir);
+    if (report.state === 'suspect') {
+        const failed = report.checks.filter(c => !c.ok).map(c => `${c.label}: ${c.detail}`);
+        report.quarantinePath = await integrity.quarantineDataDir(dataDir, report);
+        onLog(`${tag} Data directory failed integrity checks (${failed.join('; ')}). Moved it to ${report.quarantinePath}.`);
+        throw new integrity.DataDirError(`The data directory looked damaged and was moved to ${report.quarantinePath}. Choose how to continue.`, report);
+    }
 
-        for (const dir of requiredDirs) {
-            try {
-                const fullPath = path.join(dataDir, dir);
-                if (!await fs.pathExists(fullPath)) {
-                    onLog(`[postgres] Creating missing directory: ${dir}`);
-                    await fs.ensureDir(fullPath);
-                }
-                
-                if (process.platform !== 'win32') {
-                    await fs.chmod(fullPath, 0o700);
-                }
-            } catch (err) {
-                onLog(`[postgres] Error repairing directory ${dir}: ${err.message}`);
-            }
+    if (report.state === 'ok' && report.missingDirs.length > 0) {
+        // Copies and syncs often skip empty directories the server still expects
+        onLog(`${tag} Recreating empty directories: ${report.missingDirs.join(', ')}`);
+        await integrity.repairMissingDirs(dataDir, report.missingDirs);
+    }
+
+    if (report.state === 'ok') {
+        // A cluster from another major version cannot be started by these binaries; it needs an upgrade
+        const versions = await pgVersion.compareWithBundled(dataDir);
+        if (versions.mismatch) {
+            const oldBinDir = await pgVersion.findOldBinaries(versions.clusterVersion);
+            onLog(`${tag} Data directory is PostgreSQL ${versions.clusterVersion}, the bundled server is ${versions.bundledVersion}.`);
+            throw new pgVersion.VersionMismatchError(
+                `This cluster was created by PostgreSQL ${versions.clusterVersion} and must be upgraded to ${versions.bundledVersion} before it can start.`,
+                { dataDir, ...versions, oldBinDir }
+            );
         }
     }
 
-    // Check if data populated (look for PG_VERSION, postgresql.conf, and valid base dir)
-    const versionPath = path.join(dataDir, 'PG_VERSION');
-    const confPath = path.join(dataDir, 'postgresql.conf');
-    const baseDir = path.join(dataDir, 'base');
-    const globalDir = path.join(dataDir, 'global');
-    
-    let isInitialized = await fs.pathExists(versionPath) && await fs.pathExists(confPath);
-    
-    if (isInitialized) {
-        // Integrity check: 'base' must contain at least 'template1' and 'postgres' (so >= 2 dirs)
-        // If it only has '1' (template1), initdb likely failed or was interrupted
-        if (await fs.pathExists(baseDir)) {
-            const dbs = await fs.readdir(baseDir);
-            // We expect at least template1 (1) and postgres (OID varies). 
-            // Also checking global dir is a good proxy for integrity.
-            if (dbs.length < 2 || !await fs.pathExists(globalDir)) {
-                onLog('[postgres] Data directory incomplete (missing default databases or global). Re-initializing...');
-                isInitialized = false;
-            }
-        } else {
-            onLog('[postgres] Data directory corrupted (missing base). Re-initializing...');
-            isInitialized = false;
+    if (report.state === 'empty') {
+        await initCluster(onLog, dataDir, { authMode, password, tag });
+    }
+
+    // 3. Start Server with proper environment variables
+    const postgresEnv = await buildPostgresEnv(onLog);
+
+    // Refuse to start on an occupied port, and say who holds it
+    if (!await isPortFree(pgPort)) {
+        const owner = await findPortOwner(pgPort);
+        const who = owner
+            ? `${owner.name || 'an unknown process'} (PID ${owner.pid})`
+            : 'another process (its owner could not be determined)';
+        const message = `Port ${pgPort} is already in use by ${who}. Stop it or choose another port for this instance.`;
+        onLog(`${tag} ${message}`);
+        throw new Error(message);
+    }
+
+    // Keep the last server errors so a failed startup can say why
+    const recentErrors = [];
+    const postgresLog = (msg) => {
+        if (/\b(FATAL|PANIC|ERROR):/.test(msg)) {
+            recentErrors.push(msg.replace(/^\[postgres[^\]]*\]\s*/, ''));
+            if (recentErrors.length > 3) recentErrors.shift();
+        }
+        onLog(msg);
+    };
+    const args = ['-D', dataDir, '-p', pgPort.toString()];
+    if (logFile) {
+        // Detached with output in a file: the server outlives the caller (the headless CLI)
+        await fs.ensureDir(path.dirname(logFile));
+        const out = fs.openSync(logFile, 'a');
+        onLog(`${tag} Server output goes to ${logFile}`);
+        try {
+            processManager.start(procId, PATHS.POSTGRES_BIN, args, { env: postgresEnv, detached: true, windowsHide: true, stdio: ['ignore', out, out] }, postgresLog);
+        } finally {
+            fs.closeSync(out);
         }
+    } else {
+        processManager.start(procId, PATHS.POSTGRES_BIN, args, { env: postgresEnv }, postgresLog);
     }
 
-    if (!isInitialized) {
-        // Ensure directory is empty if we are going to run initdb
-        if (await fs.pathExists(dataDir)) {
-             const files = await fs.readdir(dataDir);
-             if (files.length > 0) {
-                 onLog('[postgres] Data directory corrupted or incomplete. Clearing for fresh init...');
-                 await fs.emptyDir(dataDir);
-             }
+    // 4. Wait until the server accepts connections (not just until the port opens)
+    try {
+        await waitUntilReady(procId, pgPort, { password, onLog, onReadiness, recentErrors });
+    } catch (e) {
+        // On a timeout the postmaster is still running; the UI reports it failed, so it must not come up later
+        if (processManager.isRunning(procId)) {
+            onLog(`${tag} Stopping the server that did not become ready...`);
+            await stopPostgres(onLog, { instance, mode: 'fast' }).catch(() => {});
         }
+        throw e;
+    }
 
-        onLog('[postgres] Initializing database cluster...');
-        const initdbBin = path.join(path.dirname(PATHS.POSTGRES_BIN), 'initdb'); // usually in same dir as postgres
+    // A standby is read-only and gets its roles, databases and pg_hba.conf from its primary
+    if (await fs.pathExists(path.join(dataDir, 'standby.signal'))) {
+        onLog(`${tag} Running as a standby; skipping authentication and database setup.`);
+        return { adopted: false, pid: processManager.getPid(procId), port: pgPort };
+    }
 
-        // sync call or promise wrapper? ProcessManager is async but we need to wait for init to finish.
-        // We'll just spawn initdb directly since it's a one-off task.
-        const { spawn } = require('child_process');
-        await new Promise((resolve, reject) => {
-            const initProc = spawn(initdbBin, ['-D', dataDir, '-U', 'postgres', '--auth', 'trust', '-E', 'UTF8']);
-            initProc.stdout.on('data', d => onLog(`[initdb] ${d}`));
-            initProc.stderr.on('data', d => onLog(`[initdb] ${d}`));
-            initProc.on('close', code => {
-                if (code === 0) resolve();
-                else reject(new Error(`initdb failed with code ${code}`));
-            });
-        });
-        onLog('[postgres] Initialization complete.');
+    // 5. Authentication: existing clusters are migrated to the configured mode/password
+    try {
+        await applyAuth(onLog, { instance, port: pgPort, mode: authMode, password, roles: [dbUser] });
+    } catch (e) {
+        onLog(`${tag} Warning: Could not apply ${authMode} authentication: ${e.message}`);
     }
 
-    // 3. Start Server with proper environment variables
+    // 6. Fix-ups (Ensure default DB exists and user is superuser)
+    try {
+        await ensureDatabaseFixed(pgPort, PATHS.POSTGRES_BIN, onLog, password);
+    } catch (e) {
+        onLog(`${tag} Warning: Post-startup setup failed: ${e.message}`);
+    }
+    return { adopted: false, pid: processManager.getPid(procId), port: pgPort };
+}
+
+// Track a live postmaster for dataDir. Its postmaster.pid disappearing means a clean shutdown, not a crash.
+async function adoptServer(onLog, procId, dataDir, pid, port) {
+    const postgresEnv = await buildPostgresEnv(onLog);
+    processManager.adopt(procId, pid, {
+        command: PATHS.POSTGRES_BIN,
+        args: ['-D', dataDir, '-p', String(port)],
+        options: { env: postgresEnv },
+        onLog,
+        cleanExit: () => !fs.existsSync(path.join(dataDir, 'postmaster.pid'))
+    });
+}
+
+/**
+ * Pick up a server for this instance that another process started (the CLI, or the app window),
+ * so both see the same running server. Only a postmaster that reports "ready" is adopted.
+ * @param {function} onLog
+ * @param {{ id: string, dataDir?: string|null }} instance
+ * @returns {Promise<{ pid: number, port: number|null }|null>} null when nothing was adopted
+ */
+async function adoptIfRunning(onLog, instance) {
+    const procId = processIdFor(instance.id);
+    if (processManager.isRunning(procId) || processManager.isRestarting(procId)) return null;
+    const dataDir = getInstanceDataDir(instance);
+    const existing = await inspectPostmaster(dataDir);
+    if (existing.state !== 'running' || existing.status !== 'ready') return null;
+    await adoptServer(onLog, procId, dataDir, existing.pid, existing.port || instance.port);
+    return { pid: existing.pid, port: existing.port };
+}
+
+const execFileAsync = require('util').promisify(require('child_process').execFile);
+
+// Environment for the postmaster: PGSHARE/PGLIB pointing at the bundled tree, plus PATH (Windows)
+// or LD_LIBRARY_PATH (Linux) so it can load its own libraries and extensions.
+async function buildPostgresEnv(onLog) {
     // Set PostgreSQL environment variables so it can find extensions and libraries.
     // Detect which share layout exists (share/postgresql vs share)
     const postgresBinDir = path.dirname(PATHS.POSTGRES_BIN);
@@ -179,45 +275,122 @@ async function startPostgres(onLog, port) {
             ? `${postgresBinDir}${path.delimiter}${process.env.PATH}`
             : process.env.PATH
     };
-    
-    processManager.start('postgres', PATHS.POSTGRES_BIN, ['-D', dataDir, '-p', pgPort.toString()], { env: postgresEnv }, onLog);
+    // On Linux the relocatable tarball ships its own shared libraries (libpq, GEOS, PROJ...) in lib/
+    if (config.IS_LINUX) {
+        postgresEnv.LD_LIBRARY_PATH = withLibraryPath(postgresLibDir);
+    }
+    return postgresEnv;
+}
 
-    // 4. Wait for readiness and fix (Ensure default DB exists and user is superuser)
+/**
+ * Run initdb (bundled binaries) into an empty directory and write the managed pg_hba.conf.
+ * @param {function} onLog
+ * @param {string} dataDir
+ * @param {{ authMode?: string, password?: string, tag?: string }} options
+ */
+async function initCluster(onLog, dataDir, { authMode = 'trust', password, tag = '[postgres]' } = {}) {
+    onLog(`${tag} Initializing database cluster...`);
+    const initdbBin = getBinPath('initdb');
+    const { spawn } = require('child_process');
+    // scram: the superuser password comes from a temporary --pwfile, never the command line
+    const initAuth = await auth.prepareInitdbAuth(authMode, password);
     try {
-        await waitForPort(pgPort);
-        await ensureDatabaseFixed(pgPort, PATHS.POSTGRES_BIN, onLog);
-    } catch (e) {
-        onLog(`[postgres] Warning: Post-startup check failed: ${e.message}`);
+        await new Promise((resolve, reject) => {
+            const initProc = spawn(initdbBin, ['-D', dataDir, '-U', 'postgres', ...initAuth.args, '-E', 'UTF8'], { env: getLibEnv() });
+            initProc.stdout.on('data', d => onLog(`[initdb] ${d}`));
+            initProc.stderr.on('data', d => onLog(`[initdb] ${d}`));
+            initProc.on('close', code => {
+                if (code === 0) resolve();
+                else reject(new Error(`initdb failed with code ${code}`));
+            });
+        });
+    } finally {
+        await initAuth.cleanup();
     }
+    await auth.writeHba(dataDir, authMode);
+    onLog(`${tag} Initialization complete (${authMode} authentication).`);
 }
 
-function waitForPort(port) {
-    return new Promise((resolve, reject) => {
-        const timeout = Date.now() + 30000; // 30s timeout
-        const interval = setInterval(() => {
-            const socket = new net.Socket();
-            socket.setTimeout(200);
-            socket.on('connect', () => {
-                socket.destroy();
-                clearInterval(interval);
-                resolve();
-            });
-            socket.on('timeout', () => {
-                socket.destroy();
-            });
-            socket.on('error', (err) => {
-                socket.destroy();
-            });
-            socket.connect(port, '127.0.0.1');
+// Path to a bundled PostgreSQL client/server binary (pg_ctl, psql, ...)
+function getBinPath(name) {
+    return path.join(path.dirname(PATHS.POSTGRES_BIN), config.IS_WIN ? `${name}.exe` : name);
+}
 
-            if (Date.now() > timeout) {
-                clearInterval(interval);
-                reject(new Error('Timeout waiting for Postgres port'));
-            }
-        }, 500);
+// process.env plus the bundled lib dir where the platform needs it (Linux)
+function getLibEnv() {
+    if (!config.IS_LINUX) return process.env;
+    const libDir = path.join(path.dirname(path.dirname(PATHS.POSTGRES_BIN)), 'lib');
+    return { ...process.env, LD_LIBRARY_PATH: withLibraryPath(libDir) };
+}
+
+// Prepend the bundled lib dir to LD_LIBRARY_PATH (Linux), keeping whatever the user already had
+function withLibraryPath(libDir) {
+    return process.env.LD_LIBRARY_PATH
+        ? `${libDir}${path.delimiter}${process.env.LD_LIBRARY_PATH}`
+        : libDir;
+}
+
+// Re-read postgresql.conf / pg_hba.conf without needing a connection
+async function reloadPostgres(instance) {
+    await execFileAsync(getBinPath('pg_ctl'), ['reload', '-D', getInstanceDataDir(instance)], { env: getLibEnv(), timeout: 10000 });
+}
+
+/**
+ * Last-resort recovery for a cluster that will not start: pg_resetwal -f rewrites pg_control and
+ * discards WAL. Recent transactions may be lost and data can be inconsistent; dump and re-create afterwards.
+ * @param {function} onLog
+ * @param {{ id: string, dataDir?: string|null }} instance - Must be stopped
+ */
+async function resetWal(onLog, instance) {
+    const tag = `[${processIdFor(instance.id)}]`;
+    onLog(`${tag} Running pg_resetwal -f on ${getInstanceDataDir(instance)}...`);
+    const { stdout, stderr } = await execFileAsync(getBinPath('pg_resetwal'), ['-f', '-D', getInstanceDataDir(instance)], { env: getLibEnv(), timeout: 60000 });
+    const output = `${stdout}${stderr}`.trim();
+    if (output) onLog(`${tag} [pg_resetwal] ${output}`);
+}
+
+/**
+ * Apply the auth mode and password to a running instance (see auth.ensureAuth).
+ * @param {function} onLog
+ * @param {{ instance?: object, port: number, mode: string, password: string, previousPassword?: string, roles?: string[], allowReset?: boolean }} options
+ * @returns {Promise<{ changed: boolean }>}
+ */
+async function applyAuth(onLog, { instance, port, mode, password, previousPassword, roles, allowReset }) {
+    const procId = processIdFor(instance?.id);
+    return auth.ensureAuth({
+        port,
+        dataDir: getInstanceDataDir(instance),
+        mode,
+        password,
+        previousPassword,
+        roles,
+        allowReset,
+        reload: () => reloadPostgres(instance),
+        onLog: (msg) => onLog(`[${procId}] ${msg}`)
     });
 }
 
+// Probe until ready, streaming state changes; throw a descriptive error if the server exits or times out
+async function waitUntilReady(procId, port, { password, onLog, onReadiness, recentErrors = [] }) {
+    try {
+        await waitForReady({
+            port,
+            password,
+            isAlive: () => processManager.isRunning(procId),
+            onState: ({ state, message }) => {
+                onLog(`[${procId}] Readiness: ${state} (${message})`);
+                onReadiness({ state, message });
+            }
+        });
+    } catch (e) {
+        const lastError = recentErrors.length ? ` Last server error: ${recentErrors[recentErrors.length - 1]}` : '';
+        const message = `Startup failed: ${e.message}.${lastError}`;
+        onLog(`[${procId}] ${message}`);
+        onReadiness({ state: 'failed', message });
+        throw new Error(message);
+    }
+}
+
 // Helper: Query PostgreSQL for available extensions (more reliable than file system checks)
 async function queryAvailableExtensions(psqlBin, port, env) {
     const { execFile } = require('child_process');
@@ -241,7 +414,7 @@ async function queryAvailableExtensions(psqlBin, port, env) {
     }
 }
 
-async function ensureDatabaseFixed(port, binPath, onLog) {
+async function ensureDatabaseFixed(port, binPath, onLog, password) {
     const { execFile } = require('child_process');
     const execFileAsync = require('util').promisify(execFile);
     
@@ -307,6 +480,13 @@ async function ensureDatabaseFixed(port, binPath, onLog) {
         PGSHARE: baseShareRoot,
         PGLIB: postgresLibDir
     };
+    if (config.IS_LINUX) {
+        env.LD_LIBRARY_PATH = withLibraryPath(postgresLibDir);
+    }
+    // Needed once scram-sha-256 is enforced (-w never prompts)
+    if (password) {
+        env.PGPASSWORD = password;
+    }
 
     // 1. Ensure 'postgres' database exists
     // First check if it exists by trying to connect
@@ -327,7 +507,7 @@ async function ensureDatabaseFixed(port, binPath, onLog) {
         try {
             // Use execFile with proper arguments array for Windows compatibility
             // createdb -h 127.0.0.1 -p port -U postgres -w postgres
-            // We use -w (no password) assuming trust auth
+            // We use -w (never prompt); PGPASSWORD covers scram auth
             // We use template1 as maintenance db to connect to because 'postgres' might not exist yet
             await execFileAsync(createdbBin, [
                 '-h', '127.0.0.1',
@@ -497,17 +677,83 @@ async function startPgAdmin(onLog) {
     onLog('[pgadmin] pgAdmin is no longer bundled. Use the Database tab for the built-in browser.');
 }
 
-function stopPostgres() {
-    processManager.stop('postgres');
+// pg_ctl shutdown modes, gentlest first, and the postmaster signal each one maps to
+const SHUTDOWN_MODES = ['smart', 'fast', 'immediate'];
+const SHUTDOWN_SIGNALS = { smart: 'SIGTERM', fast: 'SIGINT', immediate: 'SIGQUIT' };
+const DEFAULT_SHUTDOWN_TIMEOUTS = { smart: 5000, fast: 15000, immediate: 5000 };
+
+/**
+ * Stop a PostgreSQL instance and wait for the postmaster to exit.
+ * Starts at `mode` and escalates smart -> fast -> immediate -> SIGKILL when a step exceeds its timeout.
+ * Each step runs `pg_ctl stop -m <mode>`, falling back to the matching signal if pg_ctl cannot be run.
+ * @param {function} onLog - Log callback
+ * @param {{ instance?: { id: string, dataDir?: string|null }, mode?: string, timeouts?: { smart?: number, fast?: number, immediate?: number } }} options
+ * @returns {Promise<{ id: string, code: number|null, step: string|null }>}
+ */
+async function stopPostgres(onLog = console.log, { instance, mode = 'fast', timeouts = {} } = {}) {
+    const procId = processIdFor(instance?.id);
+    // Not running: stop() still cancels a pending supervisor restart
+    if (!processManager.isRunning(procId)) return processManager.stop(procId);
+
+    const limits = { ...DEFAULT_SHUTDOWN_TIMEOUTS, ...timeouts };
+    const startIndex = Math.max(0, SHUTDOWN_MODES.indexOf(mode));
+    const dataDir = getInstanceDataDir(instance);
+    const steps = SHUTDOWN_MODES.slice(startIndex).map((m) => ({
+        label: m,
+        timeout: limits[m],
+        run: async (child) => {
+            onLog(`[${procId}] Shutting down (${m})...`);
+            try {
+                await execFileAsync(getBinPath('pg_ctl'), ['stop', '-D', dataDir, '-m', m, '-W'], { env: getLibEnv(), timeout: 10000 });
+            } catch (e) {
+                onLog(`[${procId}] pg_ctl stop -m ${m} failed (${e.message.trim()}), sending ${SHUTDOWN_SIGNALS[m]}`);
+                child.kill(SHUTDOWN_SIGNALS[m]);
+            }
+        }
+    }));
+    steps.push({ label: 'kill', signal: 'SIGKILL', timeout: 5000 });
+
+    const result = await processManager.stop(procId, steps);
+    onLog(`[${procId}] Stopped (${result.step}, exit code ${result.code}).`);
+    return result;
+}
+
+/**
+ * Stop every PostgreSQL instance gracefully, then everything else ProcessManager still tracks.
+ * @param {function} onLog - Log callback
+ * @param {object} options - Passed to stopPostgres (mode, timeouts)
+ * @param {Array<{ id: string, dataDir?: string|null }>} [instances] - Configured instances, so custom data dirs are known
+ */
+async function stopAll(onLog = console.log, options = {}, instances = []) {
+    const ids = processManager.listIds().map(instanceIdFor).filter(Boolean);
+    await Promise.all(ids.map((id) => {
+        const instance = instances.find(i => i.id === id) || { id };
+        return stopPostgres(onLog, { ...options, instance });
+    }));
+    await processManager.stopAll();
 }
 
 function stopPgAdmin() {
-    processManager.stop('pgadmin');
+    return processManager.stop('pgadmin');
 }
 
 module.exports = {
+    SHUTDOWN_MODES,
+    processIdFor,
+    instanceIdFor,
+    getInstanceDataDir,
+    adoptIfRunning,
+    initCluster,
+    applyAuth,
+    reloadPostgres,
+    resetWal,
+    DEFAULT_SHUTDOWN_TIMEOUTS,
+    getBinPath,
+    getLibEnv,
+    withLibraryPath,
     startPostgres,
     startPgAdmin,
     stopPostgres,
-    stopPgAdmin
+    stopPgAdmin,
+    stopAll
 };
@@ -1,8 +1,22 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { app } = require('electron');
+const os = require('os');
+const { DEFAULT_INSTANCE_ID } = require('./config');
 
-const SETTINGS_FILE = path.join(app.getPath('userData'), 'settings.json');
+// Electron's userData folder. Outside the Electron main process (the CLI under node or ELECTRON_RUN_AS_NODE)
+// the same folder is derived the way Electron does: <appData>/<productName or name>.
+function userDataDir() {
+    if (process.type === 'browser') return require('electron').app.getPath('userData');
+    const pkg = require('../package.json');
+    const appData = process.platform === 'win32'
+        ? process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming')
+        : process.platform === 'darwin'
+            ? path.join(os.homedir(), 'Library', 'Application Support')
+            : process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    return path.join(appData, pkg.productName || pkg.name);
+}
+
+const SETTINGS_FILE = path.join(userDataDir(), 'settings.json');
 
 const DEFAULT_SETTINGS = {
     ports: {
@@ -11,25 +25,83 @@ const DEFAULT_SETTINGS = {
     },
     dbUser: 'postgres',
     dbPassword: 'postgres',
+    // 'scram-sha-256' enforces dbPassword; 'trust' lets any local user in (see auth.js)
+    authMode: 'scram-sha-256',
+    // Milliseconds to wait at each PostgreSQL shutdown mode before escalating to the next
+    shutdownTimeouts: {
+        smart: 5000,
+        fast: 15000,
+        immediate: 5000
+    },
+    // Auto-restart PostgreSQL after a crash (see ProcessManager.supervise)
+    supervisor: {
+        enabled: true,
+        maxRestarts: 5,
+        windowMs: 60000,
+        initialDelayMs: 1000,
+        maxDelayMs: 30000
+    },
+    // System tray: keep servers running with the window closed; optionally open hidden in the tray
+    tray: {
+        keepRunning: false,
+        startMinimized: false
+    },
+    // Scheduled pg_dump runs (see backup-scheduler.validateSchedule)
+    backupSchedules: [],
+    // Named PostgreSQL clusters. dataDir null = managed location (see services.getInstanceDataDir)
+    instances: [
+        { id: DEFAULT_INSTANCE_ID, name: 'Default', port: 5432, dataDir: null, autoStart: false }
+    ],
     theme: 'light', // light, dark, auto (system)
     firstRun: true
 };
 
 let currentSettings = null;
 
+// Always keep a 'default' instance first and mirror its port with ports.postgres
+function normalizeInstances(settings) {
+    const list = (Array.isArray(settings.instances) ? settings.instances : [])
+        .filter(i => i && typeof i.id === 'string' && i.id)
+        .map(i => ({
+            name: i.id,
+            dataDir: null,
+            autoStart: false,
+            ...i,
+            port: parseInt(i.port, 10) || settings.ports.postgres
+        }));
+    let def = list.find(i => i.id === DEFAULT_INSTANCE_ID);
+    if (!def) {
+        def = { ...DEFAULT_SETTINGS.instances[0] };
+    }
+    def = { ...def, port: settings.ports.postgres };
+    return [def, ...list.filter(i => i.id !== DEFAULT_INSTANCE_ID)];
+}
+
+// settings.json merged with the defaults, so all keys exist; null when there is no file yet
+async function readSettingsFile() {
+    if (!await fs.pathExists(SETTINGS_FILE)) return null;
+    const data = await fs.readJson(SETTINGS_FILE);
+    const settings = {
+        ...DEFAULT_SETTINGS,
+        ...data,
+        ports: { ...DEFAULT_SETTINGS.ports, ...(data.ports || {}) },
+        shutdownTimeouts: { ...DEFAULT_SETTINGS.shutdownTimeouts, ...(data.shutdownTimeouts || {}) },
+        supervisor: { ...DEFAULT_SETTINGS.supervisor, ...(data.supervisor || {}) },
+        tray: { ...DEFAULT_SETTINGS.tray, ...(data.tray || {}) },
+        dbUser: data.dbUser ?? DEFAULT_SETTINGS.dbUser,
+        dbPassword: data.dbPassword ?? DEFAULT_SETTINGS.dbPassword,
+        // Installs from before auth modes existed keep trust until the user switches
+        authMode: data.authMode ?? 'trust'
+    };
+    // Settings from before instances existed get a default instance on ports.postgres
+    settings.instances = normalizeInstances(settings);
+    return settings;
+}
+
 async function load() {
     try {
-        if (await fs.pathExists(SETTINGS_FILE)) {
-            const data = await fs.readJson(SETTINGS_FILE);
-            // Merge with defaults to ensure all keys exist
-            currentSettings = {
-            ...DEFAULT_SETTINGS,
-            ...data,
-            ports: { ...DEFAULT_SETTINGS.ports, ...(data.ports || {}) },
-            dbUser: data.dbUser ?? DEFAULT_SETTINGS.dbUser,
-            dbPassword: data.dbPassword ?? DEFAULT_SETTINGS.dbPassword
-        };
-        } else {
+        currentSettings = await readSettingsFile();
+        if (!currentSettings) {
             currentSettings = { ...DEFAULT_SETTINGS };
             await save(currentSettings);
         }
@@ -40,21 +112,49 @@ async function load() {
     return currentSettings;
 }
 
-async function save(newSettings) {
-    const base = currentSettings || { ...DEFAULT_SETTINGS };
+// Saves run one after another: each merges into the settings the previous one wrote
+let saveQueue = Promise.resolve();
+
+function save(newSettings) {
+    const result = saveQueue.then(() => saveNow(newSettings));
+    saveQueue = result.catch(() => {});
+    return result;
+}
+
+async function saveNow(newSettings) {
+    // The app and the CLI share settings.json: merge into what is on disk, not what this process loaded
+    const onDisk = await readSettingsFile().catch(() => null);
+    const base = onDisk || currentSettings || { ...DEFAULT_SETTINGS };
     const merged = {
         ...base,
         ...newSettings,
         ports: { ...DEFAULT_SETTINGS.ports, ...(base.ports || {}), ...(newSettings.ports || {}) },
+        shutdownTimeouts: { ...DEFAULT_SETTINGS.shutdownTimeouts, ...(base.shutdownTimeouts || {}), ...(newSettings.shutdownTimeouts || {}) },
+        supervisor: { ...DEFAULT_SETTINGS.supervisor, ...(base.supervisor || {}), ...(newSettings.supervisor || {}) },
+        tray: { ...DEFAULT_SETTINGS.tray, ...(base.tray || {}), ...(newSettings.tray || {}) },
         dbUser: newSettings.dbUser !== undefined ? newSettings.dbUser : base.dbUser,
         dbPassword: newSettings.dbPassword !== undefined ? newSettings.dbPassword : base.dbPassword
     };
+    // Editing the default instance's port is the same as editing ports.postgres
+    const incomingDefault = Array.isArray(newSettings.instances)
+        ? newSettings.instances.find(i => i?.id === DEFAULT_INSTANCE_ID)
+        : null;
+    if (incomingDefault?.port && newSettings.ports?.postgres === undefined) {
+        merged.ports.postgres = parseInt(incomingDefault.port, 10) || merged.ports.postgres;
+    }
+    merged.instances = normalizeInstances(merged);
+    // Write a temp file and rename it over settings.json, so a crash never leaves half a file.
+    // outputJson creates the folder, which only Electron makes on its own.
+    // The name is per process: the CLI may save at the same time as the app.
+    const tmpFile = `${SETTINGS_FILE}.${process.pid}.tmp`;
     try {
-        await fs.writeJson(SETTINGS_FILE, merged, { spaces: 2 });
+        await fs.outputJson(tmpFile, merged, { spaces: 2 });
+        await fs.move(tmpFile, SETTINGS_FILE, { overwrite: true });
         currentSettings = merged;
         return currentSettings;
     } catch (error) {
         console.error("Failed to save settings:", error);
+        await fs.remove(tmpFile).catch(() => {});
         return false;
     }
 }
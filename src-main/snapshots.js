@@ -0,0 +1,117 @@
+// Named snapshots of a whole stopped cluster, for rolling back destructive experiments
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const services = require('./services');
+const networkAccess = require('./network-access');
+const clusterMove = require('./cluster-move');
+
+/**
+ * Snapshot folder of an instance: <parent>/snapshots/<data dir name>, next to its data directory.
+ * Each snapshot is a cluster copy in <id>/ plus <id>.json with its metadata.
+ * @param {{ id: string, dataDir?: string|null }} instance
+ */
+function snapshotsDir(instance) {
+    const dataDir = services.getInstanceDataDir(instance);
+    return path.join(path.dirname(dataDir), 'snapshots', path.basename(dataDir));
+}
+
+/**
+ * Snapshots of an instance, newest first. Folders without their .json (interrupted snapshots) are left out.
+ * @param {{ id: string, dataDir?: string|null }} instance
+ * @returns {Promise<{ id: string, name: string, note: string, createdAt: string, sizeBytes: number, fileCount: number, path: string }[]>}
+ */
+async function listSnapshots(instance) {
+    const dir = snapshotsDir(instance);
+    if (!await fs.pathExists(dir)) return [];
+    const snapshots = [];
+    for (const file of await fs.readdir(dir)) {
+        if (!file.endsWith('.json')) continue;
+        const info = await fs.readJson(path.join(dir, file)).catch(() => null);
+        if (info && await fs.pathExists(path.join(dir, info.id))) snapshots.push({ ...info, path: path.join(dir, info.id) });
+    }
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Snapshot a stopped instance's data directory. The metadata file is written last, so an interrupted
+ * copy never shows up as a snapshot.
+ * @param {object} opts
+ * @param {{ id: string, dataDir?: string|null }} opts.instance - Must be stopped
+ * @param {string} opts.name
+ * @param {string} [opts.note]
+ * @param {function} [opts.onLog]
+ * @param {function} [opts.onProgress] - ({ phase: 'copy', doneBytes, totalBytes }) => void
+ */
+async function createSnapshot({ instance, name, note = '', onLog = () => {}, onProgress = () => {} }) {
+    const label = String(name || '').trim();
+    if (!label) throw new Error('Give the snapshot a name');
+    const tag = `[${services.processIdFor(instance.id)}]`;
+    const dir = snapshotsDir(instance);
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+    const target = path.join(dir, id);
+    onLog(`${tag} Saving snapshot "${label}" to ${target}...`);
+    try {
+        const { fileCount, totalBytes } = await clusterMove.cloneCluster(services.getInstanceDataDir(instance), target, onProgress);
+        const info = { id, name: label, note: String(note || '').trim(), createdAt: new Date().toISOString(), sizeBytes: totalBytes, fileCount };
+        await fs.writeJson(path.join(dir, `${id}.json`), info, { spaces: 2 });
+        onLog(`${tag} Snapshot "${label}" saved (${fileCount} files, ${clusterMove.formatBytes(totalBytes)}).`);
+        return { ...info, path: target };
+    } catch (e) {
+        await fs.remove(target).catch(() => {});
+        throw e;
+    }
+}
+
+async function removeSnapshot(instance, id) {
+    const snapshot = (await listSnapshots(instance)).find(s => s.id === id);
+    if (!snapshot) throw new Error(`No snapshot ${id}`);
+    await fs.remove(`${snapshot.path}.json`);
+    await fs.remove(snapshot.path);
+}
+
+/**
+ * Replace a stopped instance's cluster with a snapshot. The snapshot is cloned next to the data directory
+ * first, so the current cluster is only removed once the copy is complete. The snapshot itself is kept.
+ * LAN rules follow the current cluster, not the snapshot's copy of pg_hba.conf.
+ * @param {object} opts
+ * @param {{ id: string, dataDir?: string|null }} opts.instance - Must be stopped
+ * @param {string} opts.id - Snapshot id
+ * @param {function} [opts.onLog]
+ * @param {function} [opts.onProgress]
+ */
+async function revertToSnapshot({ instance, id, onLog = () => {}, onProgress = () => {} }) {
+    const snapshot = (await listSnapshots(instance)).find(s => s.id === id);
+    if (!snapshot) throw new Error(`No snapshot ${id}`);
+    const tag = `[${services.processIdFor(instance.id)}]`;
+    const dataDir = services.getInstanceDataDir(instance);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const staging = `${dataDir}.revert-${stamp}`;
+    const discarded = `${dataDir}.discarded-${stamp}`;
+    onLog(`${tag} Reverting to snapshot "${snapshot.name}" (${snapshot.createdAt})...`);
+    try {
+        await clusterMove.cloneCluster(snapshot.path, staging, onProgress);
+    } catch (e) {
+        await fs.remove(staging).catch(() => {});
+        throw e;
+    }
+    const rules = await networkAccess.readRules(dataDir);
+    try {
+        await clusterMove.swapDataDir(dataDir, staging, discarded);
+    } catch (e) {
+        await fs.remove(staging).catch(() => {});
+        throw e;
+    }
+    await networkAccess.writeRules(dataDir, rules);
+    await fs.remove(discarded);
+    onLog(`${tag} Reverted to snapshot "${snapshot.name}".`);
+    return { id: snapshot.id, name: snapshot.name, createdAt: snapshot.createdAt };
+}
+
+module.exports = {
+    snapshotsDir,
+    listSnapshots,
+    createSnapshot,
+    removeSnapshot,
+    revertToSnapshot
+};
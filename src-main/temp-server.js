@@ -0,0 +1,71 @@
+// Short-lived servers and client tools for maintenance jobs (upgrade, point-in-time restore).
+// They run with pg_ctl on a high port, outside the process manager, and never on the instance's own port.
+const path = require('path');
+const { spawn } = require('child_process');
+const config = require('./config');
+const services = require('./services');
+
+const TEMP_PORT_START = 50432;
+
+const exe = (binDir, name) => path.join(binDir, config.IS_WIN ? `${name}.exe` : name);
+
+// Old and new lib dirs on LD_LIBRARY_PATH (Linux); each server also finds its own via rpath where set
+function binEnv(binDirs, password) {
+    const env = { ...process.env, PGPASSWORD: password ?? '' };
+    if (config.IS_LINUX) {
+        env.LD_LIBRARY_PATH = services.withLibraryPath(binDirs.map(d => path.join(path.dirname(d), 'lib')).join(path.delimiter));
+    }
+    return env;
+}
+
+// Run a binary, logging its output line by line; rejects with the last lines on failure
+function run(file, args, { env, cwd, onLine = () => {} } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(file, args, { env, cwd });
+        const tail = [];
+        const onData = (data) => {
+            for (const line of String(data).split(/\r?\n/)) {
+                if (!line.trim()) continue;
+                onLine(line);
+                tail.push(line);
+                if (tail.length > 5) tail.shift();
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`${path.basename(file)} exited with code ${code}: ${tail.join(' | ')}`));
+        });
+    });
+}
+
+/**
+ * Start a cluster with the given binaries on a temporary port, listening on loopback only.
+ * @param {string} binDir
+ * @param {string} dataDir
+ * @param {number} port
+ * @param {object} env - From binEnv()
+ * @param {string} logFile
+ * @param {{ options?: string[], timeoutSec?: number }} [extra] - More -c settings; how long pg_ctl waits
+ */
+async function startTemp(binDir, dataDir, port, env, logFile, { options = [], timeoutSec = 120 } = {}) {
+    await run(exe(binDir, 'pg_ctl'), [
+        'start', '-D', dataDir, '-w', '-t', String(timeoutSec), '-l', logFile,
+        '-o', [`-p ${port}`, '-c listen_addresses=127.0.0.1', ...options].join(' ')
+    ], { env });
+}
+
+async function stopTemp(binDir, dataDir, env) {
+    await run(exe(binDir, 'pg_ctl'), ['stop', '-D', dataDir, '-m', 'fast', '-w', '-t', '120'], { env });
+}
+
+module.exports = {
+    TEMP_PORT_START,
+    exe,
+    binEnv,
+    run,
+    startTemp,
+    stopTemp
+};
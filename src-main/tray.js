@@ -0,0 +1,79 @@
+// System tray icon: server status and quick actions, available while the window is hidden
+const { Tray, Menu, nativeImage } = require('electron');
+
+const STATE_LABELS = {
+    running: (i) => `running on port ${i.port}`,
+    restarting: () => 'restarting…',
+    stopped: () => 'stopped'
+};
+
+function stateOf(instance) {
+    if (instance.running) return 'running';
+    return instance.restarting ? 'restarting' : 'stopped';
+}
+
+/**
+ * Create the tray icon. The menu is rebuilt by refresh(), and only when the status changed
+ * (rebuilding closes a menu the user has open on some platforms).
+ * @param {string} iconPath
+ * @param {object} handlers
+ * @param {function} handlers.getInstances - () => [{ id, name, port, running, restarting }]
+ * @param {function} handlers.onStart - (instanceId) => void
+ * @param {function} handlers.onStop - (instanceId) => void
+ * @param {function} handlers.onRestart - (instanceId) => void
+ * @param {function} handlers.onCopyConnection - (instanceId) => void
+ * @param {function} handlers.onOpenWindow - () => void
+ * @param {function} handlers.onOpenBrowser - () => void
+ * @param {function} handlers.onQuit - () => void
+ * @returns {{ refresh: function, destroy: function }}
+ */
+function createTray(iconPath, handlers) {
+    const icon = nativeImage.createFromPath(iconPath).resize({ width: 16, height: 16 });
+    const tray = new Tray(icon);
+    let signature = null;
+
+    // Clicking the icon opens the window (Windows/Linux); macOS shows the menu
+    tray.on('click', () => handlers.onOpenWindow());
+
+    function refresh() {
+        const instances = handlers.getInstances();
+        const next = JSON.stringify(instances.map(i => [i.id, i.name, i.port, stateOf(i)]));
+        if (next === signature) return;
+        signature = next;
+
+        const running = instances.filter(i => i.running).length;
+        tray.setToolTip(`Portable PostGIS: ${running} of ${instances.length} server${instances.length === 1 ? '' : 's'} running`);
+
+        const instanceItems = instances.map((instance) => {
+            const state = stateOf(instance);
+            return {
+                label: `${instance.name}: ${STATE_LABELS[state](instance)}`,
+                submenu: [
+                    { label: 'Start', enabled: state === 'stopped', click: () => handlers.onStart(instance.id) },
+                    { label: 'Stop', enabled: state !== 'stopped', click: () => handlers.onStop(instance.id) },
+                    { label: 'Restart', enabled: state === 'running', click: () => handlers.onRestart(instance.id) },
+                    { type: 'separator' },
+                    { label: 'Copy connection string', click: () => handlers.onCopyConnection(instance.id) }
+                ]
+            };
+        });
+
+        tray.setContextMenu(Menu.buildFromTemplate([
+            { label: 'Portable PostGIS', enabled: false },
+            ...instanceItems,
+            { type: 'separator' },
+            { label: 'Open window', click: () => handlers.onOpenWindow() },
+            { label: 'Open database browser', click: () => handlers.onOpenBrowser() },
+            { type: 'separator' },
+            { label: 'Quit (stops all servers)', click: () => handlers.onQuit() }
+        ]));
+    }
+
+    refresh();
+    return {
+        refresh,
+        destroy: () => tray.destroy()
+    };
+}
+
+module.exports = { createTray };
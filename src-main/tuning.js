@@ -0,0 +1,158 @@
+// Hardware-aware tuning profiles (in the spirit of pgtune), applied with ALTER SYSTEM
+const os = require('os');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+const PROFILES = {
+    laptop: {
+        label: 'Laptop / low memory',
+        description: 'Leaves most memory to other programs. For small databases next to a browser and an IDE.'
+    },
+    workstation: {
+        label: 'Workstation',
+        description: 'PostgreSQL is the main workload: a quarter of memory for shared buffers and parallel queries on every core.'
+    },
+    'bulk-load': {
+        label: 'Bulk load',
+        description: 'For large imports: big maintenance memory, rare checkpoints and asynchronous commit. ' +
+            'A crash can lose the last few hundred milliseconds of commits (never corrupts data); switch back when the load is done.'
+    }
+};
+
+// Every setting any profile writes. Applying a profile resets the ones it does not set,
+// so switching from bulk-load back to workstation does not leave synchronous_commit off.
+const MANAGED_SETTINGS = [
+    'shared_buffers',
+    'effective_cache_size',
+    'work_mem',
+    'maintenance_work_mem',
+    'min_wal_size',
+    'max_wal_size',
+    'checkpoint_timeout',
+    'checkpoint_completion_target',
+    'wal_buffers',
+    'synchronous_commit',
+    'max_worker_processes',
+    'max_parallel_workers',
+    'max_parallel_workers_per_gather',
+    'max_parallel_maintenance_workers'
+];
+
+// Whole megabytes, never below the floor
+const mbFloor = (bytes, floorMb) => Math.max(floorMb, Math.floor(bytes / MB));
+const clamp = (n, min, max) => Math.min(max, Math.max(min, n));
+
+/**
+ * Machine facts the profiles are computed from.
+ * @returns {{ totalMemory: number, cpus: number }}
+ */
+function detectHardware() {
+    return { totalMemory: os.totalmem(), cpus: Math.max(1, os.cpus().length) };
+}
+
+/**
+ * Settings for a profile, as ALTER SYSTEM values with units.
+ * @param {string} profile - A key of PROFILES
+ * @param {{ totalMemory: number, cpus: number }} hardware
+ * @param {{ maxConnections?: number }} [options] - work_mem is split across the server's connection limit
+ * @returns {Object<string, string>}
+ */
+function recommend(profile, hardware, { maxConnections = 100 } = {}) {
+    if (!PROFILES[profile]) throw new Error(`Unknown tuning profile: ${profile}`);
+    const mem = hardware.totalMemory;
+    const cpus = Math.max(1, hardware.cpus);
+    const laptop = profile === 'laptop';
+    const bulk = profile === 'bulk-load';
+
+    // Past ~8GB the OS page cache does the job better than more shared buffers
+    const sharedBuffers = Math.min(laptop ? mem / 16 : mem / 4, 8 * GB);
+
+    const effectiveCache = laptop ? mem / 4 : (mem * 3) / 4;
+    const maintenance = Math.min(bulk ? mem / 8 : mem / 16, laptop ? 512 * MB : 2 * GB);
+
+    const perGather = clamp(Math.ceil(cpus / 2), 1, laptop ? 2 : 4);
+    const parallelWorkers = laptop ? Math.min(cpus, 4) : cpus;
+    const maintenanceWorkers = clamp(Math.ceil(cpus / 2), 1, laptop ? 1 : 4);
+
+    // Each connection may run a few sorts/hashes at once, each parallel worker its own
+    const workMem = (mem - sharedBuffers) / (Math.max(1, maxConnections) * 3) / perGather / (laptop ? 4 : 1);
+
+    const settings = {
+        shared_buffers: `${mbFloor(sharedBuffers, 128)}MB`,
+        effective_cache_size: `${mbFloor(effectiveCache, 256)}MB`,
+        work_mem: `${Math.max(4096, Math.floor(workMem / 1024))}kB`,
+        maintenance_work_mem: `${mbFloor(maintenance, 64)}MB`,
+        min_wal_size: laptop ? '80MB' : bulk ? '4GB' : '1GB',
+        max_wal_size: laptop ? '1GB' : bulk ? '16GB' : '4GB',
+        checkpoint_completion_target: '0.9',
+        wal_buffers: '16MB',
+        max_worker_processes: String(Math.max(8, cpus)),
+        max_parallel_workers: String(parallelWorkers),
+        max_parallel_workers_per_gather: String(perGather),
+        max_parallel_maintenance_workers: String(maintenanceWorkers)
+    };
+    if (bulk) {
+        settings.checkpoint_timeout = '30min';
+        settings.synchronous_commit = 'off';
+    }
+    return settings;
+}
+
+/**
+ * Compare a profile with the server's current values.
+ * @param {import('pg').Client} client
+ * @param {string} profile
+ * @param {{ totalMemory: number, cpus: number }} hardware
+ * @returns {Promise<Array<{ name: string, current: string|null, unit: string|null, proposed: string|null, context: string }>>}
+ *   proposed is null for a setting the profile resets to its default
+ */
+async function preview(client, profile, hardware) {
+    const res = await client.query(
+        `SELECT name, setting, unit, context, current_setting(name) AS pretty FROM pg_settings WHERE name = ANY($1)`,
+        [MANAGED_SETTINGS]
+    );
+    const byName = new Map(res.rows.map(r => [r.name, r]));
+    const maxConnections = parseInt((await client.query('SHOW max_connections')).rows[0].max_connections, 10);
+    const settings = recommend(profile, hardware, { maxConnections });
+    return MANAGED_SETTINGS.filter(name => byName.has(name)).map((name) => {
+        const row = byName.get(name);
+        return { name, current: row.pretty, unit: row.unit, proposed: settings[name] ?? null, context: row.context };
+    });
+}
+
+/**
+ * Write a profile with ALTER SYSTEM (resetting managed settings it leaves out), then reload.
+ * Settings the server does not know (older versions) are skipped.
+ * @param {import('pg').Client} client
+ * @param {string} profile
+ * @param {{ totalMemory: number, cpus: number }} hardware
+ * @returns {Promise<{ applied: Object<string, string>, restartRequired: boolean }>}
+ */
+async function applyProfile(client, profile, hardware) {
+    const rows = await preview(client, profile, hardware);
+    const applied = {};
+    for (const row of rows) {
+        const ident = client.escapeIdentifier(row.name);
+        if (row.proposed === null) {
+            await client.query(`ALTER SYSTEM RESET ${ident}`);
+        } else {
+            await client.query(`ALTER SYSTEM SET ${ident} = ${client.escapeLiteral(row.proposed)}`);
+            applied[row.name] = row.proposed;
+        }
+    }
+    await client.query('SELECT pg_reload_conf()');
+    // Same settle time as server-config.js before pending_restart is accurate
+    await new Promise(resolve => setTimeout(resolve, 300));
+    const res = await client.query('SELECT count(*)::int AS n FROM pg_settings WHERE pending_restart');
+    return { applied, restartRequired: res.rows[0].n > 0 };
+}
+
+module.exports = {
+    PROFILES,
+    MANAGED_SETTINGS,
+    detectHardware,
+    recommend,
+    preview,
+    applyProfile
+};
@@ -0,0 +1,136 @@
+// Major-version upgrade of a stopped cluster: pre-upgrade dump, pg_upgrade (or dump and restore), then swap in the new cluster
+const path = require('path');
+const fs = require('fs-extra');
+const config = require('./config');
+const services = require('./services');
+const pgVersion = require('./pg-version');
+const networkAccess = require('./network-access');
+const { findFreePort } = require('./port-inspector');
+const { TEMP_PORT_START, exe, binEnv, run, startTemp, stopTemp } = require('./temp-server');
+
+const { PATHS } = config;
+
+const UPGRADE_METHODS = ['pg_upgrade', 'dump'];
+
+/**
+ * Upgrade a stopped instance's cluster to the bundled major version.
+ * 1. backup:  the old server (kept binaries) is started briefly and pg_dumpall writes a pre-upgrade dump
+ * 2. init:    a new cluster is created next to the old one with the bundled initdb
+ * 3. upgrade: pg_upgrade --check, then pg_upgrade (copy mode; the old cluster is not modified).
+ *             If it fails, or method is 'dump', the new cluster is re-created and the dump restored into it.
+ * 4. swap:    the old data directory moves to <parent>/backups and the new cluster takes its place
+ * Nothing is swapped unless every step succeeded.
+ * @param {object} opts
+ * @param {{ id: string, name?: string, dataDir?: string|null }} opts.instance - Must be stopped
+ * @param {string} [opts.method] - 'pg_upgrade' (falls back to dump and restore) or 'dump'
+ * @param {string} opts.password - Superuser password (both clusters)
+ * @param {string} [opts.authMode]
+ * @param {function} [opts.onLog]
+ * @param {function} [opts.onProgress] - ({ phase, message }) => void
+ * @returns {Promise<{ method: string, fromVersion: string, toVersion: string, dumpFile: string, oldDataDir: string }>}
+ */
+async function upgradeCluster({ instance, method = 'pg_upgrade', password, authMode = 'trust', onLog = () => {}, onProgress = () => {} }) {
+    if (!UPGRADE_METHODS.includes(method)) throw new Error(`Unknown upgrade method: ${method}`);
+    const tag = `[${services.processIdFor(instance.id)}]`;
+    const log = (msg) => onLog(`${tag} ${msg}`);
+    const progress = (phase, message) => {
+        log(message);
+        onProgress({ phase, message });
+    };
+
+    const dataDir = services.getInstanceDataDir(instance);
+    const versions = await pgVersion.compareWithBundled(dataDir);
+    if (!versions.mismatch) throw new Error(`Nothing to upgrade: the cluster is already PostgreSQL ${versions.clusterVersion}`);
+    const oldBin = await pgVersion.findOldBinaries(versions.clusterVersion);
+    if (!oldBin) {
+        throw new Error(`PostgreSQL ${versions.clusterVersion} binaries are needed to read this cluster. ` +
+            `Put them in ${path.join(PATHS.BIN, `postgres-${versions.clusterVersion}`)} (bin/, lib/, share/) and try again.`);
+    }
+    const newBin = path.dirname(PATHS.POSTGRES_BIN);
+    const env = binEnv([newBin, oldBin], password);
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = path.basename(dataDir);
+    const backupsDir = path.join(path.dirname(dataDir), 'backups');
+    const workDir = path.join(backupsDir, `${name}-upgrade-${stamp}`);
+    const dumpFile = path.join(backupsDir, `${name}-pg${versions.clusterVersion}-${stamp}.sql`);
+    const oldDataDir = path.join(backupsDir, `${name}-pg${versions.clusterVersion}-${stamp}`);
+    const staging = `${dataDir}.upgrade-${stamp}`;
+    await fs.ensureDir(workDir);
+
+    // 1. Pre-upgrade dump with the old server
+    const oldPort = await findFreePort(TEMP_PORT_START);
+    progress('backup', `Writing a pre-upgrade dump with PostgreSQL ${versions.clusterVersion} to ${dumpFile}...`);
+    await startTemp(oldBin, dataDir, oldPort, env, path.join(workDir, 'old-server.log'));
+    try {
+        await run(exe(oldBin, 'pg_dumpall'), ['-h', '127.0.0.1', '-p', String(oldPort), '-U', 'postgres', '-f', dumpFile], { env });
+    } finally {
+        await stopTemp(oldBin, dataDir, env);
+    }
+
+    const initNew = async () => {
+        await fs.remove(staging);
+        await fs.ensureDir(staging);
+        if (process.platform !== 'win32') await fs.chmod(staging, 0o700);
+        await services.initCluster(onLog, staging, { authMode, password, tag });
+    };
+
+    let used = method;
+    try {
+        // 2. New cluster
+        progress('init', `Creating a PostgreSQL ${versions.bundledVersion} cluster...`);
+        await initNew();
+
+        // 3a. pg_upgrade
+        if (method === 'pg_upgrade') {
+            const newPort = await findFreePort(oldPort + 1);
+            const args = ['-b', oldBin, '-B', newBin, '-d', dataDir, '-D', staging, '-U', 'postgres', '-p', String(oldPort), '-P', String(newPort)];
+            const onLine = (line) => onProgress({ phase: 'upgrade', message: line.trim() });
+            try {
+                progress('check', 'Running pg_upgrade --check...');
+                await run(exe(newBin, 'pg_upgrade'), [...args, '--check'], { env, cwd: workDir, onLine });
+                progress('upgrade', 'Running pg_upgrade...');
+                await run(exe(newBin, 'pg_upgrade'), args, { env, cwd: workDir, onLine });
+            } catch (e) {
+                // Typical causes: extension libraries missing for one of the versions, incompatible data types
+                log(`pg_upgrade failed (${e.message}). Falling back to dump and restore. Logs: ${workDir}`);
+                used = 'dump';
+                await initNew();
+            }
+        }
+
+        // 3b. Dump and restore
+        if (used === 'dump') {
+            const restorePort = await findFreePort(oldPort + 2);
+            progress('restore', `Restoring the dump into PostgreSQL ${versions.bundledVersion}...`);
+            await startTemp(newBin, staging, restorePort, env, path.join(workDir, 'new-server.log'));
+            try {
+                // The dump re-creates the postgres role and databases; "already exists" errors are expected
+                await run(exe(newBin, 'psql'), ['-X', '-q', '-h', '127.0.0.1', '-p', String(restorePort), '-U', 'postgres', '-d', 'postgres', '-f', dumpFile],
+                    { env, onLine: (line) => /ERROR/.test(line) && !/already exists/.test(line) && log(`[psql] ${line}`) });
+            } finally {
+                await stopTemp(newBin, staging, env);
+            }
+        }
+    } catch (e) {
+        await fs.remove(staging).catch(() => {});
+        throw e;
+    }
+
+    // 4. Swap; LAN rules move with the cluster, ALTER SYSTEM settings may not apply to the new version
+    progress('swap', 'Switching to the upgraded cluster...');
+    const rules = await networkAccess.readRules(dataDir);
+    await fs.move(dataDir, oldDataDir);
+    await fs.move(staging, dataDir);
+    if (rules.length) await networkAccess.writeRules(dataDir, rules);
+    if (await fs.pathExists(path.join(oldDataDir, 'postgresql.auto.conf'))) {
+        log(`Settings changed with ALTER SYSTEM were not carried over; the old values are in ${path.join(oldDataDir, 'postgresql.auto.conf')}.`);
+    }
+    progress('done', `Upgraded from PostgreSQL ${versions.clusterVersion} to ${versions.bundledVersion} (${used === 'dump' ? 'dump and restore' : 'pg_upgrade'}). The old cluster is kept in ${oldDataDir}.`);
+    return { method: used, fromVersion: versions.clusterVersion, toVersion: versions.bundledVersion, dumpFile, oldDataDir };
+}
+
+module.exports = {
+    UPGRADE_METHODS,
+    upgradeCluster
+};
@@ -3,6 +3,11 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('api', {
     platform: process.platform, // Expose platform for UI customization
     onLog: (callback) => ipcRenderer.on('log', (event, message) => callback(message)),
+    onLogEntries: (callback) => ipcRenderer.on('log-entries', (event, entries) => callback(entries)),
+    logsQuery: (filter) => ipcRenderer.invoke('logs:query', filter),
+    logsExport: (filter) => ipcRenderer.invoke('logs:export', filter),
+    doctorRun: () => ipcRenderer.invoke('doctor:run'),
+    doctorExport: () => ipcRenderer.invoke('doctor:export'),
     onReady: (callback) => ipcRenderer.on('ready', (event, url) => callback(url)),
     showConfirm: (message) => ipcRenderer.invoke('show-confirm', message),
     checkExtensions: () => ipcRenderer.invoke('check-extensions'),
@@ -16,19 +21,76 @@ contextBridge.exposeInMainWorld('api', {
     getSettings: () => ipcRenderer.invoke('get-settings'),
     saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
     checkPort: (port) => ipcRenderer.invoke('check-port', port),
+    diagnosePort: (instanceId, port) => ipcRenderer.invoke('port:diagnose', instanceId, port),
+    applyPort: (instanceId, port) => ipcRenderer.invoke('port:apply', instanceId, port),
     relaunchApp: () => ipcRenderer.invoke('relaunch-app'),
     
     // Service Control
-    startPostgres: (port) => ipcRenderer.invoke('start-postgres', port),
-    stopPostgres: () => ipcRenderer.invoke('stop-postgres'),
-    getPostgresStatus: () => ipcRenderer.invoke('get-postgres-status'),
+    startPostgres: (port, instanceId) => ipcRenderer.invoke('start-postgres', port, instanceId),
+    stopPostgres: (mode, instanceId) => ipcRenderer.invoke('stop-postgres', mode, instanceId),
+    restartPostgres: (instanceId) => ipcRenderer.invoke('restart-postgres', instanceId),
+    authUpdate: (changes) => ipcRenderer.invoke('auth:update', changes),
+    authResetPassword: () => ipcRenderer.invoke('auth:resetPassword'),
+    getPostgresStatus: (instanceId) => ipcRenderer.invoke('get-postgres-status', instanceId),
+    listInstances: () => ipcRenderer.invoke('list-instances'),
+    saveInstance: (instance) => ipcRenderer.invoke('save-instance', instance),
+    deleteInstance: (instanceId, options) => ipcRenderer.invoke('delete-instance', instanceId, options),
+    pickDataDir: () => ipcRenderer.invoke('instance:pickDataDir'),
+    moveInstanceData: (instanceId, targetDir, options) => ipcRenderer.invoke('instance:moveData', instanceId, targetDir, options),
+    onDataMoveProgress: (callback) => ipcRenderer.on('data-move-progress', (event, data) => callback(data)),
+    upgradeInstance: (instanceId, method) => ipcRenderer.invoke('instance:upgrade', instanceId, method),
+    onUpgradeRequired: (callback) => ipcRenderer.on('upgrade-required', (event, data) => callback(data)),
+    onUpgradeProgress: (callback) => ipcRenderer.on('upgrade-progress', (event, data) => callback(data)),
+    onNavigate: (callback) => ipcRenderer.on('navigate', (event, url) => callback(url)),
     startPgAdmin: (pgPort, adminPort) => ipcRenderer.invoke('start-pgadmin', pgPort, adminPort),
     stopPgAdmin: () => ipcRenderer.invoke('stop-pgadmin'),
     onPgAdminReady: (callback) => ipcRenderer.on('pgadmin-ready', (event, url) => callback(url)),
     onServiceExit: (callback) => ipcRenderer.on('service-exited', (event, data) => callback(data)),
+    onServiceSupervisor: (callback) => ipcRenderer.on('service-supervisor', (event, data) => callback(data)),
+    onPostgresReadiness: (callback) => ipcRenderer.on('postgres-readiness', (event, data) => callback(data)),
+    onDataQuarantined: (callback) => ipcRenderer.on('data-quarantined', (event, data) => callback(data)),
+    dataCheckIntegrity: (instanceId) => ipcRenderer.invoke('data:checkIntegrity', instanceId),
+    dataResolveQuarantine: (instanceId, action, quarantinePath) => ipcRenderer.invoke('data:resolveQuarantine', instanceId, action, quarantinePath),
     openExternal: (url) => ipcRenderer.invoke('open-external', url),
 
+    // Server configuration (pg_settings / ALTER SYSTEM) for one instance
+    serverListSettings: (instanceId) => ipcRenderer.invoke('server:listSettings', instanceId),
+    serverSetSetting: (instanceId, name, value) => ipcRenderer.invoke('server:setSetting', instanceId, name, value),
+    serverResetSetting: (instanceId, name) => ipcRenderer.invoke('server:resetSetting', instanceId, name),
+    serverResetAllSettings: (instanceId) => ipcRenderer.invoke('server:resetAllSettings', instanceId),
+    tuningProfiles: (instanceId) => ipcRenderer.invoke('tuning:profiles', instanceId),
+    tuningPreview: (instanceId, profile) => ipcRenderer.invoke('tuning:preview', instanceId, profile),
+    tuningApply: (instanceId, profile) => ipcRenderer.invoke('tuning:apply', instanceId, profile),
+    pitrStatus: (instanceId) => ipcRenderer.invoke('pitr:status', instanceId),
+    pitrEnable: (instanceId) => ipcRenderer.invoke('pitr:enable', instanceId),
+    pitrDisable: (instanceId) => ipcRenderer.invoke('pitr:disable', instanceId),
+    pitrBaseBackup: (instanceId) => ipcRenderer.invoke('pitr:baseBackup', instanceId),
+    pitrRemoveBaseBackup: (instanceId, backupId) => ipcRenderer.invoke('pitr:removeBaseBackup', instanceId, backupId),
+    pitrRestore: (instanceId, targetTime) => ipcRenderer.invoke('pitr:restore', instanceId, targetTime),
+    onPitrProgress: (callback) => ipcRenderer.on('pitr-progress', (event, data) => callback(data)),
+    backupsList: (instanceId) => ipcRenderer.invoke('backups:list', instanceId),
+    backupsSaveSchedule: (schedule) => ipcRenderer.invoke('backups:saveSchedule', schedule),
+    backupsDeleteSchedule: (scheduleId) => ipcRenderer.invoke('backups:deleteSchedule', scheduleId),
+    backupsRunNow: (scheduleId) => ipcRenderer.invoke('backups:runNow', scheduleId),
+    backupsPickFolder: () => ipcRenderer.invoke('backups:pickFolder'),
+    backupsRestoreEntry: (entryId) => ipcRenderer.invoke('backups:restoreEntry', entryId),
+    onBackupHistory: (callback) => ipcRenderer.on('backup-history', (event, entry) => callback(entry)),
+    replicaCreate: (primaryId, options) => ipcRenderer.invoke('replica:create', primaryId, options),
+    replicaStatus: (instanceId) => ipcRenderer.invoke('replica:status', instanceId),
+    replicaPromote: (instanceId) => ipcRenderer.invoke('replica:promote', instanceId),
+    replicaTeardown: (instanceId) => ipcRenderer.invoke('replica:teardown', instanceId),
+    snapshotsList: (instanceId) => ipcRenderer.invoke('snapshots:list', instanceId),
+    snapshotsCreate: (instanceId, options) => ipcRenderer.invoke('snapshots:create', instanceId, options),
+    snapshotsRevert: (instanceId, snapshotId) => ipcRenderer.invoke('snapshots:revert', instanceId, snapshotId),
+    snapshotsRemove: (instanceId, snapshotId) => ipcRenderer.invoke('snapshots:remove', instanceId, snapshotId),
+    onSnapshotProgress: (callback) => ipcRenderer.on('snapshot-progress', (event, data) => callback(data)),
+    networkGet: (instanceId) => ipcRenderer.invoke('network:get', instanceId),
+    networkSetListenAddresses: (instanceId, value) => ipcRenderer.invoke('network:setListenAddresses', instanceId, value),
+    networkSaveRules: (instanceId, rules) => ipcRenderer.invoke('network:saveRules', instanceId, rules),
+
     // DB API (for built-in browser; database param = selected DB name)
+    dbSelectInstance: (instanceId) => ipcRenderer.invoke('db:selectInstance', instanceId),
+    dbGetActiveInstance: () => ipcRenderer.invoke('db:getActiveInstance'),
     dbListDatabases: () => ipcRenderer.invoke('db:listDatabases'),
     dbListRoles: () => ipcRenderer.invoke('db:listRoles'),
     dbListTablespaces: () => ipcRenderer.invoke('db:listTablespaces'),
@@ -48,7 +110,11 @@ contextBridge.exposeInMainWorld('api', {
     dbGetOverviewStats: (database) => ipcRenderer.invoke('db:getOverviewStats', database),
     dbFetchRows: (database, schema, table, limit, offset) => ipcRenderer.invoke('db:fetchRows', database, schema, table, limit, offset),
     dbRunQuery: (database, sql) => ipcRenderer.invoke('db:runQuery', database, sql),
-    dbRunScript: (database, sql) => ipcRenderer.invoke('db:runScript', database, sql),
+    dbRunScript: (database, sql, queryId) => ipcRenderer.invoke('db:runScript', database, sql, queryId),
+    dbCancelQuery: (queryId) => ipcRenderer.invoke('db:cancelQuery', queryId),
+    dbFetchMore: (cursorId, count) => ipcRenderer.invoke('db:fetchMore', cursorId, count),
+    dbCloseCursor: (cursorId) => ipcRenderer.invoke('db:closeCursor', cursorId),
+    onQueryStarted: (callback) => ipcRenderer.on('query-started', (event, data) => callback(data)),
     dbRunExplain: (database, sql) => ipcRenderer.invoke('db:runExplain', database, sql),
     dbRunDdl: (database, sql) => ipcRenderer.invoke('db:runDdl', database, sql),
     dbBackupDatabase: (database) => ipcRenderer.invoke('db:backupDatabase', database),
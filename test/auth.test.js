@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { Client } = require('pg');
+const { buildHba, readHbaMode, writeHba, prepareInitdbAuth, setRolePassword, ensureAuth } = require('../src-main/auth');
+const networkAccess = require('../src-main/network-access');
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'auth-test-'));
+    t.after(() => fs.remove(dir));
+    return dir;
+}
+
+test('buildHba allows the socket and loopback only, with the mode everywhere', () => {
+    const lines = buildHba('scram-sha-256').split('\n').filter(l => l && !l.startsWith('#'));
+    assert.equal(lines.length, 6);
+    for (const line of lines) {
+        assert.ok(line.endsWith('scram-sha-256'), line);
+        assert.ok(line.startsWith('local') || /\s(127\.0\.0\.1\/32|::1\/128)\s/.test(line), line);
+    }
+});
+
+test('readHbaMode reads the managed marker', async (t) => {
+    const dir = await tempDir(t);
+    assert.equal(await readHbaMode(dir), null);
+    await fs.writeFile(path.join(dir, 'pg_hba.conf'), buildHba('trust'));
+    assert.equal(await readHbaMode(dir), 'trust');
+});
+
+test('readHbaMode accepts a hand-written file with one method, and not a mixed one', async (t) => {
+    const dir = await tempDir(t);
+    const hbaPath = path.join(dir, 'pg_hba.conf');
+    await fs.writeFile(hbaPath, [
+        '# written by initdb',
+        'local   all   all                 scram-sha-256',
+        'host    all   all   127.0.0.1/32  scram-sha-256   # loopback'
+    ].join('\n'));
+    assert.equal(await readHbaMode(dir), 'scram-sha-256');
+    await fs.appendFile(hbaPath, '\nhost    all   all   ::1/128       trust\n');
+    assert.equal(await readHbaMode(dir), null);
+    await fs.writeFile(hbaPath, 'local   all   all   peer\n');
+    assert.equal(await readHbaMode(dir), null);
+});
+
+test('writeHba keeps the first unmanaged file and the network rules', async (t) => {
+    const dir = await tempDir(t);
+    const hbaPath = path.join(dir, 'pg_hba.conf');
+    await fs.writeFile(hbaPath, 'local   all   all   trust\n');
+    const rules = await networkAccess.writeRules(dir, [{ database: 'all', user: 'all', address: '192.168.1.0/24', method: 'scram-sha-256' }]);
+
+    await writeHba(dir, 'scram-sha-256');
+    assert.equal(await readHbaMode(dir), 'scram-sha-256');
+    assert.deepEqual(await networkAccess.readRules(dir), rules);
+    const original = await fs.readFile(`${hbaPath}.orig`, 'utf8');
+    assert.ok(original.startsWith('local   all   all   trust\n'));
+
+    // Rewriting a managed file leaves the saved original alone
+    await writeHba(dir, 'trust');
+    assert.equal(await readHbaMode(dir), 'trust');
+    assert.equal(await fs.readFile(`${hbaPath}.orig`, 'utf8'), original);
+});
+
+test('prepareInitdbAuth: trust needs no password', async () => {
+    const { args, cleanup } = await prepareInitdbAuth('trust');
+    assert.deepEqual(args, ['--auth', 'trust']);
+    await cleanup();
+});
+
+test('prepareInitdbAuth: scram writes the password to a private file until cleanup', async () => {
+    const { args, cleanup } = await prepareInitdbAuth('scram-sha-256', 's3cret');
+    const pwfile = args[args.indexOf('--pwfile') + 1];
+    assert.deepEqual(args.slice(0, 4), ['--auth-local', 'scram-sha-256', '--auth-host', 'scram-sha-256']);
+    assert.equal(await fs.readFile(pwfile, 'utf8'), 's3cret\n');
+    if (process.platform !== 'win32') assert.equal((await fs.stat(pwfile)).mode & 0o077, 0);
+    await cleanup();
+    assert.equal(await fs.pathExists(pwfile), false);
+    await assert.rejects(prepareInitdbAuth('scram-sha-256', ''), /password is required/);
+});
+
+// Answers the pg_roles lookup with the roles that exist and records the rest
+function fakeClient(existing) {
+    return {
+        queries: [],
+        escapeIdentifier: Client.prototype.escapeIdentifier,
+        escapeLiteral: Client.prototype.escapeLiteral,
+        async query(text, values) {
+            this.queries.push(text);
+            if (text.startsWith('SELECT rolname')) {
+                return { rows: existing.filter(r => values[0].includes(r)).sort().map(rolname => ({ rolname })) };
+            }
+            return {};
+        }
+    };
+}
+
+test('setRolePassword sets postgres and the existing configured roles, scram-encrypted', async () => {
+    const client = fakeClient(['postgres', 'gis']);
+    const updated = await setRolePassword(client, "it's", ['gis', 'missing', '', 'postgres']);
+    assert.deepEqual(updated, ['gis', 'postgres']);
+    assert.deepEqual(client.queries.slice(1), [
+        "SET password_encryption = 'scram-sha-256'",
+        `ALTER ROLE "gis" WITH PASSWORD 'it''s'`,
+        `ALTER ROLE "postgres" WITH PASSWORD 'it''s'`
+    ]);
+});
+
+test('ensureAuth rejects an unknown mode and scram without a password before connecting', async (t) => {
+    const dir = await tempDir(t);
+    const reload = async () => assert.fail('must not reload');
+    await assert.rejects(ensureAuth({ port: 1, dataDir: dir, mode: 'md5', password: 'x', reload }), /Unknown auth mode/);
+    await assert.rejects(ensureAuth({ port: 1, dataDir: dir, mode: 'scram-sha-256', password: '', reload }), /password is required/);
+});
@@ -0,0 +1,167 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { validateSchedule, nextRunAt, backupFileName, listBackupFiles, BackupScheduler } = require('../src-main/backup-scheduler');
+
+// Local times, like the schedules; 2024-01-07 is a Sunday
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes);
+
+const timesSchedule = (times, days = []) => validateSchedule({
+    database: 'gis',
+    when: { kind: 'times', times, days },
+    createdAt: at(1, 0).toISOString()
+});
+
+test('validateSchedule fills in defaults', () => {
+    const s = validateSchedule({ database: ' gis ', when: { kind: 'interval', everyMinutes: '60' } });
+    assert.equal(s.database, 'gis');
+    assert.equal(s.format, 'custom');
+    assert.equal(s.enabled, true);
+    assert.deepEqual(s.when, { kind: 'interval', everyMinutes: 60 });
+    assert.deepEqual(s.retention, { count: null, maxAgeDays: null });
+});
+
+test('validateSchedule sorts and dedupes times and days', () => {
+    const s = timesSchedule(['14:00', '02:30', '14:00'], [5, 1, 5, 9]);
+    assert.deepEqual(s.when, { kind: 'times', times: ['02:30', '14:00'], days: [1, 5] });
+});
+
+test('validateSchedule rejects bad input', () => {
+    assert.throws(() => validateSchedule({ when: { kind: 'interval', everyMinutes: 60 } }), /database/);
+    assert.throws(() => validateSchedule({ database: 'gis', when: { kind: 'interval', everyMinutes: 1 } }), /every 5 minutes/);
+    assert.throws(() => validateSchedule({ database: 'gis', when: { kind: 'times', times: ['24:00'] } }), /02:30/);
+    assert.throws(() => validateSchedule({ database: 'gis', when: { kind: 'times', times: [] } }), /02:30/);
+    assert.throws(() => validateSchedule({ database: 'gis', when: { kind: 'interval', everyMinutes: 60 }, format: 'zip' }), /Format/);
+    assert.throws(() => validateSchedule({ database: 'gis', when: { kind: 'interval', everyMinutes: 60 }, retention: { count: -1 } }), /Keep at least/);
+    assert.throws(() => validateSchedule({ database: 'gis', when: { kind: 'interval', everyMinutes: 60 }, destination: 'relative/dir' }), /absolute/);
+});
+
+test('nextRunAt: interval counts from the last run, or from creation', () => {
+    const s = validateSchedule({ database: 'gis', when: { kind: 'interval', everyMinutes: 90 }, createdAt: at(7, 10).toISOString() });
+    assert.deepEqual(nextRunAt(s, null), at(7, 11, 30));
+    assert.deepEqual(nextRunAt(s, at(8, 23)), at(9, 0, 30));
+});
+
+test('nextRunAt: a run missed while the app was closed is due right away', () => {
+    const s = validateSchedule({ database: 'gis', when: { kind: 'interval', everyMinutes: 60 }, createdAt: at(1, 0).toISOString() });
+    // Last run days ago: the slot after it is in the past, so the next check runs it (once, not once per missed slot)
+    assert.deepEqual(nextRunAt(s, at(2, 0)), at(2, 1));
+    assert.ok(nextRunAt(s, at(2, 0)) <= new Date());
+});
+
+test('nextRunAt: next time the same day, else the first one the next day', () => {
+    const s = timesSchedule(['02:30', '14:00']);
+    assert.deepEqual(nextRunAt(s, at(7, 1)), at(7, 2, 30));
+    assert.deepEqual(nextRunAt(s, at(7, 2, 30)), at(7, 14));
+    assert.deepEqual(nextRunAt(s, at(7, 15)), at(8, 2, 30));
+});
+
+test('nextRunAt: skips days that are not allowed', () => {
+    // Mondays and Fridays; from Monday afternoon the next run is on Friday
+    const s = timesSchedule(['09:00'], [1, 5]);
+    assert.deepEqual(nextRunAt(s, at(8, 12)), at(12, 9));
+});
+
+test('nextRunAt: wraps to the same weekday a week later', () => {
+    // Sundays at 02:00, last run Sunday 02:00: next Sunday
+    const s = timesSchedule(['02:00'], [0]);
+    assert.deepEqual(nextRunAt(s, at(7, 2)), at(14, 2));
+});
+
+test('nextRunAt: crosses a month end', () => {
+    const s = timesSchedule(['01:00']);
+    assert.deepEqual(nextRunAt(s, at(31, 23)), new Date(2024, 1, 1, 1, 0));
+});
+
+const daily = (retention) => ({ id: 'daily-0000-schedule', database: 'gis', format: 'custom', retention });
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backup-scheduler-test-'));
+    t.after(() => fs.remove(dir));
+    return dir;
+}
+
+// Dump files named like the scheduler does, newest first, with history entries for them
+async function schedulerWithBackups(t, ages) {
+    const dir = await tempDir(t);
+    const scheduler = new BackupScheduler({ getSettings: () => ({}), historyFile: path.join(dir, 'history.json') });
+    const now = Date.now();
+    scheduler.entries = [];
+    for (const ageDays of ages) {
+        const startedAt = new Date(now - ageDays * 24 * 60 * 60 * 1000);
+        const filePath = path.join(dir, backupFileName(daily(), startedAt));
+        await fs.writeFile(filePath, 'dump');
+        scheduler.entries.push({ scheduleId: 'daily-0000-schedule', status: 'success', pruned: false, filePath, startedAt: startedAt.toISOString() });
+    }
+    return { scheduler, dir };
+}
+
+const onDisk = (scheduler) => Promise.all(scheduler.entries.map(e => fs.pathExists(e.filePath)));
+
+test('listBackupFiles finds only the schedule\'s own dumps, newest first', async (t) => {
+    const dir = await tempDir(t);
+    const older = new Date(2024, 0, 7, 2);
+    const newer = new Date(2024, 0, 8, 2);
+    await fs.writeFile(path.join(dir, backupFileName(daily(), older)), '');
+    await fs.writeFile(path.join(dir, backupFileName({ ...daily(), format: 'plain' }, newer)), '');
+    await fs.writeFile(path.join(dir, backupFileName({ ...daily(), id: 'weekly-00-schedule' }, newer)), '');
+    await fs.writeFile(path.join(dir, 'gis-daily-00-notes.txt'), '');
+    const files = await listBackupFiles(dir, daily());
+    assert.deepEqual(files.map(f => f.startedAt), [newer, older]);
+});
+
+test('prune keeps the newest backups up to the count', async (t) => {
+    const { scheduler, dir } = await schedulerWithBackups(t, [0, 1, 2, 3]);
+    await scheduler.prune(daily({ count: 2, maxAgeDays: null }), dir);
+    assert.deepEqual(await onDisk(scheduler), [true, true, false, false]);
+    assert.deepEqual(scheduler.entries.map(e => e.pruned), [false, false, true, true]);
+});
+
+test('prune removes backups older than the age limit, but never the newest', async (t) => {
+    const { scheduler, dir } = await schedulerWithBackups(t, [10, 20, 40]);
+    await scheduler.prune(daily({ count: null, maxAgeDays: 7 }), dir);
+    assert.deepEqual(await onDisk(scheduler), [true, false, false]);
+});
+
+test('prune also removes files the history no longer lists', async (t) => {
+    const { scheduler, dir } = await schedulerWithBackups(t, [0, 1, 2]);
+    const forgotten = scheduler.entries.pop();
+    await scheduler.prune(daily({ count: 2, maxAgeDays: null }), dir);
+    assert.equal(await fs.pathExists(forgotten.filePath), false);
+});
+
+test('prune leaves other files in the folder alone', async (t) => {
+    const { scheduler, dir } = await schedulerWithBackups(t, [0, 1, 2]);
+    const other = path.join(dir, backupFileName({ ...daily(), id: 'weekly-00-schedule' }, new Date(2020, 0, 1)));
+    const mine = path.join(dir, 'gis-old.backup');
+    await fs.writeFile(other, '');
+    await fs.writeFile(mine, '');
+    await scheduler.prune(daily({ count: 1, maxAgeDays: 1 }), dir);
+    assert.deepEqual(await onDisk(scheduler), [true, false, false]);
+    assert.equal(await fs.pathExists(other), true);
+    assert.equal(await fs.pathExists(mine), true);
+});
+
+test('prune without retention keeps everything', async (t) => {
+    const { scheduler, dir } = await schedulerWithBackups(t, [0, 100, 200]);
+    await scheduler.prune(daily({ count: null, maxAgeDays: null }), dir);
+    assert.deepEqual(await onDisk(scheduler), [true, true, true]);
+});
+
+test('runs skipped while the instance is stopped share one history entry', async (t) => {
+    const dir = await tempDir(t);
+    const schedule = validateSchedule({ database: 'gis', instanceId: 'stopped', when: { kind: 'interval', everyMinutes: 60 } });
+    const settings = { backupSchedules: [schedule], instances: [{ id: 'stopped', name: 'Stopped', port: 1 }] };
+    const scheduler = new BackupScheduler({ getSettings: () => settings, historyFile: path.join(dir, 'history.json') });
+    const first = await scheduler.run(schedule.id);
+    await scheduler.run(schedule.id);
+    const third = await scheduler.run(schedule.id);
+    const history = await scheduler.history({ scheduleId: schedule.id });
+    assert.equal(history.length, 1);
+    assert.equal(third.status, 'skipped');
+    assert.equal(third.skippedRuns, 3);
+    assert.equal(third.firstSkippedAt, first.startedAt);
+    assert.deepEqual(await fs.readJson(scheduler.historyFile), history);
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { REPAIRABLE_DIRS, checkDataDir, repairMissingDirs, quarantineDataDir, listQuarantined, restoreQuarantined } = require('../src-main/data-integrity');
+
+// <tmp>/instances/data, so quarantine/ lands inside the temp dir
+async function tempDataDir(t) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'data-integrity-test-'));
+    t.after(() => fs.remove(root));
+    return path.join(root, 'instances', 'data');
+}
+
+// The files checkDataDir looks for, like initdb leaves them
+async function writeCluster(dataDir) {
+    await fs.outputFile(path.join(dataDir, 'PG_VERSION'), '16\n');
+    await fs.outputFile(path.join(dataDir, 'postgresql.conf'), '');
+    await fs.outputFile(path.join(dataDir, 'global', 'pg_control'), Buffer.alloc(8192));
+    for (const oid of ['1', '4', '5']) await fs.ensureDir(path.join(dataDir, 'base', oid));
+    await fs.ensureDir(path.join(dataDir, 'pg_wal'));
+    await repairMissingDirs(dataDir, REPAIRABLE_DIRS);
+}
+
+const failed = (report) => report.checks.filter(c => !c.ok).map(c => c.id);
+
+test('checkDataDir: a missing or empty directory is empty', async (t) => {
+    const dataDir = await tempDataDir(t);
+    assert.equal((await checkDataDir(dataDir)).state, 'empty');
+    await fs.ensureDir(dataDir);
+    await fs.writeFile(path.join(dataDir, '.DS_Store'), '');
+    const report = await checkDataDir(dataDir);
+    assert.equal(report.state, 'empty');
+    assert.deepEqual(report.checks, []);
+});
+
+test('checkDataDir: a complete cluster is ok', async (t) => {
+    const dataDir = await tempDataDir(t);
+    await writeCluster(dataDir);
+    const report = await checkDataDir(dataDir);
+    assert.equal(report.state, 'ok');
+    assert.equal(report.version, '16');
+    assert.deepEqual(report.missingDirs, []);
+});
+
+test('checkDataDir: missing critical files make it suspect', async (t) => {
+    const dataDir = await tempDataDir(t);
+    await writeCluster(dataDir);
+    await fs.remove(path.join(dataDir, 'PG_VERSION'));
+    await fs.writeFile(path.join(dataDir, 'global', 'pg_control'), 'short');
+    const report = await checkDataDir(dataDir);
+    assert.equal(report.state, 'suspect');
+    assert.equal(report.version, null);
+    assert.deepEqual(failed(report), ['pg_version', 'pg_control']);
+    assert.match(report.checks.find(c => c.id === 'pg_control').detail, /Unexpected size 5 bytes/);
+});
+
+test('checkDataDir: stray files alone are suspect, not empty', async (t) => {
+    const dataDir = await tempDataDir(t);
+    await fs.outputFile(path.join(dataDir, 'notes.txt'), '');
+    const report = await checkDataDir(dataDir);
+    assert.equal(report.state, 'suspect');
+    assert.deepEqual(failed(report), ['pg_version', 'postgresql_conf', 'pg_control', 'base', 'pg_wal']);
+});
+
+test('repairMissingDirs recreates the empty directories a copy dropped', async (t) => {
+    const dataDir = await tempDataDir(t);
+    await writeCluster(dataDir);
+    await fs.remove(path.join(dataDir, 'pg_wal', 'archive_status'));
+    await fs.remove(path.join(dataDir, 'pg_logical'));
+    const report = await checkDataDir(dataDir);
+    assert.equal(report.state, 'ok');
+    assert.deepEqual(report.missingDirs, ['pg_logical', 'pg_logical/mappings', 'pg_logical/snapshots', 'pg_wal/archive_status']);
+    await repairMissingDirs(dataDir, report.missingDirs);
+    assert.deepEqual((await checkDataDir(dataDir)).missingDirs, []);
+    if (process.platform !== 'win32') assert.equal((await fs.stat(path.join(dataDir, 'pg_logical'))).mode & 0o777, 0o700);
+});
+
+test('quarantineDataDir moves the directory aside with its report and leaves an empty one', async (t) => {
+    const dataDir = await tempDataDir(t);
+    await writeCluster(dataDir);
+    await fs.remove(path.join(dataDir, 'PG_VERSION'));
+    const report = await checkDataDir(dataDir);
+    const target = await quarantineDataDir(dataDir, report);
+
+    assert.equal(path.dirname(target), path.join(path.dirname(dataDir), 'quarantine'));
+    assert.ok(path.basename(target).startsWith('data-'));
+    assert.equal((await checkDataDir(dataDir)).state, 'empty');
+    assert.equal(await fs.pathExists(path.join(target, 'global', 'pg_control')), true);
+    assert.deepEqual(await fs.readJson(`${target}.integrity-report.json`), report);
+
+    const listed = await listQuarantined(dataDir);
+    assert.deepEqual(listed.map(q => q.path), [target]);
+    assert.deepEqual(listed[0].report, report);
+});
+
+test('restoreQuarantined puts a copy back only over an empty directory', async (t) => {
+    const dataDir = await tempDataDir(t);
+    await writeCluster(dataDir);
+    const target = await quarantineDataDir(dataDir, await checkDataDir(dataDir));
+
+    await fs.writeFile(path.join(dataDir, 'new.txt'), '');
+    await assert.rejects(restoreQuarantined(dataDir, target), /is not empty/);
+    await fs.remove(path.join(dataDir, 'new.txt'));
+    await assert.rejects(restoreQuarantined(dataDir, path.join(os.tmpdir(), 'elsewhere')), /Not a quarantined copy/);
+
+    await restoreQuarantined(dataDir, target);
+    assert.equal((await checkDataDir(dataDir)).state, 'ok');
+    assert.deepEqual(await listQuarantined(dataDir), []);
+});
@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { validateRule, isExposed, describeExposure, parseRules, replaceSection, readRules, writeRules } = require('../src-main/network-access');
+
+const lan = { type: 'host', database: 'all', user: 'all', address: '192.168.1.0/24', method: 'scram-sha-256' };
+const office = { type: 'hostssl', database: 'gis', user: 'editor', address: '10.0.0.0/8', method: 'md5' };
+
+const BASE = [
+    '# TYPE  DATABASE  USER  ADDRESS       METHOD',
+    'local   all       all                 trust',
+    'host    all       all   127.0.0.1/32  trust',
+    ''
+].join('\n');
+
+test('replaceSection appends the section to a file without one', () => {
+    const content = replaceSection(BASE, [lan]);
+    assert.ok(content.startsWith(BASE));
+    assert.deepEqual(parseRules(content), [lan]);
+});
+
+test('replaceSection replaces the section and keeps the lines around it', () => {
+    const withSection = replaceSection(BASE, [lan]) + 'host    all       all   ::1/128       trust\n';
+    const content = replaceSection(withSection, [office]);
+    assert.deepEqual(parseRules(content), [office]);
+    assert.ok(content.startsWith(BASE));
+    assert.ok(content.includes('::1/128       trust\n'));
+    assert.equal(content.match(/# BEGIN network access/g).length, 1);
+});
+
+test('replaceSection without rules removes the section', () => {
+    const content = replaceSection(replaceSection(BASE, [lan, office]), []);
+    assert.equal(content, BASE);
+    assert.deepEqual(parseRules(content), []);
+});
+
+test('replaceSection handles CRLF files', () => {
+    const crlf = replaceSection(BASE, [lan]).replace(/\n/g, '\r\n');
+    assert.deepEqual(parseRules(replaceSection(crlf, [office])), [office]);
+});
+
+test('parseRules ignores comments inside the section and an unterminated section', () => {
+    const content = replaceSection(BASE, [lan]).replace('scram-sha-256\n# END', 'scram-sha-256   # the office\n# a note\n# END');
+    assert.deepEqual(parseRules(content), [lan]);
+    assert.deepEqual(parseRules(`${BASE}# BEGIN network access (managed by Portable PostGIS)\nhost all all 0.0.0.0/0 trust\n`), []);
+});
+
+test('writeRules validates, writes only the section and reads back', async (t) => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'network-access-test-'));
+    t.after(() => fs.remove(dir));
+    await fs.writeFile(path.join(dir, 'pg_hba.conf'), BASE);
+    const written = await writeRules(dir, [{ ...lan, type: undefined, database: ' all ' }, office]);
+    assert.deepEqual(written, [lan, office]);
+    assert.deepEqual(await readRules(dir), [lan, office]);
+    assert.ok((await fs.readFile(path.join(dir, 'pg_hba.conf'), 'utf8')).startsWith(BASE));
+    await assert.rejects(writeRules(dir, [lan, { ...lan, address: '192.168.1.0' }]), /Rule 2: Address/);
+    assert.deepEqual(await readRules(dir), [lan, office]);
+});
+
+test('validateRule rejects bad names, methods and addresses', () => {
+    assert.throws(() => validateRule({ ...lan, type: 'local' }), /Connection type/);
+    assert.throws(() => validateRule({ ...lan, database: 'gis; drop' }), /not a valid name/);
+    assert.throws(() => validateRule({ ...lan, user: '' }), /User is required/);
+    assert.throws(() => validateRule({ ...lan, address: '300.1.1.1/24' }), /CIDR/);
+    assert.throws(() => validateRule({ ...lan, address: '::1/129' }), /CIDR/);
+    assert.throws(() => validateRule({ ...lan, method: 'password' }), /Method/);
+    assert.deepEqual(validateRule({ ...office, database: 'gis, sameuser', user: '+editors' }), { ...office, database: 'gis,sameuser', user: '+editors' });
+});
+
+test('exposure warnings', () => {
+    assert.equal(isExposed('localhost, 127.0.0.1'), false);
+    assert.equal(isExposed('localhost,192.168.1.5'), true);
+    assert.deepEqual(describeExposure('localhost', [{ ...lan, address: '127.0.0.1/32', method: 'trust' }], 5432), []);
+    const warnings = describeExposure('*', [{ ...lan, address: '0.0.0.0/0', method: 'trust' }], 5432);
+    assert.equal(warnings.length, 3);
+    assert.match(warnings[0], /port 5432/);
+});
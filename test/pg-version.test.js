@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { majorOf, getBinaryVersion, getBundledVersion, compareWithBundled } = require('../src-main/pg-version');
+
+async function tempDir(t) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pg-version-test-'));
+    t.after(() => fs.remove(dir));
+    return dir;
+}
+
+test('majorOf: one number from 10 on, two before', () => {
+    assert.equal(majorOf('16.4'), '16');
+    assert.equal(majorOf('16'), '16');
+    assert.equal(majorOf('10.23'), '10');
+    assert.equal(majorOf('9.6.24'), '9.6');
+    assert.equal(majorOf('9.6'), '9.6');
+    assert.equal(majorOf(17), '17');
+});
+
+// A stand-in postgres that prints what `postgres -V` would
+test('getBinaryVersion reads postgres -V', { skip: process.platform === 'win32' }, async (t) => {
+    const binDir = await tempDir(t);
+    const exe = path.join(binDir, 'postgres');
+    await fs.writeFile(exe, '#!/bin/sh\necho "postgres (PostgreSQL) 9.6.24"\n', { mode: 0o755 });
+    assert.deepEqual(await getBinaryVersion(binDir), { major: '9.6', full: '9.6.24' });
+    await fs.writeFile(exe, '#!/bin/sh\necho "something else"\n', { mode: 0o755 });
+    assert.equal(await getBinaryVersion(binDir), null);
+    await fs.writeFile(exe, '#!/bin/sh\nexit 1\n', { mode: 0o755 });
+    assert.equal(await getBinaryVersion(binDir), null);
+});
+
+test('getBinaryVersion: no binary, no version', async (t) => {
+    assert.equal(await getBinaryVersion(path.join(await tempDir(t), 'bin')), null);
+});
+
+test('compareWithBundled: a cluster without PG_VERSION is never a mismatch', async (t) => {
+    const result = await compareWithBundled(await tempDir(t));
+    assert.equal(result.clusterVersion, null);
+    assert.equal(result.mismatch, false);
+});
+
+test('compareWithBundled compares the cluster major with the bundled one', async (t) => {
+    // The bundled binaries may or may not be set up where the tests run
+    const bundled = (await getBundledVersion())?.major ?? null;
+    const dataDir = await tempDir(t);
+    await fs.writeFile(path.join(dataDir, 'PG_VERSION'), '9.6\n');
+    assert.deepEqual(await compareWithBundled(dataDir), { clusterVersion: '9.6', bundledVersion: bundled, mismatch: bundled !== null });
+    if (bundled) {
+        await fs.writeFile(path.join(dataDir, 'PG_VERSION'), `${bundled}\n`);
+        assert.equal((await compareWithBundled(dataDir)).mismatch, false);
+    }
+});
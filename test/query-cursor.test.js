@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isCursorable, controlsTransactions, readLimited, QueryCursors } = require('../src-main/query-cursor');
+
+test('isCursorable accepts plain queries', () => {
+    assert.ok(isCursorable('SELECT * FROM roads'));
+    assert.ok(isCursorable('  select 1'));
+    assert.ok(isCursorable('VALUES (1), (2)'));
+    assert.ok(isCursorable('TABLE roads'));
+    assert.ok(isCursorable('WITH r AS (SELECT * FROM roads) SELECT * FROM r'));
+});
+
+test('isCursorable rejects statements that write or lock', () => {
+    assert.equal(isCursorable('INSERT INTO roads VALUES (1)'), false);
+    assert.equal(isCursorable('UPDATE roads SET name = 1'), false);
+    assert.equal(isCursorable('SELECT * INTO copy FROM roads'), false);
+    assert.equal(isCursorable('WITH gone AS (DELETE FROM roads RETURNING *) SELECT * FROM gone'), false);
+    assert.equal(isCursorable('SELECT * FROM roads FOR UPDATE'), false);
+    assert.equal(isCursorable('SELECT * FROM roads FOR NO KEY UPDATE'), false);
+    assert.equal(isCursorable('SELECT * FROM roads FOR SHARE SKIP LOCKED'), false);
+    assert.equal(isCursorable('SELECT * FROM roads for key share'), false);
+    assert.equal(isCursorable('EXPLAIN SELECT 1'), false);
+});
+
+test('controlsTransactions spots transaction control in a script', () => {
+    assert.ok(controlsTransactions(['BEGIN', 'SELECT 1']));
+    assert.ok(controlsTransactions(['start transaction', 'SELECT 1', 'COMMIT']));
+    assert.ok(controlsTransactions(['SAVEPOINT a']));
+    assert.equal(controlsTransactions(['CREATE TABLE t (id int)', 'SELECT * FROM t']), false);
+});
+
+// A client serving `total` rows through the cursor; FETCH returns [index] rows, or fails like a query
+// that writes in a read-only transaction
+function fakeClient(total, { writes = false } = {}) {
+    let position = 0;
+    const client = {
+        queries: [],
+        released: false,
+        on() {},
+        release: async () => { client.released = true; },
+        async query(query) {
+            const text = typeof query === 'string' ? query : query.text;
+            client.queries.push(text);
+            const fetch = text.match(/^FETCH FORWARD (\d+)/);
+            if (fetch && writes) {
+                throw Object.assign(new Error('cannot execute nextval() in a read-only transaction'), { code: '25006' });
+            }
+            if (fetch) {
+                const n = Math.min(Number(fetch[1]), total - position);
+                const rows = Array.from({ length: n }, (_, i) => [position + i]);
+                position += n;
+                return { rows, fields: [{ name: 'id' }] };
+            }
+            return {};
+        }
+    };
+    return client;
+}
+
+test('start reads only the first page, in an open read-only transaction', async () => {
+    const cursors = new QueryCursors({ pageSize: 10 });
+    const client = fakeClient(25);
+    const page = await cursors.start(client, 'SELECT id FROM roads');
+    assert.deepEqual(client.queries, [
+        'BEGIN TRANSACTION READ ONLY',
+        'DECLARE query_editor_cursor NO SCROLL CURSOR FOR SELECT id FROM roads',
+        'FETCH FORWARD 10 FROM query_editor_cursor'
+    ]);
+    assert.equal(page.rows.length, 10);
+    assert.deepEqual(page.fields, ['id']);
+    assert.equal(page.rowCount, null);
+    assert.equal(page.done, false);
+    assert.ok(page.cursorId);
+    assert.ok(cursors.holds(client));
+    await cursors.closeAll();
+});
+
+test('fetch pages through the rest and ends the connection after the last row', async () => {
+    const cursors = new QueryCursors({ pageSize: 10 });
+    const client = fakeClient(25);
+    const { cursorId } = await cursors.start(client, 'SELECT id FROM roads');
+    const second = await cursors.fetch(cursorId);
+    assert.deepEqual(second.rows[0], [10]);
+    assert.equal(second.done, false);
+    assert.equal(second.rowCount, null);
+    const last = await cursors.fetch(cursorId);
+    assert.equal(last.rows.length, 5);
+    assert.equal(last.done, true);
+    assert.equal(last.fetched, 25);
+    assert.equal(last.rowCount, 25);
+    assert.equal(client.released, true);
+    assert.equal(cursors.holds(client), false);
+    await assert.rejects(cursors.fetch(cursorId), /no longer open/);
+});
+
+test('a result that fits in one page keeps no cursor', async () => {
+    const cursors = new QueryCursors({ pageSize: 10 });
+    const client = fakeClient(3);
+    const page = await cursors.start(client, 'SELECT id FROM roads');
+    assert.equal(page.done, true);
+    assert.equal(page.rowCount, 3);
+    assert.equal(page.cursorId, null);
+    assert.equal(cursors.holds(client), false);
+    assert.equal(client.queries.at(-1), 'ROLLBACK');
+});
+
+test('a query that writes is not paged', async () => {
+    const cursors = new QueryCursors({ pageSize: 10 });
+    const client = fakeClient(25, { writes: true });
+    assert.equal(await cursors.start(client, "SELECT nextval('ids')"), null);
+    assert.equal(client.queries.at(-1), 'ROLLBACK');
+    assert.equal(cursors.holds(client), false);
+    assert.equal(await readLimited(fakeClient(25, { writes: true }), "SELECT nextval('ids')", 5), null);
+});
+
+test('opening more than maxOpen results closes the least recently used', async () => {
+    const cursors = new QueryCursors({ pageSize: 10, maxOpen: 2 });
+    const clients = [fakeClient(50), fakeClient(50), fakeClient(50)];
+    const ids = [];
+    for (const client of clients.slice(0, 2)) ids.push((await cursors.start(client, 'SELECT 1')).cursorId);
+    // Fetching from the first makes the second the least recently used
+    await cursors.fetch(ids[0]);
+    await cursors.start(clients[2], 'SELECT 1');
+    assert.deepEqual(clients.map(c => c.released), [false, true, false]);
+    await cursors.closeAll();
+    assert.deepEqual(clients.map(c => c.released), [true, true, true]);
+});
+
+test('readLimited reads one row past the limit to tell whether there are more', async () => {
+    const client = fakeClient(7);
+    const result = await readLimited(client, 'SELECT id FROM roads', 5);
+    assert.equal(result.rows.length, 5);
+    assert.equal(result.rowCount, null);
+    assert.equal(result.truncated, true);
+    assert.equal(client.queries[2], 'FETCH FORWARD 6 FROM query_editor_cursor');
+    assert.equal(client.queries.at(-1), 'ROLLBACK');
+    assert.deepEqual(await readLimited(fakeClient(5), 'SELECT 1', 5).then(r => [r.rowCount, r.truncated]), [5, false]);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError, READINESS_STATES } = require('../src-main/readiness');
+
+const error = (code, message = '') => Object.assign(new Error(message), { code });
+
+test('classifyError: nothing listening is no-response', () => {
+    for (const code of ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'EPIPE']) {
+        assert.equal(classifyError(error(code)), 'no-response', code);
+    }
+    assert.equal(classifyError(error(undefined, 'Connection terminated due to connection timeout')), 'no-response');
+    assert.equal(classifyError(error(undefined, 'Connection terminated unexpectedly')), 'no-response');
+});
+
+test('classifyError: 57P03 tells starting from recovering', () => {
+    assert.equal(classifyError(error('57P03', 'the database system is starting up')), 'starting');
+    assert.equal(classifyError(error('57P03', 'the database system is in recovery mode')), 'recovering');
+    assert.equal(classifyError(error('57P03', 'the database system is not yet accepting connections')), 'recovering');
+    assert.equal(classifyError(error('57P03', 'the database system is shutting down')), 'rejecting');
+});
+
+test('classifyError: authentication and missing database errors mean the server is up', () => {
+    assert.equal(classifyError(error('28P01', 'password authentication failed for user "postgres"')), 'ready');
+    assert.equal(classifyError(error('28000', 'no pg_hba.conf entry for host')), 'ready');
+    assert.equal(classifyError(error('3D000', 'database "gis" does not exist')), 'ready');
+});
+
+test('classifyError: other server answers are rejecting', () => {
+    assert.equal(classifyError(error('53300', 'sorry, too many clients already')), 'rejecting');
+    assert.equal(classifyError(error('57P01', 'terminating connection due to administrator command')), 'rejecting');
+    assert.equal(classifyError(new Error()), 'rejecting');
+});
+
+test('classifyError only returns known states', () => {
+    const samples = [error('ECONNREFUSED'), error('57P03', 'starting up'), error('57P03', 'recovery'), error('28P01'), error('XX000')];
+    for (const sample of samples) assert.ok(READINESS_STATES.includes(classifyError(sample)));
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PROFILES, MANAGED_SETTINGS, recommend } = require('../src-main/tuning');
+
+const GB = 1024 * 1024 * 1024;
+const machine = (gb, cpus) => ({ totalMemory: gb * GB, cpus });
+
+test('recommend rejects unknown profiles', () => {
+    assert.throws(() => recommend('turbo', machine(16, 8)), /Unknown tuning profile/);
+});
+
+test('every profile only writes managed settings', () => {
+    for (const profile of Object.keys(PROFILES)) {
+        for (const name of Object.keys(recommend(profile, machine(16, 8)))) {
+            assert.ok(MANAGED_SETTINGS.includes(name), `${profile} sets unmanaged ${name}`);
+        }
+    }
+});
+
+test('workstation: a quarter of memory for shared buffers, three quarters as cache', () => {
+    const s = recommend('workstation', machine(16, 8));
+    assert.equal(s.shared_buffers, '4096MB');
+    assert.equal(s.effective_cache_size, '12288MB');
+    assert.equal(s.maintenance_work_mem, '1024MB');
+    assert.equal(s.max_parallel_workers, '8');
+    assert.equal(s.max_parallel_workers_per_gather, '4');
+    assert.equal(s.max_worker_processes, '8');
+    // (16GB - 4GB) / (100 connections * 3) / 4 workers per gather
+    assert.equal(s.work_mem, '10485kB');
+    assert.equal(s.synchronous_commit, undefined);
+});
+
+test('shared buffers and maintenance memory are capped on large machines', () => {
+    const s = recommend('workstation', machine(128, 32));
+    assert.equal(s.shared_buffers, '8192MB');
+    assert.equal(s.maintenance_work_mem, '2048MB');
+    assert.equal(s.max_worker_processes, '32');
+    assert.equal(s.max_parallel_maintenance_workers, '4');
+});
+
+test('laptop leaves memory and cores to other programs', () => {
+    const s = recommend('laptop', machine(16, 8));
+    assert.equal(s.shared_buffers, '1024MB');
+    assert.equal(s.effective_cache_size, '4096MB');
+    assert.equal(s.maintenance_work_mem, '512MB');
+    assert.equal(s.max_parallel_workers, '4');
+    assert.equal(s.max_parallel_workers_per_gather, '2');
+    assert.equal(s.max_parallel_maintenance_workers, '1');
+    assert.equal(s.max_wal_size, '1GB');
+});
+
+test('bulk-load trades durability of the last commits for speed', () => {
+    const s = recommend('bulk-load', machine(16, 8));
+    assert.equal(s.synchronous_commit, 'off');
+    assert.equal(s.checkpoint_timeout, '30min');
+    assert.equal(s.max_wal_size, '16GB');
+    assert.equal(s.maintenance_work_mem, '2048MB');
+});
+
+test('small machines get the floors', () => {
+    const s = recommend('laptop', { totalMemory: 0.5 * GB, cpus: 1 });
+    assert.equal(s.shared_buffers, '128MB');
+    assert.equal(s.effective_cache_size, '256MB');
+    assert.equal(s.maintenance_work_mem, '64MB');
+    assert.equal(s.work_mem, '4096kB');
+    assert.equal(s.max_worker_processes, '8');
+});
+
+test('work_mem shrinks with more connections', () => {
+    const few = parseInt(recommend('workstation', machine(16, 8), { maxConnections: 20 }).work_mem, 10);
+    const many = parseInt(recommend('workstation', machine(16, 8), { maxConnections: 400 }).work_mem, 10);
+    assert.ok(few > many);
+    assert.equal(few, 52428);
+});